@@ -1,52 +1,81 @@
+import 'dotenv/config';
 import express from 'express';
-import jwt from 'jsonwebtoken';
-import { config } from 'dotenv';
 import cors from 'cors';
 import path from 'path';
 import cookieParser from 'cookie-parser';
 import serverless from 'serverless-http';
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import { PutCommand, QueryCommand, DeleteCommand } from "@aws-sdk/lib-dynamodb";
 import { v4 as uuidv4 } from 'uuid';
 import { fileURLToPath } from 'url';
-
-config();
+import { createAuthMiddleware, createTokenVerifier } from './lib/auth.mjs';
+import { loadHouseholds, createHouseholdMiddleware, listedUsernames, publicHousehold } from './lib/households.mjs';
+import { loadAdmins, createUserMiddleware, validateUserInput, normalizeUser, publicUser } from './lib/users.mjs';
+import {
+  MAX_TOKENS_PER_USER, generateToken, validateTokenInput, publicToken, tokenFields, createApiTokenVerifier, checkTokenScope
+} from './lib/apitokens.mjs';
+import { registry, requestMetrics, readingsCreated, authFailures } from './lib/metrics.mjs';
+import {
+  createStorage, ConditionFailedError, InvalidCursorError, PeriodClosedError, MAX_STATEMENTS, MAX_TRANSACTION_ITEMS
+} from './storage/index.mjs';
+import { validateTariffInput, normalizeTariff, tariffsOverlap, computeCost } from './lib/tariffs.mjs';
+import { parsePeriod, periodOfTimestamp, buildStatements, summarizeBalance } from './lib/settlements.mjs';
+import {
+  isCreator, ownerOf, roundKWh, ownerFields, repriceFields, isMeterEvent, closingKWh, validateMeterEventInput
+} from './lib/readings.mjs';
+import { isExpired, canControlSession } from './lib/sessions.mjs';
+import { loadPlausibilityConfig, checkPlausibility, describeAnomaly, anomalyFlag } from './lib/plausibility.mjs';
+import { loadProgramConfig, validateWashInput, washFields, programStatistics } from './lib/programs.mjs';
+import {
+  DEFAULT_APPLIANCE_ID, DEFAULT_TARIFF_PLAN, applianceOf, defaultAppliance, namedAppliance, withDefaultAppliance, validateApplianceInput, normalizeAppliance, tariffsForPlan
+} from './lib/appliances.mjs';
+import {
+  loadReservationConfig, validateReservationInput, reservationCells, reservationsOverlap, weekBounds, linkReservations
+} from './lib/reservations.mjs';
+import { checkChain } from './lib/consistency.mjs';
+import { aggregateReadings } from './lib/aggregate.mjs';
+import { AUDIT_ACTIONS, auditEntry, matchesAuditFilter } from './lib/audit.mjs';
+import { MAX_IMPORT_ROWS, parseImportRows, planImport } from './lib/import.mjs';
+import { EXPORT_FORMATS, EXPORT_DATA, exportTables, toCsv, toWorkbook } from './lib/export.mjs';
+import { parseReportPeriod, duePeriods, buildUserReport, renderReportHtml, renderReportPdf, reportFilename } from './lib/reports.mjs';
+import { deliverReports } from './lib/delivery.mjs';
+import { createMailer } from './lib/mailer.mjs';
+import { loadTelemetryConfig, parseSample, idleState, detectWash } from './lib/telemetry.mjs';
+import { PHOTO_CONTENT_TYPES, loadPhotoConfig, detectImageType } from './lib/photos.mjs';
+import { LOCALES, isLocale, apiError, localeMiddleware } from './lib/i18n.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const app = express();
-
-const TABLE_NAME = process.env.TABLE_NAME;
-const AWS_REGION = process.env.AWS_REGION || 'eu-central-1';
-
-const ddbClient = new DynamoDBClient({ region: AWS_REGION });
+export const app = express();
+export const storage = createStorage();
+export const households = loadHouseholds();
+export const mailer = createMailer();
+const reservationConfig = loadReservationConfig();
+const plausibilityConfig = loadPlausibilityConfig();
+const programConfig = loadProgramConfig();
+export const telemetryConfig = loadTelemetryConfig();
+const photoConfig = loadPhotoConfig();
 
 // --- Middleware ---
+app.use(requestMetrics);
 app.use(cors());
 app.use(cookieParser());
-app.use(express.json());
+app.use(localeMiddleware);
+app.use(express.json({ limit: '1mb' })); // CSV imports are sent as JSON
 
 // --- Authentication Middleware ---
-async function checkAuthentication(req, res, next) {
-  try {
-    const accessToken = req.cookies.CF_Authorization;
-    if (!accessToken || typeof accessToken !== 'string') {
-      return res.status(401).json({ message: 'Authentication required: No token provided or invalid type.' });
-    }
-
-    const decoded = await jwt.decode(accessToken);
-    if (!decoded || typeof decoded !== 'object') {
-      return res.status(401).json({ message: 'Authentication failed: Invalid token structure.' });
-    }
-
-    req.user = decoded;
-    req.username = decoded.custom?.family_name || 'unknown';
-    next();
-  } catch (err) {
-    return res.status(401).json({ message: 'Authentication failed: Invalid token.' });
-  }
-}
+// Every API route works on the active household's data (req.storage) as a
+// registered, active user of it (req.profile, req.isAdmin), signed in with
+// Cloudflare Access or a personal API token (req.apiToken)
+const authenticate = createAuthMiddleware(createTokenVerifier(), {
+  onFailure: code => authFailures.inc({ code }),
+  verifyApiToken: createApiTokenVerifier(storage)
+});
+const checkAuthentication = [
+  authenticate,
+  createHouseholdMiddleware(households, storage),
+  createUserMiddleware(loadAdmins()),
+  checkTokenScope
+];
 
 // --- Helpers ---
 function parseYearMonth(queryYear, queryMonth) {
@@ -65,178 +94,2119 @@ function parseYearMonth(queryYear, queryMonth) {
   return { year, startTimestamp, endTimestamp };
 }
 
+// Attempts to append to the meter chain before giving up with a 409
+const MAX_APPEND_ATTEMPTS = 3;
+
+// How far a client's clock may run ahead when it sends a capture time
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Page size of GET /readings when paging; larger pages are refused
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// The appliance with this id (the default appliance when none is given), or null
+async function findAppliance(store, applianceId = DEFAULT_APPLIANCE_ID) {
+  const stored = await store.appliances.get(applianceId);
+  if (stored) return stored;
+  return applianceId === DEFAULT_APPLIANCE_ID ? defaultAppliance() : null;
+}
+
+async function tariffsFor(store, appliance) {
+  return tariffsForPlan(await store.tariffs.list(), appliance.tariffPlan);
+}
+
+function unknownAppliance(res, applianceId) {
+  return res.status(400).json(apiError(res.req, 'unknown_appliance', { applianceId }));
+}
+
+// A plug measures one appliance of a household
+async function plugInUse(store, plugId, applianceId) {
+  if (!plugId) return false;
+  const appliances = withDefaultAppliance(await store.appliances.list());
+  return appliances.some(a => a.plugId === plugId && a.applianceId !== applianceId);
+}
+
+function plugInUseResponse(res, plugId) {
+  return res.status(409).json(apiError(res.req, 'plug_in_use', { plugId }));
+}
+
+// The chain head of an appliance; an open session that went stale is expired on the way
+async function getActiveHead(store, applianceId) {
+  const head = await store.readings.getHead(applianceId);
+  if (!head.openSession || !isExpired(head.openSession)) return head;
+
+  const session = head.openSession;
+  try {
+    await store.sessions.close(session, head, 'expired', {
+      audit: auditEntry({
+        actor: 'system',
+        action: 'session.expire',
+        targetType: 'session',
+        targetId: session.sessionId,
+        before: session,
+        after: { ...session, status: 'expired' },
+        onBehalfOf: session.ownerUsername
+      })
+    });
+  } catch (error) {
+    // someone else expired or finished it first
+    if (!(error instanceof ConditionFailedError)) throw error;
+  }
+  return store.readings.getHead(applianceId);
+}
+
+// Usernames of the active household (lowercase): the registered users (only
+// active ones unless `includeInactive`) and the usernames listed in HOUSEHOLDS
+async function householdUsernames(req, { includeInactive = false } = {}) {
+  const profiles = (await req.storage.users.list()).filter(p => includeInactive || p.active !== false);
+  return new Set([req.username, ...profiles.map(p => p.username), ...listedUsernames(req.household)].map(u => u.toLowerCase()));
+}
+
+// On-behalf entries may only name active users of the active household
+async function isHouseholdUser(req, username) {
+  return (await householdUsernames(req)).has(username.toLowerCase());
+}
+
+function notInHousehold(res, username) {
+  return res.status(400).json(apiError(res.req, 'not_in_household', { username }));
+}
+
+// Reports only name the household when there is more than one
+function reportHouseholdName(household) {
+  return households.length > 1 ? household.name : null;
+}
+
+// The recent readings of an appliance a new consumption is compared with
+function plausibilityHistory(store, applianceId) {
+  return store.readings.listRecent(applianceId, plausibilityConfig.historySize);
+}
+
+function implausibleResponse(res, deltaKWh, reasons) {
+  return res.status(409).json({ code: 'implausible_reading', message: describeAnomaly(deltaKWh, reasons, res.req.locale), deltaKWh, reasons });
+}
+
+function invalidConfirmAnomaly(confirmAnomaly) {
+  return confirmAnomaly !== undefined && typeof confirmAnomaly !== 'boolean';
+}
+
+function busyResponse(res, session) {
+  return res.status(409).json({ ...apiError(res.req, 'machine_busy', { username: session.ownerUsername }), session });
+}
+
+// The month a write goes into was closed before the write got through
+function monthClosedResponse(res, period) {
+  return res.status(409).json(apiError(res.req, 'month_closed', { period }));
+}
+
+// --- Operations (no authentication) ---
+
+app.get('/healthz', async (req, res) => {
+  try {
+    await storage.ping();
+    res.json({ status: 'ok', storage: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+  } catch (error) {
+    console.error('Health check failed:', error);
+    res.status(503).json({ status: 'error', storage: 'unreachable', error: error.message });
+  }
+});
+
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(registry.render());
+});
+
 // --- Routes ---
 
-app.get('/username', checkAuthentication, (req, res) => {
-  if (!req.user) return res.status(401).json({ message: 'User not authenticated.' });
-  res.json({ username: req.username });
+app.get('/username', checkAuthentication, async (req, res) => {
+  if (!req.user) return res.status(401).json(apiError(req, 'not_authenticated'));
+
+  // the first visit registered the user, so reports can be mailed to the login address
+  res.json({
+    username: req.username,
+    displayName: req.profile.displayName || req.username,
+    role: req.isAdmin ? 'admin' : 'member',
+    language: req.profile.language ?? null,
+    household: publicHousehold(req.household, req.locale)
+  });
 });
 
-// List readings (optional by year/month)
-app.get('/readings', checkAuthentication, async (req, res) => {
+// --- Households ---
+
+const HOUSEHOLD_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+// The households the user belongs to and the active one
+app.get('/households', checkAuthentication, (req, res) => {
+  res.json({ active: req.household.id, households: req.households.map(h => publicHousehold(h, req.locale)) });
+});
+
+// Switch the active household { householdId }; the choice is kept in a cookie
+app.put('/households/active', checkAuthentication, (req, res) => {
+  const { householdId } = req.body || {};
+  const household = req.households.find(h => h.id === householdId);
+  if (!household) {
+    return res.status(403).json(apiError(req, 'household_forbidden', { householdId }));
+  }
+  res.cookie('household', household.id, { httpOnly: true, sameSite: 'lax', maxAge: HOUSEHOLD_COOKIE_MAX_AGE_MS });
+  res.json({ active: household.id, households: req.households.map(h => publicHousehold(h, req.locale)) });
+});
+
+// --- Profile ---
+
+app.get('/profile', checkAuthentication, async (req, res) => {
   try {
-    const { startTimestamp, endTimestamp } = parseYearMonth(req.query.year, req.query.month);
+    res.json(await req.storage.users.get(req.username));
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    res.status(500).json({ ...apiError(req, 'profile_fetch_failed'), error: error.message });
+  }
+});
+
+// Display name, email address, report subscriptions (monthlyReport, yearlyReport)
+// and language (null follows the browser); reports are sent in that language
+app.put('/profile', checkAuthentication, async (req, res) => {
+  const { displayName, email, monthlyReport, yearlyReport, language } = req.body || {};
+
+  if (email !== undefined && email !== null && (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim()))) {
+    return res.status(400).json(apiError(req, 'invalid_email'));
+  }
+  if ((monthlyReport !== undefined && typeof monthlyReport !== 'boolean') || (yearlyReport !== undefined && typeof yearlyReport !== 'boolean')) {
+    return res.status(400).json(apiError(req, 'invalid_report_flags'));
+  }
+  if (language != null && !isLocale(language)) {
+    return res.status(400).json(apiError(req, 'invalid_language', { languages: LOCALES.join(', ') }));
+  }
+  const invalid = validateUserInput({ displayName }, { partial: true });
+  if (invalid) return res.status(400).json(apiError(req, invalid));
+
+  try {
+    const before = await req.storage.users.get(req.username);
+
+    const set = { updatedAt: Date.now() };
+    if (displayName !== undefined) set.displayName = displayName.trim();
+    if (email !== undefined) set.email = email ? email.trim() : null;
+    if (monthlyReport !== undefined) set.monthlyReport = monthlyReport;
+    if (yearlyReport !== undefined) set.yearlyReport = yearlyReport;
+    if (language !== undefined) set.language = language;
+
+    const profile = { ...before, ...set };
+    await req.storage.users.update(req.username, set, {
+      audit: auditEntry({ actor: req.username, action: 'profile.update', targetType: 'user', targetId: req.username, before, after: profile })
+    });
+    res.json(profile);
+  } catch (error) {
+    console.error('Error saving profile:', error);
+    res.status(500).json({ ...apiError(req, 'profile_save_failed'), error: error.message });
+  }
+});
+
+// --- Users ---
+
+// The household's users, e.g. for on-behalf entries; emails only for admins
+app.get('/users', checkAuthentication, async (req, res) => {
+  try {
+    const users = await req.storage.users.list();
+    res.json(users.map(u => publicUser(u, { withEmail: req.isAdmin || u.username === req.username })));
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ ...apiError(req, 'users_fetch_failed'), error: error.message });
+  }
+});
+
+// Register a flatmate ahead of their first login { username, displayName?, email?, role? } (admins)
+app.post('/users', checkAuthentication, async (req, res) => {
+  if (!req.isAdmin) return res.status(403).json(apiError(req, 'admin_required', {}, 'admin_required_add_user'));
+  const invalid = validateUserInput(req.body);
+  if (invalid) return res.status(400).json(apiError(req, invalid));
+
+  const username = req.body.username.trim();
+  const user = {
+    username,
+    displayName: username,
+    email: null,
+    role: 'member',
+    monthlyReport: true,
+    yearlyReport: true,
+    ...normalizeUser(req.body),
+    active: true,
+    createdBy: req.username,
+    createdAt: Date.now()
+  };
+
+  try {
+    await req.storage.users.create(user, {
+      audit: auditEntry({ actor: req.username, action: 'user.create', targetType: 'user', targetId: username, after: user })
+    });
+    res.status(201).json(publicUser(user, { withEmail: true }));
+  } catch (error) {
+    if (error instanceof ConditionFailedError) return res.status(409).json(apiError(req, 'user_exists', { username }));
+    console.error('Error creating user:', error);
+    res.status(500).json({ ...apiError(req, 'user_create_failed'), error: error.message });
+  }
+});
+
+// Change a user's display name, email, role or active flag (admins). Admins
+// cannot demote or deactivate themselves, so a household never loses its last admin that way.
+app.patch('/users/:username', checkAuthentication, async (req, res) => {
+  if (!req.isAdmin) return res.status(403).json(apiError(req, 'admin_required', {}, 'admin_required_change_user'));
+  const invalid = validateUserInput(req.body, { partial: true });
+  if (invalid) return res.status(400).json(apiError(req, invalid));
+  const set = normalizeUser(req.body);
+  if (Object.keys(set).length === 0) return res.status(400).json(apiError(req, 'nothing_to_update'));
+
+  const { username } = req.params;
+  if (username === req.username && (set.role === 'member' || set.active === false)) {
+    return res.status(400).json(apiError(req, 'cannot_demote_self'));
+  }
+
+  try {
+    const before = await req.storage.users.get(username);
+    if (!before) return res.status(404).json(apiError(req, 'user_not_found'));
+
+    Object.assign(set, { updatedBy: req.username, updatedAt: Date.now() });
+    const after = { ...before, ...set };
+    await req.storage.users.update(username, set, {
+      audit: auditEntry({ actor: req.username, action: 'user.update', targetType: 'user', targetId: username, before, after, onBehalfOf: username })
+    });
+    res.json(publicUser(after, { withEmail: true }));
+  } catch (error) {
+    if (error instanceof ConditionFailedError) return res.status(404).json(apiError(req, 'user_not_found'));
+    console.error('Error updating user:', error);
+    res.status(500).json({ ...apiError(req, 'user_update_failed'), error: error.message });
+  }
+});
+
+// --- API tokens ---
+
+// Your own tokens, revoked ones included; the token itself is never shown again
+app.get('/tokens', checkAuthentication, async (req, res) => {
+  try {
+    const tokens = await req.storage.apiTokens.listByUser(req.username);
+    res.json(tokens.map(publicToken));
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    res.status(500).json({ ...apiError(req, 'tokens_fetch_failed'), error: error.message });
+  }
+});
+
+// Create a token { name, scope }. The response carries the token once.
+app.post('/tokens', checkAuthentication, async (req, res) => {
+  const invalid = validateTokenInput(req.body);
+  if (invalid) return res.status(400).json(apiError(req, invalid));
+
+  try {
+    const active = (await req.storage.apiTokens.listByUser(req.username)).filter(t => !t.revokedAt);
+    if (active.length >= MAX_TOKENS_PER_USER) {
+      return res.status(409).json(apiError(req, 'token_limit', { max: MAX_TOKENS_PER_USER }));
+    }
+
+    const { token, hash, hint } = generateToken(req.household.id);
+    const record = {
+      tokenId: uuidv4(),
+      hash,
+      hint,
+      name: req.body.name.trim(),
+      scope: req.body.scope,
+      username: req.username,
+      email: req.user?.email || null, // household membership may follow the email
+      createdAt: Date.now(),
+      lastUsedAt: null
+    };
+    await req.storage.apiTokens.create(record, {
+      audit: auditEntry({ actor: req.username, action: 'token.create', targetType: 'token', targetId: record.tokenId, after: publicToken(record) })
+    });
+    res.status(201).json({ ...publicToken(record), token });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(500).json({ ...apiError(req, 'token_create_failed'), error: error.message });
+  }
+});
 
-    const command = new QueryCommand({
-      TableName: TABLE_NAME,
-      IndexName: 'TimestampIndex',
-      KeyConditionExpression: 'GlobalPK = :pk AND #ts BETWEEN :start AND :end',
-      ExpressionAttributeNames: { '#ts': 'timestamp' },
-      ExpressionAttributeValues: {
-        ':pk': 'ALL_READINGS',
-        ':start': startTimestamp,
-        ':end': endTimestamp
-      },
-      ScanIndexForward: false
+// Revoke a token; your own, or anybody's for admins
+app.delete('/tokens/:tokenId', checkAuthentication, async (req, res) => {
+  try {
+    const before = await req.storage.apiTokens.findById(req.params.tokenId);
+    if (!before || (before.username !== req.username && !req.isAdmin)) {
+      return res.status(404).json(apiError(req, 'token_not_found'));
+    }
+    if (before.revokedAt) return res.status(409).json(apiError(req, 'token_already_revoked'));
+
+    const set = { revokedAt: Date.now(), revokedBy: req.username };
+    const after = { ...before, ...set };
+    await req.storage.apiTokens.revoke(before.hash, set, {
+      audit: auditEntry({
+        actor: req.username,
+        action: 'token.revoke',
+        targetType: 'token',
+        targetId: before.tokenId,
+        before: publicToken(before),
+        after: publicToken(after),
+        onBehalfOf: before.username !== req.username ? before.username : null
+      })
     });
+    res.json(publicToken(after));
+  } catch (error) {
+    if (error instanceof ConditionFailedError) return res.status(409).json(apiError(req, 'token_already_revoked'));
+    console.error('Error revoking API token:', error);
+    res.status(500).json({ ...apiError(req, 'token_revoke_failed'), error: error.message });
+  }
+});
+
+// --- Readings ---
+
+// List readings (optional by year/month and appliance), newest first.
+// With limit or cursor the response is one page { items, cursor }; pass the
+// cursor back for the next page until it is null.
+app.get('/readings', checkAuthentication, async (req, res) => {
+  try {
+    const { startTimestamp, endTimestamp } = parseYearMonth(req.query.year, req.query.month);
+    const applianceId = req.query.applianceId || undefined;
 
-    const result = await ddbClient.send(command);
-    if (!result.Items) return res.status(500).json({ message: 'Could not retrieve readings.' });
+    if (req.query.limit === undefined && req.query.cursor === undefined) {
+      return res.json(await req.storage.readings.listByTimeRange(startTimestamp, endTimestamp - 1, { applianceId }));
+    }
 
-    res.json(result.Items);
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json(apiError(req, 'invalid_limit', { max: MAX_PAGE_SIZE }));
+    }
+    const page = await req.storage.readings.listPage(startTimestamp, endTimestamp - 1, {
+      applianceId,
+      limit,
+      cursor: req.query.cursor || null
+    });
+    res.json(page);
   } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json(apiError(req, 'invalid_cursor'));
+    }
     console.error('Error fetching readings:', error);
-    res.status(500).json({ message: 'Error fetching readings', error: error.message });
+    res.status(500).json({ ...apiError(req, 'readings_fetch_failed'), error: error.message });
   }
 });
 
-// Create reading (optionally on behalf of someone else)
+// Create reading (optionally on behalf of someone else).
+// expectedStartKWh (the previous value the client showed) turns a moved chain into a 409;
+// an implausible consumption is only stored with confirmAnomaly; capturedAt (ms) is
+// when the meter was read, for readings that could only be sent later.
 app.post('/readings', checkAuthentication, async (req, res) => {
-  const { currentKWh, notes = '', forUsername } = req.body;
+  const { currentKWh, notes = '', forUsername, expectedStartKWh, confirmAnomaly, capturedAt, applianceId = DEFAULT_APPLIANCE_ID } = req.body;
   const creator = req.username;
 
   if (typeof currentKWh !== 'number' || !isFinite(currentKWh) || currentKWh <= 0) {
-    return res.status(400).json({ message: 'Invalid or missing currentKWh value.' });
+    return res.status(400).json(apiError(req, 'invalid_current_kwh'));
+  }
+  if (expectedStartKWh !== undefined && (typeof expectedStartKWh !== 'number' || !isFinite(expectedStartKWh))) {
+    return res.status(400).json(apiError(req, 'invalid_expected_start'));
   }
+  if (invalidConfirmAnomaly(confirmAnomaly)) return res.status(400).json(apiError(req, 'invalid_confirm_anomaly'));
+  if (capturedAt !== undefined && (!Number.isInteger(capturedAt) || capturedAt <= 0)) {
+    return res.status(400).json(apiError(req, 'invalid_captured_at'));
+  }
+  if (capturedAt > Date.now() + MAX_CLOCK_SKEW_MS) return res.status(400).json(apiError(req, 'captured_at_in_future'));
+  const invalidWash = validateWashInput(req.body, programConfig);
+  if (invalidWash) return res.status(400).json(apiError(req, invalidWash));
+  const ownerUsername = (typeof forUsername === 'string' && forUsername.trim() !== '')
+    ? forUsername.trim()
+    : creator;
 
   try {
-    // Get last reading to compute delta
-    const lastResult = await ddbClient.send(new QueryCommand({
-      TableName: TABLE_NAME,
-      IndexName: 'TimestampIndex',
-      KeyConditionExpression: 'GlobalPK = :pk',
-      ExpressionAttributeValues: { ':pk': 'ALL_READINGS' },
-      ScanIndexForward: false,
-      Limit: 1,
-    }));
+    if (!(await isHouseholdUser(req, ownerUsername))) return notInHousehold(res, ownerUsername);
+    const appliance = await findAppliance(req.storage, applianceId);
+    if (!appliance) return unknownAppliance(res, applianceId);
+    const tariffs = await tariffsFor(req.storage, appliance);
+    const history = await plausibilityHistory(req.storage, applianceId);
 
-    const lastReading = lastResult.Items?.[0];
-    const startKWh = typeof lastReading?.endKWh === 'number' ? lastReading.endKWh : 0;
-    const endKWh = currentKWh;
-    const deltaKWh = parseFloat((endKWh - startKWh).toFixed(3));
+    for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+      // The chain head holds the last endKWh to compute the delta from
+      const head = await getActiveHead(req.storage, applianceId);
+      if (head.openSession) return busyResponse(res, head.openSession);
+      const startKWh = head.endKWh;
+      const endKWh = currentKWh;
+      const deltaKWh = roundKWh(endKWh - startKWh);
 
-    if (deltaKWh <= 0) {
-      return res.status(400).json({
-        message: `currentKWh (${endKWh}) must be greater than the last recorded endKWh (${startKWh}).`
-      });
-    }
+      if (expectedStartKWh !== undefined && expectedStartKWh !== startKWh) {
+        return res.status(409).json({ ...apiError(req, 'chain_moved', { latestEndKWh: startKWh }), latestEndKWh: startKWh });
+      }
+      if (deltaKWh <= 0) {
+        return res.status(400).json({ ...apiError(req, 'meter_decreased', { currentKWh: endKWh, latestEndKWh: startKWh }), latestEndKWh: startKWh });
+      }
 
-    const now = Date.now();
+      // A reading sent later (outbox) keeps the time it was taken, as long as
+      // that stays after the newest reading and outside settled months
+      const now = Date.now();
+      const timestamp = capturedAt === undefined ? now : Math.min(capturedAt, now);
+      if (capturedAt !== undefined) {
+        const latest = head.lastWashId ? await req.storage.readings.get(head.lastWashId) : null;
+        if (latest && timestamp <= latest.timestamp) {
+          return res.status(409).json({ ...apiError(req, 'captured_before_latest'), latestEndKWh: startKWh });
+        }
+        const period = periodOfTimestamp(timestamp);
+        if (await req.storage.settlements.isClosed(period)) return monthClosedResponse(res, period);
+      }
 
-    const ownerUsername = (typeof forUsername === 'string' && forUsername.trim() !== '')
-      ? forUsername.trim()
-      : creator;
+      // the first reading of an appliance only records where its meter stood
+      const reasons = head.lastWashId ? checkPlausibility(deltaKWh, { ownerUsername, history, config: plausibilityConfig }) : [];
+      if (reasons.length && confirmAnomaly !== true) return implausibleResponse(res, deltaKWh, reasons);
 
-    const onBehalf = ownerUsername !== creator;
+      const cost = computeCost(tariffs, timestamp, deltaKWh);
+      const onBehalf = ownerUsername !== creator;
 
-    const reading = {
-      washId: uuidv4(),
-      createdBy: creator,       // who entered it
-      ownerUsername,            // who it is for
-      onBehalf,                 // boolean marker
-      // legacy compatibility
-      username: ownerUsername,  // keep "username" as display of the owner in UI lists
-      startKWh,
-      endKWh,
-      deltaKWh,
-      notes,
-      timestamp: now,
-      GlobalPK: 'ALL_READINGS'
-    };
+      const reading = {
+        washId: uuidv4(),
+        applianceId,
+        createdBy: creator,       // who entered it
+        ownerUsername,            // who it is for
+        onBehalf,                 // boolean marker
+        // legacy compatibility
+        username: ownerUsername,  // keep "username" as display of the owner in UI lists
+        startKWh,
+        endKWh,
+        deltaKWh,
+        ...cost,                  // price frozen at creation time
+        notes,
+        ...washFields(req.body),  // program, temperature, … when given
+        ...(reasons.length ? { anomaly: anomalyFlag(reasons, creator, now) } : {}),
+        ...tokenFields(req.apiToken),
+        timestamp
+      };
 
-    await ddbClient.send(new PutCommand({ TableName: TABLE_NAME, Item: reading }));
+      try {
+        await req.storage.readings.append(reading, head, {
+          openPeriods: [periodOfTimestamp(timestamp)],
+          audit: auditEntry({ actor: creator, action: 'reading.create', targetType: 'reading', targetId: reading.washId, after: reading })
+        });
+        readingsCreated.inc();
 
-    return res.status(201).json({ reading });
+        return res.status(201).json({ reading });
+      } catch (error) {
+        // someone else appended first: re-read the head and try again
+        if (!(error instanceof ConditionFailedError)) throw error;
+      }
+    }
+
+    const head = await req.storage.readings.getHead(applianceId);
+    return res.status(409).json({ ...apiError(req, 'chain_moved', {}, 'chain_busy'), latestEndKWh: head.endKWh });
   } catch (error) {
+    if (error instanceof PeriodClosedError) return monthClosedResponse(res, error.period);
     console.error('Error saving reading:', error);
-    return res.status(500).json({ message: 'Error saving reading', error: error.message });
+    return res.status(500).json({ ...apiError(req, 'reading_save_failed'), error: error.message });
   }
 });
 
-// Latest kWh
+// Latest kWh of an appliance (default: the default appliance)
 app.get('/latest-kwh', checkAuthentication, async (req, res) => {
   try {
-    const query = new QueryCommand({
-      TableName: TABLE_NAME,
-      IndexName: 'TimestampIndex',
-      KeyConditionExpression: 'GlobalPK = :pk',
-      ExpressionAttributeValues: { ':pk': 'ALL_READINGS' },
-      ScanIndexForward: false,
-      Limit: 1,
-    });
-
-    const result = await ddbClient.send(query);
-    const last = result.Items?.[0];
+    const head = await req.storage.readings.getHead(req.query.applianceId || DEFAULT_APPLIANCE_ID);
 
-    res.json({ latestEndKWh: last?.endKWh ?? 0 });
+    res.json({ latestEndKWh: head.endKWh ?? 0 });
   } catch (error) {
     console.error('Error fetching last kWh:', error);
-    res.status(500).json({ message: 'Error fetching last kWh', error: error.message });
+    res.status(500).json({ ...apiError(req, 'latest_fetch_failed'), error: error.message });
   }
 });
 
-// Delete reading — only the creator may delete
+// Delete reading — only the creator or an admin may delete. The following reading
+// then starts where the deleted one started, so no consumption is lost.
 app.delete('/readings/:washId', checkAuthentication, async (req, res) => {
   const { washId } = req.params;
   const me = req.username;
 
-  if (!washId) return res.status(400).json({ message: 'Missing washId.' });
+  if (!washId) return res.status(400).json(apiError(req, 'missing_wash_id'));
 
   try {
-    // Allow if createdBy == me OR (legacy item with no createdBy AND username == me)
-    await ddbClient.send(new DeleteCommand({
-      TableName: TABLE_NAME,
-      Key: { washId },
-      ConditionExpression: 'createdBy = :me OR (attribute_not_exists(createdBy) AND #un = :me)',
-      ExpressionAttributeValues: { ':me': me },
-      ExpressionAttributeNames: { '#un': 'username' }
-    }));
+    const existing = await req.storage.readings.get(washId);
+    if (!existing || !(isCreator(existing, me) || req.isAdmin)) {
+      return res.status(403).json(apiError(req, 'reading_forbidden', {}, 'reading_delete_forbidden'));
+    }
+    if (await req.storage.settlements.isClosed(periodOfTimestamp(existing.timestamp))) {
+      return res.status(409).json(apiError(req, 'month_settled', {}, 'month_settled_delete'));
+    }
+
+    const head = await req.storage.readings.getHead(applianceOf(existing));
+    // the open session starts at the newest reading's endKWh
+    if (head.openSession && head.lastWashId === washId) return busyResponse(res, head.openSession);
+    const previous = head.lastWashId === washId ? await req.storage.readings.getPrevious(existing) : null;
+
+    let rechain = null;
+    const related = [];
+    const next = head.lastWashId === washId ? null : await req.storage.readings.getNext(existing);
+    if (next && isMeterEvent(existing)) {
+      return res.status(409).json(apiError(req, 'meter_event_has_followers'));
+    }
+    if (next) {
+      if (await req.storage.settlements.isClosed(periodOfTimestamp(next.timestamp))) {
+        return res.status(409).json(apiError(req, 'next_settled'));
+      }
+      const startKWh = typeof existing.startKWh === 'number' ? existing.startKWh : 0;
+      const deltaKWh = roundKWh(closingKWh(next) - startKWh);
+      const nextSet = { startKWh, deltaKWh, ...repriceFields(next, deltaKWh) };
+      rechain = { washId: next.washId, set: nextSet, expect: { startKWh: next.startKWh, endKWh: next.endKWh } };
+      related.push({ targetId: next.washId, before: next, after: { ...next, ...nextSet } });
+    }
+
+    await req.storage.readings.delete(washId, {
+      owner: isCreator(existing, me) ? me : null,
+      applianceId: applianceOf(existing),
+      head,
+      previous,
+      rechain,
+      openPeriods: [existing, ...(next ? [next] : [])].map(r => periodOfTimestamp(r.timestamp)),
+      // the full reading stays in the audit log so it can be recovered
+      audit: auditEntry({ actor: me, action: 'reading.delete', targetType: 'reading', targetId: washId, before: existing, related })
+    });
+    if (existing.photo) {
+      await req.storage.photos.delete(washId, existing.photo.photoId).catch(err => console.warn('Could not remove photo:', err.message));
+    }
 
     return res.status(204).send();
   } catch (error) {
-    // ConditionalCheckFailedException -> not allowed
-    if (error?.name === 'ConditionalCheckFailedException') {
-      return res.status(403).json({ message: 'Not allowed to delete this measurement.' });
+    if (error instanceof PeriodClosedError) return monthClosedResponse(res, error.period);
+    if (error instanceof ConditionFailedError) {
+      return res.status(409).json(apiError(req, 'reading_changed'));
     }
     console.error('Error deleting reading:', error);
-    return res.status(500).json({ message: 'Error deleting reading', error: error.message });
+    return res.status(500).json({ ...apiError(req, 'reading_delete_failed'), error: error.message });
   }
 });
 
-// Static files (protected)
-app.use('/', checkAuthentication, express.static(path.join(__dirname, 'public', 'home')));
+// Edit reading — only the creator or an admin may edit. A corrected endKWh re-chains the following reading.
+app.patch('/readings/:washId', checkAuthentication, async (req, res) => {
+  const { washId } = req.params;
+  const me = req.username;
+  const { endKWh, notes, ownerUsername, confirmAnomaly } = req.body || {};
 
-app.use((req, res) => {
-  if (!req.path.includes('.')) {
-    res.sendFile(path.join(__dirname, 'public', 'home', 'index.html'));
-  } else {
-    res.status(404).send('Not Found');
+  if (endKWh !== undefined && (typeof endKWh !== 'number' || !isFinite(endKWh) || endKWh <= 0)) {
+    return res.status(400).json(apiError(req, 'invalid_end_kwh'));
+  }
+  if (notes !== undefined && typeof notes !== 'string') {
+    return res.status(400).json(apiError(req, 'invalid_notes'));
+  }
+  if (ownerUsername !== undefined && (typeof ownerUsername !== 'string' || ownerUsername.trim() === '')) {
+    return res.status(400).json(apiError(req, 'invalid_owner'));
+  }
+  if (invalidConfirmAnomaly(confirmAnomaly)) return res.status(400).json(apiError(req, 'invalid_confirm_anomaly'));
+  const invalidWash = validateWashInput(req.body, programConfig);
+  if (invalidWash) return res.status(400).json(apiError(req, invalidWash));
+  const wash = washFields(req.body, { forUpdate: true });
+  if (endKWh === undefined && notes === undefined && ownerUsername === undefined && Object.keys(wash).length === 0) {
+    return res.status(400).json(apiError(req, 'nothing_to_update'));
+  }
+
+  try {
+    const reading = await req.storage.readings.get(washId);
+    if (!reading) return res.status(404).json(apiError(req, 'reading_not_found'));
+    if (!isCreator(reading, me) && !req.isAdmin) return res.status(403).json(apiError(req, 'reading_forbidden'));
+    if (isMeterEvent(reading) && (endKWh !== undefined || ownerUsername !== undefined || Object.keys(wash).length > 0)) {
+      return res.status(400).json(apiError(req, 'meter_event_notes_only'));
+    }
+    if (ownerUsername !== undefined && !(await isHouseholdUser(req, ownerUsername.trim()))) {
+      return notInHousehold(res, ownerUsername.trim());
+    }
+    if (await req.storage.settlements.isClosed(periodOfTimestamp(reading.timestamp))) {
+      return res.status(409).json(apiError(req, 'month_settled'));
+    }
+
+    const set = { editedBy: me, editedAt: Date.now(), ...wash };
+    if (notes !== undefined) set.notes = notes;
+    if (ownerUsername !== undefined) {
+      Object.assign(set, ownerFields(ownerUsername.trim(), reading.createdBy || reading.username));
+      if (reading.unassigned) set.unassigned = undefined; // consumption between washes claimed by someone
+    }
+
+    const updates = [{ washId, set, owner: isCreator(reading, me) ? me : null, expect: { endKWh: reading.endKWh } }];
+    let next = null;
+    let headChange = {};
+    const related = [];
+
+    if (endKWh !== undefined && endKWh !== reading.endKWh) {
+      const startKWh = typeof reading.startKWh === 'number' ? reading.startKWh : 0;
+      const deltaKWh = roundKWh(endKWh - startKWh);
+      if (deltaKWh <= 0) {
+        return res.status(400).json(apiError(req, 'end_not_above_start', { endKWh, startKWh }));
+      }
+      Object.assign(set, { endKWh, deltaKWh, ...repriceFields(reading, deltaKWh) });
+
+      // a corrected value is checked again (except on the first reading); a plausible one clears the flag
+      const isFirst = !(await req.storage.readings.getPrevious(reading));
+      const reasons = isFirst ? [] : checkPlausibility(deltaKWh, {
+        ownerUsername: set.ownerUsername ?? ownerOf(reading),
+        history: await plausibilityHistory(req.storage, applianceOf(reading)),
+        excludeWashId: washId,
+        config: plausibilityConfig
+      });
+      if (reasons.length && confirmAnomaly !== true) return implausibleResponse(res, deltaKWh, reasons);
+      if (reasons.length) set.anomaly = anomalyFlag(reasons, me);
+      else if (reading.anomaly) set.anomaly = undefined;
+
+      // read before the chain so a reading appended meanwhile makes the write fail
+      const head = await req.storage.readings.getHead(applianceOf(reading));
+      next = await req.storage.readings.getNext(reading);
+      if (next) {
+        const nextDelta = roundKWh(closingKWh(next) - endKWh);
+        if (isMeterEvent(next) && nextDelta < 0) {
+          return res.status(400).json(apiError(req, 'end_above_meter_final', { endKWh, finalKWh: next.oldMeterFinalKWh }));
+        }
+        if (!isMeterEvent(next) && nextDelta <= 0) {
+          return res.status(400).json(apiError(req, 'end_above_next', { endKWh, nextEndKWh: next.endKWh }));
+        }
+        if (await req.storage.settlements.isClosed(periodOfTimestamp(next.timestamp))) {
+          return res.status(409).json(apiError(req, 'next_settled'));
+        }
+        const nextSet = { startKWh: endKWh, deltaKWh: nextDelta, ...repriceFields(next, nextDelta) };
+        updates.push({ washId: next.washId, set: nextSet, expect: { startKWh: next.startKWh, endKWh: next.endKWh } });
+        related.push({ targetId: next.washId, before: next, after: { ...next, ...nextSet } });
+        next = { ...next, ...nextSet };
+      } else {
+        // the newest reading changed: the head must follow. Either way the head
+        // must not have moved, or a reading appended meanwhile would keep its old start.
+        if (head.lastWashId === washId) {
+          if (head.openSession) return busyResponse(res, head.openSession);
+          headChange = { head, headReading: { ...reading, ...set } };
+        } else {
+          headChange = { head };
+        }
+      }
+    }
+
+    const updated = { ...reading, ...set };
+    await req.storage.readings.updateMany(updates, {
+      applianceId: applianceOf(reading),
+      ...headChange,
+      openPeriods: [reading, ...(next ? [next] : [])].map(r => periodOfTimestamp(r.timestamp)),
+      audit: auditEntry({ actor: me, action: 'reading.update', targetType: 'reading', targetId: washId, before: reading, after: updated, related })
+    });
+
+    return res.json({ reading: updated, next });
+  } catch (error) {
+    if (error instanceof PeriodClosedError) return monthClosedResponse(res, error.period);
+    if (error instanceof ConditionFailedError) {
+      return res.status(409).json(apiError(req, 'reading_changed'));
+    }
+    console.error('Error editing reading:', error);
+    return res.status(500).json({ ...apiError(req, 'reading_edit_failed'), error: error.message });
   }
 });
 
-export const handler = serverless(app, {
-  request: (req, event) => {
-    if (event.body && typeof event.body === 'string') {
-      const isBase64 = event.isBase64Encoded;
+// Claim a wash the smart plug recorded while nobody had claimed the machine,
+// for oneself or (forUsername) for another member of the household
+app.post('/readings/:washId/claim', checkAuthentication, async (req, res) => {
+  const { washId } = req.params;
+  const { forUsername } = req.body || {};
+  const me = req.username;
+
+  if (forUsername !== undefined && (typeof forUsername !== 'string' || forUsername.trim() === '')) {
+    return res.status(400).json(apiError(req, 'invalid_for_username'));
+  }
+  const ownerUsername = forUsername ? forUsername.trim() : me;
+
+  try {
+    if (!(await isHouseholdUser(req, ownerUsername))) return notInHousehold(res, ownerUsername);
+    const reading = await req.storage.readings.get(washId);
+    if (!reading) return res.status(404).json(apiError(req, 'reading_not_found'));
+    if (reading.source !== 'telemetry' || !reading.unassigned) {
+      return res.status(409).json(apiError(req, 'not_claimable'));
+    }
+    if (await req.storage.settlements.isClosed(periodOfTimestamp(reading.timestamp))) {
+      return res.status(409).json(apiError(req, 'month_settled'));
+    }
+
+    const now = Date.now();
+    const set = { ...ownerFields(ownerUsername, me), unassigned: undefined, claimedBy: me, claimedAt: now };
+    const updated = { ...reading, ...set };
+    delete updated.unassigned;
+    await req.storage.readings.updateMany([{ washId, set, expect: { unassigned: true } }], {
+      applianceId: applianceOf(reading),
+      openPeriods: [periodOfTimestamp(reading.timestamp)],
+      audit: auditEntry({
+        actor: me,
+        action: 'reading.claim',
+        targetType: 'reading',
+        targetId: washId,
+        before: reading,
+        after: updated,
+        onBehalfOf: ownerUsername !== me ? ownerUsername : null
+      })
+    });
+
+    return res.json({ reading: updated });
+  } catch (error) {
+    if (error instanceof PeriodClosedError) return monthClosedResponse(res, error.period);
+    if (error instanceof ConditionFailedError) {
+      return res.status(409).json(apiError(req, 'not_claimable', {}, 'already_claimed'));
+    }
+    console.error('Error claiming reading:', error);
+    return res.status(500).json({ ...apiError(req, 'reading_claim_failed'), error: error.message });
+  }
+});
+
+// Record a meter replacement, reset or rollover on an appliance. The chain
+// continues at the new meter's start value; consumption since the last
+// reading up to the old meter's final value is kept as unassigned.
+app.post('/readings/meter-events', checkAuthentication, async (req, res) => {
+  const { type, oldMeterFinalKWh, newMeterStartKWh, notes = '', expectedStartKWh, applianceId = DEFAULT_APPLIANCE_ID } = req.body || {};
+  const me = req.username;
+
+  const invalid = validateMeterEventInput(req.body);
+  if (invalid) return res.status(400).json(apiError(req, invalid));
+  if (expectedStartKWh !== undefined && (typeof expectedStartKWh !== 'number' || !isFinite(expectedStartKWh))) {
+    return res.status(400).json(apiError(req, 'invalid_expected_start'));
+  }
+
+  try {
+    const appliance = await findAppliance(req.storage, applianceId);
+    if (!appliance) return unknownAppliance(res, applianceId);
+    const tariffs = await tariffsFor(req.storage, appliance);
+
+    for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+      const head = await getActiveHead(req.storage, applianceId);
+      if (head.openSession) return busyResponse(res, head.openSession);
+      const startKWh = head.endKWh;
+
+      if (expectedStartKWh !== undefined && expectedStartKWh !== startKWh) {
+        return res.status(409).json({ ...apiError(req, 'chain_moved', { latestEndKWh: startKWh }), latestEndKWh: startKWh });
+      }
+      const deltaKWh = roundKWh(oldMeterFinalKWh - startKWh);
+      if (deltaKWh < 0) {
+        return res.status(400).json({ ...apiError(req, 'meter_decreased', { oldMeterFinalKWh, latestEndKWh: startKWh }, 'meter_final_below_latest'), latestEndKWh: startKWh });
+      }
+
+      const now = Date.now();
+      const event = {
+        washId: uuidv4(),
+        applianceId,
+        createdBy: me,
+        ownerUsername: null,
+        username: null,
+        onBehalf: false,
+        unassigned: true,
+        meterEvent: type,
+        oldMeterFinalKWh,
+        newMeterStartKWh,
+        startKWh,
+        endKWh: newMeterStartKWh,
+        deltaKWh,
+        ...computeCost(tariffs, now, deltaKWh),
+        notes,
+        timestamp: now
+      };
+
       try {
-        const decoded = isBase64
-          ? Buffer.from(event.body, 'base64').toString()
-          : event.body;
-        req.body = JSON.parse(decoded);
-      } catch (e) {
-        console.error('Body parse error:', e.message);
-        req.body = {};
+        await req.storage.readings.append(event, head, {
+          audit: auditEntry({ actor: me, action: 'reading.meter_event', targetType: 'reading', targetId: event.washId, after: event })
+        });
+        return res.status(201).json({ reading: event });
+      } catch (error) {
+        if (!(error instanceof ConditionFailedError)) throw error;
       }
     }
+
+    return res.status(409).json(apiError(req, 'chain_moved', {}, 'chain_busy'));
+  } catch (error) {
+    console.error('Error saving meter event:', error);
+    return res.status(500).json({ ...apiError(req, 'meter_event_save_failed'), error: error.message });
   }
 });
+
+// Import historical readings of one appliance from CSV. With dryRun (the default) only the preview is returned.
+app.post('/readings/import', checkAuthentication, async (req, res) => {
+  const { csv, dryRun = true, applianceId = DEFAULT_APPLIANCE_ID } = req.body || {};
+  const me = req.username;
+
+  if (typeof csv !== 'string' || csv.trim() === '') {
+    return res.status(400).json(apiError(req, 'invalid_csv'));
+  }
+  const rows = parseImportRows(csv);
+  if (rows.length === 0) return res.status(400).json(apiError(req, 'csv_empty'));
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json(apiError(req, 'csv_too_many_rows', { max: MAX_IMPORT_ROWS }));
+  }
+
+  try {
+    const appliance = await findAppliance(req.storage, applianceId);
+    if (!appliance) return unknownAppliance(res, applianceId);
+
+    // read before the chain so a concurrent append makes the head write fail
+    const head = await req.storage.readings.getHead(applianceId);
+
+    const times = rows.map(r => r.timestamp).filter(t => t != null);
+    let existing = [];
+    if (times.length) {
+      const from = Math.min(...times);
+      const to = Math.max(...times);
+      const inRange = await req.storage.readings.listByTimeRange(from, to, { applianceId });
+      const previous = await req.storage.readings.getPrevious({ timestamp: from, applianceId });
+      const next = await req.storage.readings.getNext({ timestamp: to, applianceId });
+      existing = [previous, ...inRange, next].filter(Boolean).sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    const [tariffs, settlements, known] = await Promise.all([
+      // history may name users who have moved out since
+      tariffsFor(req.storage, appliance), req.storage.settlements.list(), householdUsernames(req, { includeInactive: true })
+    ]);
+    const importId = uuidv4();
+    const plan = planImport(rows, existing, {
+      applianceId,
+      isKnownUser: username => known.has(username.toLowerCase()),
+      creator: me,
+      tariffs,
+      closedPeriods: new Set(settlements.map(s => s.period)),
+      importId
+    });
+
+    const preview = {
+      valid: plan.valid,
+      rows: plan.rows.map(row => ({ ...row, errors: row.errors.map(e => apiError(req, e).message) })),
+      rechained: plan.updates.map(u => ({
+        washId: u.washId,
+        timestamp: u.before.timestamp,
+        ownerUsername: u.before.ownerUsername || u.before.username,
+        startKWh: u.before.startKWh,
+        newStartKWh: u.set.startKWh
+      })),
+      summary: plan.summary
+    };
+
+    if (dryRun) return res.json({ dryRun: true, ...preview });
+    if (!plan.valid) {
+      return res.status(400).json({ ...apiError(req, 'csv_invalid_rows'), dryRun: false, ...preview });
+    }
+
+    const newest = plan.readings[plan.readings.length - 1];
+    const latestExisting = existing[existing.length - 1];
+    const movesHead = !latestExisting || newest.timestamp > latestExisting.timestamp;
+    if (movesHead && head.openSession) return busyResponse(res, head.openSession);
+
+    // All or nothing: the rows, the re-chained readings, a check per month and the
+    // head (which a concurrent write moves) go into one transaction with the audit entry
+    const openPeriods = [...new Set([...plan.readings, ...plan.updates.map(u => u.before)].map(r => periodOfTimestamp(r.timestamp)))];
+    if (plan.readings.length + plan.updates.length + openPeriods.length + 2 > MAX_TRANSACTION_ITEMS) {
+      return res.status(400).json({ ...apiError(req, 'import_too_large'), dryRun: false, ...preview });
+    }
+
+    try {
+      await req.storage.readings.insertMany(plan.readings, {
+        applianceId,
+        updates: plan.updates,
+        head,
+        ...(movesHead ? { headReading: newest } : {}),
+        openPeriods,
+        audit: auditEntry({
+          actor: me,
+          action: 'reading.import',
+          targetType: 'import',
+          targetId: importId,
+          after: { importId, rowCount: plan.readings.length },
+          related: [
+            ...plan.readings.map(r => ({ targetId: r.washId, before: null, after: r })),
+            ...plan.updates.map(u => ({ targetId: u.washId, before: u.before, after: { ...u.before, ...u.set } }))
+          ]
+        })
+      });
+    } catch (error) {
+      if (error instanceof PeriodClosedError) return monthClosedResponse(res, error.period);
+      if (!(error instanceof ConditionFailedError)) throw error;
+      return res.status(409).json({ ...apiError(req, 'reading_changed', {}, 'import_outdated'), importId });
+    }
+
+    return res.status(201).json({ dryRun: false, importId, imported: plan.readings.length, ...preview });
+  } catch (error) {
+    console.error('Error importing readings:', error);
+    return res.status(500).json({ ...apiError(req, 'import_failed'), error: error.message });
+  }
+});
+
+// --- Meter photos ---
+
+const parsePhoto = express.raw({ type: PHOTO_CONTENT_TYPES, limit: photoConfig.maxBytes });
+
+function readPhoto(req, res, next) {
+  parsePhoto(req, res, (err) => {
+    // under Lambda the body arrives already read, past the parser's limit
+    if (err?.type === 'entity.too.large' || (Buffer.isBuffer(req.body) && req.body.length > photoConfig.maxBytes)) {
+      return res.status(413).json(apiError(req, 'photo_too_large', { maxMB: +(photoConfig.maxBytes / 1024 / 1024).toFixed(1) }));
+    }
+    next(err);
+  });
+}
+
+// A photo only changes with its reading: only the creator or an admin, not in settled months
+async function photoTarget(req, res) {
+  const reading = await req.storage.readings.get(req.params.washId);
+  if (!reading) {
+    res.status(404).json(apiError(req, 'reading_not_found'));
+    return null;
+  }
+  if (!isCreator(reading, req.username) && !req.isAdmin) {
+    res.status(403).json(apiError(req, 'reading_forbidden', {}, 'photo_forbidden'));
+    return null;
+  }
+  if (await req.storage.settlements.isClosed(periodOfTimestamp(reading.timestamp))) {
+    res.status(409).json(apiError(req, 'month_settled'));
+    return null;
+  }
+  return reading;
+}
+
+// Attach a photo of the meter (the image as body: JPEG, PNG or WebP); replaces an earlier one
+app.put('/readings/:washId/photo', checkAuthentication, readPhoto, async (req, res) => {
+  const { washId } = req.params;
+  const me = req.username;
+  const contentType = detectImageType(req.body);
+  if (!contentType) return res.status(400).json(apiError(req, 'photo_type', { types: PHOTO_CONTENT_TYPES.join(', ') }));
+
+  try {
+    const reading = await photoTarget(req, res);
+    if (!reading) return;
+
+    const photo = { photoId: uuidv4(), contentType, size: req.body.length, uploadedBy: me, uploadedAt: Date.now() };
+    await req.storage.photos.put(washId, photo.photoId, req.body, contentType);
+    const updated = { ...reading, photo };
+    try {
+      await req.storage.readings.updateMany([{ washId, set: { photo }, expect: {} }], {
+        applianceId: applianceOf(reading),
+        openPeriods: [periodOfTimestamp(reading.timestamp)],
+        audit: auditEntry({ actor: me, action: 'reading.photo', targetType: 'reading', targetId: washId, before: reading, after: updated })
+      });
+    } catch (error) {
+      await req.storage.photos.delete(washId, photo.photoId).catch(err => console.warn('Could not remove unused photo:', err.message));
+      throw error;
+    }
+    if (reading.photo) {
+      await req.storage.photos.delete(washId, reading.photo.photoId).catch(err => console.warn('Could not remove replaced photo:', err.message));
+    }
+
+    return res.json({ reading: updated });
+  } catch (error) {
+    if (error instanceof PeriodClosedError) return monthClosedResponse(res, error.period);
+    if (error instanceof ConditionFailedError) {
+      return res.status(409).json(apiError(req, 'reading_changed'));
+    }
+    console.error('Error saving photo:', error);
+    return res.status(500).json({ ...apiError(req, 'photo_save_failed'), error: error.message });
+  }
+});
+
+app.get('/readings/:washId/photo', checkAuthentication, async (req, res) => {
+  try {
+    const reading = await req.storage.readings.get(req.params.washId);
+    const stored = reading?.photo ? await req.storage.photos.get(reading.washId, reading.photo.photoId) : null;
+    if (!stored) return res.status(404).json(apiError(req, 'photo_not_found'));
+
+    // a replaced photo gets a new id, so the image behind one URL never changes
+    res.set('Cache-Control', 'private, max-age=86400');
+    return res.type(stored.contentType || reading.photo.contentType).send(stored.body);
+  } catch (error) {
+    console.error('Error fetching photo:', error);
+    return res.status(500).json({ ...apiError(req, 'photo_fetch_failed'), error: error.message });
+  }
+});
+
+app.delete('/readings/:washId/photo', checkAuthentication, async (req, res) => {
+  const { washId } = req.params;
+  const me = req.username;
+
+  try {
+    const reading = await photoTarget(req, res);
+    if (!reading) return;
+    if (!reading.photo) return res.status(404).json(apiError(req, 'photo_not_found'));
+
+    const updated = { ...reading };
+    delete updated.photo;
+    await req.storage.readings.updateMany([{ washId, set: { photo: undefined }, expect: {} }], {
+      applianceId: applianceOf(reading),
+      openPeriods: [periodOfTimestamp(reading.timestamp)],
+      audit: auditEntry({ actor: me, action: 'reading.photo_delete', targetType: 'reading', targetId: washId, before: reading, after: updated })
+    });
+    await req.storage.photos.delete(washId, reading.photo.photoId).catch(err => console.warn('Could not remove photo:', err.message));
+
+    return res.status(204).send();
+  } catch (error) {
+    if (error instanceof PeriodClosedError) return monthClosedResponse(res, error.period);
+    if (error instanceof ConditionFailedError) {
+      return res.status(409).json(apiError(req, 'reading_changed'));
+    }
+    console.error('Error deleting photo:', error);
+    return res.status(500).json({ ...apiError(req, 'photo_delete_failed'), error: error.message });
+  }
+});
+
+// --- Wash sessions ---
+
+// The open session of an appliance (if any) and the meter value a new session would start from
+app.get('/sessions/current', checkAuthentication, async (req, res) => {
+  try {
+    const head = await getActiveHead(req.storage, req.query.applianceId || DEFAULT_APPLIANCE_ID);
+    res.json({ session: head.openSession || null, latestEndKWh: head.endKWh ?? 0 });
+  } catch (error) {
+    console.error('Error fetching session:', error);
+    res.status(500).json({ ...apiError(req, 'session_fetch_failed'), error: error.message });
+  }
+});
+
+// Session history (optional by year/month)
+app.get('/sessions', checkAuthentication, async (req, res) => {
+  try {
+    const { startTimestamp, endTimestamp } = parseYearMonth(req.query.year, req.query.month);
+    res.json(await req.storage.sessions.listByTimeRange(startTimestamp, endTimestamp - 1));
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ ...apiError(req, 'sessions_fetch_failed'), error: error.message });
+  }
+});
+
+// Start a wash at meter value currentKWh (optionally for someone else).
+// Consumption since the last reading is recorded as unassigned. On an
+// appliance with a smart plug currentKWh may be left out: the session then
+// claims the machine and the plug's detected wash finishes it.
+app.post('/sessions', checkAuthentication, async (req, res) => {
+  const { currentKWh, forUsername, applianceId = DEFAULT_APPLIANCE_ID } = req.body || {};
+  const me = req.username;
+
+  if (currentKWh !== undefined && (typeof currentKWh !== 'number' || !isFinite(currentKWh) || currentKWh <= 0)) {
+    return res.status(400).json(apiError(req, 'invalid_current_kwh'));
+  }
+  const ownerUsername = typeof forUsername === 'string' && forUsername.trim() !== '' ? forUsername.trim() : me;
+
+  try {
+    if (!(await isHouseholdUser(req, ownerUsername))) return notInHousehold(res, ownerUsername);
+    const appliance = await findAppliance(req.storage, applianceId);
+    if (!appliance) return unknownAppliance(res, applianceId);
+    // the plug of an appliance measures the wash itself: claiming the machine needs no meter value
+    if (currentKWh === undefined && !appliance.plugId) {
+      return res.status(400).json(apiError(req, 'invalid_current_kwh'));
+    }
+    const tariffs = await tariffsFor(req.storage, appliance);
+
+    for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+      const head = await getActiveHead(req.storage, applianceId);
+      if (head.openSession) return busyResponse(res, head.openSession);
+
+      const startKWh = currentKWh ?? head.endKWh;
+      const gapKWh = roundKWh(startKWh - head.endKWh);
+      if (gapKWh < 0) {
+        return res.status(400).json({ ...apiError(req, 'meter_decreased', { currentKWh, latestEndKWh: head.endKWh }, 'session_start_below_latest'), latestEndKWh: head.endKWh });
+      }
+
+      const now = Date.now();
+      const unassigned = gapKWh > 0
+        ? {
+          washId: uuidv4(),
+          applianceId,
+          createdBy: me,
+          ownerUsername: null,
+          username: null,
+          onBehalf: false,
+          unassigned: true,
+          startKWh: head.endKWh,
+          endKWh: startKWh,
+          deltaKWh: gapKWh,
+          ...computeCost(tariffs, now, gapKWh),
+          notes: '',
+          ...tokenFields(req.apiToken),
+          timestamp: now - 1 // keeps it before a reading finished in the same millisecond
+        }
+        : null;
+      const session = {
+        sessionId: uuidv4(),
+        applianceId,
+        ownerUsername,
+        startedBy: me,
+        onBehalf: ownerUsername !== me,
+        startKWh,
+        startedAt: now,
+        status: 'open'
+      };
+
+      try {
+        await req.storage.sessions.start(session, head, {
+          unassigned,
+          audit: auditEntry({
+            actor: me,
+            action: 'session.start',
+            targetType: 'session',
+            targetId: session.sessionId,
+            after: session,
+            related: unassigned ? [{ targetId: unassigned.washId, before: null, after: unassigned }] : []
+          })
+        });
+        return res.status(201).json({ session, unassigned });
+      } catch (error) {
+        if (!(error instanceof ConditionFailedError)) throw error;
+      }
+    }
+
+    return res.status(409).json(apiError(req, 'chain_moved', {}, 'chain_busy'));
+  } catch (error) {
+    console.error('Error starting session:', error);
+    return res.status(500).json({ ...apiError(req, 'session_start_failed'), error: error.message });
+  }
+});
+
+// Finish the open session with the meter value at the end of the wash
+app.post('/sessions/:sessionId/finish', checkAuthentication, async (req, res) => {
+  const { currentKWh, notes = '', confirmAnomaly } = req.body || {};
+  const me = req.username;
+
+  if (typeof currentKWh !== 'number' || !isFinite(currentKWh) || currentKWh <= 0) {
+    return res.status(400).json(apiError(req, 'invalid_current_kwh'));
+  }
+  if (typeof notes !== 'string') return res.status(400).json(apiError(req, 'invalid_notes'));
+  if (invalidConfirmAnomaly(confirmAnomaly)) return res.status(400).json(apiError(req, 'invalid_confirm_anomaly'));
+  const invalidWash = validateWashInput(req.body, programConfig);
+  if (invalidWash) return res.status(400).json(apiError(req, invalidWash));
+
+  try {
+    const stored = await req.storage.sessions.get(req.params.sessionId);
+    const head = await getActiveHead(req.storage, stored ? applianceOf(stored) : DEFAULT_APPLIANCE_ID);
+    const session = head.openSession;
+    if (!session || session.sessionId !== req.params.sessionId) {
+      return res.status(404).json(apiError(req, 'session_not_found'));
+    }
+    if (!canControlSession(session, me)) return res.status(403).json(apiError(req, 'session_forbidden', {}, 'session_finish_forbidden'));
+
+    const deltaKWh = roundKWh(currentKWh - session.startKWh);
+    if (deltaKWh <= 0) {
+      return res.status(400).json(apiError(req, 'session_end_not_above_start', { currentKWh, startKWh: session.startKWh }));
+    }
+    const reasons = checkPlausibility(deltaKWh, {
+      ownerUsername: session.ownerUsername,
+      history: await plausibilityHistory(req.storage, applianceOf(session)),
+      config: plausibilityConfig
+    });
+    if (reasons.length && confirmAnomaly !== true) return implausibleResponse(res, deltaKWh, reasons);
+
+    const appliance = await findAppliance(req.storage, applianceOf(session));
+    const now = Date.now();
+    // without a given duration the session knows how long the wash took
+    const sessionMinutes = Math.round((now - session.startedAt) / 60000);
+    const reading = {
+      washId: uuidv4(),
+      applianceId: applianceOf(session),
+      createdBy: session.startedBy,
+      ...ownerFields(session.ownerUsername, session.startedBy),
+      startKWh: session.startKWh,
+      endKWh: currentKWh,
+      deltaKWh,
+      ...computeCost(await tariffsFor(req.storage, appliance), now, deltaKWh),
+      notes,
+      ...(sessionMinutes >= 1 && sessionMinutes <= 600 ? { durationMinutes: sessionMinutes } : {}),
+      ...washFields(req.body),
+      ...(reasons.length ? { anomaly: anomalyFlag(reasons, me, now) } : {}),
+      ...tokenFields(req.apiToken),
+      sessionId: session.sessionId,
+      startedAt: session.startedAt,
+      finishedBy: me,
+      timestamp: now
+    };
+
+    await req.storage.sessions.finish(session, reading, head, {
+      audit: auditEntry({
+        actor: me,
+        action: 'session.finish',
+        targetType: 'session',
+        targetId: session.sessionId,
+        before: session,
+        after: { ...session, status: 'finished', readingWashId: reading.washId },
+        related: [{ targetId: reading.washId, before: null, after: reading }]
+      })
+    });
+    readingsCreated.inc();
+
+    return res.status(201).json({ reading });
+  } catch (error) {
+    if (error instanceof ConditionFailedError) {
+      return res.status(409).json(apiError(req, 'session_changed'));
+    }
+    console.error('Error finishing session:', error);
+    return res.status(500).json({ ...apiError(req, 'session_finish_failed'), error: error.message });
+  }
+});
+
+// Cancel the open session without a reading
+app.delete('/sessions/:sessionId', checkAuthentication, async (req, res) => {
+  const me = req.username;
+
+  try {
+    const stored = await req.storage.sessions.get(req.params.sessionId);
+    const head = await getActiveHead(req.storage, stored ? applianceOf(stored) : DEFAULT_APPLIANCE_ID);
+    const session = head.openSession;
+    if (!session || session.sessionId !== req.params.sessionId) {
+      return res.status(404).json(apiError(req, 'session_not_found'));
+    }
+    if (!canControlSession(session, me)) return res.status(403).json(apiError(req, 'session_forbidden', {}, 'session_cancel_forbidden'));
+
+    await req.storage.sessions.close(session, head, 'cancelled', {
+      audit: auditEntry({
+        actor: me,
+        action: 'session.cancel',
+        targetType: 'session',
+        targetId: session.sessionId,
+        before: session,
+        after: { ...session, status: 'cancelled' },
+        onBehalfOf: session.ownerUsername
+      })
+    });
+    return res.status(204).send();
+  } catch (error) {
+    if (error instanceof ConditionFailedError) {
+      return res.status(409).json(apiError(req, 'session_changed'));
+    }
+    console.error('Error cancelling session:', error);
+    return res.status(500).json({ ...apiError(req, 'session_cancel_failed'), error: error.message });
+  }
+});
+
+// --- Reservations ---
+
+app.get('/reservations/config', checkAuthentication, (req, res) => {
+  res.json(reservationConfig);
+});
+
+// Bookings between from and to (YYYY-MM-DD, default the current week) with
+// the reading logged during each slot, and the washes done without a booking.
+// Optionally only those of one appliance.
+app.get('/reservations', checkAuthentication, async (req, res) => {
+  const applianceId = req.query.applianceId || undefined;
+  const week = weekBounds(Date.now());
+  const from = req.query.from ? Date.parse(`${req.query.from}T00:00:00Z`) : week.startTimestamp;
+  const to = req.query.to ? Date.parse(`${req.query.to}T00:00:00Z`) + 24 * 60 * 60 * 1000 : week.endTimestamp;
+  if (!Number.isFinite(from) || !Number.isFinite(to) || to <= from) {
+    return res.status(400).json(apiError(req, 'invalid_date_range'));
+  }
+
+  try {
+    const longestSlot = Math.max(...reservationConfig.slotMinutes) * 60 * 1000;
+    const graceMs = reservationConfig.graceMinutes * 60 * 1000;
+    const [reservations, readings] = await Promise.all([
+      // slots that started before `from` may still reach into the range
+      req.storage.reservations.listByTimeRange(from - longestSlot, to - 1),
+      req.storage.readings.listByTimeRange(from, to + graceMs, { applianceId })
+    ]);
+    const { reservations: linked, unbooked } = linkReservations(
+      reservations.filter(r => r.end > from && (!applianceId || applianceOf(r) === applianceId)),
+      readings,
+      { graceMinutes: reservationConfig.graceMinutes }
+    );
+
+    res.json({
+      from,
+      to,
+      reservations: linked,
+      unbooked: unbooked
+        .filter(r => r.timestamp < to)
+        .map(r => ({
+          washId: r.washId,
+          applianceId: applianceOf(r),
+          ownerUsername: r.ownerUsername || r.username,
+          timestamp: r.timestamp,
+          startedAt: r.startedAt ?? null
+        }))
+    });
+  } catch (error) {
+    console.error('Error fetching reservations:', error);
+    res.status(500).json({ ...apiError(req, 'reservations_fetch_failed'), error: error.message });
+  }
+});
+
+// Book a slot { start, durationMinutes, forUsername?, applianceId? }
+app.post('/reservations', checkAuthentication, async (req, res) => {
+  const invalid = validateReservationInput(req.body, reservationConfig);
+  if (invalid) return res.status(400).json(apiError(req, invalid));
+
+  const { start, durationMinutes, forUsername, applianceId = DEFAULT_APPLIANCE_ID } = req.body;
+  const me = req.username;
+  const ownerUsername = typeof forUsername === 'string' && forUsername.trim() !== '' ? forUsername.trim() : me;
+  const startTimestamp = typeof start === 'number' ? start : Date.parse(start);
+
+  const reservation = {
+    reservationId: uuidv4(),
+    applianceId,
+    ownerUsername,
+    createdBy: me,
+    onBehalf: ownerUsername !== me,
+    start: startTimestamp,
+    end: startTimestamp + durationMinutes * 60 * 1000,
+    durationMinutes,
+    gridMinutes: reservationConfig.gridMinutes,
+    status: 'booked',
+    createdAt: Date.now()
+  };
+
+  try {
+    if (!(await isHouseholdUser(req, ownerUsername))) return notInHousehold(res, ownerUsername);
+    if (!(await findAppliance(req.storage, applianceId))) return unknownAppliance(res, applianceId);
+
+    // The weekly limit (per appliance) is checked up front; two bookings racing for the last
+    // one of a week may both pass, which is acceptable for a household
+    if (reservationConfig.weeklyLimit > 0) {
+      const week = weekBounds(reservation.start);
+      const booked = (await req.storage.reservations.listByTimeRange(week.startTimestamp, week.endTimestamp - 1))
+        .filter(r => r.ownerUsername === ownerUsername && applianceOf(r) === applianceId && r.status === 'booked');
+      if (booked.length >= reservationConfig.weeklyLimit) {
+        return res.status(409).json(apiError(req, 'weekly_limit', { username: ownerUsername, count: booked.length, limit: reservationConfig.weeklyLimit }));
+      }
+    }
+
+    await req.storage.reservations.create(reservation, reservationCells(reservation), {
+      audit: auditEntry({
+        actor: me,
+        action: 'reservation.create',
+        targetType: 'reservation',
+        targetId: reservation.reservationId,
+        after: reservation
+      })
+    });
+    return res.status(201).json({ reservation });
+  } catch (error) {
+    if (error instanceof ConditionFailedError) {
+      const longestSlot = Math.max(...reservationConfig.slotMinutes) * 60 * 1000;
+      const conflict = (await req.storage.reservations.listByTimeRange(reservation.start - longestSlot, reservation.end - 1))
+        .find(r => r.status === 'booked' && applianceOf(r) === applianceId && reservationsOverlap(r, reservation));
+      return res.status(409).json({ ...apiError(req, 'slot_taken'), conflict: conflict || null });
+    }
+    console.error('Error creating reservation:', error);
+    return res.status(500).json({ ...apiError(req, 'reservation_create_failed'), error: error.message });
+  }
+});
+
+// Cancel a booking that has not ended yet (the owner or whoever booked it)
+app.delete('/reservations/:reservationId', checkAuthentication, async (req, res) => {
+  const me = req.username;
+
+  try {
+    const reservation = await req.storage.reservations.get(req.params.reservationId);
+    if (!reservation || reservation.status !== 'booked') {
+      return res.status(404).json(apiError(req, 'reservation_not_found'));
+    }
+    if (reservation.ownerUsername !== me && reservation.createdBy !== me) {
+      return res.status(403).json(apiError(req, 'reservation_forbidden'));
+    }
+    if (reservation.end <= Date.now()) {
+      return res.status(409).json(apiError(req, 'slot_over'));
+    }
+
+    await req.storage.reservations.cancel(reservation, reservationCells(reservation), me, {
+      audit: auditEntry({
+        actor: me,
+        action: 'reservation.cancel',
+        targetType: 'reservation',
+        targetId: reservation.reservationId,
+        before: reservation,
+        after: { ...reservation, status: 'cancelled' },
+        onBehalfOf: reservation.ownerUsername
+      })
+    });
+    return res.status(204).send();
+  } catch (error) {
+    if (error instanceof ConditionFailedError) {
+      return res.status(409).json(apiError(req, 'reservation_changed'));
+    }
+    console.error('Error cancelling reservation:', error);
+    return res.status(500).json({ ...apiError(req, 'reservation_cancel_failed'), error: error.message });
+  }
+});
+
+// Readings stored with an anomaly flag (optional by year/month and appliance), newest first
+app.get('/readings/anomalies', checkAuthentication, async (req, res) => {
+  try {
+    const { startTimestamp, endTimestamp } = parseYearMonth(req.query.year, req.query.month);
+    const readings = await req.storage.readings.listByTimeRange(startTimestamp, endTimestamp - 1, { applianceId: req.query.applianceId || undefined });
+    const flagged = readings.filter(r => r.anomaly);
+
+    res.json({
+      from: new Date(startTimestamp).toISOString(),
+      to: new Date(endTimestamp).toISOString(),
+      count: flagged.length,
+      totalKWh: roundKWh(flagged.reduce((sum, r) => sum + (r.deltaKWh || 0), 0)),
+      readings: flagged
+    });
+  } catch (error) {
+    console.error('Error fetching anomalies:', error);
+    res.status(500).json({ ...apiError(req, 'anomalies_fetch_failed'), error: error.message });
+  }
+});
+
+// Consistency check of an appliance's meter chain (optional by year/month)
+app.get('/readings/consistency', checkAuthentication, async (req, res) => {
+  try {
+    const { startTimestamp, endTimestamp } = parseYearMonth(req.query.year, req.query.month);
+    const applianceId = req.query.applianceId || DEFAULT_APPLIANCE_ID;
+    const readings = await req.storage.readings.listByTimeRange(startTimestamp, endTimestamp - 1, { applianceId });
+    const oldest = readings[readings.length - 1];
+    const previous = oldest ? await req.storage.readings.getPrevious(oldest) : null;
+    const head = await req.storage.readings.getHead(applianceId);
+    const latest = await req.storage.readings.getLatest(applianceId);
+
+    res.json({
+      applianceId,
+      from: new Date(startTimestamp).toISOString(),
+      to: new Date(endTimestamp).toISOString(),
+      head: head.exists ? { lastWashId: head.lastWashId, endKWh: head.endKWh, seq: head.seq } : null,
+      ...checkChain(readings, { previous, head, latest })
+    });
+  } catch (error) {
+    console.error('Error checking consistency:', error);
+    res.status(500).json({ ...apiError(req, 'consistency_check_failed'), error: error.message });
+  }
+});
+
+// --- Wash programs ---
+
+app.get('/programs', checkAuthentication, (req, res) => {
+  res.json(programConfig);
+});
+
+// Average consumption and cost per program and temperature, overall and per user
+// (optional by year/month and appliance)
+app.get('/statistics/programs', checkAuthentication, async (req, res) => {
+  try {
+    const { startTimestamp, endTimestamp } = parseYearMonth(req.query.year, req.query.month);
+    const readings = await req.storage.readings.listByTimeRange(startTimestamp, endTimestamp - 1, { applianceId: req.query.applianceId || undefined });
+
+    res.json({
+      from: new Date(startTimestamp).toISOString(),
+      to: new Date(endTimestamp).toISOString(),
+      ...programStatistics(readings, programConfig)
+    });
+  } catch (error) {
+    console.error('Error computing program statistics:', error);
+    res.status(500).json({ ...apiError(req, 'program_stats_failed'), error: error.message });
+  }
+});
+
+// Per-user, per-month and per-appliance totals with min/max/average and the
+// period of the first and last reading (optional by year/month and appliance);
+// the summaries and the yearly PDF in the UI are built from it
+app.get('/summary', checkAuthentication, async (req, res) => {
+  try {
+    const { year, startTimestamp, endTimestamp } = parseYearMonth(req.query.year, req.query.month);
+    const [readings, appliances] = await Promise.all([
+      req.storage.readings.listByTimeRange(startTimestamp, endTimestamp - 1, { applianceId: req.query.applianceId || undefined }),
+      req.storage.appliances.list()
+    ]);
+
+    res.json({
+      year,
+      from: new Date(startTimestamp).toISOString(),
+      to: new Date(endTimestamp).toISOString(),
+      ...aggregateReadings(readings, { appliances: withDefaultAppliance(appliances, req.locale) })
+    });
+  } catch (error) {
+    console.error('Error computing summary:', error);
+    res.status(500).json({ ...apiError(req, 'summary_failed'), error: error.message });
+  }
+});
+
+// --- Appliances ---
+
+app.get('/appliances', checkAuthentication, async (req, res) => {
+  try {
+    res.json(withDefaultAppliance(await req.storage.appliances.list(), req.locale));
+  } catch (error) {
+    console.error('Error fetching appliances:', error);
+    res.status(500).json({ ...apiError(req, 'appliances_fetch_failed'), error: error.message });
+  }
+});
+
+// Add an appliance { name, meterId?, tariffPlan?, plugId? } with its own (empty) meter chain
+app.post('/appliances', checkAuthentication, async (req, res) => {
+  if (!req.isAdmin) return res.status(403).json(apiError(req, 'admin_required', {}, 'admin_required_appliances'));
+  const invalid = validateApplianceInput(req.body);
+  if (invalid) return res.status(400).json(apiError(req, invalid));
+
+  const appliance = {
+    applianceId: uuidv4(),
+    meterId: null,
+    tariffPlan: DEFAULT_TARIFF_PLAN,
+    plugId: null,
+    ...normalizeAppliance(req.body),
+    createdBy: req.username,
+    createdAt: Date.now()
+  };
+
+  try {
+    if (await plugInUse(req.storage, appliance.plugId, appliance.applianceId)) return plugInUseResponse(res, appliance.plugId);
+    await req.storage.appliances.create(appliance, {
+      audit: auditEntry({ actor: req.username, action: 'appliance.create', targetType: 'appliance', targetId: appliance.applianceId, after: appliance })
+    });
+    return res.status(201).json({ appliance });
+  } catch (error) {
+    console.error('Error saving appliance:', error);
+    return res.status(500).json({ ...apiError(req, 'appliance_save_failed'), error: error.message });
+  }
+});
+
+// Rename an appliance or change its meter id, tariff plan or plug. Readings keep their frozen cost.
+app.patch('/appliances/:applianceId', checkAuthentication, async (req, res) => {
+  if (!req.isAdmin) return res.status(403).json(apiError(req, 'admin_required', {}, 'admin_required_appliances'));
+  const invalid = validateApplianceInput(req.body, { partial: true });
+  if (invalid) return res.status(400).json(apiError(req, invalid));
+  const set = normalizeAppliance(req.body);
+  if (Object.keys(set).length === 0) return res.status(400).json(apiError(req, 'nothing_to_update'));
+
+  try {
+    const { applianceId } = req.params;
+    const stored = await req.storage.appliances.get(applianceId);
+    const before = stored || (applianceId === DEFAULT_APPLIANCE_ID ? defaultAppliance() : null);
+    if (!before) return res.status(404).json(apiError(req, 'appliance_not_found'));
+    if (await plugInUse(req.storage, set.plugId, applianceId)) return plugInUseResponse(res, set.plugId);
+
+    const after = { ...before, ...set, updatedBy: req.username, updatedAt: Date.now() };
+    const audit = auditEntry({ actor: req.username, action: 'appliance.update', targetType: 'appliance', targetId: applianceId, before, after });
+    // the default appliance is only stored once it is edited
+    if (stored) await req.storage.appliances.update(applianceId, { ...set, updatedBy: after.updatedBy, updatedAt: after.updatedAt }, { audit });
+    else await req.storage.appliances.create({ ...after, createdAt: after.updatedAt }, { audit });
+
+    return res.json({ appliance: namedAppliance(after, req.locale) });
+  } catch (error) {
+    if (error instanceof ConditionFailedError) {
+      return res.status(409).json(apiError(req, 'appliance_changed'));
+    }
+    console.error('Error updating appliance:', error);
+    return res.status(500).json({ ...apiError(req, 'appliance_update_failed'), error: error.message });
+  }
+});
+
+// --- Smart-plug telemetry ---
+
+// who records what a plug detected
+const TELEMETRY_ACTOR = 'telemetry';
+
+// The appliance measured by the plug, searched in the given households
+async function findPlugAppliance(deviceId, householdIds) {
+  for (const householdId of householdIds) {
+    const store = storage.forHousehold(householdId);
+    const appliance = withDefaultAppliance(await store.appliances.list()).find(a => a.plugId === deviceId);
+    if (appliance) return { store, appliance };
+  }
+  return null;
+}
+
+// Appends a wash the plug detected to the appliance's chain, like POST /readings,
+// together with the plug state `plugState` that finished it. It finishes the
+// open session of whoever claimed the machine; without one it stays unassigned
+// until someone claims it. A plug cannot confirm an implausible value, so it is
+// recorded flagged for review instead. Throws ConditionFailedError if the chain
+// or the plug state moved on.
+async function recordDetectedWash(store, appliance, wash, deviceId, plugState) {
+  const { applianceId } = appliance;
+  const tariffs = await tariffsFor(store, appliance);
+  const history = await plausibilityHistory(store, applianceId);
+  const head = await getActiveHead(store, applianceId);
+  const session = head.openSession;
+  const startKWh = session ? session.startKWh : head.endKWh;
+  const ownerUsername = session ? session.ownerUsername : null;
+  const reasons = head.lastWashId ? checkPlausibility(wash.deltaKWh, { ownerUsername, history, config: plausibilityConfig }) : [];
+
+  const now = Date.now();
+  const reading = {
+    washId: uuidv4(),
+    applianceId,
+    createdBy: session ? session.startedBy : TELEMETRY_ACTOR,
+    ...(session
+      ? ownerFields(ownerUsername, session.startedBy)
+      : { ownerUsername: null, username: null, onBehalf: false, unassigned: true }),
+    startKWh,
+    endKWh: roundKWh(startKWh + wash.deltaKWh),
+    deltaKWh: wash.deltaKWh,
+    ...computeCost(tariffs, now, wash.deltaKWh),
+    notes: '',
+    ...(wash.durationMinutes <= 600 ? { durationMinutes: wash.durationMinutes } : {}),
+    ...(reasons.length ? { anomaly: anomalyFlag(reasons, TELEMETRY_ACTOR, now) } : {}),
+    source: 'telemetry',
+    plugId: deviceId,
+    telemetry: { startedAt: wash.startedAt, endedAt: wash.endedAt, peakW: wash.peakW },
+    ...(session ? { sessionId: session.sessionId, startedAt: session.startedAt, finishedBy: TELEMETRY_ACTOR } : {}),
+    timestamp: now
+  };
+
+  if (session) {
+    await store.sessions.finish(session, reading, head, {
+      plugState,
+      audit: auditEntry({
+        actor: TELEMETRY_ACTOR,
+        action: 'session.finish',
+        targetType: 'session',
+        targetId: session.sessionId,
+        before: session,
+        after: { ...session, status: 'finished', readingWashId: reading.washId },
+        onBehalfOf: ownerUsername,
+        related: [{ targetId: reading.washId, before: null, after: reading }]
+      })
+    });
+  } else {
+    await store.readings.append(reading, head, {
+      plugState,
+      audit: auditEntry({ actor: TELEMETRY_ACTOR, action: 'reading.create', targetType: 'reading', targetId: reading.washId, after: reading })
+    });
+  }
+  readingsCreated.inc();
+  return reading;
+}
+
+// Feeds one plug sample into the wash detection; used by the webhook and the
+// MQTT subscriber (server.mjs). The plug is looked up in `householdIds` (all
+// households by default). Resolves to { status, applianceId, reading } with
+// status unknown_plug, idle, running or recorded.
+export async function ingestTelemetry(sample, { householdIds = households.map(h => h.id) } = {}) {
+  const found = await findPlugAppliance(sample.deviceId, householdIds);
+  if (!found) return { status: 'unknown_plug' };
+  const { store, appliance } = found;
+  const { applianceId } = appliance;
+
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const stored = await store.telemetry.get(sample.deviceId);
+    const { state, finished } = detectWash(stored || idleState(sample.deviceId), sample, telemetryConfig);
+    if (state === stored) return { status: state.status, applianceId }; // an outdated sample changes nothing
+    const seq = stored?.seq ?? 0;
+
+    try {
+      // without counter and with very low power a run may round to nothing
+      if (!finished || finished.deltaKWh <= 0) {
+        await store.telemetry.save(state, seq);
+        return { status: state.status, applianceId };
+      }
+      // the state that finished the wash is only saved with its reading, so a failed write loses neither
+      const reading = await recordDetectedWash(store, appliance, finished, sample.deviceId, { state, seq });
+      return { status: 'recorded', applianceId, reading };
+    } catch (error) {
+      // another sample of the plug or a reading was stored at the same time: detect again on the new state and head
+      if (!(error instanceof ConditionFailedError)) throw error;
+    }
+  }
+  throw new Error('The plug state or the measurement chain kept changing; the sample was not processed.');
+}
+
+// Plugs that cannot set headers pass their API token as ?token=
+function tokenFromQuery(req, res, next) {
+  if (typeof req.query.token === 'string' && !req.get('Authorization')) req.headers.authorization = `Bearer ${req.query.token}`;
+  next();
+}
+
+async function handleTelemetry(req, res, payload) {
+  const { sample, error } = parseSample(payload, { deviceId: req.query.deviceId });
+  if (error) return res.status(400).json(apiError(req, error));
+
+  try {
+    const result = await ingestTelemetry(sample, { householdIds: [req.household.id] });
+    if (result.status === 'unknown_plug') {
+      return res.status(404).json(apiError(req, 'unknown_plug', { plugId: sample.deviceId }));
+    }
+    return res.status(result.reading ? 201 : 202).json(result);
+  } catch (error) {
+    console.error('Error processing telemetry:', error);
+    return res.status(500).json({ ...apiError(req, 'telemetry_failed'), error: error.message });
+  }
+}
+
+// Webhook for a plug's status: Shelly (Gen2 status or NotifyStatus), Tasmota
+// SENSOR or { deviceId, powerW, totalKWh?, timestamp? }; ?deviceId= names the
+// plug when the payload does not
+app.post('/telemetry', tokenFromQuery, checkAuthentication, (req, res) => handleTelemetry(req, res, req.body));
+
+// The same as URL parameters, for plugs whose actions can only call a URL:
+// /telemetry?deviceId=…&powerW=…&totalKWh=…&token=…
+app.get('/telemetry', tokenFromQuery, checkAuthentication, (req, res) => {
+  const { deviceId, powerW, totalKWh, timestamp } = req.query;
+  const number = value => (value === undefined || value === '' ? undefined : Number(value));
+  return handleTelemetry(req, res, {
+    deviceId,
+    powerW: number(powerW),
+    totalKWh: number(totalKWh) ?? null,
+    timestamp: /^\d+$/.test(timestamp || '') ? Number(timestamp) : timestamp
+  });
+});
+
+// --- Tariffs ---
+
+app.get('/tariffs', checkAuthentication, async (req, res) => {
+  try {
+    res.json(await req.storage.tariffs.list());
+  } catch (error) {
+    console.error('Error fetching tariffs:', error);
+    res.status(500).json({ ...apiError(req, 'tariffs_fetch_failed'), error: error.message });
+  }
+});
+
+// Create tariff. An open-ended tariff of the same plan that started earlier is closed at the new validFrom.
+app.post('/tariffs', checkAuthentication, async (req, res) => {
+  if (!req.isAdmin) return res.status(403).json(apiError(req, 'admin_required', {}, 'admin_required_tariffs'));
+  const invalid = validateTariffInput(req.body);
+  if (invalid) return res.status(400).json(apiError(req, invalid));
+
+  try {
+    const tariff = {
+      tariffId: uuidv4(),
+      ...normalizeTariff(req.body),
+      createdBy: req.username,
+      createdAt: Date.now()
+    };
+
+    const existing = tariffsForPlan(await req.storage.tariffs.list(), tariff.plan);
+    const superseded = existing.find(t => t.validTo == null && t.validFrom < tariff.validFrom);
+    const others = existing.filter(t => t !== superseded);
+    if (superseded && tariffsOverlap({ ...superseded, validTo: tariff.validFrom }, tariff)) {
+      return res.status(409).json(apiError(req, 'tariff_overlap'));
+    }
+    const conflict = others.find(t => tariffsOverlap(t, tariff));
+    if (conflict) {
+      const params = { name: conflict.name || conflict.tariffId, validFrom: conflict.validFrom, validTo: conflict.validTo };
+      return res.status(409).json(apiError(req, 'tariff_overlap', params, conflict.validTo == null ? 'tariff_overlap_open' : 'tariff_overlap_with'));
+    }
+
+    const created = await req.storage.tariffs.create(tariff, {
+      supersedes: superseded?.tariffId,
+      audit: auditEntry({
+        actor: req.username,
+        action: 'tariff.create',
+        targetType: 'tariff',
+        targetId: tariff.tariffId,
+        after: tariff,
+        related: superseded
+          ? [{ targetId: superseded.tariffId, before: superseded, after: { ...superseded, validTo: tariff.validFrom } }]
+          : []
+      })
+    });
+
+    return res.status(201).json({ tariff: created });
+  } catch (error) {
+    if (error instanceof ConditionFailedError) {
+      return res.status(409).json(apiError(req, 'tariffs_changed'));
+    }
+    console.error('Error saving tariff:', error);
+    return res.status(500).json({ ...apiError(req, 'tariff_save_failed'), error: error.message });
+  }
+});
+
+// Delete tariff — readings keep the cost they were stored with
+app.delete('/tariffs/:tariffId', checkAuthentication, async (req, res) => {
+  if (!req.isAdmin) return res.status(403).json(apiError(req, 'admin_required', {}, 'admin_required_tariffs'));
+  try {
+    const tariff = await req.storage.tariffs.get(req.params.tariffId);
+    if (!tariff) return res.status(404).json(apiError(req, 'tariff_not_found'));
+
+    await req.storage.tariffs.delete(tariff.tariffId, {
+      audit: auditEntry({ actor: req.username, action: 'tariff.delete', targetType: 'tariff', targetId: tariff.tariffId, before: tariff })
+    });
+    return res.status(204).send();
+  } catch (error) {
+    if (error instanceof ConditionFailedError) {
+      return res.status(404).json(apiError(req, 'tariff_not_found'));
+    }
+    console.error('Error deleting tariff:', error);
+    return res.status(500).json({ ...apiError(req, 'tariff_delete_failed'), error: error.message });
+  }
+});
+
+// --- Settlements ---
+
+app.get('/settlements', checkAuthentication, async (req, res) => {
+  try {
+    res.json(await req.storage.settlements.list());
+  } catch (error) {
+    console.error('Error fetching settlements:', error);
+    res.status(500).json({ ...apiError(req, 'settlements_fetch_failed'), error: error.message });
+  }
+});
+
+// Close a month: one statement per owner, written together with the settlement marker.
+// The admin closing it collects the payments (creditor).
+app.post('/settlements', checkAuthentication, async (req, res) => {
+  if (!req.isAdmin) return res.status(403).json(apiError(req, 'admin_required', {}, 'admin_required_settlements'));
+  const period = parsePeriod(req.body?.period);
+  if (!period) return res.status(400).json(apiError(req, 'invalid_period'));
+  if (period.endTimestamp > Date.now()) {
+    return res.status(400).json(apiError(req, 'month_not_over'));
+  }
+
+  const key = req.body.period;
+
+  try {
+    const readings = await req.storage.readings.listByTimeRange(period.startTimestamp, period.endTimestamp - 1);
+    const now = Date.now();
+    const statements = buildStatements(readings, key).map(st => ({ ...st, creditorUsername: req.username, createdAt: now }));
+
+    if (statements.length > MAX_STATEMENTS) {
+      return res.status(400).json(apiError(req, 'too_many_owners'));
+    }
+
+    const settlement = {
+      period: key,
+      closedBy: req.username,
+      closedAt: now,
+      statementCount: statements.length
+    };
+
+    await req.storage.settlements.close(settlement, statements, period.startTimestamp, {
+      audit: auditEntry({
+        actor: req.username,
+        action: 'settlement.close',
+        targetType: 'settlement',
+        targetId: key,
+        after: { ...settlement, statementIds: statements.map(st => st.statementId) }
+      })
+    });
+
+    return res.status(201).json({ settlement, statements });
+  } catch (error) {
+    if (error instanceof ConditionFailedError && error.index === 0) {
+      return res.status(409).json(apiError(req, 'month_closed', { period: key }));
+    }
+    console.error('Error closing month:', error);
+    return res.status(500).json({ ...apiError(req, 'month_close_failed'), error: error.message });
+  }
+});
+
+// List statements (by year/month or period, optionally username and status=open|paid)
+app.get('/statements', checkAuthentication, async (req, res) => {
+  try {
+    const { username, status } = req.query;
+    const period = req.query.period ? parsePeriod(req.query.period) : null;
+    const { startTimestamp, endTimestamp } = period || parseYearMonth(req.query.year, req.query.month);
+
+    const statements = (await req.storage.statements.listByTimeRange(startTimestamp, endTimestamp - 1))
+      .filter(st => !username || st.ownerUsername === username)
+      .filter(st => status !== 'open' || !st.paid)
+      .filter(st => status !== 'paid' || st.paid);
+    res.json(statements);
+  } catch (error) {
+    console.error('Error fetching statements:', error);
+    res.status(500).json({ ...apiError(req, 'statements_fetch_failed'), error: error.message });
+  }
+});
+
+// Open balance of the current user across all settled months
+app.get('/statements/balance', checkAuthentication, async (req, res) => {
+  try {
+    const open = await req.storage.statements.listOpen(req.username);
+    res.json({ username: req.username, ...summarizeBalance(open) });
+  } catch (error) {
+    console.error('Error fetching balance:', error);
+    res.status(500).json({ ...apiError(req, 'balance_fetch_failed'), error: error.message });
+  }
+});
+
+// Record (or undo) the payment of a statement (admins or its creditor, never the debtor)
+app.patch('/statements/:statementId', checkAuthentication, async (req, res) => {
+  const { paid, paidAt, paymentReference } = req.body || {};
+  if (typeof paid !== 'boolean') return res.status(400).json(apiError(req, 'invalid_paid'));
+  if (paid && (typeof paidAt !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(paidAt))) {
+    return res.status(400).json(apiError(req, 'invalid_paid_at'));
+  }
+  if (paymentReference != null && typeof paymentReference !== 'string') {
+    return res.status(400).json(apiError(req, 'invalid_payment_reference'));
+  }
+
+  try {
+    const before = await req.storage.statements.get(req.params.statementId);
+    if (!before) return res.status(404).json(apiError(req, 'statement_not_found'));
+    if (!req.isAdmin && (before.creditorUsername !== req.username || before.ownerUsername === req.username)) {
+      return res.status(403).json(apiError(req, 'statement_payment_forbidden'));
+    }
+
+    const payment = {
+      paid,
+      paidAt: paid ? paidAt : null,
+      paymentReference: paid ? (paymentReference || '').trim() : null,
+      paymentRecordedBy: req.username,
+      paymentRecordedAt: Date.now()
+    };
+    const statement = { ...before, ...payment };
+    await req.storage.statements.updatePayment(before.statementId, payment, {
+      audit: auditEntry({
+        actor: req.username,
+        action: 'statement.payment',
+        targetType: 'statement',
+        targetId: before.statementId,
+        before,
+        after: statement
+      })
+    });
+    return res.json({ statement });
+  } catch (error) {
+    if (error instanceof ConditionFailedError) {
+      return res.status(404).json(apiError(req, 'statement_not_found'));
+    }
+    console.error('Error updating statement:', error);
+    return res.status(500).json({ ...apiError(req, 'statement_update_failed'), error: error.message });
+  }
+});
+
+// --- Export ---
+
+// Readings or their aggregates (data=readings|by-user|by-appliance|by-month|all) as
+// format=csv|json|xlsx|ods, optionally by year/month
+app.get('/export', checkAuthentication, async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  const data = String(req.query.data || 'readings').toLowerCase();
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json(apiError(req, 'unknown_export_format', { formats: Object.keys(EXPORT_FORMATS).join(', ') }));
+  }
+  if (!EXPORT_DATA.includes(data)) {
+    return res.status(400).json(apiError(req, 'unknown_export_data', { data: EXPORT_DATA.join(', ') }));
+  }
+  if (format === 'csv' && data === 'all') {
+    return res.status(400).json(apiError(req, 'csv_single_table'));
+  }
+
+  try {
+    const { year, startTimestamp, endTimestamp } = parseYearMonth(req.query.year, req.query.month);
+    const [readings, appliances] = await Promise.all([
+      req.storage.readings.listByTimeRange(startTimestamp, endTimestamp - 1),
+      req.storage.appliances.list()
+    ]);
+    const tables = exportTables(readings, data, { appliances: withDefaultAppliance(appliances, req.locale) });
+
+    const month = new Date(startTimestamp).getUTCMonth() + 1;
+    const isMonth = endTimestamp - startTimestamp < 32 * 24 * 60 * 60 * 1000;
+    const period = isMonth ? `${year}-${String(month).padStart(2, '0')}` : String(year);
+    res.attachment(`waesche_${data}_${period}.${format}`);
+    res.type(EXPORT_FORMATS[format].contentType);
+
+    if (format === 'csv') return res.send(toCsv(Object.values(tables)[0]));
+    if (format === 'json') return res.send(JSON.stringify(data === 'all' ? tables : Object.values(tables)[0], null, 2));
+    return res.send(await toWorkbook(tables, format));
+  } catch (error) {
+    console.error('Error exporting readings:', error);
+    res.status(500).json({ ...apiError(req, 'export_failed'), error: error.message });
+  }
+});
+
+// --- Reports ---
+
+// Report for one user (default: yourself) and period YYYY-MM or YYYY, as format=html|pdf
+app.get('/reports/:period', checkAuthentication, async (req, res) => {
+  const period = parseReportPeriod(req.params.period);
+  const format = String(req.query.format || 'html').toLowerCase();
+  const username = typeof req.query.user === 'string' && req.query.user.trim() ? req.query.user.trim() : req.username;
+
+  if (!period) return res.status(400).json(apiError(req, 'invalid_report_period'));
+  if (format !== 'html' && format !== 'pdf') return res.status(400).json(apiError(req, 'invalid_report_format'));
+
+  try {
+    const [readings, appliances] = await Promise.all([
+      req.storage.readings.listByTimeRange(period.startTimestamp, period.endTimestamp - 1),
+      req.storage.appliances.list()
+    ]);
+    const report = buildUserReport(readings, period, username, {
+      appliances: withDefaultAppliance(appliances, req.locale), householdName: reportHouseholdName(req.household), locale: req.locale
+    });
+
+    if (format === 'pdf') {
+      res.attachment(reportFilename(report));
+      return res.type('application/pdf').send(renderReportPdf(report));
+    }
+    res.type('html').send(renderReportHtml(report));
+  } catch (error) {
+    console.error('Error rendering report:', error);
+    res.status(500).json({ ...apiError(req, 'report_failed'), error: error.message });
+  }
+});
+
+// Mail the reports of a period now (optionally only to `users`; `force` sends again) (admins)
+app.post('/reports/send', checkAuthentication, async (req, res) => {
+  if (!req.isAdmin) return res.status(403).json(apiError(req, 'admin_required', {}, 'admin_required_reports'));
+  const { period, users, force = false } = req.body || {};
+
+  if (!parseReportPeriod(period)) return res.status(400).json(apiError(req, 'invalid_report_period'));
+  if (users !== undefined && (!Array.isArray(users) || !users.every(u => typeof u === 'string' && u.trim()))) {
+    return res.status(400).json(apiError(req, 'invalid_report_users'));
+  }
+  if (!mailer.configured) return res.status(503).json(apiError(req, 'mail_not_configured'));
+
+  try {
+    const result = await deliverReports({ storage: req.storage, mailer, period, users: users?.map(u => u.trim()), force: force === true, householdName: reportHouseholdName(req.household) });
+    res.json(result);
+  } catch (error) {
+    console.error('Error sending reports:', error);
+    res.status(500).json({ ...apiError(req, 'reports_send_failed'), error: error.message });
+  }
+});
+
+// Scheduled delivery (EventBridge rule or the standalone server's timer):
+// last month's reports and, in January, last year's, for every household
+export async function runScheduledReports({ now = Date.now(), periods = duePeriods(now) } = {}) {
+  if (!mailer.configured) {
+    console.warn('Scheduled reports skipped: SMTP_HOST is not set.');
+    return { skipped: 'smtp_not_configured' };
+  }
+  const results = [];
+  for (const period of periods) {
+    for (const household of households) {
+      const result = await deliverReports({ storage: storage.forHousehold(household.id), mailer, period, householdName: reportHouseholdName(household) });
+      console.log(`Reports ${period} (${household.id}): ${result.sent.length} sent, ${result.skipped.length} skipped, ${result.failed.length} failed.`);
+      results.push({ household: household.id, ...result });
+    }
+  }
+  return { results };
+}
+
+// --- Audit log ---
+
+// List audit entries (filters: user, action, from/to as YYYY-MM-DD; default last 90 days) (admins)
+app.get('/audit', checkAuthentication, async (req, res) => {
+  if (!req.isAdmin) return res.status(403).json(apiError(req, 'admin_required', {}, 'admin_required_audit'));
+  const { user, action, from, to } = req.query;
+  const isDate = v => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v));
+
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    return res.status(400).json(apiError(req, 'unknown_audit_action', { actions: AUDIT_ACTIONS.join(', ') }));
+  }
+  if ((from && !isDate(from)) || (to && !isDate(to))) {
+    return res.status(400).json(apiError(req, 'invalid_audit_dates'));
+  }
+
+  try {
+    // `to` is inclusive: up to the end of that day
+    const endTimestamp = to ? Date.parse(`${to}T00:00:00Z`) + 24 * 60 * 60 * 1000 - 1 : Date.now();
+    const startTimestamp = from ? Date.parse(`${from}T00:00:00Z`) : endTimestamp - 90 * 24 * 60 * 60 * 1000;
+
+    const entries = (await req.storage.audit.listByTimeRange(startTimestamp, endTimestamp))
+      .filter(entry => matchesAuditFilter(entry, { user, action }));
+    res.json(entries);
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ ...apiError(req, 'audit_fetch_failed'), error: error.message });
+  }
+});
+
+// Static files (protected)
+app.use('/', authenticate, express.static(path.join(__dirname, 'public', 'home')));
+
+app.use((req, res) => {
+  if (!req.path.includes('.')) {
+    res.sendFile(path.join(__dirname, 'public', 'home', 'index.html'));
+  } else {
+    res.status(404).send('Not Found');
+  }
+});
+
+const httpHandler = serverless(app, {
+  // spreadsheets, PDFs, photos and the OCR model must reach API Gateway base64-encoded
+  binary: [EXPORT_FORMATS.xlsx.contentType, EXPORT_FORMATS.ods.contentType, 'application/pdf', ...PHOTO_CONTENT_TYPES, 'application/gzip'],
+  request: (req, event) => {
+    // meter photos are uploaded as raw images and read by express.raw
+    if (event.body && typeof event.body === 'string' && !PHOTO_CONTENT_TYPES.includes(req.headers['content-type'])) {
+      const isBase64 = event.isBase64Encoded;
+      try {
+        const decoded = isBase64
+          ? Buffer.from(event.body, 'base64').toString()
+          : event.body;
+        req.body = JSON.parse(decoded);
+      } catch (e) {
+        console.error('Body parse error:', e.message);
+        req.body = {};
+      }
+    }
+  }
+});
+
+// Scheduled events (EventBridge "Scheduled Event") run the report delivery;
+// everything else is an HTTP request. detail.periods overrides the periods.
+export async function handler(event, context) {
+  if (event?.source === 'aws.events' || event?.['detail-type'] === 'Scheduled Event') {
+    const periods = Array.isArray(event.detail?.periods) ? event.detail.periods : undefined;
+    return runScheduledReports({ periods });
+  }
+  return httpHandler(event, context);
+}
@@ -0,0 +1,74 @@
+import { roundKWh, ownerOf, isConsumption } from './readings.mjs';
+import { roundCHF } from './tariffs.mjs';
+import { applianceOf } from './appliances.mjs';
+
+// Per-user, per-appliance and per-month/per-user totals of a set of readings,
+// the same figures the yearly report and the summaries in the UI show. Months
+// are UTC like the year/month filters. Meter events only count when they carry
+// consumption. `period` holds the first and last counted reading.
+// `appliances` (optional) supplies the names for the breakdown.
+
+function emptyTotals() {
+  return { kWh: 0, costCHF: 0, count: 0, unpricedCount: 0, minKWh: null, maxKWh: null };
+}
+
+function add(totals, r) {
+  const kWh = typeof r.deltaKWh === 'number' ? r.deltaKWh : 0;
+  totals.kWh += kWh;
+  totals.count += 1;
+  if (typeof r.costCHF === 'number') totals.costCHF += r.costCHF;
+  else totals.unpricedCount += 1;
+  totals.minKWh = totals.minKWh == null ? kWh : Math.min(totals.minKWh, kWh);
+  totals.maxKWh = totals.maxKWh == null ? kWh : Math.max(totals.maxKWh, kWh);
+}
+
+function rounded(totals) {
+  return {
+    ...totals,
+    kWh: roundKWh(totals.kWh),
+    costCHF: roundCHF(totals.costCHF),
+    avgKWh: totals.count ? roundKWh(totals.kWh / totals.count) : 0
+  };
+}
+
+export function monthOfTimestamp(timestamp) {
+  const d = new Date(timestamp);
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+export function aggregateReadings(readings, { appliances = [] } = {}) {
+  const names = new Map(appliances.map(a => [a.applianceId, a.name]));
+  const total = emptyTotals();
+  const byUser = new Map();
+  const byAppliance = new Map();
+  const byMonthUser = new Map();
+  const period = { firstTimestamp: null, lastTimestamp: null };
+
+  for (const r of readings.filter(isConsumption)) {
+    const user = ownerOf(r);
+    const applianceId = applianceOf(r);
+    const month = monthOfTimestamp(r.timestamp);
+    const key = `${month}|${user}`;
+
+    if (!byUser.has(user)) byUser.set(user, { user, ...emptyTotals() });
+    if (!byAppliance.has(applianceId)) {
+      byAppliance.set(applianceId, { applianceId, appliance: names.get(applianceId) ?? applianceId, ...emptyTotals() });
+    }
+    if (!byMonthUser.has(key)) byMonthUser.set(key, { month, user, ...emptyTotals() });
+    add(total, r);
+    add(byUser.get(user), r);
+    add(byAppliance.get(applianceId), r);
+    add(byMonthUser.get(key), r);
+    period.firstTimestamp = Math.min(period.firstTimestamp ?? r.timestamp, r.timestamp);
+    period.lastTimestamp = Math.max(period.lastTimestamp ?? r.timestamp, r.timestamp);
+  }
+
+  return {
+    period,
+    total: rounded(total),
+    byUser: [...byUser.values()].map(rounded).sort((a, b) => a.user.localeCompare(b.user)),
+    byAppliance: [...byAppliance.values()].map(rounded).sort((a, b) => a.appliance.localeCompare(b.appliance)),
+    byMonthUser: [...byMonthUser.values()].map(rounded)
+      .sort((a, b) => a.month.localeCompare(b.month) || a.user.localeCompare(b.user))
+  };
+}
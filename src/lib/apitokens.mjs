@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import { AuthError } from './auth.mjs';
+import { problem, apiError } from './i18n.mjs';
+
+// Personal access tokens for scripts and devices by the machine, sent as
+// "Authorization: Bearer wt.<household>.<secret>". Only the SHA-256 hash of a
+// token is stored; the token itself is shown once, when it is created. A
+// token acts as its owner in its household, limited to its scope:
+//
+//   read    GET requests only
+//   submit  read, plus submitting readings and their meter photos, starting or
+//           finishing wash sessions and smart-plug telemetry (also by GET /telemetry)
+//
+// Tokens cannot manage tokens. Revoked tokens stay listed, readings created
+// with a token keep pointing at it (apiTokenId, apiTokenName).
+
+export const TOKEN_SCOPES = ['read', 'submit'];
+export const MAX_TOKENS_PER_USER = 20;
+
+const TOKEN_RE = /^wt\.([a-z0-9][a-z0-9_-]{0,31})\.([A-Za-z0-9_-]{43})$/;
+
+// lastUsedAt is only written when it is older than this
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// the writes a submit token may make
+const SUBMIT_ROUTES = [
+  ['POST', /^\/readings$/],
+  ['PUT', /^\/readings\/[^/]+\/photo$/],
+  ['POST', /^\/sessions$/],
+  ['POST', /^\/sessions\/[^/]+\/finish$/]
+];
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// A new token of the household: the token for the user, its hash and the
+// last characters to recognise it by
+export function generateToken(householdId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const token = `wt.${householdId}.${secret}`;
+  return { token, hash: hashToken(token), hint: secret.slice(-4) };
+}
+
+// Returns a problem (see i18n.mjs) or null
+export function validateTokenInput(input) {
+  const { name, scope } = input || {};
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 60) {
+    return problem('invalid_token_name', { max: 60 });
+  }
+  if (!TOKEN_SCOPES.includes(scope)) return problem('invalid_token_scope', { scopes: TOKEN_SCOPES.join(', ') });
+  return null;
+}
+
+// What the owner sees of a token; never the hash
+export function publicToken(record) {
+  const { hash, email, ...token } = record;
+  return token;
+}
+
+// The fields a reading created with a token records
+export function tokenFields(apiToken) {
+  return apiToken ? { apiTokenId: apiToken.tokenId, apiTokenName: apiToken.name } : {};
+}
+
+export function isAllowedForToken(scope, method, path) {
+  if (path === '/tokens' || path.startsWith('/tokens/')) return false;
+  if (path === '/telemetry') return scope === 'submit' && (method === 'GET' || method === 'POST');
+  if (method === 'GET' || method === 'HEAD') return true;
+  return scope === 'submit' && SUBMIT_ROUTES.some(([m, re]) => m === method && re.test(path));
+}
+
+// Looks the bearer token up in the household it names. Resolves to the
+// stored token or throws an AuthError; a known token gets its lastUsedAt updated.
+export function createApiTokenVerifier(storage) {
+  return async function verifyApiToken(token) {
+    const match = TOKEN_RE.exec(token);
+    if (!match) throw new AuthError('api_token_invalid', 'Authentication failed: Invalid API token.');
+
+    const repos = storage.forHousehold(match[1]);
+    const hash = hashToken(token);
+    const record = await repos.apiTokens.getByHash(hash);
+    if (!record) throw new AuthError('api_token_invalid', 'Authentication failed: Invalid API token.');
+    if (record.revokedAt) throw new AuthError('api_token_revoked', 'Authentication failed: The API token has been revoked.');
+
+    const now = Date.now();
+    if (!record.lastUsedAt || now - record.lastUsedAt > TOUCH_INTERVAL_MS) {
+      // only informational, a failed write must not fail the request
+      await repos.apiTokens.touch(hash, now).catch(err => console.warn('Could not update token usage:', err.message));
+    }
+    return { ...record, householdId: match[1] };
+  };
+}
+
+// Rejects what the token's scope does not cover; runs last in the authentication chain
+export function checkTokenScope(req, res, next) {
+  if (!req.apiToken || isAllowedForToken(req.apiToken.scope, req.method, req.path)) return next();
+  return res.status(403).json(apiError(req, 'token_scope', { scope: req.apiToken.scope, method: req.method, path: req.path }));
+}
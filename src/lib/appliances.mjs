@@ -0,0 +1,79 @@
+import { problem, translate } from './i18n.mjs';
+
+// Appliances (washer, dryer, …) each have their own meter and therefore their
+// own reading chain. Readings from before appliances existed have no
+// applianceId and belong to the default appliance.
+//
+// An appliance is priced with the tariffs of its tariff plan; tariffs without
+// a plan belong to the default plan. plugId is the device id of a smart plug
+// measuring it (see telemetry.mjs).
+
+export const DEFAULT_APPLIANCE_ID = 'default';
+export const DEFAULT_TARIFF_PLAN = 'default';
+
+const PLAN_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const DEVICE_ID_RE = /^[A-Za-z0-9][A-Za-z0-9_.:-]{0,63}$/;
+
+export function applianceOf(reading) {
+  return reading.applianceId || DEFAULT_APPLIANCE_ID;
+}
+
+// the id a smart plug reports itself with, e.g. shellyplus1pm-a8032ab12345 or a Tasmota topic
+export function isDeviceId(v) {
+  return typeof v === 'string' && DEVICE_ID_RE.test(v);
+}
+
+export function isTariffPlan(v) {
+  return typeof v === 'string' && PLAN_RE.test(v);
+}
+
+// The default appliance exists without being stored; once edited it is stored
+// like any other. Until it is given a name it is named in the reader's language.
+export function defaultAppliance() {
+  return { applianceId: DEFAULT_APPLIANCE_ID, meterId: null, tariffPlan: DEFAULT_TARIFF_PLAN };
+}
+
+// The appliance with its name, for output in `locale`
+export function namedAppliance(appliance, locale) {
+  return appliance.name ? appliance : { ...appliance, name: translate(locale, 'defaults.appliance') };
+}
+
+// The stored appliances with the default one, which always comes first
+export function withDefaultAppliance(appliances, locale) {
+  const stored = appliances.find(a => a.applianceId === DEFAULT_APPLIANCE_ID);
+  return [
+    namedAppliance(stored || defaultAppliance(), locale),
+    ...appliances.filter(a => a !== stored)
+  ];
+}
+
+// Returns a problem (see i18n.mjs) or null. With `partial` only the given fields are checked.
+export function validateApplianceInput(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object') return problem('invalid_appliance');
+  const { name, meterId, tariffPlan, plugId } = input;
+
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || name.trim() === '' || name.length > 60)) {
+    return problem('invalid_appliance_name', { max: 60 });
+  }
+  if (meterId != null && (typeof meterId !== 'string' || meterId.length > 60)) return problem('invalid_meter_id', { max: 60 });
+  if (plugId != null && !isDeviceId(plugId)) {
+    return problem('invalid_plug_id');
+  }
+  if (tariffPlan != null && !isTariffPlan(tariffPlan)) {
+    return problem('invalid_tariff_plan');
+  }
+  return null;
+}
+
+export function normalizeAppliance(input) {
+  const fields = {};
+  if (input.name !== undefined) fields.name = input.name.trim();
+  if (input.meterId !== undefined) fields.meterId = input.meterId?.trim() || null;
+  if (input.tariffPlan !== undefined) fields.tariffPlan = input.tariffPlan ?? DEFAULT_TARIFF_PLAN;
+  if (input.plugId !== undefined) fields.plugId = input.plugId || null;
+  return fields;
+}
+
+export function tariffsForPlan(tariffs, plan = DEFAULT_TARIFF_PLAN) {
+  return tariffs.filter(t => (t.plan || DEFAULT_TARIFF_PLAN) === plan);
+}
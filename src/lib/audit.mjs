@@ -0,0 +1,61 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Audit actions recorded for every mutation
+export const AUDIT_ACTIONS = [
+  'reading.create',
+  'reading.update',
+  'reading.delete',
+  'reading.import',
+  'reading.meter_event',
+  'reading.claim',
+  'reading.photo',
+  'reading.photo_delete',
+  'session.start',
+  'session.finish',
+  'session.cancel',
+  'session.expire',
+  'reservation.create',
+  'reservation.cancel',
+  'appliance.create',
+  'appliance.update',
+  'tariff.create',
+  'tariff.delete',
+  'settlement.close',
+  'statement.payment',
+  'profile.update',
+  'user.create',
+  'user.update',
+  'token.create',
+  'token.revoke'
+];
+
+function snapshot(item) {
+  if (!item) return null;
+  const { GlobalPK, ...rest } = item;
+  return rest;
+}
+
+// `related` lists further items changed by the same action, e.g. a re-chained reading
+export function auditEntry({ actor, action, targetType, targetId, before = null, after = null, onBehalfOf = null, related = [] }) {
+  return {
+    auditId: uuidv4(),
+    actor,
+    action,
+    targetType,
+    targetId,
+    // users affected besides the actor, so filtering by user finds on-behalf changes too
+    subjects: [...new Set(
+      [before, after, ...related.flatMap(r => [r.before, r.after])].map(item => item?.ownerUsername).concat(onBehalfOf).filter(Boolean)
+    )],
+    before: snapshot(before),
+    after: snapshot(after),
+    related: related.map(r => ({ targetId: r.targetId, before: snapshot(r.before), after: snapshot(r.after) })),
+    timestamp: Date.now()
+  };
+}
+
+export function matchesAuditFilter(entry, { user, action }) {
+  if (action && entry.action !== action) return false;
+  if (user && entry.actor !== user && !(entry.subjects || []).includes(user)) return false;
+  return true;
+}
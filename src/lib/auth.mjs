@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { apiError } from './i18n.mjs';
+
+// Cloudflare Access signs the CF_Authorization cookie with the keys published
+// at https://<team>.cloudflareaccess.com/cdn-cgi/access/certs.
+//
+//   CF_TEAM_DOMAIN             e.g. "myhouse" or "myhouse.cloudflareaccess.com"
+//   CF_JWKS_URL                overrides the certs URL derived from CF_TEAM_DOMAIN
+//   CF_ISSUER                  overrides the issuer derived from CF_TEAM_DOMAIN
+//   CF_AUDIENCE                Application Audience (AUD) tag, comma separated if several
+//   CF_CLOCK_TOLERANCE_SECONDS allowed clock skew for exp/nbf (default 60)
+//   CF_JWKS_CACHE_SECONDS      how long fetched keys are trusted (default 600)
+
+const ALLOWED_ALGORITHMS = ['RS256'];
+const JWKS_REFETCH_COOLDOWN_MS = 30 * 1000;
+const JWKS_FETCH_TIMEOUT_MS = 5000;
+
+// The message is for the log; responses carry the code with a translated text
+export class AuthError extends Error {
+  constructor(code, message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function teamOrigin(teamDomain) {
+  if (!teamDomain) return null;
+  const host = teamDomain.replace(/^https?:\/\//, '').replace(/\/+$/, '');
+  return `https://${host.includes('.') ? host : `${host}.cloudflareaccess.com`}`;
+}
+
+export function loadAuthConfig(env = process.env) {
+  const origin = teamOrigin(env.CF_TEAM_DOMAIN);
+  const tolerance = parseInt(env.CF_CLOCK_TOLERANCE_SECONDS, 10);
+  const cacheSeconds = parseInt(env.CF_JWKS_CACHE_SECONDS, 10);
+
+  return {
+    jwksUrl: env.CF_JWKS_URL || (origin ? `${origin}/cdn-cgi/access/certs` : null),
+    issuer: env.CF_ISSUER || origin,
+    audience: (env.CF_AUDIENCE || '').split(',').map(a => a.trim()).filter(Boolean),
+    clockTolerance: Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : 60,
+    jwksCacheMs: (Number.isFinite(cacheSeconds) && cacheSeconds > 0 ? cacheSeconds : 600) * 1000
+  };
+}
+
+// --- JWKS cache ---
+// Keys are kept until the cache expires. A token with an unknown kid forces a
+// refetch (at most once per cooldown), which picks up rotated keys early.
+export function createJwksClient({ jwksUrl, cacheMs }) {
+  let keys = new Map();
+  let fetchedAt = 0;
+  let inflight = null;
+
+  async function refresh() {
+    if (!inflight) {
+      inflight = (async () => {
+        let res;
+        try {
+          res = await fetch(jwksUrl, { signal: AbortSignal.timeout(JWKS_FETCH_TIMEOUT_MS) });
+        } catch (err) {
+          throw new AuthError('jwks_unavailable', `Authentication unavailable: Could not fetch signing keys (${err.message}).`, 503);
+        }
+        if (!res.ok) {
+          throw new AuthError('jwks_unavailable', `Authentication unavailable: Signing keys endpoint returned ${res.status}.`, 503);
+        }
+
+        const body = await res.json().catch(() => null);
+        if (!body || !Array.isArray(body.keys)) {
+          throw new AuthError('jwks_unavailable', 'Authentication unavailable: Signing keys response is invalid.', 503);
+        }
+
+        const next = new Map();
+        for (const jwk of body.keys) {
+          if (!jwk.kid || jwk.kty !== 'RSA' || (jwk.use && jwk.use !== 'sig')) continue;
+          try {
+            next.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+          } catch (err) {
+            console.warn(`Skipping unusable JWK ${jwk.kid}:`, err.message);
+          }
+        }
+        keys = next;
+        fetchedAt = Date.now();
+      })().finally(() => { inflight = null; });
+    }
+    return inflight;
+  }
+
+  return {
+    async getKey(kid) {
+      const now = Date.now();
+      const expired = now - fetchedAt > cacheMs;
+      const unknown = !keys.has(kid) && now - fetchedAt > JWKS_REFETCH_COOLDOWN_MS;
+      if (expired || unknown) {
+        try {
+          await refresh();
+        } catch (err) {
+          // keep serving a known key while the endpoint is briefly unreachable
+          if (!keys.has(kid)) throw err;
+          console.warn('JWKS refresh failed, using cached key:', err.message);
+        }
+      }
+      return keys.get(kid) || null;
+    }
+  };
+}
+
+// --- Verification ---
+export function createTokenVerifier(authConfig = loadAuthConfig()) {
+  const { jwksUrl, issuer, audience, clockTolerance, jwksCacheMs } = authConfig;
+  const jwks = jwksUrl ? createJwksClient({ jwksUrl, cacheMs: jwksCacheMs }) : null;
+
+  return async function verifyToken(token) {
+    if (!jwks || !issuer || audience.length === 0) {
+      throw new AuthError('auth_not_configured', 'Authentication is not configured on the server.', 500);
+    }
+
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || typeof decoded.payload !== 'object' || !decoded.header) {
+      throw new AuthError('token_malformed', 'Authentication failed: Invalid token structure.');
+    }
+    if (!ALLOWED_ALGORITHMS.includes(decoded.header.alg)) {
+      throw new AuthError('token_algorithm', `Authentication failed: Unsupported token algorithm "${decoded.header.alg}".`);
+    }
+    if (!decoded.header.kid) {
+      throw new AuthError('token_malformed', 'Authentication failed: Token has no key id.');
+    }
+    if (typeof decoded.payload.exp !== 'number') {
+      throw new AuthError('token_malformed', 'Authentication failed: Token has no expiry.');
+    }
+
+    const key = await jwks.getKey(decoded.header.kid);
+    if (!key) {
+      throw new AuthError('token_unknown_key', 'Authentication failed: Token was signed with an unknown key.');
+    }
+
+    try {
+      return jwt.verify(token, key, {
+        algorithms: ALLOWED_ALGORITHMS,
+        audience,
+        issuer,
+        clockTolerance
+      });
+    } catch (err) {
+      if (err instanceof jwt.TokenExpiredError) {
+        throw new AuthError('token_expired', 'Authentication failed: Token has expired.');
+      }
+      if (err instanceof jwt.NotBeforeError) {
+        throw new AuthError('token_not_yet_valid', 'Authentication failed: Token is not valid yet.');
+      }
+      if (err.message?.startsWith('jwt audience invalid')) {
+        throw new AuthError('token_audience', 'Authentication failed: Token was issued for a different application.');
+      }
+      if (err.message?.startsWith('jwt issuer invalid')) {
+        throw new AuthError('token_issuer', 'Authentication failed: Token was issued by an untrusted issuer.');
+      }
+      if (err.message === 'invalid signature') {
+        throw new AuthError('token_signature', 'Authentication failed: Token signature is invalid.');
+      }
+      throw new AuthError('token_invalid', `Authentication failed: ${err.message}.`);
+    }
+  };
+}
+
+// --- Middleware ---
+// onFailure(code) is called for every rejected request, e.g. to count failures.
+// With verifyApiToken, an "Authorization: Bearer" header is taken as a personal
+// API token instead of the cookie; it sets req.apiToken.
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+export function createAuthMiddleware(verifyToken = createTokenVerifier(), { onFailure = () => {}, verifyApiToken = null } = {}) {
+  async function checkApiToken(req, res, next, token) {
+    let apiToken;
+    try {
+      apiToken = await verifyApiToken(token);
+    } catch (err) {
+      if (!(err instanceof AuthError)) {
+        console.error('Unexpected API token error:', err);
+        return res.status(500).json({ ...apiError(req, 'api_token_check_failed'), error: err.message });
+      }
+      onFailure(err.code);
+      return res.status(err.status).json(apiError(req, err.code));
+    }
+
+    req.apiToken = apiToken;
+    req.user = { email: apiToken.email || null };
+    req.username = apiToken.username;
+    next();
+  }
+
+  return async function checkAuthentication(req, res, next) {
+    const bearer = verifyApiToken ? bearerToken(req) : null;
+    if (bearer) return checkApiToken(req, res, next, bearer);
+
+    const accessToken = req.cookies?.CF_Authorization;
+    if (!accessToken || typeof accessToken !== 'string') {
+      onFailure('token_missing');
+      return res.status(401).json(apiError(req, 'token_missing'));
+    }
+
+    let decoded;
+    try {
+      decoded = await verifyToken(accessToken);
+    } catch (err) {
+      if (err instanceof AuthError) {
+        onFailure(err.code);
+        if (err.status >= 500) console.error('Authentication error:', err.message);
+        return res.status(err.status).json(apiError(req, err.code));
+      }
+      console.error('Unexpected authentication error:', err);
+      onFailure('token_invalid');
+      return res.status(401).json(apiError(req, 'token_invalid'));
+    }
+
+    req.user = decoded;
+    req.username = decoded.custom?.family_name || 'unknown';
+    next();
+  };
+}
@@ -0,0 +1,50 @@
+import { roundKWh, isMeterEvent, closingKWh } from './readings.mjs';
+
+// Walks readings oldest → newest and reports where the meter chain breaks:
+//   gap            startKWh above the previous endKWh (consumption nobody was charged for)
+//   overlap        startKWh below the previous endKWh (consumption charged twice)
+//   delta_mismatch deltaKWh differs from endKWh - startKWh (the old meter's final value for meter events)
+//   non_positive   deltaKWh <= 0 (below 0 for meter events)
+//   head_mismatch  the chain head does not point at the newest reading
+export function checkChain(readings, { previous = null, head = null, latest = null } = {}) {
+  const sorted = [...readings].sort((a, b) => a.timestamp - b.timestamp);
+  const issues = [];
+  let prev = previous;
+
+  for (const r of sorted) {
+    const start = typeof r.startKWh === 'number' ? r.startKWh : 0;
+    const end = typeof closingKWh(r) === 'number' ? closingKWh(r) : 0;
+    const base = { washId: r.washId, timestamp: r.timestamp, ownerUsername: r.ownerUsername || r.username };
+
+    if (prev && typeof prev.endKWh === 'number' && start !== prev.endKWh) {
+      const kind = start > prev.endKWh ? 'gap' : 'overlap';
+      issues.push({
+        ...base,
+        type: kind,
+        previousWashId: prev.washId,
+        previousEndKWh: prev.endKWh,
+        startKWh: start,
+        differenceKWh: roundKWh(Math.abs(start - prev.endKWh))
+      });
+    }
+    if (typeof r.deltaKWh === 'number' && roundKWh(end - start) !== roundKWh(r.deltaKWh)) {
+      issues.push({ ...base, type: 'delta_mismatch', deltaKWh: r.deltaKWh, expectedDeltaKWh: roundKWh(end - start) });
+    }
+    if (isMeterEvent(r) ? !(r.deltaKWh >= 0) : !(r.deltaKWh > 0)) {
+      issues.push({ ...base, type: 'non_positive', deltaKWh: r.deltaKWh });
+    }
+    prev = r;
+  }
+
+  if (head?.exists && latest && (head.lastWashId !== latest.washId || head.endKWh !== latest.endKWh)) {
+    issues.push({
+      type: 'head_mismatch',
+      headWashId: head.lastWashId,
+      headEndKWh: head.endKWh,
+      latestWashId: latest.washId,
+      latestEndKWh: latest.endKWh
+    });
+  }
+
+  return { checked: sorted.length, ok: issues.length === 0, issues };
+}
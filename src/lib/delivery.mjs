@@ -0,0 +1,73 @@
+import {
+  buildUserReport, parseReportPeriod, renderReportHtml, renderReportPdf, renderReportText, reportFilename, reportSubject
+} from './reports.mjs';
+import { withDefaultAppliance } from './appliances.mjs';
+import { DEFAULT_LOCALE, isLocale, translate } from './i18n.mjs';
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]));
+}
+
+function unsubscribeFooter(appUrl, locale) {
+  const inApp = escapeHtml(translate(locale, 'email.inApp'));
+  const where = appUrl ? `<a href="${escapeHtml(appUrl)}">${inApp}</a>` : inApp;
+  return escapeHtml(translate(locale, 'email.unsubscribe')).replace('{where}', where);
+}
+
+// Mails every user with readings in the period (or only `users`) their report.
+// Users without email or who opted out are skipped, as are reports already
+// sent unless `force` is set. `storage` holds the repositories of one household.
+// Each report is written in the recipient's profile language.
+export async function deliverReports({ storage, mailer, period, users = null, force = false, householdName = null }) {
+  const p = parseReportPeriod(period);
+  if (!p) throw new Error(`Invalid period "${period}".`);
+
+  const readings = await storage.readings.listByTimeRange(p.startTimestamp, p.endTimestamp - 1);
+  const appliances = await storage.appliances.list();
+  const profiles = new Map((await storage.users.list()).map(u => [u.username, u]));
+  const owners = new Set(readings.filter(r => !r.unassigned).map(r => r.ownerUsername || r.username).filter(Boolean));
+  const optIn = p.kind === 'yearly' ? 'yearlyReport' : 'monthlyReport';
+  const result = { period, sent: [], skipped: [], failed: [] };
+
+  for (const username of (users || [...owners]).sort()) {
+    const profile = profiles.get(username);
+    if (!owners.has(username)) {
+      result.skipped.push({ username, reason: 'no_readings' });
+      continue;
+    }
+    if (!profile?.email) {
+      result.skipped.push({ username, reason: 'no_email' });
+      continue;
+    }
+    if (profile[optIn] === false) {
+      result.skipped.push({ username, reason: 'opted_out' });
+      continue;
+    }
+
+    if (force) await storage.reportDeliveries.release(period, username);
+    if (!(await storage.reportDeliveries.claim(period, username))) {
+      result.skipped.push({ username, reason: 'already_sent' });
+      continue;
+    }
+
+    try {
+      const locale = isLocale(profile.language) ? profile.language : DEFAULT_LOCALE;
+      const report = buildUserReport(readings, p, username, { appliances: withDefaultAppliance(appliances, locale), householdName, locale });
+      await mailer.send({
+        to: profile.email,
+        subject: reportSubject(report),
+        text: renderReportText(report),
+        html: renderReportHtml(report, { footer: unsubscribeFooter(mailer.appUrl, locale) }),
+        attachments: [{ filename: reportFilename(report), content: renderReportPdf(report), contentType: 'application/pdf' }]
+      });
+      await storage.reportDeliveries.complete(period, username, { email: profile.email, sentAt: Date.now() });
+      result.sent.push(username);
+    } catch (error) {
+      console.error(`Report ${period} for ${username} failed:`, error);
+      await storage.reportDeliveries.release(period, username);
+      result.failed.push({ username, error: error.message });
+    }
+  }
+
+  return result;
+}
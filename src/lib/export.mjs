@@ -0,0 +1,138 @@
+import ExcelJS from 'exceljs';
+import JSZip from 'jszip';
+import { aggregateReadings } from './aggregate.mjs';
+import { applianceOf } from './appliances.mjs';
+
+// Export of readings and their aggregates as CSV, JSON or spreadsheet.
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8' },
+  json: { contentType: 'application/json; charset=utf-8' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  ods: { contentType: 'application/vnd.oasis.opendocument.spreadsheet' }
+};
+
+// `all` needs several tables and is therefore not available as CSV
+export const EXPORT_DATA = ['readings', 'by-user', 'by-appliance', 'by-month', 'all'];
+
+const iso = ts => (typeof ts === 'number' ? new Date(ts).toISOString() : null);
+
+function readingRow(r, names) {
+  return {
+    washId: r.washId,
+    timestamp: iso(r.timestamp),
+    applianceId: applianceOf(r),
+    appliance: names.get(applianceOf(r)) ?? applianceOf(r),
+    createdBy: r.createdBy ?? null,
+    ownerUsername: r.ownerUsername || r.username || null,
+    onBehalf: !!r.onBehalf,
+    unassigned: !!r.unassigned,
+    sessionId: r.sessionId ?? null,
+    meterEvent: r.meterEvent ?? null,
+    oldMeterFinalKWh: r.oldMeterFinalKWh ?? null,
+    newMeterStartKWh: r.newMeterStartKWh ?? null,
+    startKWh: r.startKWh ?? null,
+    endKWh: r.endKWh ?? null,
+    deltaKWh: r.deltaKWh ?? null,
+    tariffId: r.tariffId ?? null,
+    rateType: r.rateType ?? null,
+    rateCHFPerKWh: r.rateCHFPerKWh ?? null,
+    energyCHF: r.energyCHF ?? null,
+    feeCHF: r.feeCHF ?? null,
+    costCHF: r.costCHF ?? null,
+    program: r.program ?? null,
+    temperatureC: r.temperatureC ?? null,
+    spinRpm: r.spinRpm ?? null,
+    loadLevel: r.loadLevel ?? null,
+    durationMinutes: r.durationMinutes ?? null,
+    notes: r.notes ?? '',
+    imported: !!r.imported,
+    anomaly: r.anomaly ? r.anomaly.reasons.map(reason => reason.code).join(' ') : null,
+    editedBy: r.editedBy ?? null,
+    editedAt: iso(r.editedAt)
+  };
+}
+
+// Named tables for the requested data, readings oldest first.
+// `appliances` supplies the appliance names.
+export function exportTables(readings, data = 'readings', { appliances = [] } = {}) {
+  const names = new Map(appliances.map(a => [a.applianceId, a.name]));
+  const sorted = [...readings].sort((a, b) => a.timestamp - b.timestamp);
+  const tables = {};
+  if (data === 'readings' || data === 'all') tables.readings = sorted.map(r => readingRow(r, names));
+  if (data !== 'readings') {
+    const { byUser, byAppliance, byMonthUser } = aggregateReadings(sorted, { appliances });
+    if (data === 'by-user' || data === 'all') tables.byUser = byUser;
+    if (data === 'by-appliance' || data === 'all') tables.byAppliance = byAppliance;
+    if (data === 'by-month' || data === 'all') tables.byMonth = byMonthUser;
+  }
+  return tables;
+}
+
+function csvValue(v) {
+  if (v == null) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows) {
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows[0]);
+  return [columns, ...rows.map(row => columns.map(c => row[c]))]
+    .map(line => line.map(csvValue).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// A header row with the keys of all rows, then one line per row
+function sheetLines(rows) {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  return [columns, ...rows.map(row => columns.map(c => row[c]))];
+}
+
+async function toXlsx(tables) {
+  const workbook = new ExcelJS.Workbook();
+  for (const [name, rows] of Object.entries(tables)) {
+    workbook.addWorksheet(name).addRows(sheetLines(rows));
+  }
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+const xmlEscape = s => String(s)
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function odsCell(v) {
+  if (v == null || v === '') return '<table:table-cell/>';
+  if (typeof v === 'number') return `<table:table-cell office:value-type="float" office:value="${v}"><text:p>${v}</text:p></table:table-cell>`;
+  if (typeof v === 'boolean') return `<table:table-cell office:value-type="boolean" office:boolean-value="${v}"><text:p>${v ? 'TRUE' : 'FALSE'}</text:p></table:table-cell>`;
+  const paragraphs = String(v).split(/\r?\n/).map(line => `<text:p>${xmlEscape(line)}</text:p>`).join('');
+  return `<table:table-cell office:value-type="string">${paragraphs}</table:table-cell>`;
+}
+
+// OpenDocument spreadsheet: the mimetype entry must come first and uncompressed
+async function toOds(tables) {
+  const sheets = Object.entries(tables).map(([name, rows]) =>
+    `<table:table table:name="${xmlEscape(name)}">` +
+    sheetLines(rows).map(line => `<table:table-row>${line.map(odsCell).join('')}</table:table-row>`).join('') +
+    '</table:table>'
+  ).join('');
+  const zip = new JSZip();
+  zip.file('mimetype', EXPORT_FORMATS.ods.contentType, { compression: 'STORE' });
+  zip.file('META-INF/manifest.xml',
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.2">' +
+    `<manifest:file-entry manifest:full-path="/" manifest:version="1.2" manifest:media-type="${EXPORT_FORMATS.ods.contentType}"/>` +
+    '<manifest:file-entry manifest:full-path="content.xml" manifest:media-type="text/xml"/>' +
+    '</manifest:manifest>');
+  zip.file('content.xml',
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"' +
+    ' xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" office:version="1.2">' +
+    `<office:body><office:spreadsheet>${sheets}</office:spreadsheet></office:body></office:document-content>`);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// One sheet per table (bookType xlsx or ods)
+export function toWorkbook(tables, bookType) {
+  return bookType === 'ods' ? toOds(tables) : toXlsx(tables);
+}
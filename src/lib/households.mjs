@@ -0,0 +1,101 @@
+import { apiError, translate } from './i18n.mjs';
+
+// Several households (buildings, flats) share one deployment; each only sees
+// its own data. Membership follows the Cloudflare Access identity.
+//
+//   HOUSEHOLDS  households separated by ";", each as  id=Name:member,member,...
+//               A member is an email address, "*@domain" for a whole domain,
+//               a username, or "*" for everybody. Example:
+//               default=Haus 12:anna@example.ch,ben@example.ch;nachbar=Haus 14:*@haus14.ch
+//
+// Without HOUSEHOLDS everybody belongs to the single household "default",
+// which has no name of its own and is named in the reader's language.
+// The household "default" keeps the data from before households existed.
+
+export const DEFAULT_HOUSEHOLD_ID = 'default';
+
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+export function loadHouseholds(env = process.env) {
+  const spec = (env.HOUSEHOLDS || '').trim();
+  if (!spec) return [{ id: DEFAULT_HOUSEHOLD_ID, name: null, members: ['*'] }];
+
+  const households = spec.split(';').map(s => s.trim()).filter(Boolean).map(entry => {
+    const match = entry.match(/^([^=]+)=([^:]*):(.*)$/);
+    if (!match || !ID_RE.test(match[1].trim())) {
+      throw new Error(`Invalid HOUSEHOLDS entry "${entry}" (expected id=Name:member,member,...).`);
+    }
+    const id = match[1].trim();
+    return {
+      id,
+      name: match[2].trim() || id,
+      members: match[3].split(',').map(m => m.trim().toLowerCase()).filter(Boolean)
+    };
+  });
+
+  const ids = households.map(h => h.id);
+  const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+  if (duplicate) throw new Error(`Household "${duplicate}" is defined twice in HOUSEHOLDS.`);
+  return households;
+}
+
+function isMember(household, { username, email }) {
+  const mail = (email || '').toLowerCase();
+  const domain = mail.includes('@') ? `*@${mail.split('@')[1]}` : null;
+  return household.members.some(m =>
+    m === '*' || (mail && m === mail) || (domain && m === domain) || (username && m === username.toLowerCase())
+  );
+}
+
+// { id, name } of a household for output in `locale`
+export function publicHousehold({ id, name }, locale) {
+  return { id, name: name ?? translate(locale, 'defaults.household') };
+}
+
+// The households the identity belongs to, in configuration order
+export function householdsOf(households, identity) {
+  return households.filter(h => isMember(h, identity));
+}
+
+// Usernames listed explicitly as members, e.g. for on-behalf entries before their first login
+export function listedUsernames(household) {
+  return household.members.filter(m => m !== '*' && !m.includes('@'));
+}
+
+// Resolves the active household after authentication: the one named in the
+// X-Household header (must be a membership), else the one remembered in the
+// household cookie, else the first. An API token only works in the household
+// it was created in. Sets req.household, req.households and req.storage, the
+// repositories of that household.
+export function createHouseholdMiddleware(households, storage) {
+  return function checkHousehold(req, res, next) {
+    const memberships = householdsOf(households, { username: req.username, email: req.user?.email });
+    if (memberships.length === 0) {
+      return res.status(403).json(apiError(req, 'no_household'));
+    }
+
+    if (req.apiToken) {
+      const household = memberships.find(h => h.id === req.apiToken.householdId);
+      const requested = req.get('X-Household');
+      if (!household || (requested && requested !== household.id)) {
+        return res.status(403).json(apiError(req, 'household_forbidden', {}, 'household_forbidden_token'));
+      }
+      req.households = [household];
+      req.household = household;
+      req.storage = storage.forHousehold(household.id);
+      return next();
+    }
+
+    const requested = req.get('X-Household');
+    if (requested && !memberships.some(h => h.id === requested)) {
+      return res.status(403).json(apiError(req, 'household_forbidden', { householdId: requested }));
+    }
+
+    const wanted = requested || req.cookies?.household;
+    const household = memberships.find(h => h.id === wanted) || memberships[0];
+    req.households = memberships;
+    req.household = household;
+    req.storage = storage.forHousehold(household.id);
+    next();
+  };
+}
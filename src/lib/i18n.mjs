@@ -0,0 +1,76 @@
+import de from '../locales/de.mjs';
+import fr from '../locales/fr.mjs';
+import it from '../locales/it.mjs';
+import en from '../locales/en.mjs';
+
+// Server-side texts in the user's language: API error messages and the report
+// emails and PDFs. The browser has its own catalogs (public/home/locales).
+// Every error response carries a stable `code` next to the translated
+// `message`; scripts should match on the code.
+//
+// The language of a request is the one chosen in the profile, else the best
+// match of the Accept-Language header, else German. Reports are rendered in
+// the recipient's profile language.
+
+export const LOCALES = ['de', 'fr', 'it', 'en'];
+export const DEFAULT_LOCALE = 'de';
+const CATALOGS = { de, fr, it, en };
+
+export function isLocale(value) {
+  return LOCALES.includes(value);
+}
+
+// The household lives in Switzerland: Swiss number, date and currency formats in every language
+export function localeTag(locale) {
+  return `${isLocale(locale) ? locale : DEFAULT_LOCALE}-CH`;
+}
+
+// "fr-CH,fr;q=0.9,en;q=0.8" → "fr"; only the language part counts
+export function negotiateLocale(acceptLanguage) {
+  const ranked = String(acceptLanguage || '')
+    .split(',')
+    .map((part) => {
+      const [range, ...params] = part.trim().split(';');
+      const q = params.map(p => /^\s*q=([\d.]+)\s*$/.exec(p)).find(Boolean);
+      return { lang: range.split('-')[0].toLowerCase(), q: q ? parseFloat(q[1]) : 1 };
+    })
+    .filter(r => r.q > 0)
+    .sort((a, b) => b.q - a.q);
+  return ranked.find(r => isLocale(r.lang))?.lang || DEFAULT_LOCALE;
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+// The text under a dotted key with {placeholders} filled in; falls back to
+// German and then to the key itself
+export function translate(locale, key, params = {}) {
+  const text = lookup(CATALOGS[locale] || {}, key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+  if (typeof text !== 'string') return key;
+  const numbers = new Intl.NumberFormat(localeTag(locale), { maximumFractionDigits: 3, useGrouping: false });
+  return text.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value == null) return match;
+    return typeof value === 'number' ? numbers.format(value) : String(value);
+  });
+}
+
+// What validators return instead of a message: a code and the values the text needs
+export function problem(code, params = {}) {
+  return { code, params };
+}
+
+// Body of an error response: `{ code, message }` in the request's language.
+// `code` may be a problem from a validator; `messageKey` picks a more specific
+// text for the same code.
+export function apiError(req, code, params = {}, messageKey = null) {
+  if (code && typeof code === 'object') ({ code, params } = code);
+  return { code, message: translate(req.locale, `errors.${messageKey || code}`, params) };
+}
+
+// Runs first: the language until the user's profile is known (see users.mjs)
+export function localeMiddleware(req, res, next) {
+  req.locale = negotiateLocale(req.get('Accept-Language'));
+  next();
+}
@@ -0,0 +1,225 @@
+import { v4 as uuidv4 } from 'uuid';
+import { TARIFF_TIMEZONE, computeCost, roundCHF } from './tariffs.mjs';
+import { roundKWh, ownerFields, repriceFields, isMeterEvent, closingKWh } from './readings.mjs';
+import { periodOfTimestamp } from './settlements.mjs';
+import { DEFAULT_APPLIANCE_ID } from './appliances.mjs';
+import { problem } from './i18n.mjs';
+
+// Import of historical readings from CSV with the columns
+//   date;meter reading (kWh);owner;notes
+// Dates are local (YYYY-MM-DD or DD.MM.YYYY, optionally followed by HH:MM);
+// a date without a time is placed at noon. Owner and notes are optional.
+
+// An import is written in one transaction of at most 100 items (see
+// storage/limits.mjs), with the chain head, the audit entry and a check of
+// the month besides the rows; re-chained readings may make it smaller still.
+export const MAX_IMPORT_ROWS = 97;
+
+// Splits CSV text into records; the delimiter (; , or tab) is taken from the first line
+export function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t', ','].find(d => firstLine.includes(d)) || ';';
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => { fields.push(field); field = ''; };
+  const endRecord = () => {
+    endField();
+    if (fields.some(f => f.trim() !== '')) records.push({ line: recordLine, fields: fields.map(f => f.trim()) });
+    fields = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else {
+        if (c === '\n') line++;
+        field += c;
+      }
+    } else if (c === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (c === delimiter) {
+      endField();
+    } else if (c === '\n') {
+      line++;
+      endRecord();
+    } else if (c !== '\r') {
+      field += c;
+    }
+  }
+  endRecord();
+  return records;
+}
+
+function parseNumber(s) {
+  // accepts 1234.5, 1234,5 and 1'234.5
+  const n = Number(String(s).replace(/['\s]/g, '').replace(',', '.'));
+  return s !== '' && Number.isFinite(n) ? n : NaN;
+}
+
+// Offset of the time zone from UTC in ms at the given instant
+function zoneOffset(timestamp, timeZone) {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(new Date(timestamp))
+    .find(p => p.type === 'timeZoneName').value;
+  const m = /GMT([+-])(\d{2}):(\d{2})/.exec(name);
+  return m ? (m[1] === '-' ? -1 : 1) * (parseInt(m[2], 10) * 60 + parseInt(m[3], 10)) * 60 * 1000 : 0;
+}
+
+// Local date/time string → timestamp, or NaN
+export function parseLocalDateTime(s, timeZone = TARIFF_TIMEZONE) {
+  const iso = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2}))?$/.exec(s);
+  const swiss = /^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/.exec(s);
+  if (!iso && !swiss) return NaN;
+
+  const m = iso || swiss;
+  const [y, mo, d] = (iso ? [m[1], m[2], m[3]] : [m[3], m[2], m[1]]).map(Number);
+  const [h, mi] = m[4] != null ? [Number(m[4]), Number(m[5])] : [12, 0];
+  if (mo < 1 || mo > 12 || d < 1 || d > 31 || h > 23 || mi > 59) return NaN;
+
+  // the wall-clock time read as UTC, then shifted by the zone offset at that moment
+  const wall = Date.UTC(y, mo - 1, d, h, mi);
+  const check = new Date(wall);
+  if (check.getUTCMonth() !== mo - 1 || check.getUTCDate() !== d) return NaN; // e.g. 31.02.
+
+  const approx = wall - zoneOffset(wall, timeZone);
+  return wall - zoneOffset(approx, timeZone);
+}
+
+// CSV text → rows with the parsed values and per-row errors (problems, see i18n.mjs)
+export function parseImportRows(text) {
+  const records = parseCsv(text);
+  // a header row is recognised by a meter reading that is not a number
+  if (records.length && Number.isNaN(parseNumber(records[0].fields[1] ?? ''))) records.shift();
+
+  return records.map(({ line, fields }) => {
+    const [date = '', kWh = '', owner = '', ...notes] = fields;
+    const errors = [];
+    const timestamp = parseLocalDateTime(date);
+    const endKWh = parseNumber(kWh);
+
+    if (Number.isNaN(timestamp)) errors.push(problem('import_invalid_date', { date }));
+    if (!(endKWh > 0)) errors.push(problem('import_invalid_kwh', { kWh }));
+
+    return {
+      line,
+      date,
+      timestamp: Number.isNaN(timestamp) ? null : timestamp,
+      endKWh: endKWh > 0 ? endKWh : null,
+      ownerUsername: owner || null,
+      notes: notes.join(', '),
+      errors
+    };
+  });
+}
+
+// Places the parsed rows into the existing chain of one appliance.
+//   existing       its readings from just before the first row to just after the last row
+//   closedPeriods  Set of settled YYYY-MM periods
+//   isKnownUser    whether a username from the file may own readings here
+// Returns the readings to insert, the updates re-chaining existing readings that
+// now follow an imported one, and the rows with computed start/delta/cost.
+export function planImport(rows, existing, {
+  applianceId = DEFAULT_APPLIANCE_ID, creator, tariffs, closedPeriods, importId, isKnownUser = () => true, now = Date.now()
+}) {
+  const usable = rows.filter(r => r.errors.length === 0);
+  const existingTimes = new Set(existing.map(r => r.timestamp));
+  const rowTimes = new Map();
+
+  for (const row of usable) {
+    if (existingTimes.has(row.timestamp)) row.errors.push(problem('import_duplicate_time'));
+    else if (rowTimes.has(row.timestamp)) row.errors.push(problem('import_duplicate_row', { line: rowTimes.get(row.timestamp) }));
+    else rowTimes.set(row.timestamp, row.line);
+    if (closedPeriods.has(periodOfTimestamp(row.timestamp))) row.errors.push(problem('import_month_settled'));
+    if (row.timestamp > now) row.errors.push(problem('import_in_future'));
+    if (row.ownerUsername && !isKnownUser(row.ownerUsername)) row.errors.push(problem('not_in_household', { username: row.ownerUsername }));
+  }
+
+  const chain = [
+    ...existing.map(reading => ({ reading })),
+    ...usable.filter(r => r.errors.length === 0).map(row => ({ row }))
+  ].sort((a, b) => (a.row || a.reading).timestamp - (b.row || b.reading).timestamp);
+
+  const readings = [];
+  const updates = [];
+  let prev = null;
+  let prevRow = null; // set while prev is an imported reading
+
+  for (const entry of chain) {
+    const startKWh = prev ? prev.endKWh : 0;
+
+    if (entry.row) {
+      const row = entry.row;
+      const deltaKWh = roundKWh(row.endKWh - startKWh);
+      if (deltaKWh <= 0) {
+        row.errors.push(problem('import_not_increasing', { endKWh: row.endKWh, startKWh }));
+        continue;
+      }
+      const ownerUsername = row.ownerUsername || creator;
+      const reading = {
+        washId: uuidv4(),
+        applianceId,
+        createdBy: creator,
+        ...ownerFields(ownerUsername, creator),
+        startKWh,
+        endKWh: row.endKWh,
+        deltaKWh,
+        ...computeCost(tariffs, row.timestamp, deltaKWh),
+        notes: row.notes,
+        imported: true,
+        importId,
+        importedAt: now,
+        timestamp: row.timestamp
+      };
+      Object.assign(row, { startKWh, deltaKWh, ownerUsername, costCHF: reading.costCHF });
+      readings.push(reading);
+      prev = reading;
+      prevRow = row;
+    } else {
+      const reading = entry.reading;
+      const row = prevRow;
+      if (row && reading.startKWh !== prev.endKWh) {
+        const deltaKWh = roundKWh(closingKWh(reading) - prev.endKWh);
+        if (isMeterEvent(reading) && deltaKWh < 0) {
+          row.errors.push(problem('import_above_meter_final', { endKWh: row.endKWh, finalKWh: reading.oldMeterFinalKWh }));
+        } else if (!isMeterEvent(reading) && deltaKWh <= 0) {
+          row.errors.push(problem('import_above_next', { endKWh: row.endKWh, nextEndKWh: reading.endKWh }));
+        } else if (closedPeriods.has(periodOfTimestamp(reading.timestamp))) {
+          row.errors.push(problem('next_settled'));
+        } else {
+          const set = { startKWh: prev.endKWh, deltaKWh, ...repriceFields(reading, deltaKWh) };
+          updates.push({
+            washId: reading.washId,
+            set,
+            expect: { startKWh: reading.startKWh, endKWh: reading.endKWh },
+            before: reading
+          });
+        }
+      }
+      prev = reading;
+      prevRow = null;
+    }
+  }
+
+  const failed = rows.filter(r => r.errors.length > 0);
+  return {
+    valid: rows.length > 0 && failed.length === 0,
+    rows,
+    readings: failed.length ? [] : readings,
+    updates: failed.length ? [] : updates,
+    summary: {
+      rowCount: rows.length,
+      errorCount: failed.length,
+      totalKWh: roundKWh(readings.reduce((s, r) => s + r.deltaKWh, 0)),
+      totalCHF: roundCHF(readings.reduce((s, r) => s + (r.costCHF || 0), 0))
+    }
+  };
+}
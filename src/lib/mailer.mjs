@@ -0,0 +1,42 @@
+import nodemailer from 'nodemailer';
+
+// Outgoing email over SMTP. For local testing point it at a catcher such as
+// MailHog or Mailpit (SMTP_HOST=localhost SMTP_PORT=1025).
+//
+//   SMTP_HOST    server; reports are not mailed when unset
+//   SMTP_PORT    default 587 (465 when SMTP_SECURE)
+//   SMTP_SECURE  "true" for implicit TLS
+//   SMTP_USER    optional login
+//   SMTP_PASS
+//   MAIL_FROM    sender address (default washing-tracker@<SMTP_HOST>)
+//   APP_URL      link to the app in the email footer (optional)
+
+export function loadMailConfig(env = process.env) {
+  if (!env.SMTP_HOST) return null;
+  const secure = env.SMTP_SECURE === 'true';
+  return {
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT, 10) || (secure ? 465 : 587),
+    secure,
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS || '' } : undefined,
+    from: env.MAIL_FROM || `washing-tracker@${env.SMTP_HOST}`,
+    appUrl: env.APP_URL || null
+  };
+}
+
+export function createMailer(config = loadMailConfig()) {
+  const transport = config
+    ? nodemailer.createTransport({ host: config.host, port: config.port, secure: config.secure, auth: config.auth })
+    : null;
+
+  return {
+    configured: !!transport,
+    appUrl: config?.appUrl ?? null,
+
+    // message: { to, subject, text, html, attachments }
+    async send(message) {
+      if (!transport) throw new Error('SMTP is not configured (SMTP_HOST).');
+      return transport.sendMail({ from: config.from, ...message });
+    }
+  };
+}
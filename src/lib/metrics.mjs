@@ -0,0 +1,95 @@
+// Minimal Prometheus text-format registry (counters and histograms).
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const escape = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(',')}}`;
+}
+
+export function createMetricsRegistry() {
+  const metrics = [];
+
+  function counter(name, help) {
+    const series = new Map();
+    const metric = {
+      name,
+      help,
+      type: 'counter',
+      inc(labels = {}, value = 1) {
+        const key = labelKey(labels);
+        const entry = series.get(key) || { labels, value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      },
+      render() {
+        return [...series.values()].map(s => `${name}${formatLabels(s.labels)} ${s.value}`);
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    const metric = {
+      name,
+      help,
+      type: 'histogram',
+      observe(labels, value) {
+        const key = labelKey(labels);
+        const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((b, i) => { if (value <= b) entry.counts[i] += 1; });
+        entry.sum += value;
+        entry.count += 1;
+        series.set(key, entry);
+      },
+      render() {
+        return [...series.values()].flatMap(s => [
+          ...buckets.map((b, i) => `${name}_bucket${formatLabels({ ...s.labels, le: b })} ${s.counts[i]}`),
+          `${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`,
+          `${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+          `${name}_count${formatLabels(s.labels)} ${s.count}`
+        ]);
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function render() {
+    return metrics
+      .map(m => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.render()].join('\n'))
+      .join('\n') + '\n';
+  }
+
+  return { counter, histogram, render };
+}
+
+export const registry = createMetricsRegistry();
+
+export const httpRequests = registry.counter('washing_http_requests_total', 'HTTP requests by method, route and status.');
+export const httpDuration = registry.histogram('washing_http_request_duration_seconds', 'HTTP request latency by method and route.');
+export const readingsCreated = registry.counter('washing_readings_created_total', 'Readings created.');
+readingsCreated.inc({}, 0);
+export const authFailures = registry.counter('washing_auth_failures_total', 'Rejected authentication attempts by reason.');
+
+// Records count and latency per matched route pattern (not the raw path, to keep cardinality low)
+export function requestMetrics(req, res, next) {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route?.path
+      ? `${req.baseUrl || ''}${req.route.path}`
+      : (res.statusCode === 404 ? 'unmatched' : 'static');
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+  });
+  next();
+}
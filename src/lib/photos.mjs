@@ -0,0 +1,23 @@
+// Photos of the meter attached to readings, as proof of what it showed. The
+// image goes to the object store (OBJECT_STORE, see storage/index.mjs); the
+// reading keeps { photoId, contentType, size, uploadedBy, uploadedAt }. The
+// browser scales photos down before uploading them and reads the display
+// with OCR on the device, so the server only stores what it is sent.
+//
+//   PHOTO_MAX_MB  largest accepted image in MB (default 5)
+
+export const PHOTO_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+export function loadPhotoConfig(env = process.env) {
+  const mb = parseFloat(env.PHOTO_MAX_MB);
+  return { maxBytes: Math.round((Number.isFinite(mb) && mb > 0 ? mb : 5) * 1024 * 1024) };
+}
+
+// The content type from the file's signature, not from what the client claims; null if not an accepted image
+export function detectImageType(body) {
+  if (!Buffer.isBuffer(body) || body.length < 12) return null;
+  if (body[0] === 0xff && body[1] === 0xd8 && body[2] === 0xff) return 'image/jpeg';
+  if (body.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (body.toString('latin1', 0, 4) === 'RIFF' && body.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+}
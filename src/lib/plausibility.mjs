@@ -0,0 +1,76 @@
+import { roundKWh, ownerOf, isMeterEvent } from './readings.mjs';
+import { translate } from './i18n.mjs';
+
+// Plausibility of a new consumption. A reading is suspicious when its delta
+// exceeds the configured maximum, or lies far above the median of the owner's
+// or the appliance's recent readings. Suspicious readings are only stored when
+// the submitter confirms them, and keep an anomaly flag.
+//
+//   PLAUSIBILITY_MAX_KWH      largest plausible consumption of one wash, 0 = no maximum (default 10)
+//   PLAUSIBILITY_SPREAD       how many spreads above the median a delta may lie (default 4)
+//   PLAUSIBILITY_MIN_HISTORY  readings needed before comparing with a history (default 5)
+//   PLAUSIBILITY_HISTORY      recent readings of the appliance to compare with (default 100)
+//
+// The spread is the median absolute deviation, scaled to match a standard
+// deviation, but at least a quarter of the median so that a very regular
+// history does not flag every small variation.
+
+const MAD_SCALE = 1.4826;
+const MIN_SPREAD_RATIO = 0.25;
+
+export function loadPlausibilityConfig(env = process.env) {
+  const maxKWh = parseFloat(env.PLAUSIBILITY_MAX_KWH);
+  return {
+    maxKWh: Number.isFinite(maxKWh) && maxKWh >= 0 ? maxKWh : 10,
+    spread: parseFloat(env.PLAUSIBILITY_SPREAD) || 4,
+    minHistory: parseInt(env.PLAUSIBILITY_MIN_HISTORY, 10) || 5,
+    historySize: parseInt(env.PLAUSIBILITY_HISTORY, 10) || 100
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Median and the delta above which a reading is suspicious, or null with too little history
+export function historyLimit(deltas, config) {
+  if (deltas.length < config.minHistory) return null;
+  const m = median(deltas);
+  const spread = Math.max(median(deltas.map(d => Math.abs(d - m))) * MAD_SCALE, m * MIN_SPREAD_RATIO);
+  return { medianKWh: roundKWh(m), limitKWh: roundKWh(m + config.spread * spread), sampleSize: deltas.length };
+}
+
+// Washes a new reading is compared with: no meter events, no consumption
+// between washes and nothing that was flagged itself
+function comparable(reading) {
+  return !isMeterEvent(reading) && !reading.unassigned && !reading.anomaly && reading.deltaKWh > 0;
+}
+
+// Reasons why `deltaKWh` is suspicious for `ownerUsername`; empty when plausible.
+// `history` are recent readings of the appliance, `excludeWashId` the reading being edited.
+export function checkPlausibility(deltaKWh, { ownerUsername, history = [], excludeWashId = null, config }) {
+  const reasons = [];
+  if (config.maxKWh > 0 && deltaKWh > config.maxKWh) {
+    reasons.push({ code: 'above_max', limitKWh: config.maxKWh });
+  }
+
+  const washes = history.filter(r => comparable(r) && r.washId !== excludeWashId);
+  const own = historyLimit(washes.filter(r => ownerOf(r) === ownerUsername).map(r => r.deltaKWh), config);
+  if (own && deltaKWh > own.limitKWh) reasons.push({ code: 'above_owner_history', ...own });
+  const appliance = historyLimit(washes.map(r => r.deltaKWh), config);
+  if (appliance && deltaKWh > appliance.limitKWh) reasons.push({ code: 'above_appliance_history', ...appliance });
+
+  return reasons;
+}
+
+export function describeAnomaly(deltaKWh, reasons, locale) {
+  const parts = reasons.map(r => translate(locale, `anomaly.${r.code}`, r));
+  return translate(locale, 'anomaly.summary', { deltaKWh, reasons: parts.join(translate(locale, 'anomaly.and')) });
+}
+
+// The flag stored on a confirmed suspicious reading
+export function anomalyFlag(reasons, confirmedBy, now = Date.now()) {
+  return { reasons, confirmedBy, confirmedAt: now };
+}
@@ -0,0 +1,132 @@
+import { roundKWh, ownerOf, isMeterEvent } from './readings.mjs';
+import { roundCHF } from './tariffs.mjs';
+import { problem } from './i18n.mjs';
+
+// Structured details of a wash: program, temperature, spin speed, load level
+// and duration. All fields are optional, readings from before they existed
+// simply have none of them.
+//
+//   WASH_PROGRAMS      selectable programs as id=Label, comma separated
+//                      (default cotton=Baumwolle,eco=Eco 40-60,synthetics=Pflegeleicht,
+//                      delicates=Feinwäsche,wool=Wolle,quick=Kurzprogramm)
+//   WASH_TEMPERATURES  temperatures offered in °C, comma separated (default 20,30,40,60,90)
+
+export const LOAD_LEVELS = ['low', 'half', 'full'];
+
+// Reading fields holding the wash details
+export const WASH_FIELDS = ['program', 'temperatureC', 'spinRpm', 'loadLevel', 'durationMinutes'];
+
+const DEFAULT_PROGRAMS = 'cotton=Baumwolle,eco=Eco 40-60,synthetics=Pflegeleicht,delicates=Feinwäsche,wool=Wolle,quick=Kurzprogramm';
+const PROGRAM_ID_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+export function loadProgramConfig(env = process.env) {
+  const programs = (env.WASH_PROGRAMS || DEFAULT_PROGRAMS)
+    .split(',')
+    .map(entry => entry.split('='))
+    .map(([id, label]) => ({ id: (id || '').trim(), label: (label || id || '').trim() }))
+    .filter(p => PROGRAM_ID_RE.test(p.id));
+  const temperatures = (env.WASH_TEMPERATURES || '20,30,40,60,90')
+    .split(',')
+    .map(t => parseInt(t, 10))
+    .filter(t => t >= 0 && t <= 95)
+    .sort((a, b) => a - b);
+
+  return { programs, temperatures, loadLevels: LOAD_LEVELS };
+}
+
+function isIntIn(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+// Returns a problem (see i18n.mjs) or null. null clears a field.
+export function validateWashInput(input, config) {
+  const { program, temperatureC, spinRpm, loadLevel, durationMinutes } = input || {};
+
+  if (program != null && !config.programs.some(p => p.id === program)) {
+    return problem('invalid_program', { programs: config.programs.map(p => p.id).join(', ') });
+  }
+  if (temperatureC != null && !isIntIn(temperatureC, 0, 95)) return problem('invalid_temperature', { min: 0, max: 95 });
+  if (spinRpm != null && !isIntIn(spinRpm, 0, 2000)) return problem('invalid_spin', { min: 0, max: 2000 });
+  if (loadLevel != null && !LOAD_LEVELS.includes(loadLevel)) return problem('invalid_load_level', { levels: LOAD_LEVELS.join(', ') });
+  if (durationMinutes != null && !isIntIn(durationMinutes, 1, 600)) return problem('invalid_duration', { min: 1, max: 600 });
+  return null;
+}
+
+// The wash fields given in `input`; null removes a field on update (undefined)
+export function washFields(input, { forUpdate = false } = {}) {
+  const fields = {};
+  for (const key of WASH_FIELDS) {
+    if (input?.[key] === undefined) continue;
+    if (input[key] === null) {
+      if (forUpdate) fields[key] = undefined;
+    } else {
+      fields[key] = input[key];
+    }
+  }
+  return fields;
+}
+
+function emptyStats() {
+  return { count: 0, kWh: 0, costCHF: 0, pricedCount: 0, durationMinutes: 0, timedCount: 0 };
+}
+
+function add(stats, r) {
+  stats.count += 1;
+  stats.kWh += r.deltaKWh || 0;
+  if (typeof r.costCHF === 'number') {
+    stats.costCHF += r.costCHF;
+    stats.pricedCount += 1;
+  }
+  if (typeof r.durationMinutes === 'number') {
+    stats.durationMinutes += r.durationMinutes;
+    stats.timedCount += 1;
+  }
+}
+
+function averaged({ count, kWh, costCHF, pricedCount, durationMinutes, timedCount, ...group }) {
+  return {
+    ...group,
+    count,
+    totalKWh: roundKWh(kWh),
+    avgKWh: roundKWh(kWh / count),
+    totalCHF: roundCHF(costCHF),
+    avgCHF: pricedCount ? roundCHF(costCHF / pricedCount) : null,
+    avgDurationMinutes: timedCount ? Math.round(durationMinutes / timedCount) : null
+  };
+}
+
+const byProgramOrder = (a, b) =>
+  (a.program === null) - (b.program === null) ||
+  (a.label || '').localeCompare(b.label || '') ||
+  (a.temperatureC ?? -1) - (b.temperatureC ?? -1);
+
+// Average consumption and cost per program and temperature, overall and per
+// user. Only washes count (no meter events, no consumption between washes);
+// washes without a program are grouped under program null.
+export function programStatistics(readings, config) {
+  const labels = new Map(config.programs.map(p => [p.id, p.label]));
+  const washes = readings.filter(r => !isMeterEvent(r) && !r.unassigned && r.deltaKWh > 0);
+  const groups = new Map();
+  const userGroups = new Map();
+
+  for (const r of washes) {
+    const program = r.program ?? null;
+    const temperatureC = r.temperatureC ?? null;
+    const group = { program, label: program ? labels.get(program) ?? program : null, temperatureC };
+    const key = `${program}|${temperatureC}`;
+    const user = ownerOf(r);
+    const userKey = `${user}|${key}`;
+
+    if (!groups.has(key)) groups.set(key, { ...group, ...emptyStats() });
+    if (!userGroups.has(userKey)) userGroups.set(userKey, { user, ...group, ...emptyStats() });
+    add(groups.get(key), r);
+    add(userGroups.get(userKey), r);
+  }
+
+  return {
+    washCount: washes.length,
+    unspecifiedCount: washes.filter(r => !r.program).length,
+    byProgram: [...groups.values()].map(averaged).sort(byProgramOrder),
+    byUser: [...userGroups.values()].map(averaged).sort((a, b) => a.user.localeCompare(b.user) || byProgramOrder(a, b))
+  };
+}
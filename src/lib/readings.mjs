@@ -0,0 +1,80 @@
+import { roundCHF } from './tariffs.mjs';
+import { problem } from './i18n.mjs';
+
+// Only the creator may change or delete a reading; legacy readings without
+// createdBy belong to their username.
+export function isCreator(reading, username) {
+  return reading.createdBy === username || (!reading.createdBy && reading.username === username);
+}
+
+// Consumption nobody claimed (between two wash sessions) is grouped under this owner
+export const UNASSIGNED_OWNER = 'unassigned';
+
+export function ownerOf(reading) {
+  return reading.ownerUsername || reading.username || (reading.unassigned ? UNASSIGNED_OWNER : 'unknown');
+}
+
+// Meter events sit in the chain of their appliance like readings. They record
+// the old meter's final value and continue the chain at the new meter's start
+// value (endKWh); consumption since the last reading up to the final value is
+// kept on the event as unassigned.
+export const METER_EVENT_TYPES = ['replacement', 'reset', 'rollover'];
+
+export function isMeterEvent(reading) {
+  return !!reading?.meterEvent;
+}
+
+// The meter value an entry consumed up to: the old meter's final value for meter events
+export function closingKWh(reading) {
+  return isMeterEvent(reading) ? reading.oldMeterFinalKWh : reading.endKWh;
+}
+
+// Returns a problem (see i18n.mjs) or null
+export function validateMeterEventInput(input) {
+  if (!input || typeof input !== 'object') return problem('invalid_meter_event');
+  const { type, oldMeterFinalKWh, newMeterStartKWh, notes } = input;
+
+  if (!METER_EVENT_TYPES.includes(type)) return problem('invalid_meter_event_type', { types: METER_EVENT_TYPES.join(', ') });
+  if (typeof oldMeterFinalKWh !== 'number' || !isFinite(oldMeterFinalKWh) || oldMeterFinalKWh < 0) {
+    return problem('invalid_old_meter_final');
+  }
+  if (typeof newMeterStartKWh !== 'number' || !isFinite(newMeterStartKWh) || newMeterStartKWh < 0) {
+    return problem('invalid_new_meter_start');
+  }
+  // a counter that went on upwards needs no event
+  if (type !== 'replacement' && newMeterStartKWh >= oldMeterFinalKWh) {
+    return problem('new_meter_start_not_lower');
+  }
+  if (notes !== undefined && typeof notes !== 'string') return problem('invalid_notes');
+  return null;
+}
+
+// Entries that count in totals and statements; a meter event only carries
+// consumption when the old meter ran on after the last reading
+export function isConsumption(reading) {
+  return !isMeterEvent(reading) || reading.deltaKWh > 0;
+}
+
+export function roundKWh(n) {
+  return parseFloat(n.toFixed(3));
+}
+
+// Fields describing who a reading is for
+export function ownerFields(ownerUsername, creator) {
+  return {
+    ownerUsername,
+    username: ownerUsername, // legacy display field
+    onBehalf: ownerUsername !== creator
+  };
+}
+
+// Re-prices a corrected delta with the rate and fee frozen on the reading,
+// so edits never pick up a tariff that was not in force at the time.
+export function repriceFields(reading, deltaKWh) {
+  if (typeof reading.rateCHFPerKWh !== 'number') return {};
+  const energyCHF = roundCHF(deltaKWh * reading.rateCHFPerKWh);
+  return {
+    energyCHF,
+    costCHF: roundCHF(energyCHF + (reading.feeCHF || 0))
+  };
+}
@@ -0,0 +1,345 @@
+import { jsPDF } from 'jspdf';
+import { autoTable } from 'jspdf-autotable';
+import { aggregateReadings } from './aggregate.mjs';
+import { isMeterEvent } from './readings.mjs';
+import { applianceOf } from './appliances.mjs';
+import { parsePeriod } from './settlements.mjs';
+import { TARIFF_TIMEZONE } from './tariffs.mjs';
+import { DEFAULT_LOCALE, localeTag, translate } from './i18n.mjs';
+
+// Monthly (YYYY-MM) and yearly (YYYY) reports per user, rendered as HTML for
+// the email body and as PDF attachment. Periods are UTC like the filters.
+// A report is written in the language it was built for (report.locale).
+
+// Texts and number, money and date formats of a report's language
+function formatsFor(locale) {
+  const tag = localeTag(locale);
+  const nf1 = new Intl.NumberFormat(tag, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  const nfCHF = new Intl.NumberFormat(tag, { style: 'currency', currency: 'CHF' });
+  return {
+    t: (key, params) => translate(locale, `report.${key}`, params),
+    nf1,
+    kWh: v => `${nf1.format(v || 0)} kWh`,
+    chf: v => (typeof v === 'number' ? nfCHF.format(v) : '–'),
+    date: ts => new Date(ts).toLocaleString(tag, { timeZone: TARIFF_TIMEZONE }),
+    month: (month, style = 'long') => new Intl.DateTimeFormat(tag, { month: style, timeZone: 'UTC' }).format(Date.UTC(2000, month - 1, 1)),
+    meterEvent: type => translate(locale, `meterEvent.${type}`)
+  };
+}
+
+export function parseReportPeriod(period) {
+  if (/^\d{4}$/.test(period || '')) {
+    const year = parseInt(period, 10);
+    return {
+      kind: 'yearly',
+      period,
+      year,
+      startTimestamp: Date.UTC(year, 0, 1),
+      endTimestamp: Date.UTC(year + 1, 0, 1)
+    };
+  }
+  const p = parsePeriod(period);
+  if (!p) return null;
+  return { kind: 'monthly', period, ...p };
+}
+
+// Periods a scheduled run at `now` reports on: the previous month and,
+// in January, the previous year
+export function duePeriods(now = Date.now()) {
+  const d = new Date(now);
+  const prev = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() - 1, 1));
+  const periods = [`${prev.getUTCFullYear()}-${String(prev.getUTCMonth() + 1).padStart(2, '0')}`];
+  if (d.getUTCMonth() === 0) periods.push(String(d.getUTCFullYear() - 1));
+  return periods;
+}
+
+// `readings` are all readings of the period; the report shows the user's own
+// readings next to the household totals and the meter events of the period.
+// `appliances` names the appliances;
+// `householdName` is shown in the title where several households share the deployment;
+// `locale` is the language it is written in.
+export function buildUserReport(readings, period, username, { appliances = [], householdName = null, locale = DEFAULT_LOCALE } = {}) {
+  const sorted = [...readings].sort((a, b) => a.timestamp - b.timestamp);
+  const names = new Map(appliances.map(a => [a.applianceId, a.name]));
+  const own = sorted.filter(r => (r.ownerUsername || r.username) === username);
+  const household = aggregateReadings(sorted, { appliances });
+  const mine = aggregateReadings(own, { appliances });
+  const ownByAppliance = new Map(mine.byAppliance.map(a => [a.applianceId, a]));
+
+  return {
+    ...period,
+    username,
+    householdName,
+    locale,
+    generatedAt: Date.now(),
+    own: mine.total,
+    ownByMonth: mine.byMonthUser,
+    household: household.total,
+    householdByUser: household.byUser,
+    // own and household consumption per appliance
+    byAppliance: household.byAppliance.map(a => ({
+      applianceId: a.applianceId,
+      appliance: a.appliance,
+      own: ownByAppliance.get(a.applianceId) || { kWh: 0, costCHF: 0, count: 0 },
+      household: a
+    })),
+    sharePercent: household.total.kWh ? Math.round((mine.total.kWh / household.total.kWh) * 1000) / 10 : 0,
+    readings: own,
+    meterEvents: sorted.filter(isMeterEvent).map(r => ({
+      timestamp: r.timestamp,
+      type: r.meterEvent,
+      appliance: names.get(applianceOf(r)) ?? applianceOf(r),
+      oldMeterFinalKWh: r.oldMeterFinalKWh,
+      newMeterStartKWh: r.newMeterStartKWh,
+      notes: r.notes || ''
+    }))
+  };
+}
+
+function meterEventRow(f, e) {
+  return [f.date(e.timestamp), f.meterEvent(e.type), e.appliance || '', f.kWh(e.oldMeterFinalKWh), f.kWh(e.newMeterStartKWh)];
+}
+
+function title(f, report) {
+  const where = report.householdName ? ` – ${report.householdName}` : '';
+  const period = report.kind === 'yearly' ? String(report.year) : `${f.month(report.month)} ${report.year}`;
+  return `${f.t(report.kind, { period })}${where}`;
+}
+
+function summaryLines(f, report) {
+  return [
+    f.t('ownConsumption', { kWh: f.kWh(report.own.kWh), share: f.nf1.format(report.sharePercent) }),
+    f.t('ownCost', { cost: f.chf(report.own.costCHF) }) + (report.own.unpricedCount ? f.t('unpriced', { count: report.own.unpricedCount }) : ''),
+    f.t('washCount', { count: report.own.count }),
+    f.t('householdTotal', { kWh: f.kWh(report.household.kWh), cost: f.chf(report.household.costCHF), count: report.household.count })
+  ];
+}
+
+export function reportSubject(report) {
+  const f = formatsFor(report.locale);
+  return f.t('subject', { title: title(f, report), username: report.username });
+}
+
+// ASCII only, some mail clients mangle other characters in attachment names
+export function reportFilename(report) {
+  const f = formatsFor(report.locale);
+  return `${f.t(report.kind === 'yearly' ? 'filenameYearly' : 'filenameMonthly')}_${report.period}_${report.username}.pdf`;
+}
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]));
+}
+
+function htmlTable(head, rows) {
+  const cell = 'style="padding:4px 8px;border-bottom:1px solid #e5e7eb;text-align:left"';
+  return `<table style="border-collapse:collapse;font-size:14px">
+<thead><tr>${head.map(h => `<th ${cell}>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+<tbody>${rows.map(r => `<tr>${r.map(c => `<td ${cell}>${escapeHtml(c)}</td>`).join('')}</tr>`).join('\n')}</tbody>
+</table>`;
+}
+
+// `footer` is an optional HTML snippet, e.g. how to unsubscribe
+export function renderReportHtml(report, { footer = '' } = {}) {
+  const f = formatsFor(report.locale);
+  const heading = key => `<h2 style="font-size:16px">${escapeHtml(f.t(key))}</h2>`;
+  const parts = [
+    `<h1 style="font-size:20px">${escapeHtml(title(f, report))}</h1>`,
+    `<p>${escapeHtml(f.t('greeting', { username: report.username }))}</p>`,
+    `<ul>${summaryLines(f, report).map(l => `<li>${escapeHtml(l)}</li>`).join('')}</ul>`
+  ];
+
+  if (report.kind === 'yearly' && report.ownByMonth.length) {
+    parts.push(heading('perMonth'), htmlTable(
+      [f.t('month'), f.t('consumption'), f.t('cost'), f.t('washes')],
+      report.ownByMonth.map(m => [f.month(parseInt(m.month.slice(5), 10)), f.kWh(m.kWh), f.chf(m.costCHF), m.count])
+    ));
+  } else if (report.readings.length) {
+    parts.push(heading('ownWashes'), htmlTable(
+      [f.t('date'), f.t('consumption'), f.t('cost'), f.t('note')],
+      report.readings.map(r => [f.date(r.timestamp), f.kWh(r.deltaKWh), f.chf(r.costCHF), r.notes || ''])
+    ));
+  }
+
+  // only worth a table when the household has more than one appliance
+  if (report.byAppliance.length > 1) {
+    parts.push(heading('byAppliance'), htmlTable(
+      [f.t('appliance'), f.t('ownConsumptionColumn'), f.t('ownCostColumn'), f.t('household')],
+      report.byAppliance.map(a => [a.appliance, f.kWh(a.own.kWh), f.chf(a.own.costCHF), f.kWh(a.household.kWh)])
+    ));
+  }
+
+  if (report.meterEvents.length) {
+    parts.push(heading('meterEvents'), htmlTable(
+      [f.t('date'), f.t('event'), f.t('appliance'), f.t('oldMeter'), f.t('newMeter')],
+      report.meterEvents.map(e => meterEventRow(f, e))
+    ));
+  }
+
+  parts.push(heading('householdByUser'), htmlTable(
+    [f.t('user'), f.t('consumption'), f.t('cost'), f.t('washes')],
+    report.householdByUser.map(u => [u.user, f.kWh(u.kWh), f.chf(u.costCHF), u.count])
+  ));
+  parts.push(`<p style="color:#6b7280;font-size:12px">${escapeHtml(f.t('generatedAt', { date: f.date(report.generatedAt) }))}</p>`);
+  if (footer) parts.push(`<p style="color:#6b7280;font-size:12px">${footer}</p>`);
+
+  return `<!DOCTYPE html>
+<html lang="${report.locale}"><head><meta charset="utf-8"><title>${escapeHtml(title(f, report))}</title></head>
+<body style="font-family:Helvetica,Arial,sans-serif;color:#111827">
+${parts.join('\n')}
+</body></html>`;
+}
+
+export function renderReportText(report) {
+  const f = formatsFor(report.locale);
+  return [`${title(f, report)} – ${report.username}`, '', ...summaryLines(f, report), '', f.t('seeAttachment')].join('\n');
+}
+
+// Bar chart drawn with plain rectangles (no canvas on the server)
+function drawBarChart(doc, x, y, w, h, bars, nf1) {
+  const max = Math.max(...bars.map(b => b.value), 0.1);
+  const slot = w / bars.length;
+  const barW = Math.min(40, slot * 0.6);
+  const chartH = h - 28;
+
+  doc.setDrawColor(156);
+  doc.line(x, y + chartH, x + w, y + chartH);
+  doc.setFontSize(8);
+  bars.forEach((b, i) => {
+    const barH = (b.value / max) * (chartH - 12);
+    const bx = x + i * slot + (slot - barW) / 2;
+    doc.setFillColor(99, 102, 241);
+    if (barH > 0) doc.rect(bx, y + chartH - barH, barW, barH, 'F');
+    doc.setTextColor(60);
+    doc.text(nf1.format(b.value), bx + barW / 2, y + chartH - barH - 3, { align: 'center' });
+    doc.text(b.label, bx + barW / 2, y + chartH + 12, { align: 'center' });
+  });
+  doc.setTextColor(20);
+}
+
+function drawInfoBox(doc, x, y, w, lines) {
+  const pad = 10;
+  const lineH = 14;
+  const h = pad * 2 + lines.length * lineH;
+  doc.setDrawColor(55);
+  doc.setFillColor(243, 244, 246);
+  doc.roundedRect(x, y, w, h, 6, 6, 'FD');
+  doc.setTextColor(20);
+  doc.setFontSize(11);
+  lines.forEach((ln, i) => doc.text(ln, x + pad, y + pad + (i + 1) * lineH - 4));
+  return h;
+}
+
+export function renderReportPdf(report) {
+  const f = formatsFor(report.locale);
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const margin = 36;
+  let cursorY = margin;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(18);
+  doc.text(title(f, report), margin, cursorY);
+  cursorY += 22;
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(11);
+  doc.text(f.t('userLine', { username: report.username }), margin, cursorY);
+  cursorY += 14;
+  doc.text(f.t('generatedLine', { date: f.date(report.generatedAt) }), margin, cursorY);
+  cursorY += 20;
+
+  cursorY += drawInfoBox(doc, margin, cursorY, pageWidth - margin * 2, summaryLines(f, report)) + 20;
+
+  const bars = report.kind === 'yearly'
+    ? Array.from({ length: 12 }, (_, i) => ({
+      label: f.month(i + 1, 'short'),
+      value: report.ownByMonth.find(m => m.month.endsWith(`-${String(i + 1).padStart(2, '0')}`))?.kWh || 0
+    }))
+    : report.householdByUser.map(u => ({ label: u.user, value: u.kWh }));
+  if (bars.length) {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(13);
+    doc.text(f.t(report.kind === 'yearly' ? 'chartPerMonth' : 'chartPerUser'), margin, cursorY);
+    cursorY += 10;
+    doc.setFont('helvetica', 'normal');
+    drawBarChart(doc, margin, cursorY, pageWidth - margin * 2, 180, bars, f.nf1);
+    cursorY += 196;
+  }
+
+  const tableStyle = {
+    margin: { left: margin, right: margin },
+    styles: { font: 'helvetica', fontSize: 9 },
+    headStyles: { fillColor: [55, 65, 81] },
+    alternateRowStyles: { fillColor: [245, 246, 250] }
+  };
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(13);
+  doc.text(f.t('householdByUser'), margin, cursorY);
+  autoTable(doc, {
+    ...tableStyle,
+    startY: cursorY + 8,
+    head: [[f.t('user'), f.t('consumptionKWh'), f.t('cost'), f.t('washes')]],
+    body: report.householdByUser.map(u => [u.user, f.nf1.format(u.kWh), f.chf(u.costCHF), String(u.count)])
+  });
+
+  if (report.byAppliance.length > 1) {
+    let y = doc.lastAutoTable.finalY + 24;
+    if (y > doc.internal.pageSize.getHeight() - 100) {
+      doc.addPage();
+      y = margin;
+    }
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(13);
+    doc.text(f.t('byAppliance'), margin, y);
+    autoTable(doc, {
+      ...tableStyle,
+      startY: y + 8,
+      head: [[f.t('appliance'), f.t('ownConsumptionKWh'), f.t('ownCostColumn'), f.t('householdKWh'), f.t('householdCost')]],
+      body: report.byAppliance.map(a => [
+        a.appliance, f.nf1.format(a.own.kWh), f.chf(a.own.costCHF), f.nf1.format(a.household.kWh), f.chf(a.household.costCHF)
+      ])
+    });
+  }
+
+  if (report.meterEvents.length) {
+    let y = doc.lastAutoTable.finalY + 24;
+    if (y > doc.internal.pageSize.getHeight() - 100) {
+      doc.addPage();
+      y = margin;
+    }
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(13);
+    doc.text(f.t('meterEvents'), margin, y);
+    autoTable(doc, {
+      ...tableStyle,
+      startY: y + 8,
+      head: [[f.t('date'), f.t('event'), f.t('appliance'), f.t('oldMeter'), f.t('newMeter')]],
+      body: report.meterEvents.map(e => meterEventRow(f, e))
+    });
+  }
+
+  if (report.readings.length) {
+    doc.addPage();
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(13);
+    doc.text(f.t('ownWashes'), margin, margin);
+    autoTable(doc, {
+      ...tableStyle,
+      startY: margin + 8,
+      head: [[f.t('date'), f.t('previousKWh'), f.t('currentKWh'), f.t('deltaKWh'), f.t('cost'), f.t('note')]],
+      body: report.readings.map(r => [
+        f.date(r.timestamp),
+        f.nf1.format(r.startKWh ?? 0),
+        f.nf1.format(r.endKWh ?? 0),
+        f.nf1.format(r.deltaKWh ?? 0),
+        f.chf(r.costCHF),
+        (r.notes || '').toString().replace(/\s+/g, ' ').trim()
+      ]),
+      foot: [[f.t('total'), '', '', f.nf1.format(report.own.kWh), f.chf(report.own.costCHF), '']],
+      footStyles: { fillColor: [229, 231, 235], textColor: 20 }
+    });
+  }
+
+  return Buffer.from(doc.output('arraybuffer'));
+}
@@ -0,0 +1,102 @@
+import { ownerOf } from './readings.mjs';
+import { applianceOf } from './appliances.mjs';
+import { problem } from './i18n.mjs';
+
+// Booking an appliance in time slots. Slots start on a grid, so two bookings
+// that overlap always claim at least one common grid cell; the cells are
+// written with the booking and make conflicting bookings fail atomically.
+//
+//   RESERVATION_SLOT_MINUTES   allowed slot lengths, comma separated (default 60,120,180)
+//   RESERVATION_GRID_MINUTES   slots start on multiples of this (default 30)
+//   RESERVATION_WEEKLY_LIMIT   bookings per user, appliance and week, 0 = unlimited (default 3)
+//   RESERVATION_GRACE_MINUTES  a wash logged this long after the slot still counts (default 30)
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+export function loadReservationConfig(env = process.env) {
+  const gridMinutes = parseInt(env.RESERVATION_GRID_MINUTES, 10) || 30;
+  const slotMinutes = (env.RESERVATION_SLOT_MINUTES || '60,120,180')
+    .split(',')
+    .map(s => parseInt(s, 10))
+    .filter(m => m > 0 && m % gridMinutes === 0 && m / gridMinutes <= 48)
+    .sort((a, b) => a - b);
+  const limit = parseInt(env.RESERVATION_WEEKLY_LIMIT, 10);
+
+  return {
+    gridMinutes,
+    slotMinutes: slotMinutes.length ? slotMinutes : [gridMinutes],
+    weeklyLimit: Number.isInteger(limit) && limit >= 0 ? limit : 3,
+    graceMinutes: parseInt(env.RESERVATION_GRACE_MINUTES, 10) || 30
+  };
+}
+
+// Returns a problem (see i18n.mjs) or null
+export function validateReservationInput(body, config, now = Date.now()) {
+  const { start, durationMinutes } = body || {};
+  const startTimestamp = typeof start === 'number' ? start : Date.parse(start);
+
+  if (!Number.isFinite(startTimestamp)) return problem('invalid_slot_start');
+  if (startTimestamp % (config.gridMinutes * MINUTE) !== 0) {
+    return problem('slot_off_grid', { minutes: config.gridMinutes });
+  }
+  if (!config.slotMinutes.includes(durationMinutes)) {
+    return problem('invalid_slot_duration', { durations: config.slotMinutes.join(', ') });
+  }
+  if (startTimestamp + durationMinutes * MINUTE <= now) return problem('slot_in_past');
+  return null;
+}
+
+// Grid cells [start, end) covered by the reservation, on the grid it was booked with
+export function reservationCells(reservation) {
+  const cells = [];
+  for (let t = reservation.start; t < reservation.end; t += reservation.gridMinutes * MINUTE) cells.push(t);
+  return cells;
+}
+
+export function reservationsOverlap(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+// Monday 00:00 UTC to the next Monday, like the month periods in UTC
+export function weekBounds(timestamp) {
+  const d = new Date(timestamp);
+  const startTimestamp = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) - ((d.getUTCDay() + 6) % 7) * DAY;
+  return { startTimestamp, endTimestamp: startTimestamp + 7 * DAY };
+}
+
+// When a wash ran: from the session start (if any) to the reading
+function washWindow(reading) {
+  return { start: reading.startedAt ?? reading.timestamp, end: reading.timestamp };
+}
+
+// Pairs each reservation with the owner's reading of the booked appliance logged during the slot (or
+// within the grace period after it). Returns the reservations with washId and
+// status (cancelled | used | no_show | active | upcoming) and the readings
+// that were washed without a booking.
+export function linkReservations(reservations, readings, { graceMinutes, now = Date.now() }) {
+  const used = new Set();
+  const linked = [...reservations]
+    .sort((a, b) => a.start - b.start)
+    .map(r => {
+      if (r.status === 'cancelled') return { ...r, washId: null };
+
+      const window = { start: r.start, end: r.end + graceMinutes * MINUTE };
+      const reading = readings.find(x =>
+        !used.has(x.washId) && ownerOf(x) === r.ownerUsername && applianceOf(x) === applianceOf(r) &&
+        washWindow(x).start <= window.end && washWindow(x).end >= window.start
+      );
+      if (reading) used.add(reading.washId);
+
+      let status;
+      if (reading) status = 'used';
+      else if (window.end < now) status = 'no_show';
+      else status = r.start <= now ? 'active' : 'upcoming';
+      return { ...r, status, washId: reading?.washId ?? null };
+    });
+
+  return {
+    reservations: linked,
+    unbooked: readings.filter(x => !x.unassigned && !used.has(x.washId))
+  };
+}
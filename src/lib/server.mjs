@@ -0,0 +1,19 @@
+// Settings of the standalone runtime (see server.mjs). 0 is a valid value
+// for all of them: any free port, no grace period, reports from midnight.
+
+const HOURS_PER_DAY = 24;
+
+function nonNegativeInt(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+export function loadServerConfig(env = process.env) {
+  const reportsHour = nonNegativeInt(env.REPORTS_HOUR, 6);
+  return {
+    port: nonNegativeInt(env.PORT, 3000),
+    host: env.HOST || '0.0.0.0',
+    shutdownTimeoutMs: nonNegativeInt(env.SHUTDOWN_TIMEOUT, 10) * 1000,
+    reportsHour: reportsHour < HOURS_PER_DAY ? reportsHour : 6
+  };
+}
@@ -0,0 +1,16 @@
+// Two-phase wash sessions: the meter is read when a wash starts and again
+// when it ends. Consumption between two sessions is recorded as an
+// unassigned reading when the next session starts.
+//
+//   SESSION_MAX_HOURS  open sessions older than this expire (default 6)
+
+export const SESSION_MAX_AGE_MS = (parseFloat(process.env.SESSION_MAX_HOURS) || 6) * 60 * 60 * 1000;
+
+export function isExpired(session, now = Date.now()) {
+  return now - session.startedAt > SESSION_MAX_AGE_MS;
+}
+
+// the user the wash is for and whoever started it may finish or cancel it
+export function canControlSession(session, username) {
+  return session.ownerUsername === username || session.startedBy === username;
+}
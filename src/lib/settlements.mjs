@@ -0,0 +1,71 @@
+import { roundCHF } from './tariffs.mjs';
+import { ownerOf, isConsumption } from './readings.mjs';
+
+// Monthly settlements. Closing a month freezes its readings into one
+// statement per owner; statements are then tracked until they are paid.
+
+export function periodKey(year, month) {
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+export function parsePeriod(period) {
+  const m = /^(\d{4})-(\d{2})$/.exec(period || '');
+  if (!m) return null;
+  const year = parseInt(m[1], 10);
+  const month = parseInt(m[2], 10);
+  if (month < 1 || month > 12) return null;
+  return {
+    year,
+    month,
+    startTimestamp: Date.UTC(year, month - 1, 1),
+    endTimestamp: Date.UTC(year, month, 1)
+  };
+}
+
+export function periodOfTimestamp(timestamp) {
+  const d = new Date(timestamp);
+  return periodKey(d.getUTCFullYear(), d.getUTCMonth() + 1);
+}
+
+export function statementIdFor(period, ownerUsername) {
+  return `${period}#${ownerUsername}`;
+}
+
+export function buildStatements(readings, period) {
+  const byOwner = new Map();
+
+  for (const r of readings.filter(isConsumption).sort((a, b) => a.timestamp - b.timestamp)) {
+    const owner = ownerOf(r);
+    if (!byOwner.has(owner)) {
+      byOwner.set(owner, { kWh: 0, costCHF: 0, washIds: [], unpricedCount: 0 });
+    }
+    const s = byOwner.get(owner);
+    s.kWh += typeof r.deltaKWh === 'number' ? r.deltaKWh : 0;
+    if (typeof r.costCHF === 'number') s.costCHF += r.costCHF;
+    else s.unpricedCount += 1;
+    s.washIds.push(r.washId);
+  }
+
+  return [...byOwner.entries()].map(([ownerUsername, s]) => ({
+    statementId: statementIdFor(period, ownerUsername),
+    period,
+    ownerUsername,
+    kWh: parseFloat(s.kWh.toFixed(3)),
+    costCHF: roundCHF(s.costCHF),
+    washIds: s.washIds,
+    readingCount: s.washIds.length,
+    unpricedCount: s.unpricedCount,
+    paid: false,
+    paidAt: null,
+    paymentReference: null
+  }));
+}
+
+export function summarizeBalance(statements) {
+  const open = statements.filter(s => !s.paid);
+  return {
+    openStatements: open.sort((a, b) => a.period.localeCompare(b.period)),
+    openCHF: roundCHF(open.reduce((sum, s) => sum + (s.costCHF || 0), 0)),
+    openKWh: parseFloat(open.reduce((sum, s) => sum + (s.kWh || 0), 0).toFixed(3))
+  };
+}
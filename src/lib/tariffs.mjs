@@ -0,0 +1,139 @@
+import { DEFAULT_TARIFF_PLAN, isTariffPlan } from './appliances.mjs';
+import { problem } from './i18n.mjs';
+
+// Electricity tariffs. A tariff is valid for a range of local dates
+// [validFrom, validTo) and prices a wash as
+//   kWh * rate + feePerWash
+// where rate is either the flat pricePerKWh or, when time-of-use pricing is
+// configured, the high/low rate that applied at the moment of the reading.
+// Tariffs belong to a plan (see appliances.mjs); only tariffs of the same
+// plan may not overlap.
+
+export const TARIFF_TIMEZONE = process.env.TARIFF_TIMEZONE || 'Europe/Zurich';
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export function roundCHF(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function isDateString(v) {
+  return typeof v === 'string' && DATE_RE.test(v) && !isNaN(Date.parse(`${v}T00:00:00Z`));
+}
+
+function isPrice(v) {
+  return typeof v === 'number' && isFinite(v) && v >= 0;
+}
+
+function isHour(v) {
+  return Number.isInteger(v) && v >= 0 && v <= 24;
+}
+
+// Local calendar date, ISO weekday (1 = Monday) and hour of a timestamp
+export function localParts(timestamp, timeZone = TARIFF_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23',
+    weekday: 'short'
+  }).formatToParts(new Date(timestamp));
+  const get = type => parts.find(p => p.type === type)?.value;
+  const weekdays = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    weekday: weekdays[get('weekday')],
+    hour: parseInt(get('hour'), 10)
+  };
+}
+
+// Returns a problem (see i18n.mjs), or null when the input describes a valid tariff
+export function validateTariffInput(input) {
+  if (!input || typeof input !== 'object') return problem('invalid_tariff');
+  const { name, plan, validFrom, validTo, pricePerKWh, feePerWash, timeOfUse } = input;
+
+  if (name != null && typeof name !== 'string') return problem('invalid_tariff_name');
+  if (plan != null && !isTariffPlan(plan)) return problem('invalid_tariff_plan');
+  if (!isDateString(validFrom)) return problem('invalid_valid_from');
+  if (validTo != null && !isDateString(validTo)) return problem('invalid_valid_to');
+  if (validTo != null && validTo <= validFrom) return problem('valid_to_before_from');
+  if (feePerWash != null && !isPrice(feePerWash)) return problem('invalid_fee');
+
+  if (timeOfUse != null) {
+    const { highRate, lowRate, highDays, highFromHour, highToHour } = timeOfUse;
+    if (!isPrice(highRate) || !isPrice(lowRate)) return problem('invalid_time_of_use_rates');
+    if (highDays != null && (!Array.isArray(highDays) || !highDays.every(d => Number.isInteger(d) && d >= 1 && d <= 7))) {
+      return problem('invalid_high_days');
+    }
+    if (highFromHour != null && !isHour(highFromHour)) return problem('invalid_high_hour', { field: 'highFromHour' });
+    if (highToHour != null && !isHour(highToHour)) return problem('invalid_high_hour', { field: 'highToHour' });
+  } else if (!isPrice(pricePerKWh)) {
+    return problem('invalid_price');
+  }
+
+  return null;
+}
+
+export function normalizeTariff(input) {
+  const tou = input.timeOfUse;
+  return {
+    name: (input.name || '').trim(),
+    plan: input.plan ?? DEFAULT_TARIFF_PLAN,
+    validFrom: input.validFrom,
+    validTo: input.validTo ?? null,
+    pricePerKWh: tou ? null : input.pricePerKWh,
+    timeOfUse: tou
+      ? {
+        highRate: tou.highRate,
+        lowRate: tou.lowRate,
+        // Swiss utilities typically bill the high rate Mon–Fri 07–20h
+        highDays: tou.highDays ?? [1, 2, 3, 4, 5],
+        highFromHour: tou.highFromHour ?? 7,
+        highToHour: tou.highToHour ?? 20
+      }
+      : null,
+    feePerWash: input.feePerWash ?? 0
+  };
+}
+
+export function tariffsOverlap(a, b) {
+  const aEnd = a.validTo ?? '9999-12-31';
+  const bEnd = b.validTo ?? '9999-12-31';
+  return a.validFrom < bEnd && b.validFrom < aEnd;
+}
+
+export function findTariff(tariffs, timestamp) {
+  const { date } = localParts(timestamp);
+  return tariffs.find(t => t.validFrom <= date && (t.validTo == null || date < t.validTo)) || null;
+}
+
+export function rateAt(tariff, timestamp) {
+  const tou = tariff.timeOfUse;
+  if (!tou) return { rate: tariff.pricePerKWh, rateType: 'flat' };
+
+  const { weekday, hour } = localParts(timestamp);
+  const high = tou.highDays.includes(weekday) && hour >= tou.highFromHour && hour < tou.highToHour;
+  return high ? { rate: tou.highRate, rateType: 'high' } : { rate: tou.lowRate, rateType: 'low' };
+}
+
+// Cost fields stored on a reading, so later tariff changes never alter it
+export function computeCost(tariffs, timestamp, deltaKWh) {
+  const tariff = findTariff(tariffs, timestamp);
+  if (!tariff) return { tariffId: null, costCHF: null };
+
+  const { rate, rateType } = rateAt(tariff, timestamp);
+  const energyCHF = roundCHF(deltaKWh * rate);
+  const feeCHF = roundCHF(tariff.feePerWash || 0);
+
+  return {
+    tariffId: tariff.tariffId,
+    rateType,
+    rateCHFPerKWh: rate,
+    energyCHF,
+    feeCHF,
+    costCHF: roundCHF(energyCHF + feeCHF)
+  };
+}
@@ -0,0 +1,159 @@
+import { roundKWh } from './readings.mjs';
+import { isDeviceId } from './appliances.mjs';
+import { problem } from './i18n.mjs';
+
+// Smart plugs between socket and machine report the power draw and a
+// cumulative energy counter, by HTTP webhook (POST /telemetry) or over MQTT
+// (server.mjs). The plug is matched to the appliance whose plugId is its
+// device id. A wash starts when the power rises above the start threshold and
+// ends once it has stayed below the stop threshold for a while; its
+// consumption is the counter difference, or the integrated power where a plug
+// sends no counter.
+//
+//   TELEMETRY_START_WATTS    power from which a wash is running (default 20)
+//   TELEMETRY_STOP_WATTS     power below which the machine is idle (default 5)
+//   TELEMETRY_STOP_MINUTES   how long it must stay idle before the wash counts as ended,
+//                            longer than the pauses within a program (default 5)
+//   TELEMETRY_MIN_MINUTES    shorter runs are ignored, e.g. only pumping out (default 10)
+//   TELEMETRY_MAX_GAP_MINUTES  samples further apart are not integrated (default 15)
+//
+//   MQTT_URL     broker, e.g. mqtt://localhost:1883; without it no subscriber runs
+//   MQTT_TOPICS  topics to subscribe to, comma separated; "+" marks the device id
+//                (default shellies/+/status/switch:0,tele/+/SENSOR)
+
+export function loadTelemetryConfig(env = process.env) {
+  const num = (value, fallback) => {
+    const n = parseFloat(value);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+  };
+  return {
+    startWatts: num(env.TELEMETRY_START_WATTS, 20),
+    stopWatts: num(env.TELEMETRY_STOP_WATTS, 5),
+    stopMs: num(env.TELEMETRY_STOP_MINUTES, 5) * 60000,
+    minMs: num(env.TELEMETRY_MIN_MINUTES, 10) * 60000,
+    maxGapMs: num(env.TELEMETRY_MAX_GAP_MINUTES, 15) * 60000,
+    mqttUrl: env.MQTT_URL || null,
+    mqttTopics: (env.MQTT_TOPICS || 'shellies/+/status/switch:0,tele/+/SENSOR').split(',').map(t => t.trim()).filter(Boolean)
+  };
+}
+
+function toTimestamp(value, fallback) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value < 1e12 ? value * 1000 : value; // seconds or ms
+  if (typeof value === 'string') {
+    const parsed = Date.parse(value);
+    if (Number.isFinite(parsed)) return parsed;
+  }
+  return fallback;
+}
+
+const isNum = v => typeof v === 'number' && Number.isFinite(v);
+
+// One sample { deviceId, powerW, totalKWh (null without counter), timestamp }
+// from the payload of a plug, or a problem (see i18n.mjs). Understands
+//   { deviceId, powerW, totalKWh, timestamp }                 generic
+//   { apower, aenergy: { total } } or NotifyStatus with switch:0  Shelly Gen2 (total in Wh)
+//   { ENERGY: { Power, Total }, Time }                        Tasmota SENSOR (Total in kWh)
+// `deviceId` (from the topic or URL) is used when the payload names none.
+export function parseSample(payload, { deviceId = null, now = Date.now() } = {}) {
+  if (!payload || typeof payload !== 'object') return { error: problem('invalid_telemetry') };
+
+  let sample;
+  if (payload.ENERGY) {
+    sample = { powerW: payload.ENERGY.Power, totalKWh: payload.ENERGY.Total, timestamp: toTimestamp(payload.Time, now) };
+  } else if (payload.method === 'NotifyStatus' && payload.params?.['switch:0']) {
+    const sw = payload.params['switch:0'];
+    sample = {
+      deviceId: payload.src,
+      powerW: sw.apower,
+      totalKWh: isNum(sw.aenergy?.total) ? sw.aenergy.total / 1000 : null,
+      timestamp: toTimestamp(payload.params.ts, now)
+    };
+  } else if ('apower' in payload) {
+    sample = { powerW: payload.apower, totalKWh: isNum(payload.aenergy?.total) ? payload.aenergy.total / 1000 : null, timestamp: now };
+  } else {
+    sample = { deviceId: payload.deviceId, powerW: payload.powerW, totalKWh: payload.totalKWh ?? null, timestamp: toTimestamp(payload.timestamp, now) };
+  }
+
+  sample.deviceId = sample.deviceId || deviceId;
+  if (!isDeviceId(sample.deviceId)) return { error: problem('telemetry_no_device') };
+  if (!isNum(sample.powerW) || sample.powerW < 0) return { error: problem('telemetry_no_power') };
+  if (sample.totalKWh != null && (!isNum(sample.totalKWh) || sample.totalKWh < 0)) {
+    return { error: problem('telemetry_bad_energy') };
+  }
+  // Tasmota sends local time without zone; far off clocks are replaced by the arrival time
+  if (Math.abs(sample.timestamp - now) > 24 * 60 * 60 * 1000) sample.timestamp = now;
+  return { sample };
+}
+
+// The device id of an MQTT topic: the level matched by "+" in the first pattern that fits
+export function deviceIdOfTopic(topic, patterns) {
+  const levels = topic.split('/');
+  for (const pattern of patterns) {
+    const parts = pattern.split('/');
+    if (parts.length !== levels.length) continue;
+    let deviceId = null;
+    if (parts.every((p, i) => (p === '+' ? (deviceId = levels[i]) : p === levels[i]))) return deviceId;
+  }
+  return null;
+}
+
+export function idleState(deviceId) {
+  return { deviceId, status: 'idle', lastSampleAt: null, lastPowerW: null, lastTotalKWh: null };
+}
+
+// Energy since the previous sample: the counter difference, else the power
+// integrated over the interval; nothing across long gaps or a counter reset
+function energySince(state, sample, config) {
+  if (state.lastSampleAt == null) return 0;
+  if (sample.totalKWh != null && state.lastTotalKWh != null && sample.totalKWh >= state.lastTotalKWh) {
+    return sample.totalKWh - state.lastTotalKWh;
+  }
+  const dt = sample.timestamp - state.lastSampleAt;
+  if (dt > config.maxGapMs) return 0;
+  return ((state.lastPowerW + sample.powerW) / 2) * (dt / 3600000) / 1000;
+}
+
+// Advances the detection of one plug by a sample. Returns the next state and,
+// when a wash has just ended, { startedAt, endedAt, deltaKWh, durationMinutes, peakW }.
+// Samples older than the last one are ignored.
+export function detectWash(state, sample, config) {
+  if (state.lastSampleAt != null && sample.timestamp <= state.lastSampleAt) return { state, finished: null };
+
+  const energy = energySince(state, sample, config);
+  const next = {
+    ...state,
+    lastSampleAt: sample.timestamp,
+    lastPowerW: sample.powerW,
+    lastTotalKWh: sample.totalKWh ?? state.lastTotalKWh
+  };
+
+  if (state.status !== 'running') {
+    if (sample.powerW < config.startWatts) return { state: next, finished: null };
+    return {
+      state: { ...next, status: 'running', startedAt: sample.timestamp, lastActiveAt: sample.timestamp, energyKWh: 0, peakW: sample.powerW },
+      finished: null
+    };
+  }
+
+  next.energyKWh = state.energyKWh + energy;
+  if (sample.powerW >= config.stopWatts) {
+    next.lastActiveAt = sample.timestamp;
+    next.peakW = Math.max(state.peakW, sample.powerW);
+    return { state: next, finished: null };
+  }
+  if (sample.timestamp - state.lastActiveAt < config.stopMs) return { state: next, finished: null };
+
+  const idle = { ...idleState(state.deviceId), lastSampleAt: next.lastSampleAt, lastPowerW: next.lastPowerW, lastTotalKWh: next.lastTotalKWh };
+  const durationMs = state.lastActiveAt - state.startedAt;
+  if (durationMs < config.minMs) return { state: idle, finished: null };
+  return {
+    state: idle,
+    finished: {
+      startedAt: state.startedAt,
+      endedAt: state.lastActiveAt,
+      deltaKWh: roundKWh(next.energyKWh),
+      durationMinutes: Math.max(1, Math.round(durationMs / 60000)),
+      peakW: state.peakW
+    }
+  };
+}
@@ -0,0 +1,119 @@
+import { auditEntry } from './audit.mjs';
+import { problem, apiError, isLocale } from './i18n.mjs';
+
+// User registry of a household. Everybody is registered on their first
+// request; admins may register flatmates ahead of their first login, change
+// roles and deactivate users who moved out. Deactivated users can no longer
+// use the app or be named on behalf, their readings stay.
+//
+//   ADMINS  usernames or email addresses that are always admins, comma separated.
+//           Without ADMINS the first user of a household becomes its admin.
+
+export const ROLES = ['admin', 'member'];
+
+const USERNAME_RE = /^[^\s/#][^/#]{0,59}$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export function loadAdmins(env = process.env) {
+  return (env.ADMINS || '').split(',').map(a => a.trim().toLowerCase()).filter(Boolean);
+}
+
+export function isConfiguredAdmin(admins, { username, email }) {
+  return admins.includes((username || '').toLowerCase()) || (!!email && admins.includes(email.toLowerCase()));
+}
+
+// Returns a problem (see i18n.mjs) or null. With `partial` only the given fields are checked.
+export function validateUserInput(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object') return problem('invalid_user');
+  const { username, displayName, email, role, active } = input;
+
+  if (!partial && (typeof username !== 'string' || !USERNAME_RE.test(username.trim()))) {
+    return problem('invalid_username', { max: 60 });
+  }
+  if (displayName !== undefined && (typeof displayName !== 'string' || displayName.trim() === '' || displayName.length > 60)) {
+    return problem('invalid_display_name', { max: 60 });
+  }
+  if (email != null && (typeof email !== 'string' || !EMAIL_RE.test(email.trim()))) {
+    return problem('invalid_email');
+  }
+  if (role !== undefined && !ROLES.includes(role)) return problem('invalid_role', { roles: ROLES.join(', ') });
+  if (active !== undefined && typeof active !== 'boolean') return problem('invalid_active');
+  return null;
+}
+
+export function normalizeUser(input) {
+  const fields = {};
+  if (input.displayName !== undefined) fields.displayName = input.displayName.trim();
+  if (input.email !== undefined) fields.email = input.email ? input.email.trim() : null;
+  if (input.role !== undefined) fields.role = input.role;
+  if (input.active !== undefined) fields.active = input.active;
+  return fields;
+}
+
+// What other members see of a user; the email only for admins and the user themselves
+export function publicUser(profile, { withEmail = false } = {}) {
+  const { username, displayName, role, active } = profile;
+  return {
+    username,
+    displayName: displayName || username,
+    role: role || 'member',
+    active: active !== false,
+    ...(withEmail ? { email: profile.email ?? null } : {})
+  };
+}
+
+// Registers the user in the active household on first sight (and completes
+// profiles from before the registry), then rejects deactivated users.
+// Sets req.profile and req.isAdmin. Runs after the household middleware.
+export function createUserMiddleware(admins) {
+  async function register(req, profile) {
+    const users = req.storage.users;
+    const identity = { username: req.username, email: req.user?.email };
+    const firstAdmin = admins.length === 0 && !(await users.list()).some(u => u.role === 'admin');
+    const role = isConfiguredAdmin(admins, identity) || firstAdmin ? 'admin' : 'member';
+
+    if (!profile) {
+      const created = {
+        username: req.username,
+        displayName: req.username,
+        email: req.user?.email || null,
+        monthlyReport: true,
+        yearlyReport: true,
+        role,
+        active: true,
+        createdAt: Date.now()
+      };
+      await users.remember(req.username, created, {
+        audit: auditEntry({ actor: req.username, action: 'user.create', targetType: 'user', targetId: req.username, after: created })
+      });
+    } else {
+      const set = { role, active: profile.active ?? true, displayName: profile.displayName || req.username };
+      await users.update(req.username, set, {
+        audit: auditEntry({ actor: 'system', action: 'user.update', targetType: 'user', targetId: req.username, before: profile, after: { ...profile, ...set } })
+      });
+    }
+    return users.get(req.username);
+  }
+
+  return async function checkUser(req, res, next) {
+    try {
+      let profile = await req.storage.users.get(req.username);
+      if (!profile && req.apiToken) {
+        return res.status(403).json(apiError(req, 'user_inactive', {}, 'token_owner_unregistered'));
+      }
+      if (!profile?.role) profile = await register(req, profile);
+
+      const configured = isConfiguredAdmin(admins, { username: req.username, email: req.user?.email });
+      if (profile.active === false && !configured) {
+        return res.status(403).json(apiError(req, 'user_inactive'));
+      }
+      req.profile = profile;
+      if (isLocale(profile.language)) req.locale = profile.language;
+      req.isAdmin = configured || profile.role === 'admin';
+      next();
+    } catch (error) {
+      console.error('Error loading user:', error);
+      res.status(500).json({ ...apiError(req, 'user_load_failed'), error: error.message });
+    }
+  };
+}
@@ -0,0 +1,323 @@
+// German texts of the server, see lib/i18n.mjs
+export default {
+  errors: {
+    // authentication and household
+    token_missing: 'Anmeldung erforderlich: Es wurde kein Token mitgeschickt.',
+    token_invalid: 'Anmeldung fehlgeschlagen: Ungültiges Token.',
+    token_malformed: 'Anmeldung fehlgeschlagen: Das Token ist fehlerhaft aufgebaut.',
+    token_algorithm: 'Anmeldung fehlgeschlagen: Nicht unterstützter Token-Algorithmus.',
+    token_unknown_key: 'Anmeldung fehlgeschlagen: Das Token wurde mit einem unbekannten Schlüssel signiert.',
+    token_expired: 'Anmeldung fehlgeschlagen: Das Token ist abgelaufen.',
+    token_not_yet_valid: 'Anmeldung fehlgeschlagen: Das Token ist noch nicht gültig.',
+    token_audience: 'Anmeldung fehlgeschlagen: Das Token wurde für eine andere Anwendung ausgestellt.',
+    token_issuer: 'Anmeldung fehlgeschlagen: Das Token stammt von einem nicht vertrauenswürdigen Aussteller.',
+    token_signature: 'Anmeldung fehlgeschlagen: Die Signatur des Tokens ist ungültig.',
+    jwks_unavailable: 'Die Anmeldung ist im Moment nicht möglich, bitte später erneut versuchen.',
+    auth_not_configured: 'Die Anmeldung ist auf dem Server nicht eingerichtet.',
+    api_token_invalid: 'Anmeldung fehlgeschlagen: Ungültiges API-Token.',
+    api_token_revoked: 'Anmeldung fehlgeschlagen: Das API-Token wurde widerrufen.',
+    api_token_check_failed: 'Fehler beim Prüfen des API-Tokens.',
+    token_scope: 'Das API-Token (Bereich {scope}) erlaubt {method} {path} nicht.',
+    not_authenticated: 'Benutzer nicht angemeldet.',
+    no_household: 'Du gehörst keinem Haushalt an.',
+    household_forbidden: 'Du gehörst nicht zum Haushalt «{householdId}».',
+    household_forbidden_token: 'Das API-Token gilt nicht für diesen Haushalt.',
+    user_inactive: 'Dein Benutzer wurde in diesem Haushalt deaktiviert.',
+    token_owner_unregistered: 'Die Besitzerin oder der Besitzer des API-Tokens ist nicht mehr registriert.',
+    user_load_failed: 'Fehler beim Laden des Benutzers.',
+
+    // profile, users and API tokens
+    invalid_email: 'email muss eine gültige Adresse oder null sein.',
+    invalid_report_flags: 'monthlyReport und yearlyReport müssen true oder false sein.',
+    invalid_language: 'language muss eines von {languages} oder null sein.',
+    invalid_user: 'Ungültiger Benutzer.',
+    invalid_username: 'Der Benutzername darf nicht leer sein, höchstens {max} Zeichen lang sein und weder «/» noch «#» enthalten.',
+    invalid_display_name: 'Der Anzeigename darf nicht leer und höchstens {max} Zeichen lang sein.',
+    invalid_role: 'role muss eines von {roles} sein.',
+    invalid_active: 'active muss true oder false sein.',
+    admin_required_add_user: 'Nur Admins können Benutzer hinzufügen.',
+    admin_required_change_user: 'Nur Admins können Benutzer ändern.',
+    admin_required_appliances: 'Nur Admins können Geräte hinzufügen oder ändern.',
+    admin_required_tariffs: 'Nur Admins können Tarife erfassen oder löschen.',
+    admin_required_settlements: 'Nur Admins können Monate abschliessen.',
+    admin_required_reports: 'Nur Admins können Berichte versenden.',
+    admin_required_audit: 'Nur Admins können das Änderungsprotokoll einsehen.',
+    user_exists: 'Der Benutzer {username} existiert bereits.',
+    user_not_found: 'Benutzer nicht gefunden.',
+    cannot_demote_self: 'Du kannst dir selbst weder die Admin-Rolle entziehen noch dich deaktivieren.',
+    nothing_to_update: 'Es gibt nichts zu ändern.',
+    not_in_household: '{username} gehört nicht zu diesem Haushalt.',
+    invalid_token_name: 'Der Name darf nicht leer und höchstens {max} Zeichen lang sein.',
+    invalid_token_scope: 'scope muss eines von {scopes} sein.',
+    token_limit: 'Du hast bereits {max} aktive Tokens; widerrufe zuerst eines.',
+    token_not_found: 'Token nicht gefunden.',
+    token_already_revoked: 'Das Token wurde bereits widerrufen.',
+    profile_fetch_failed: 'Fehler beim Laden des Profils.',
+    profile_save_failed: 'Fehler beim Speichern des Profils.',
+    users_fetch_failed: 'Fehler beim Laden der Benutzer.',
+    user_create_failed: 'Fehler beim Anlegen des Benutzers.',
+    user_update_failed: 'Fehler beim Ändern des Benutzers.',
+    tokens_fetch_failed: 'Fehler beim Laden der API-Tokens.',
+    token_create_failed: 'Fehler beim Erstellen des API-Tokens.',
+    token_revoke_failed: 'Fehler beim Widerrufen des API-Tokens.',
+
+    // measurements
+    invalid_limit: 'limit muss eine ganze Zahl von 1 bis {max} sein.',
+    invalid_cursor: 'Der Cursor ist ungültig; bitte ohne Cursor neu beginnen.',
+    invalid_current_kwh: 'Ungültiger oder fehlender Zählerstand (currentKWh).',
+    invalid_expected_start: 'Ungültiger vorheriger Zählerstand (expectedStartKWh).',
+    invalid_confirm_anomaly: 'confirmAnomaly muss true oder false sein.',
+    invalid_captured_at: 'capturedAt muss ein Zeitpunkt in Millisekunden sein.',
+    captured_at_in_future: 'Der Zeitpunkt der Messung (capturedAt) liegt in der Zukunft.',
+    invalid_end_kwh: 'Ungültiger Zählerstand (endKWh).',
+    invalid_notes: 'Die Notiz muss ein Text sein.',
+    invalid_owner: 'ownerUsername darf nicht leer sein.',
+    invalid_for_username: 'forUsername darf nicht leer sein.',
+    missing_wash_id: 'Die washId fehlt.',
+    unknown_appliance: 'Unbekanntes Gerät «{applianceId}».',
+    machine_busy: 'Eine Wäsche von {username} läuft gerade; beende oder breche sie zuerst ab.',
+    chain_moved: 'Inzwischen wurde eine andere Messung gespeichert; der letzte Zählerstand ist jetzt {latestEndKWh} kWh.',
+    chain_busy: 'Die Messungen haben sich laufend geändert, bitte erneut versuchen.',
+    captured_before_latest: 'Die Messung wurde vor der zuletzt gespeicherten aufgenommen und kann nicht mehr angehängt werden.',
+    meter_decreased: 'Der Zählerstand ({currentKWh} kWh) muss grösser sein als der zuletzt gespeicherte ({latestEndKWh} kWh). Wurde der Zähler getauscht, zurückgesetzt oder ist er übergelaufen, zuerst das Zählerereignis erfassen.',
+    meter_final_below_latest: 'Der Endstand des alten Zählers ({oldMeterFinalKWh} kWh) darf nicht unter dem zuletzt gespeicherten Zählerstand ({latestEndKWh} kWh) liegen.',
+    session_start_below_latest: 'Der Zählerstand ({currentKWh} kWh) darf nicht unter dem zuletzt gespeicherten ({latestEndKWh} kWh) liegen.',
+    reading_not_found: 'Messung nicht gefunden.',
+    reading_forbidden: 'Du darfst diese Messung nicht bearbeiten.',
+    reading_delete_forbidden: 'Du darfst diese Messung nicht löschen.',
+    month_settled: 'Dieser Monat ist bereits abgerechnet; seine Messungen können nicht mehr bearbeitet werden.',
+    month_settled_delete: 'Dieser Monat ist bereits abgerechnet; seine Messungen können nicht mehr gelöscht werden.',
+    next_settled: 'Die folgende Messung gehört zu einem abgerechneten Monat und kann nicht mehr geändert werden.',
+    meter_event_has_followers: 'Auf dieses Zählerereignis folgen Messungen am neuen Zähler; lösche diese zuerst.',
+    meter_event_notes_only: 'Bei einem Zählerereignis kann nur die Notiz bearbeitet werden; lösche es sonst und erfasse es neu.',
+    reading_changed: 'Die Messungen wurden inzwischen geändert, bitte neu laden und erneut versuchen.',
+    end_not_above_start: 'Der Zählerstand ({endKWh} kWh) muss grösser sein als der Anfang der Messung ({startKWh} kWh).',
+    end_above_meter_final: 'Der Zählerstand ({endKWh} kWh) darf den Endstand des alten Zählers ({finalKWh} kWh) des folgenden Zählerereignisses nicht übersteigen.',
+    end_above_next: 'Der Zählerstand ({endKWh} kWh) muss kleiner sein als der der folgenden Messung ({nextEndKWh} kWh).',
+    not_claimable: 'Nur nicht zugeordnete Wäschen, die eine Steckdose erfasst hat, können übernommen werden.',
+    already_claimed: 'Jemand anderes hat diese Wäsche inzwischen übernommen, bitte neu laden.',
+    readings_fetch_failed: 'Fehler beim Laden der Messungen.',
+    reading_save_failed: 'Fehler beim Speichern der Messung.',
+    latest_fetch_failed: 'Fehler beim Laden des letzten Zählerstandes.',
+    reading_delete_failed: 'Fehler beim Löschen der Messung.',
+    reading_edit_failed: 'Fehler beim Bearbeiten der Messung.',
+    reading_claim_failed: 'Fehler beim Übernehmen der Wäsche.',
+
+    // meter events
+    invalid_meter_event: 'Ungültiges Zählerereignis.',
+    invalid_meter_event_type: 'type muss eines von {types} sein.',
+    invalid_old_meter_final: 'Der Endstand des alten Zählers muss eine Zahl von mindestens 0 sein.',
+    invalid_new_meter_start: 'Der Anfangsstand des neuen Zählers muss eine Zahl von mindestens 0 sein.',
+    new_meter_start_not_lower: 'Nach einem Zurücksetzen oder Überlauf muss der Zähler tiefer beginnen als der Endstand des alten Zählers.',
+    meter_event_save_failed: 'Fehler beim Speichern des Zählerereignisses.',
+
+    // CSV import
+    invalid_csv: 'csv darf nicht leer sein.',
+    csv_empty: 'Die CSV-Datei enthält keine Zeilen.',
+    csv_too_many_rows: 'Es können höchstens {max} Zeilen auf einmal importiert werden.',
+    csv_invalid_rows: 'Die CSV-Datei enthält ungültige Zeilen; es wurde nichts importiert.',
+    import_too_large: 'Der Import würde zu viele Messungen auf einmal ändern; bitte die Datei in kleinere Teile aufteilen.',
+    import_outdated: 'Die Messungen wurden inzwischen geändert, bitte die Vorschau erneut prüfen.',
+    import_invalid_date: 'Ungültiges Datum «{date}» (erwartet JJJJ-MM-TT oder TT.MM.JJJJ, optional mit HH:MM).',
+    import_invalid_kwh: 'Ungültiger Zählerstand «{kWh}».',
+    import_duplicate_time: 'Es gibt bereits eine Messung mit demselben Datum und derselben Uhrzeit.',
+    import_duplicate_row: 'Gleiches Datum und gleiche Uhrzeit wie Zeile {line}.',
+    import_month_settled: 'Dieser Monat ist bereits abgerechnet.',
+    import_in_future: 'Das Datum liegt in der Zukunft.',
+    import_not_increasing: 'Der Zählerstand {endKWh} muss grösser sein als der vorherige ({startKWh}).',
+    import_above_meter_final: 'Der Zählerstand {endKWh} darf den Endstand des alten Zählers ({finalKWh}) des folgenden Zählerereignisses nicht übersteigen.',
+    import_above_next: 'Der Zählerstand {endKWh} muss kleiner sein als der der folgenden Messung ({nextEndKWh}).',
+    import_failed: 'Fehler beim Importieren der Messungen.',
+
+    // meter photos
+    photo_too_large: 'Das Foto darf höchstens {maxMB} MB gross sein.',
+    photo_type: 'Bitte das Foto als {types} senden.',
+    photo_forbidden: 'Du darfst das Foto dieser Messung nicht ändern.',
+    photo_not_found: 'Zu dieser Messung gibt es kein Foto.',
+    photo_save_failed: 'Fehler beim Speichern des Fotos.',
+    photo_fetch_failed: 'Fehler beim Laden des Fotos.',
+    photo_delete_failed: 'Fehler beim Löschen des Fotos.',
+
+    // wash sessions
+    session_not_found: 'Keine laufende Wäsche mit dieser ID (vielleicht ist sie abgelaufen).',
+    session_finish_forbidden: 'Du darfst diese Wäsche nicht beenden.',
+    session_cancel_forbidden: 'Du darfst diese Wäsche nicht abbrechen.',
+    session_end_not_above_start: 'Der Zählerstand ({currentKWh} kWh) muss grösser sein als zu Beginn der Wäsche ({startKWh} kWh).',
+    session_changed: 'Die Wäsche wurde inzwischen geändert, bitte neu laden und erneut versuchen.',
+    session_fetch_failed: 'Fehler beim Laden der Wäsche.',
+    sessions_fetch_failed: 'Fehler beim Laden der Wäschen.',
+    session_start_failed: 'Fehler beim Starten der Wäsche.',
+    session_finish_failed: 'Fehler beim Beenden der Wäsche.',
+    session_cancel_failed: 'Fehler beim Abbrechen der Wäsche.',
+
+    // wash details
+    invalid_program: 'program muss eines von {programs} sein.',
+    invalid_temperature: 'Die Temperatur muss eine ganze Zahl von {min} bis {max} sein.',
+    invalid_spin: 'Die Schleuderdrehzahl muss eine ganze Zahl von {min} bis {max} sein.',
+    invalid_load_level: 'loadLevel muss eines von {levels} sein.',
+    invalid_duration: 'Die Dauer muss eine ganze Zahl von {min} bis {max} Minuten sein.',
+
+    // reservations
+    invalid_date_range: 'from und to müssen Daten (JJJJ-MM-TT) sein, mit from <= to.',
+    invalid_slot_start: 'Ungültiger Beginn der Reservation.',
+    slot_off_grid: 'Eine Reservation muss auf eine volle {minutes}-Minuten-Marke fallen.',
+    invalid_slot_duration: 'Die Dauer muss eine von {durations} Minuten sein.',
+    slot_in_past: 'Der Zeitraum liegt in der Vergangenheit.',
+    weekly_limit: '{username} hat diese Woche bereits {count} Reservationen (höchstens {limit}).',
+    slot_taken: 'Der Zeitraum überschneidet sich mit einer bestehenden Reservation.',
+    reservation_not_found: 'Reservation nicht gefunden oder bereits storniert.',
+    reservation_forbidden: 'Du darfst diese Reservation nicht stornieren.',
+    slot_over: 'Dieser Zeitraum ist bereits vorbei und kann nicht mehr storniert werden.',
+    reservation_changed: 'Die Reservation wurde inzwischen geändert, bitte neu laden.',
+    reservations_fetch_failed: 'Fehler beim Laden der Reservationen.',
+    reservation_create_failed: 'Fehler beim Reservieren.',
+    reservation_cancel_failed: 'Fehler beim Stornieren der Reservation.',
+
+    // appliances and smart plugs
+    invalid_appliance: 'Ungültiges Gerät.',
+    invalid_appliance_name: 'Der Name darf nicht leer und höchstens {max} Zeichen lang sein.',
+    invalid_meter_id: 'Die Zählernummer darf höchstens {max} Zeichen lang sein.',
+    invalid_plug_id: 'Die Steckdosen-ID darf nur Buchstaben, Ziffern, «.», «:», «_» und «-» enthalten.',
+    invalid_tariff_plan: 'Der Tarifplan darf nur Kleinbuchstaben, Ziffern, «-» und «_» enthalten.',
+    plug_in_use: 'Die Steckdose «{plugId}» misst bereits ein anderes Gerät.',
+    appliance_not_found: 'Gerät nicht gefunden.',
+    appliance_changed: 'Das Gerät wurde inzwischen geändert, bitte neu laden.',
+    appliances_fetch_failed: 'Fehler beim Laden der Geräte.',
+    appliance_save_failed: 'Fehler beim Speichern des Geräts.',
+    appliance_update_failed: 'Fehler beim Ändern des Geräts.',
+    invalid_telemetry: 'Die Telemetrie muss ein JSON-Objekt sein.',
+    telemetry_no_device: 'Die Telemetrie nennt keine gültige Geräte-ID.',
+    telemetry_no_power: 'Die Telemetrie enthält keine gültige Leistung (W).',
+    telemetry_bad_energy: 'Der Energiezähler muss eine Zahl von mindestens 0 sein.',
+    unknown_plug: 'Kein Gerät dieses Haushalts wird von der Steckdose «{plugId}» gemessen.',
+    telemetry_failed: 'Fehler beim Verarbeiten der Telemetrie.',
+
+    // tariffs
+    invalid_tariff: 'Ungültiger Tarif.',
+    invalid_tariff_name: 'Der Name muss ein Text sein.',
+    invalid_valid_from: '«Gültig ab» muss ein Datum (JJJJ-MM-TT) sein.',
+    invalid_valid_to: '«Gültig bis» muss ein Datum (JJJJ-MM-TT) oder leer sein.',
+    valid_to_before_from: '«Gültig bis» muss nach «Gültig ab» liegen.',
+    invalid_fee: 'Die Gebühr pro Wäsche muss eine Zahl von mindestens 0 sein.',
+    invalid_price: 'Der Preis pro kWh muss eine Zahl von mindestens 0 sein.',
+    invalid_time_of_use_rates: 'Hoch- und Niedertarif müssen Zahlen von mindestens 0 sein.',
+    invalid_high_days: 'Die Hochtarif-Tage müssen ISO-Wochentage sein (1 = Montag … 7 = Sonntag).',
+    invalid_high_hour: 'timeOfUse.{field} muss eine Stunde zwischen 0 und 24 sein.',
+    tariff_overlap: 'Der Tarif überschneidet sich mit einem bestehenden Tarif.',
+    tariff_overlap_with: 'Der Tarif überschneidet sich mit «{name}» ({validFrom} – {validTo}).',
+    tariff_overlap_open: 'Der Tarif überschneidet sich mit «{name}» (ab {validFrom}, unbefristet).',
+    tariffs_changed: 'Die Tarife wurden inzwischen geändert, bitte erneut versuchen.',
+    tariff_not_found: 'Tarif nicht gefunden.',
+    tariffs_fetch_failed: 'Fehler beim Laden der Tarife.',
+    tariff_save_failed: 'Fehler beim Speichern des Tarifs.',
+    tariff_delete_failed: 'Fehler beim Löschen des Tarifs.',
+
+    // settlements
+    invalid_period: 'Ungültiger oder fehlender Monat (JJJJ-MM).',
+    month_not_over: 'Nur Monate, die schon vorbei sind, können abgeschlossen werden.',
+    too_many_owners: 'Zu viele Personen, um den Monat in einem Schritt abzurechnen.',
+    month_closed: 'Der Monat {period} ist bereits abgeschlossen.',
+    invalid_paid: 'paid muss true oder false sein.',
+    invalid_paid_at: 'Das Zahlungsdatum muss ein Datum (JJJJ-MM-TT) sein.',
+    invalid_payment_reference: 'Die Zahlungsreferenz muss ein Text sein.',
+    statement_not_found: 'Abrechnung nicht gefunden.',
+    statement_payment_forbidden: 'Die Zahlung kann nur ein Admin oder wer den Monat abgeschlossen hat erfassen, nicht der Schuldner selbst.',
+    settlements_fetch_failed: 'Fehler beim Laden der Abrechnungen.',
+    month_close_failed: 'Fehler beim Abschliessen des Monats.',
+    statements_fetch_failed: 'Fehler beim Laden der Abrechnungen.',
+    balance_fetch_failed: 'Fehler beim Laden des Saldos.',
+    statement_update_failed: 'Fehler beim Ändern der Abrechnung.',
+
+    // statistics, export, reports and audit log
+    anomalies_fetch_failed: 'Fehler beim Laden der auffälligen Messungen.',
+    consistency_check_failed: 'Fehler bei der Konsistenzprüfung.',
+    program_stats_failed: 'Fehler beim Berechnen der Programmstatistik.',
+    summary_failed: 'Fehler beim Berechnen der Zusammenfassung.',
+    unknown_export_format: 'Unbekanntes Format. Erwartet wird eines von: {formats}.',
+    unknown_export_data: 'Unbekannte Daten. Erwartet wird eines von: {data}.',
+    csv_single_table: 'Eine CSV-Datei enthält nur eine Tabelle; bitte readings, by-user, by-appliance oder by-month wählen.',
+    export_failed: 'Fehler beim Exportieren der Messungen.',
+    invalid_report_period: 'Der Zeitraum muss JJJJ-MM oder JJJJ sein.',
+    invalid_report_format: 'Das Format muss html oder pdf sein.',
+    invalid_report_users: 'users muss eine Liste von Benutzernamen sein.',
+    mail_not_configured: 'Der E-Mail-Versand ist nicht eingerichtet (SMTP_HOST).',
+    report_failed: 'Fehler beim Erstellen des Berichts.',
+    reports_send_failed: 'Fehler beim Versenden der Berichte.',
+    unknown_audit_action: 'Unbekannte Aktion. Erwartet wird eine von: {actions}.',
+    invalid_audit_dates: 'from und to müssen Daten (JJJJ-MM-TT) sein.',
+    audit_fetch_failed: 'Fehler beim Laden des Änderungsprotokolls.'
+  },
+
+  // implausible consumption; {limitKWh} and {medianKWh} come from the check
+  anomaly: {
+    summary: 'Ein Verbrauch von {deltaKWh} kWh ist {reasons}. Bitte den Zählerstand prüfen oder bestätigen.',
+    and: ' und ',
+    above_max: 'mehr als das Maximum von {limitKWh} kWh pro Wäsche',
+    above_owner_history: 'weit über dem üblichen Verbrauch der Person (Median {medianKWh} kWh)',
+    above_appliance_history: 'weit über dem üblichen Verbrauch des Geräts (Median {medianKWh} kWh)'
+  },
+
+  meterEvent: {
+    replacement: 'Zählertausch',
+    reset: 'Zähler zurückgesetzt',
+    rollover: 'Zählerüberlauf'
+  },
+
+  // names of the appliance and household that exist without being configured
+  defaults: {
+    appliance: 'Waschmaschine',
+    household: 'Haushalt'
+  },
+
+  report: {
+    monthly: 'Monatsbericht {period}',
+    yearly: 'Jahresbericht {period}',
+    subject: 'Wäsche: {title} für {username}',
+    filenameMonthly: 'Waesche_Monatsbericht',
+    filenameYearly: 'Waesche_Jahresbericht',
+    greeting: 'Hallo {username}',
+    ownConsumption: 'Dein Verbrauch: {kWh} ({share} % des Haushalts)',
+    ownCost: 'Deine Kosten: {cost}',
+    unpriced: ' ({count} Wäschen ohne Tarif)',
+    washCount: 'Anzahl Wäschen: {count}',
+    householdTotal: 'Haushalt gesamt: {kWh} · {cost} · {count} Wäschen',
+    perMonth: 'Pro Monat',
+    ownWashes: 'Deine Wäschen',
+    byAppliance: 'Nach Gerät',
+    meterEvents: 'Zählerereignisse',
+    householdByUser: 'Haushalt nach Benutzer',
+    chartPerMonth: 'Dein Verbrauch pro Monat (kWh)',
+    chartPerUser: 'Verbrauch pro Benutzer (kWh)',
+    month: 'Monat',
+    date: 'Datum',
+    user: 'Benutzer',
+    appliance: 'Gerät',
+    event: 'Ereignis',
+    consumption: 'Verbrauch',
+    consumptionKWh: 'Verbrauch (kWh)',
+    cost: 'Kosten',
+    washes: 'Wäschen',
+    note: 'Notiz',
+    ownConsumptionColumn: 'Dein Verbrauch',
+    ownConsumptionKWh: 'Dein Verbrauch (kWh)',
+    ownCostColumn: 'Deine Kosten',
+    household: 'Haushalt',
+    householdKWh: 'Haushalt (kWh)',
+    householdCost: 'Haushalt Kosten',
+    oldMeter: 'Alter Zähler (Endstand)',
+    newMeter: 'Neuer Zähler (Anfangsstand)',
+    previousKWh: 'Vorher (kWh)',
+    currentKWh: 'Aktuell (kWh)',
+    deltaKWh: 'Delta (kWh)',
+    total: 'Total',
+    userLine: 'Benutzer: {username}',
+    generatedLine: 'Erstellt am: {date}',
+    generatedAt: 'Erstellt am {date}',
+    seeAttachment: 'Details im angehängten PDF.'
+  },
+
+  email: {
+    inApp: 'in der App',
+    unsubscribe: 'Du erhältst diesen Bericht, weil du Wäschen erfasst hast. Abbestellen kannst du ihn {where} unter «Profil & Berichte».'
+  }
+};
@@ -0,0 +1,323 @@
+// English texts of the server, see lib/i18n.mjs
+export default {
+  errors: {
+    // authentication and household
+    token_missing: 'Authentication required: no token provided.',
+    token_invalid: 'Authentication failed: invalid token.',
+    token_malformed: 'Authentication failed: the token is malformed.',
+    token_algorithm: 'Authentication failed: unsupported token algorithm.',
+    token_unknown_key: 'Authentication failed: the token was signed with an unknown key.',
+    token_expired: 'Authentication failed: the token has expired.',
+    token_not_yet_valid: 'Authentication failed: the token is not valid yet.',
+    token_audience: 'Authentication failed: the token was issued for a different application.',
+    token_issuer: 'Authentication failed: the token was issued by an untrusted issuer.',
+    token_signature: 'Authentication failed: the token signature is invalid.',
+    jwks_unavailable: 'Authentication is unavailable at the moment, please try again later.',
+    auth_not_configured: 'Authentication is not configured on the server.',
+    api_token_invalid: 'Authentication failed: invalid API token.',
+    api_token_revoked: 'Authentication failed: the API token has been revoked.',
+    api_token_check_failed: 'Error checking the API token.',
+    token_scope: 'The API token (scope {scope}) does not allow {method} {path}.',
+    not_authenticated: 'User not authenticated.',
+    no_household: 'You are not a member of any household.',
+    household_forbidden: 'You are not a member of household "{householdId}".',
+    household_forbidden_token: 'The API token is not valid for this household.',
+    user_inactive: 'Your account in this household has been deactivated.',
+    token_owner_unregistered: 'The owner of the API token is no longer registered.',
+    user_load_failed: 'Error loading the user.',
+
+    // profile, users and API tokens
+    invalid_email: 'email must be a valid address or null.',
+    invalid_report_flags: 'monthlyReport and yearlyReport must be booleans.',
+    invalid_language: 'language must be one of {languages} or null.',
+    invalid_user: 'Invalid user.',
+    invalid_username: 'username must be a non-empty name of at most {max} characters without "/" or "#".',
+    invalid_display_name: 'displayName must be a non-empty string of at most {max} characters.',
+    invalid_role: 'role must be one of {roles}.',
+    invalid_active: 'active must be a boolean.',
+    admin_required_add_user: 'Only admins can add users.',
+    admin_required_change_user: 'Only admins can change users.',
+    admin_required_appliances: 'Only admins can add or change appliances.',
+    admin_required_tariffs: 'Only admins can add or delete tariffs.',
+    admin_required_settlements: 'Only admins can close months.',
+    admin_required_reports: 'Only admins can send reports.',
+    admin_required_audit: 'Only admins can view the audit log.',
+    user_exists: 'User {username} already exists.',
+    user_not_found: 'User not found.',
+    cannot_demote_self: 'You cannot demote or deactivate yourself.',
+    nothing_to_update: 'Nothing to update.',
+    not_in_household: '{username} is not a member of this household.',
+    invalid_token_name: 'name must be a non-empty string of at most {max} characters.',
+    invalid_token_scope: 'scope must be one of {scopes}.',
+    token_limit: 'You already have {max} active tokens; revoke one first.',
+    token_not_found: 'Token not found.',
+    token_already_revoked: 'The token has already been revoked.',
+    profile_fetch_failed: 'Error fetching the profile.',
+    profile_save_failed: 'Error saving the profile.',
+    users_fetch_failed: 'Error fetching the users.',
+    user_create_failed: 'Error creating the user.',
+    user_update_failed: 'Error updating the user.',
+    tokens_fetch_failed: 'Error fetching the API tokens.',
+    token_create_failed: 'Error creating the API token.',
+    token_revoke_failed: 'Error revoking the API token.',
+
+    // measurements
+    invalid_limit: 'limit must be a whole number from 1 to {max}.',
+    invalid_cursor: 'The cursor is invalid; start again without one.',
+    invalid_current_kwh: 'Invalid or missing currentKWh value.',
+    invalid_expected_start: 'Invalid expectedStartKWh value.',
+    invalid_confirm_anomaly: 'confirmAnomaly must be a boolean.',
+    invalid_captured_at: 'capturedAt must be a time in milliseconds.',
+    captured_at_in_future: 'The time of the measurement (capturedAt) is in the future.',
+    invalid_end_kwh: 'Invalid endKWh value.',
+    invalid_notes: 'notes must be a string.',
+    invalid_owner: 'ownerUsername must be a non-empty string.',
+    invalid_for_username: 'forUsername must be a non-empty string.',
+    missing_wash_id: 'Missing washId.',
+    unknown_appliance: 'Unknown appliance "{applianceId}".',
+    machine_busy: 'A wash for {username} is in progress; finish or cancel it first.',
+    chain_moved: 'Another measurement was recorded in the meantime; the last meter value is now {latestEndKWh} kWh.',
+    chain_busy: 'The measurements kept changing, please try again.',
+    captured_before_latest: 'The measurement was taken before the last one stored and can no longer be appended.',
+    meter_decreased: 'The meter value ({currentKWh} kWh) must be greater than the last recorded one ({latestEndKWh} kWh). If the meter was replaced, reset or rolled over, record a meter event first.',
+    meter_final_below_latest: 'The final value of the old meter ({oldMeterFinalKWh} kWh) must not be lower than the last recorded meter value ({latestEndKWh} kWh).',
+    session_start_below_latest: 'The meter value ({currentKWh} kWh) must not be lower than the last recorded one ({latestEndKWh} kWh).',
+    reading_not_found: 'Measurement not found.',
+    reading_forbidden: 'Not allowed to edit this measurement.',
+    reading_delete_forbidden: 'Not allowed to delete this measurement.',
+    month_settled: 'This month has already been settled; its measurements can no longer be edited.',
+    month_settled_delete: 'This month has already been settled; its measurements can no longer be deleted.',
+    next_settled: 'The following measurement belongs to a settled month and can no longer be changed.',
+    meter_event_has_followers: 'Measurements on the new meter follow this meter event; delete them first.',
+    meter_event_notes_only: 'Only the notes of a meter event can be edited; delete and record it again instead.',
+    reading_changed: 'The measurements changed in the meantime, please reload and try again.',
+    end_not_above_start: 'The meter value ({endKWh} kWh) must be greater than the start of the measurement ({startKWh} kWh).',
+    end_above_meter_final: 'The meter value ({endKWh} kWh) must not exceed the final value of the old meter ({finalKWh} kWh) of the following meter event.',
+    end_above_next: 'The meter value ({endKWh} kWh) must be lower than that of the following measurement ({nextEndKWh} kWh).',
+    not_claimable: 'Only unassigned washes recorded by a smart plug can be claimed.',
+    already_claimed: 'Someone else claimed this wash in the meantime, please reload.',
+    readings_fetch_failed: 'Error fetching the measurements.',
+    reading_save_failed: 'Error saving the measurement.',
+    latest_fetch_failed: 'Error fetching the last meter value.',
+    reading_delete_failed: 'Error deleting the measurement.',
+    reading_edit_failed: 'Error editing the measurement.',
+    reading_claim_failed: 'Error claiming the wash.',
+
+    // meter events
+    invalid_meter_event: 'Invalid meter event.',
+    invalid_meter_event_type: 'type must be one of {types}.',
+    invalid_old_meter_final: 'oldMeterFinalKWh must be a number of at least 0.',
+    invalid_new_meter_start: 'newMeterStartKWh must be a number of at least 0.',
+    new_meter_start_not_lower: 'After a reset or rollover the meter must start lower than the final value of the old meter.',
+    meter_event_save_failed: 'Error saving the meter event.',
+
+    // CSV import
+    invalid_csv: 'csv must be a non-empty string.',
+    csv_empty: 'The CSV contains no rows.',
+    csv_too_many_rows: 'At most {max} rows can be imported at once.',
+    csv_invalid_rows: 'The CSV contains invalid rows; nothing was imported.',
+    import_too_large: 'The import would change too many measurements at once; please split the file into smaller parts.',
+    import_outdated: 'The measurements changed in the meantime, please check the preview again.',
+    import_invalid_date: 'Invalid date "{date}" (expected YYYY-MM-DD or DD.MM.YYYY, optionally with HH:MM).',
+    import_invalid_kwh: 'Invalid meter value "{kWh}".',
+    import_duplicate_time: 'A measurement with the same date and time already exists.',
+    import_duplicate_row: 'Same date and time as line {line}.',
+    import_month_settled: 'This month has already been settled.',
+    import_in_future: 'The date lies in the future.',
+    import_not_increasing: 'The meter value {endKWh} must be greater than the previous one ({startKWh}).',
+    import_above_meter_final: 'The meter value {endKWh} must not exceed the final value of the old meter ({finalKWh}) of the following meter event.',
+    import_above_next: 'The meter value {endKWh} must be lower than that of the following measurement ({nextEndKWh}).',
+    import_failed: 'Error importing the measurements.',
+
+    // meter photos
+    photo_too_large: 'The photo must not be larger than {maxMB} MB.',
+    photo_type: 'Send the photo as {types}.',
+    photo_forbidden: 'Not allowed to change the photo of this measurement.',
+    photo_not_found: 'This measurement has no photo.',
+    photo_save_failed: 'Error saving the photo.',
+    photo_fetch_failed: 'Error fetching the photo.',
+    photo_delete_failed: 'Error deleting the photo.',
+
+    // wash sessions
+    session_not_found: 'No open wash with this id (it may have expired).',
+    session_finish_forbidden: 'Not allowed to finish this wash.',
+    session_cancel_forbidden: 'Not allowed to cancel this wash.',
+    session_end_not_above_start: 'The meter value ({currentKWh} kWh) must be greater than at the start of the wash ({startKWh} kWh).',
+    session_changed: 'The wash changed in the meantime, please reload and try again.',
+    session_fetch_failed: 'Error fetching the wash.',
+    sessions_fetch_failed: 'Error fetching the washes.',
+    session_start_failed: 'Error starting the wash.',
+    session_finish_failed: 'Error finishing the wash.',
+    session_cancel_failed: 'Error cancelling the wash.',
+
+    // wash details
+    invalid_program: 'program must be one of {programs}.',
+    invalid_temperature: 'temperatureC must be a whole number from {min} to {max}.',
+    invalid_spin: 'spinRpm must be a whole number from {min} to {max}.',
+    invalid_load_level: 'loadLevel must be one of {levels}.',
+    invalid_duration: 'durationMinutes must be a whole number from {min} to {max}.',
+
+    // reservations
+    invalid_date_range: 'from and to must be dates (YYYY-MM-DD) with from <= to.',
+    invalid_slot_start: 'start must be an ISO date-time or a timestamp.',
+    slot_off_grid: 'The slot must start on a {minutes}-minute boundary.',
+    invalid_slot_duration: 'durationMinutes must be one of {durations}.',
+    slot_in_past: 'The slot lies in the past.',
+    weekly_limit: '{username} already has {count} bookings this week (limit {limit}).',
+    slot_taken: 'The slot overlaps with an existing booking.',
+    reservation_not_found: 'Reservation not found or already cancelled.',
+    reservation_forbidden: 'Not allowed to cancel this reservation.',
+    slot_over: 'This slot is already over and can no longer be cancelled.',
+    reservation_changed: 'The reservation changed in the meantime, please reload.',
+    reservations_fetch_failed: 'Error fetching the reservations.',
+    reservation_create_failed: 'Error creating the reservation.',
+    reservation_cancel_failed: 'Error cancelling the reservation.',
+
+    // appliances and smart plugs
+    invalid_appliance: 'Invalid appliance.',
+    invalid_appliance_name: 'name must be a non-empty string of at most {max} characters.',
+    invalid_meter_id: 'meterId must be a string of at most {max} characters or null.',
+    invalid_plug_id: 'plugId must be the device id of the plug (letters, digits, ".", ":", "_" or "-") or null.',
+    invalid_tariff_plan: 'The tariff plan must consist of lowercase letters, digits, "-" or "_".',
+    plug_in_use: 'The plug "{plugId}" already measures another appliance.',
+    appliance_not_found: 'Appliance not found.',
+    appliance_changed: 'The appliance changed in the meantime, please reload.',
+    appliances_fetch_failed: 'Error fetching the appliances.',
+    appliance_save_failed: 'Error saving the appliance.',
+    appliance_update_failed: 'Error updating the appliance.',
+    invalid_telemetry: 'The telemetry payload must be a JSON object.',
+    telemetry_no_device: 'The telemetry names no valid device id.',
+    telemetry_no_power: 'The telemetry carries no valid power (W).',
+    telemetry_bad_energy: 'The energy counter must be a non-negative number.',
+    unknown_plug: 'No appliance of this household is measured by the plug "{plugId}".',
+    telemetry_failed: 'Error processing the telemetry.',
+
+    // tariffs
+    invalid_tariff: 'Invalid tariff.',
+    invalid_tariff_name: 'name must be a string.',
+    invalid_valid_from: 'validFrom must be a date (YYYY-MM-DD).',
+    invalid_valid_to: 'validTo must be a date (YYYY-MM-DD) or null.',
+    valid_to_before_from: 'validTo must be after validFrom.',
+    invalid_fee: 'feePerWash must be a non-negative number.',
+    invalid_price: 'pricePerKWh must be a non-negative number.',
+    invalid_time_of_use_rates: 'timeOfUse.highRate and timeOfUse.lowRate must be non-negative numbers.',
+    invalid_high_days: 'timeOfUse.highDays must be a list of ISO weekdays (1 = Monday … 7 = Sunday).',
+    invalid_high_hour: 'timeOfUse.{field} must be an hour between 0 and 24.',
+    tariff_overlap: 'The tariff overlaps with an existing tariff.',
+    tariff_overlap_with: 'The tariff overlaps with "{name}" ({validFrom} – {validTo}).',
+    tariff_overlap_open: 'The tariff overlaps with "{name}" (from {validFrom}, open-ended).',
+    tariffs_changed: 'The tariffs changed in the meantime, please try again.',
+    tariff_not_found: 'Tariff not found.',
+    tariffs_fetch_failed: 'Error fetching the tariffs.',
+    tariff_save_failed: 'Error saving the tariff.',
+    tariff_delete_failed: 'Error deleting the tariff.',
+
+    // settlements
+    invalid_period: 'Invalid or missing period (YYYY-MM).',
+    month_not_over: 'Only months that have already ended can be closed.',
+    too_many_owners: 'Too many owners to settle in one transaction.',
+    month_closed: 'Month {period} has already been closed.',
+    invalid_paid: 'paid must be true or false.',
+    invalid_paid_at: 'paidAt must be a date (YYYY-MM-DD).',
+    invalid_payment_reference: 'paymentReference must be a string.',
+    statement_not_found: 'Statement not found.',
+    statement_payment_forbidden: 'Only an admin or whoever closed the month can record the payment, not the debtor.',
+    settlements_fetch_failed: 'Error fetching the settlements.',
+    month_close_failed: 'Error closing the month.',
+    statements_fetch_failed: 'Error fetching the statements.',
+    balance_fetch_failed: 'Error fetching the balance.',
+    statement_update_failed: 'Error updating the statement.',
+
+    // statistics, export, reports and audit log
+    anomalies_fetch_failed: 'Error fetching the implausible measurements.',
+    consistency_check_failed: 'Error checking the consistency.',
+    program_stats_failed: 'Error computing the program statistics.',
+    summary_failed: 'Error computing the summary.',
+    unknown_export_format: 'Unknown format. Expected one of: {formats}.',
+    unknown_export_data: 'Unknown data. Expected one of: {data}.',
+    csv_single_table: 'CSV holds a single table; choose readings, by-user, by-appliance or by-month.',
+    export_failed: 'Error exporting the measurements.',
+    invalid_report_period: 'period must be YYYY-MM or YYYY.',
+    invalid_report_format: 'format must be html or pdf.',
+    invalid_report_users: 'users must be a list of usernames.',
+    mail_not_configured: 'Email delivery is not configured (SMTP_HOST).',
+    report_failed: 'Error rendering the report.',
+    reports_send_failed: 'Error sending the reports.',
+    unknown_audit_action: 'Unknown action. Expected one of: {actions}.',
+    invalid_audit_dates: 'from and to must be dates (YYYY-MM-DD).',
+    audit_fetch_failed: 'Error fetching the audit log.'
+  },
+
+  // implausible consumption; {limitKWh} and {medianKWh} come from the check
+  anomaly: {
+    summary: 'A consumption of {deltaKWh} kWh is {reasons}. Check the meter value or confirm it.',
+    and: ' and ',
+    above_max: 'above the maximum of {limitKWh} kWh per wash',
+    above_owner_history: "far above the person's usual {medianKWh} kWh",
+    above_appliance_history: "far above the appliance's usual {medianKWh} kWh"
+  },
+
+  meterEvent: {
+    replacement: 'Meter replaced',
+    reset: 'Meter reset',
+    rollover: 'Meter rollover'
+  },
+
+  // names of the appliance and household that exist without being configured
+  defaults: {
+    appliance: 'Washing machine',
+    household: 'Household'
+  },
+
+  report: {
+    monthly: 'Monthly report {period}',
+    yearly: 'Annual report {period}',
+    subject: 'Laundry: {title} for {username}',
+    filenameMonthly: 'Laundry_monthly_report',
+    filenameYearly: 'Laundry_annual_report',
+    greeting: 'Hello {username}',
+    ownConsumption: 'Your consumption: {kWh} ({share} % of the household)',
+    ownCost: 'Your costs: {cost}',
+    unpriced: ' ({count} washes without a tariff)',
+    washCount: 'Number of washes: {count}',
+    householdTotal: 'Household total: {kWh} · {cost} · {count} washes',
+    perMonth: 'Per month',
+    ownWashes: 'Your washes',
+    byAppliance: 'By appliance',
+    meterEvents: 'Meter events',
+    householdByUser: 'Household by user',
+    chartPerMonth: 'Your consumption per month (kWh)',
+    chartPerUser: 'Consumption per user (kWh)',
+    month: 'Month',
+    date: 'Date',
+    user: 'User',
+    appliance: 'Appliance',
+    event: 'Event',
+    consumption: 'Consumption',
+    consumptionKWh: 'Consumption (kWh)',
+    cost: 'Costs',
+    washes: 'Washes',
+    note: 'Note',
+    ownConsumptionColumn: 'Your consumption',
+    ownConsumptionKWh: 'Your consumption (kWh)',
+    ownCostColumn: 'Your costs',
+    household: 'Household',
+    householdKWh: 'Household (kWh)',
+    householdCost: 'Household costs',
+    oldMeter: 'Old meter (final value)',
+    newMeter: 'New meter (initial value)',
+    previousKWh: 'Previous (kWh)',
+    currentKWh: 'Current (kWh)',
+    deltaKWh: 'Delta (kWh)',
+    total: 'Total',
+    userLine: 'User: {username}',
+    generatedLine: 'Created on: {date}',
+    generatedAt: 'Created on {date}',
+    seeAttachment: 'Details in the attached PDF.'
+  },
+
+  email: {
+    inApp: 'in the app',
+    unsubscribe: 'You receive this report because you recorded washes. You can unsubscribe {where} under "Profile & reports".'
+  }
+};
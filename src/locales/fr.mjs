@@ -0,0 +1,323 @@
+// French texts of the server, see lib/i18n.mjs
+export default {
+  errors: {
+    // authentication and household
+    token_missing: 'Connexion requise : aucun jeton n’a été envoyé.',
+    token_invalid: 'Échec de la connexion : jeton invalide.',
+    token_malformed: 'Échec de la connexion : le jeton est mal formé.',
+    token_algorithm: 'Échec de la connexion : algorithme de jeton non pris en charge.',
+    token_unknown_key: 'Échec de la connexion : le jeton a été signé avec une clé inconnue.',
+    token_expired: 'Échec de la connexion : le jeton a expiré.',
+    token_not_yet_valid: 'Échec de la connexion : le jeton n’est pas encore valable.',
+    token_audience: 'Échec de la connexion : le jeton a été émis pour une autre application.',
+    token_issuer: 'Échec de la connexion : le jeton provient d’un émetteur non fiable.',
+    token_signature: 'Échec de la connexion : la signature du jeton est invalide.',
+    jwks_unavailable: 'La connexion est momentanément impossible, veuillez réessayer plus tard.',
+    auth_not_configured: 'La connexion n’est pas configurée sur le serveur.',
+    api_token_invalid: 'Échec de la connexion : jeton d’API invalide.',
+    api_token_revoked: 'Échec de la connexion : le jeton d’API a été révoqué.',
+    api_token_check_failed: 'Erreur lors de la vérification du jeton d’API.',
+    token_scope: 'Le jeton d’API (portée {scope}) n’autorise pas {method} {path}.',
+    not_authenticated: 'Utilisateur non connecté.',
+    no_household: 'Tu ne fais partie d’aucun ménage.',
+    household_forbidden: 'Tu ne fais pas partie du ménage « {householdId} ».',
+    household_forbidden_token: 'Le jeton d’API n’est pas valable pour ce ménage.',
+    user_inactive: 'Ton compte a été désactivé dans ce ménage.',
+    token_owner_unregistered: 'La personne propriétaire du jeton d’API n’est plus enregistrée.',
+    user_load_failed: 'Erreur lors du chargement de l’utilisateur.',
+
+    // profile, users and API tokens
+    invalid_email: 'email doit être une adresse valable ou null.',
+    invalid_report_flags: 'monthlyReport et yearlyReport doivent valoir true ou false.',
+    invalid_language: 'language doit être l’une des valeurs {languages} ou null.',
+    invalid_user: 'Utilisateur invalide.',
+    invalid_username: 'Le nom d’utilisateur ne doit pas être vide, doit compter au plus {max} caractères et ne contenir ni « / » ni « # ».',
+    invalid_display_name: 'Le nom affiché ne doit pas être vide et doit compter au plus {max} caractères.',
+    invalid_role: 'role doit être l’une des valeurs {roles}.',
+    invalid_active: 'active doit valoir true ou false.',
+    admin_required_add_user: 'Seuls les admins peuvent ajouter des utilisateurs.',
+    admin_required_change_user: 'Seuls les admins peuvent modifier des utilisateurs.',
+    admin_required_appliances: 'Seuls les admins peuvent ajouter ou modifier des appareils.',
+    admin_required_tariffs: 'Seuls les admins peuvent saisir ou supprimer des tarifs.',
+    admin_required_settlements: 'Seuls les admins peuvent clôturer des mois.',
+    admin_required_reports: 'Seuls les admins peuvent envoyer des rapports.',
+    admin_required_audit: 'Seuls les admins peuvent consulter le journal des modifications.',
+    user_exists: 'L’utilisateur {username} existe déjà.',
+    user_not_found: 'Utilisateur introuvable.',
+    cannot_demote_self: 'Tu ne peux ni te retirer le rôle d’admin ni te désactiver toi-même.',
+    nothing_to_update: 'Rien à modifier.',
+    not_in_household: '{username} ne fait pas partie de ce ménage.',
+    invalid_token_name: 'Le nom ne doit pas être vide et doit compter au plus {max} caractères.',
+    invalid_token_scope: 'scope doit être l’une des valeurs {scopes}.',
+    token_limit: 'Tu as déjà {max} jetons actifs ; révoque d’abord l’un d’eux.',
+    token_not_found: 'Jeton introuvable.',
+    token_already_revoked: 'Le jeton a déjà été révoqué.',
+    profile_fetch_failed: 'Erreur lors du chargement du profil.',
+    profile_save_failed: 'Erreur lors de l’enregistrement du profil.',
+    users_fetch_failed: 'Erreur lors du chargement des utilisateurs.',
+    user_create_failed: 'Erreur lors de la création de l’utilisateur.',
+    user_update_failed: 'Erreur lors de la modification de l’utilisateur.',
+    tokens_fetch_failed: 'Erreur lors du chargement des jetons d’API.',
+    token_create_failed: 'Erreur lors de la création du jeton d’API.',
+    token_revoke_failed: 'Erreur lors de la révocation du jeton d’API.',
+
+    // measurements
+    invalid_limit: 'limit doit être un nombre entier de 1 à {max}.',
+    invalid_cursor: 'Le curseur est invalide ; recommence sans curseur.',
+    invalid_current_kwh: 'Relevé du compteur (currentKWh) invalide ou manquant.',
+    invalid_expected_start: 'Relevé précédent (expectedStartKWh) invalide.',
+    invalid_confirm_anomaly: 'confirmAnomaly doit valoir true ou false.',
+    invalid_captured_at: 'capturedAt doit être un instant en millisecondes.',
+    captured_at_in_future: 'L’heure de la mesure (capturedAt) est dans le futur.',
+    invalid_end_kwh: 'Relevé du compteur (endKWh) invalide.',
+    invalid_notes: 'La note doit être un texte.',
+    invalid_owner: 'ownerUsername ne doit pas être vide.',
+    invalid_for_username: 'forUsername ne doit pas être vide.',
+    missing_wash_id: 'Le washId manque.',
+    unknown_appliance: 'Appareil inconnu « {applianceId} ».',
+    machine_busy: 'Une lessive de {username} est en cours ; termine-la ou annule-la d’abord.',
+    chain_moved: 'Une autre mesure a été enregistrée entre-temps ; le dernier relevé est maintenant de {latestEndKWh} kWh.',
+    chain_busy: 'Les mesures changeaient sans cesse, veuillez réessayer.',
+    captured_before_latest: 'La mesure a été prise avant la dernière enregistrée et ne peut plus être ajoutée.',
+    meter_decreased: 'Le relevé ({currentKWh} kWh) doit être supérieur au dernier relevé enregistré ({latestEndKWh} kWh). Si le compteur a été remplacé, remis à zéro ou a débordé, enregistre d’abord l’événement de compteur.',
+    meter_final_below_latest: 'Le relevé final de l’ancien compteur ({oldMeterFinalKWh} kWh) ne doit pas être inférieur au dernier relevé enregistré ({latestEndKWh} kWh).',
+    session_start_below_latest: 'Le relevé ({currentKWh} kWh) ne doit pas être inférieur au dernier relevé enregistré ({latestEndKWh} kWh).',
+    reading_not_found: 'Mesure introuvable.',
+    reading_forbidden: 'Tu n’as pas le droit de modifier cette mesure.',
+    reading_delete_forbidden: 'Tu n’as pas le droit de supprimer cette mesure.',
+    month_settled: 'Ce mois est déjà décompté ; ses mesures ne peuvent plus être modifiées.',
+    month_settled_delete: 'Ce mois est déjà décompté ; ses mesures ne peuvent plus être supprimées.',
+    next_settled: 'La mesure suivante appartient à un mois décompté et ne peut plus être modifiée.',
+    meter_event_has_followers: 'Des mesures sur le nouveau compteur suivent cet événement de compteur ; supprime-les d’abord.',
+    meter_event_notes_only: 'Seule la note d’un événement de compteur peut être modifiée ; sinon supprime-le et saisis-le à nouveau.',
+    reading_changed: 'Les mesures ont changé entre-temps, veuillez recharger et réessayer.',
+    end_not_above_start: 'Le relevé ({endKWh} kWh) doit être supérieur au début de la mesure ({startKWh} kWh).',
+    end_above_meter_final: 'Le relevé ({endKWh} kWh) ne doit pas dépasser le relevé final de l’ancien compteur ({finalKWh} kWh) de l’événement de compteur suivant.',
+    end_above_next: 'Le relevé ({endKWh} kWh) doit être inférieur à celui de la mesure suivante ({nextEndKWh} kWh).',
+    not_claimable: 'Seules les lessives non attribuées enregistrées par une prise connectée peuvent être reprises.',
+    already_claimed: 'Quelqu’un d’autre a repris cette lessive entre-temps, veuillez recharger.',
+    readings_fetch_failed: 'Erreur lors du chargement des mesures.',
+    reading_save_failed: 'Erreur lors de l’enregistrement de la mesure.',
+    latest_fetch_failed: 'Erreur lors du chargement du dernier relevé.',
+    reading_delete_failed: 'Erreur lors de la suppression de la mesure.',
+    reading_edit_failed: 'Erreur lors de la modification de la mesure.',
+    reading_claim_failed: 'Erreur lors de la reprise de la lessive.',
+
+    // meter events
+    invalid_meter_event: 'Événement de compteur invalide.',
+    invalid_meter_event_type: 'type doit être l’une des valeurs {types}.',
+    invalid_old_meter_final: 'Le relevé final de l’ancien compteur doit être un nombre d’au moins 0.',
+    invalid_new_meter_start: 'Le relevé initial du nouveau compteur doit être un nombre d’au moins 0.',
+    new_meter_start_not_lower: 'Après une remise à zéro ou un débordement, le compteur doit repartir plus bas que le relevé final de l’ancien compteur.',
+    meter_event_save_failed: 'Erreur lors de l’enregistrement de l’événement de compteur.',
+
+    // CSV import
+    invalid_csv: 'csv ne doit pas être vide.',
+    csv_empty: 'Le fichier CSV ne contient aucune ligne.',
+    csv_too_many_rows: 'Au plus {max} lignes peuvent être importées à la fois.',
+    csv_invalid_rows: 'Le fichier CSV contient des lignes invalides ; rien n’a été importé.',
+    import_too_large: 'L’importation modifierait trop de mesures à la fois ; veuillez diviser le fichier en parties plus petites.',
+    import_outdated: 'Les mesures ont changé entre-temps, veuillez vérifier à nouveau l’aperçu.',
+    import_invalid_date: 'Date invalide « {date} » (attendu AAAA-MM-JJ ou JJ.MM.AAAA, éventuellement avec HH:MM).',
+    import_invalid_kwh: 'Relevé invalide « {kWh} ».',
+    import_duplicate_time: 'Il existe déjà une mesure avec la même date et la même heure.',
+    import_duplicate_row: 'Même date et même heure que la ligne {line}.',
+    import_month_settled: 'Ce mois est déjà décompté.',
+    import_in_future: 'La date est dans le futur.',
+    import_not_increasing: 'Le relevé {endKWh} doit être supérieur au précédent ({startKWh}).',
+    import_above_meter_final: 'Le relevé {endKWh} ne doit pas dépasser le relevé final de l’ancien compteur ({finalKWh}) de l’événement de compteur suivant.',
+    import_above_next: 'Le relevé {endKWh} doit être inférieur à celui de la mesure suivante ({nextEndKWh}).',
+    import_failed: 'Erreur lors de l’importation des mesures.',
+
+    // meter photos
+    photo_too_large: 'La photo ne doit pas dépasser {maxMB} Mo.',
+    photo_type: 'Envoie la photo au format {types}.',
+    photo_forbidden: 'Tu n’as pas le droit de modifier la photo de cette mesure.',
+    photo_not_found: 'Cette mesure n’a pas de photo.',
+    photo_save_failed: 'Erreur lors de l’enregistrement de la photo.',
+    photo_fetch_failed: 'Erreur lors du chargement de la photo.',
+    photo_delete_failed: 'Erreur lors de la suppression de la photo.',
+
+    // wash sessions
+    session_not_found: 'Aucune lessive en cours avec cet identifiant (elle a peut-être expiré).',
+    session_finish_forbidden: 'Tu n’as pas le droit de terminer cette lessive.',
+    session_cancel_forbidden: 'Tu n’as pas le droit d’annuler cette lessive.',
+    session_end_not_above_start: 'Le relevé ({currentKWh} kWh) doit être supérieur à celui du début de la lessive ({startKWh} kWh).',
+    session_changed: 'La lessive a changé entre-temps, veuillez recharger et réessayer.',
+    session_fetch_failed: 'Erreur lors du chargement de la lessive.',
+    sessions_fetch_failed: 'Erreur lors du chargement des lessives.',
+    session_start_failed: 'Erreur lors du démarrage de la lessive.',
+    session_finish_failed: 'Erreur lors de la fin de la lessive.',
+    session_cancel_failed: 'Erreur lors de l’annulation de la lessive.',
+
+    // wash details
+    invalid_program: 'program doit être l’une des valeurs {programs}.',
+    invalid_temperature: 'La température doit être un nombre entier de {min} à {max}.',
+    invalid_spin: 'La vitesse d’essorage doit être un nombre entier de {min} à {max}.',
+    invalid_load_level: 'loadLevel doit être l’une des valeurs {levels}.',
+    invalid_duration: 'La durée doit être un nombre entier de {min} à {max} minutes.',
+
+    // reservations
+    invalid_date_range: 'from et to doivent être des dates (AAAA-MM-JJ), avec from <= to.',
+    invalid_slot_start: 'Début de réservation invalide.',
+    slot_off_grid: 'Une réservation doit commencer sur une tranche pleine de {minutes} minutes.',
+    invalid_slot_duration: 'La durée doit être l’une des valeurs {durations} minutes.',
+    slot_in_past: 'Le créneau est dans le passé.',
+    weekly_limit: '{username} a déjà {count} réservations cette semaine (au plus {limit}).',
+    slot_taken: 'Le créneau chevauche une réservation existante.',
+    reservation_not_found: 'Réservation introuvable ou déjà annulée.',
+    reservation_forbidden: 'Tu n’as pas le droit d’annuler cette réservation.',
+    slot_over: 'Ce créneau est déjà passé et ne peut plus être annulé.',
+    reservation_changed: 'La réservation a changé entre-temps, veuillez recharger.',
+    reservations_fetch_failed: 'Erreur lors du chargement des réservations.',
+    reservation_create_failed: 'Erreur lors de la réservation.',
+    reservation_cancel_failed: 'Erreur lors de l’annulation de la réservation.',
+
+    // appliances and smart plugs
+    invalid_appliance: 'Appareil invalide.',
+    invalid_appliance_name: 'Le nom ne doit pas être vide et doit compter au plus {max} caractères.',
+    invalid_meter_id: 'Le numéro de compteur doit compter au plus {max} caractères.',
+    invalid_plug_id: 'L’identifiant de la prise ne doit contenir que des lettres, des chiffres, « . », « : », « _ » et « - ».',
+    invalid_tariff_plan: 'Le plan tarifaire ne doit contenir que des minuscules, des chiffres, « - » et « _ ».',
+    plug_in_use: 'La prise « {plugId} » mesure déjà un autre appareil.',
+    appliance_not_found: 'Appareil introuvable.',
+    appliance_changed: 'L’appareil a changé entre-temps, veuillez recharger.',
+    appliances_fetch_failed: 'Erreur lors du chargement des appareils.',
+    appliance_save_failed: 'Erreur lors de l’enregistrement de l’appareil.',
+    appliance_update_failed: 'Erreur lors de la modification de l’appareil.',
+    invalid_telemetry: 'La télémétrie doit être un objet JSON.',
+    telemetry_no_device: 'La télémétrie ne contient aucun identifiant d’appareil valable.',
+    telemetry_no_power: 'La télémétrie ne contient aucune puissance (W) valable.',
+    telemetry_bad_energy: 'Le compteur d’énergie doit être un nombre d’au moins 0.',
+    unknown_plug: 'Aucun appareil de ce ménage n’est mesuré par la prise « {plugId} ».',
+    telemetry_failed: 'Erreur lors du traitement de la télémétrie.',
+
+    // tariffs
+    invalid_tariff: 'Tarif invalide.',
+    invalid_tariff_name: 'Le nom doit être un texte.',
+    invalid_valid_from: '« Valable dès » doit être une date (AAAA-MM-JJ).',
+    invalid_valid_to: '« Valable jusqu’au » doit être une date (AAAA-MM-JJ) ou vide.',
+    valid_to_before_from: '« Valable jusqu’au » doit suivre « Valable dès ».',
+    invalid_fee: 'La taxe par lessive doit être un nombre d’au moins 0.',
+    invalid_price: 'Le prix par kWh doit être un nombre d’au moins 0.',
+    invalid_time_of_use_rates: 'Le tarif haut et le tarif bas doivent être des nombres d’au moins 0.',
+    invalid_high_days: 'Les jours de tarif haut doivent être des jours ISO (1 = lundi … 7 = dimanche).',
+    invalid_high_hour: 'timeOfUse.{field} doit être une heure entre 0 et 24.',
+    tariff_overlap: 'Le tarif chevauche un tarif existant.',
+    tariff_overlap_with: 'Le tarif chevauche « {name} » ({validFrom} – {validTo}).',
+    tariff_overlap_open: 'Le tarif chevauche « {name} » (dès le {validFrom}, sans fin).',
+    tariffs_changed: 'Les tarifs ont changé entre-temps, veuillez réessayer.',
+    tariff_not_found: 'Tarif introuvable.',
+    tariffs_fetch_failed: 'Erreur lors du chargement des tarifs.',
+    tariff_save_failed: 'Erreur lors de l’enregistrement du tarif.',
+    tariff_delete_failed: 'Erreur lors de la suppression du tarif.',
+
+    // settlements
+    invalid_period: 'Mois (AAAA-MM) invalide ou manquant.',
+    month_not_over: 'Seuls les mois déjà terminés peuvent être clôturés.',
+    too_many_owners: 'Trop de personnes pour décompter le mois en une seule étape.',
+    month_closed: 'Le mois {period} est déjà clôturé.',
+    invalid_paid: 'paid doit valoir true ou false.',
+    invalid_paid_at: 'La date de paiement doit être une date (AAAA-MM-JJ).',
+    invalid_payment_reference: 'La référence de paiement doit être un texte.',
+    statement_not_found: 'Décompte introuvable.',
+    statement_payment_forbidden: 'Seul un admin ou la personne qui a clôturé le mois peut saisir le paiement, pas le débiteur.',
+    settlements_fetch_failed: 'Erreur lors du chargement des décomptes.',
+    month_close_failed: 'Erreur lors de la clôture du mois.',
+    statements_fetch_failed: 'Erreur lors du chargement des décomptes.',
+    balance_fetch_failed: 'Erreur lors du chargement du solde.',
+    statement_update_failed: 'Erreur lors de la modification du décompte.',
+
+    // statistics, export, reports and audit log
+    anomalies_fetch_failed: 'Erreur lors du chargement des mesures suspectes.',
+    consistency_check_failed: 'Erreur lors du contrôle de cohérence.',
+    program_stats_failed: 'Erreur lors du calcul des statistiques par programme.',
+    summary_failed: 'Erreur lors du calcul du résumé.',
+    unknown_export_format: 'Format inconnu. Valeurs attendues : {formats}.',
+    unknown_export_data: 'Données inconnues. Valeurs attendues : {data}.',
+    csv_single_table: 'Un fichier CSV ne contient qu’un seul tableau ; choisis readings, by-user, by-appliance ou by-month.',
+    export_failed: 'Erreur lors de l’exportation des mesures.',
+    invalid_report_period: 'La période doit être AAAA-MM ou AAAA.',
+    invalid_report_format: 'Le format doit être html ou pdf.',
+    invalid_report_users: 'users doit être une liste de noms d’utilisateur.',
+    mail_not_configured: 'L’envoi d’e-mails n’est pas configuré (SMTP_HOST).',
+    report_failed: 'Erreur lors de la création du rapport.',
+    reports_send_failed: 'Erreur lors de l’envoi des rapports.',
+    unknown_audit_action: 'Action inconnue. Valeurs attendues : {actions}.',
+    invalid_audit_dates: 'from et to doivent être des dates (AAAA-MM-JJ).',
+    audit_fetch_failed: 'Erreur lors du chargement du journal des modifications.'
+  },
+
+  // implausible consumption; {limitKWh} and {medianKWh} come from the check
+  anomaly: {
+    summary: 'Une consommation de {deltaKWh} kWh est {reasons}. Vérifie le relevé ou confirme-le.',
+    and: ' et ',
+    above_max: 'supérieure au maximum de {limitKWh} kWh par lessive',
+    above_owner_history: 'bien au-dessus de la consommation habituelle de la personne (médiane {medianKWh} kWh)',
+    above_appliance_history: 'bien au-dessus de la consommation habituelle de l’appareil (médiane {medianKWh} kWh)'
+  },
+
+  meterEvent: {
+    replacement: 'Remplacement du compteur',
+    reset: 'Compteur remis à zéro',
+    rollover: 'Débordement du compteur'
+  },
+
+  // names of the appliance and household that exist without being configured
+  defaults: {
+    appliance: 'Machine à laver',
+    household: 'Ménage'
+  },
+
+  report: {
+    monthly: 'Rapport mensuel {period}',
+    yearly: 'Rapport annuel {period}',
+    subject: 'Lessive : {title} pour {username}',
+    filenameMonthly: 'Lessive_rapport_mensuel',
+    filenameYearly: 'Lessive_rapport_annuel',
+    greeting: 'Bonjour {username}',
+    ownConsumption: 'Ta consommation : {kWh} ({share} % du ménage)',
+    ownCost: 'Tes coûts : {cost}',
+    unpriced: ' ({count} lessives sans tarif)',
+    washCount: 'Nombre de lessives : {count}',
+    householdTotal: 'Total du ménage : {kWh} · {cost} · {count} lessives',
+    perMonth: 'Par mois',
+    ownWashes: 'Tes lessives',
+    byAppliance: 'Par appareil',
+    meterEvents: 'Événements de compteur',
+    householdByUser: 'Ménage par utilisateur',
+    chartPerMonth: 'Ta consommation par mois (kWh)',
+    chartPerUser: 'Consommation par utilisateur (kWh)',
+    month: 'Mois',
+    date: 'Date',
+    user: 'Utilisateur',
+    appliance: 'Appareil',
+    event: 'Événement',
+    consumption: 'Consommation',
+    consumptionKWh: 'Consommation (kWh)',
+    cost: 'Coûts',
+    washes: 'Lessives',
+    note: 'Note',
+    ownConsumptionColumn: 'Ta consommation',
+    ownConsumptionKWh: 'Ta consommation (kWh)',
+    ownCostColumn: 'Tes coûts',
+    household: 'Ménage',
+    householdKWh: 'Ménage (kWh)',
+    householdCost: 'Coûts du ménage',
+    oldMeter: 'Ancien compteur (relevé final)',
+    newMeter: 'Nouveau compteur (relevé initial)',
+    previousKWh: 'Avant (kWh)',
+    currentKWh: 'Actuel (kWh)',
+    deltaKWh: 'Delta (kWh)',
+    total: 'Total',
+    userLine: 'Utilisateur : {username}',
+    generatedLine: 'Créé le : {date}',
+    generatedAt: 'Créé le {date}',
+    seeAttachment: 'Détails dans le PDF joint.'
+  },
+
+  email: {
+    inApp: 'dans l’application',
+    unsubscribe: 'Tu reçois ce rapport parce que tu as enregistré des lessives. Tu peux t’en désabonner {where} sous « Profil et rapports ».'
+  }
+};
@@ -0,0 +1,323 @@
+// Italian texts of the server, see lib/i18n.mjs
+export default {
+  errors: {
+    // authentication and household
+    token_missing: 'Accesso richiesto: non è stato inviato alcun token.',
+    token_invalid: 'Accesso non riuscito: token non valido.',
+    token_malformed: 'Accesso non riuscito: il token non è ben formato.',
+    token_algorithm: 'Accesso non riuscito: algoritmo del token non supportato.',
+    token_unknown_key: 'Accesso non riuscito: il token è stato firmato con una chiave sconosciuta.',
+    token_expired: 'Accesso non riuscito: il token è scaduto.',
+    token_not_yet_valid: 'Accesso non riuscito: il token non è ancora valido.',
+    token_audience: 'Accesso non riuscito: il token è stato emesso per un’altra applicazione.',
+    token_issuer: 'Accesso non riuscito: il token proviene da un emittente non attendibile.',
+    token_signature: 'Accesso non riuscito: la firma del token non è valida.',
+    jwks_unavailable: 'L’accesso non è possibile al momento, riprova più tardi.',
+    auth_not_configured: 'L’accesso non è configurato sul server.',
+    api_token_invalid: 'Accesso non riuscito: token API non valido.',
+    api_token_revoked: 'Accesso non riuscito: il token API è stato revocato.',
+    api_token_check_failed: 'Errore durante la verifica del token API.',
+    token_scope: 'Il token API (ambito {scope}) non consente {method} {path}.',
+    not_authenticated: 'Utente non connesso.',
+    no_household: 'Non fai parte di alcuna economia domestica.',
+    household_forbidden: 'Non fai parte dell’economia domestica «{householdId}».',
+    household_forbidden_token: 'Il token API non è valido per questa economia domestica.',
+    user_inactive: 'Il tuo utente è stato disattivato in questa economia domestica.',
+    token_owner_unregistered: 'La persona titolare del token API non è più registrata.',
+    user_load_failed: 'Errore durante il caricamento dell’utente.',
+
+    // profile, users and API tokens
+    invalid_email: 'email deve essere un indirizzo valido o null.',
+    invalid_report_flags: 'monthlyReport e yearlyReport devono essere true o false.',
+    invalid_language: 'language deve essere uno tra {languages} o null.',
+    invalid_user: 'Utente non valido.',
+    invalid_username: 'Il nome utente non può essere vuoto, può avere al massimo {max} caratteri e non può contenere «/» né «#».',
+    invalid_display_name: 'Il nome visualizzato non può essere vuoto e può avere al massimo {max} caratteri.',
+    invalid_role: 'role deve essere uno tra {roles}.',
+    invalid_active: 'active deve essere true o false.',
+    admin_required_add_user: 'Solo gli admin possono aggiungere utenti.',
+    admin_required_change_user: 'Solo gli admin possono modificare utenti.',
+    admin_required_appliances: 'Solo gli admin possono aggiungere o modificare apparecchi.',
+    admin_required_tariffs: 'Solo gli admin possono registrare o eliminare tariffe.',
+    admin_required_settlements: 'Solo gli admin possono chiudere i mesi.',
+    admin_required_reports: 'Solo gli admin possono inviare rapporti.',
+    admin_required_audit: 'Solo gli admin possono consultare il registro delle modifiche.',
+    user_exists: 'L’utente {username} esiste già.',
+    user_not_found: 'Utente non trovato.',
+    cannot_demote_self: 'Non puoi toglierti il ruolo di admin né disattivarti da solo.',
+    nothing_to_update: 'Non c’è niente da modificare.',
+    not_in_household: '{username} non fa parte di questa economia domestica.',
+    invalid_token_name: 'Il nome non può essere vuoto e può avere al massimo {max} caratteri.',
+    invalid_token_scope: 'scope deve essere uno tra {scopes}.',
+    token_limit: 'Hai già {max} token attivi; revocane prima uno.',
+    token_not_found: 'Token non trovato.',
+    token_already_revoked: 'Il token è già stato revocato.',
+    profile_fetch_failed: 'Errore durante il caricamento del profilo.',
+    profile_save_failed: 'Errore durante il salvataggio del profilo.',
+    users_fetch_failed: 'Errore durante il caricamento degli utenti.',
+    user_create_failed: 'Errore durante la creazione dell’utente.',
+    user_update_failed: 'Errore durante la modifica dell’utente.',
+    tokens_fetch_failed: 'Errore durante il caricamento dei token API.',
+    token_create_failed: 'Errore durante la creazione del token API.',
+    token_revoke_failed: 'Errore durante la revoca del token API.',
+
+    // measurements
+    invalid_limit: 'limit deve essere un numero intero da 1 a {max}.',
+    invalid_cursor: 'Il cursore non è valido; ricomincia senza cursore.',
+    invalid_current_kwh: 'Lettura del contatore (currentKWh) non valida o mancante.',
+    invalid_expected_start: 'Lettura precedente (expectedStartKWh) non valida.',
+    invalid_confirm_anomaly: 'confirmAnomaly deve essere true o false.',
+    invalid_captured_at: 'capturedAt deve essere un istante in millisecondi.',
+    captured_at_in_future: 'L’ora della misurazione (capturedAt) è nel futuro.',
+    invalid_end_kwh: 'Lettura del contatore (endKWh) non valida.',
+    invalid_notes: 'La nota deve essere un testo.',
+    invalid_owner: 'ownerUsername non può essere vuoto.',
+    invalid_for_username: 'forUsername non può essere vuoto.',
+    missing_wash_id: 'Manca il washId.',
+    unknown_appliance: 'Apparecchio sconosciuto «{applianceId}».',
+    machine_busy: 'È in corso un bucato di {username}; terminalo o annullalo prima.',
+    chain_moved: 'Nel frattempo è stata salvata un’altra misurazione; l’ultima lettura ora è {latestEndKWh} kWh.',
+    chain_busy: 'Le misurazioni continuavano a cambiare, riprova.',
+    captured_before_latest: 'La misurazione è stata rilevata prima dell’ultima salvata e non può più essere aggiunta.',
+    meter_decreased: 'La lettura ({currentKWh} kWh) deve essere maggiore dell’ultima salvata ({latestEndKWh} kWh). Se il contatore è stato sostituito, azzerato o ha superato il limite, registra prima l’evento del contatore.',
+    meter_final_below_latest: 'La lettura finale del vecchio contatore ({oldMeterFinalKWh} kWh) non può essere inferiore all’ultima lettura salvata ({latestEndKWh} kWh).',
+    session_start_below_latest: 'La lettura ({currentKWh} kWh) non può essere inferiore all’ultima salvata ({latestEndKWh} kWh).',
+    reading_not_found: 'Misurazione non trovata.',
+    reading_forbidden: 'Non puoi modificare questa misurazione.',
+    reading_delete_forbidden: 'Non puoi eliminare questa misurazione.',
+    month_settled: 'Questo mese è già stato conteggiato; le sue misurazioni non possono più essere modificate.',
+    month_settled_delete: 'Questo mese è già stato conteggiato; le sue misurazioni non possono più essere eliminate.',
+    next_settled: 'La misurazione seguente appartiene a un mese conteggiato e non può più essere modificata.',
+    meter_event_has_followers: 'A questo evento del contatore seguono misurazioni sul nuovo contatore; eliminale prima.',
+    meter_event_notes_only: 'Di un evento del contatore si può modificare solo la nota; altrimenti eliminalo e registralo di nuovo.',
+    reading_changed: 'Le misurazioni sono cambiate nel frattempo, ricarica e riprova.',
+    end_not_above_start: 'La lettura ({endKWh} kWh) deve essere maggiore dell’inizio della misurazione ({startKWh} kWh).',
+    end_above_meter_final: 'La lettura ({endKWh} kWh) non può superare la lettura finale del vecchio contatore ({finalKWh} kWh) dell’evento del contatore seguente.',
+    end_above_next: 'La lettura ({endKWh} kWh) deve essere minore di quella della misurazione seguente ({nextEndKWh} kWh).',
+    not_claimable: 'Si possono rilevare solo bucati non assegnati registrati da una presa intelligente.',
+    already_claimed: 'Nel frattempo qualcun altro ha rilevato questo bucato, ricarica.',
+    readings_fetch_failed: 'Errore durante il caricamento delle misurazioni.',
+    reading_save_failed: 'Errore durante il salvataggio della misurazione.',
+    latest_fetch_failed: 'Errore durante il caricamento dell’ultima lettura.',
+    reading_delete_failed: 'Errore durante l’eliminazione della misurazione.',
+    reading_edit_failed: 'Errore durante la modifica della misurazione.',
+    reading_claim_failed: 'Errore durante il rilevamento del bucato.',
+
+    // meter events
+    invalid_meter_event: 'Evento del contatore non valido.',
+    invalid_meter_event_type: 'type deve essere uno tra {types}.',
+    invalid_old_meter_final: 'La lettura finale del vecchio contatore deve essere un numero di almeno 0.',
+    invalid_new_meter_start: 'La lettura iniziale del nuovo contatore deve essere un numero di almeno 0.',
+    new_meter_start_not_lower: 'Dopo un azzeramento o un superamento del limite il contatore deve ripartire più in basso della lettura finale del vecchio contatore.',
+    meter_event_save_failed: 'Errore durante il salvataggio dell’evento del contatore.',
+
+    // CSV import
+    invalid_csv: 'csv non può essere vuoto.',
+    csv_empty: 'Il file CSV non contiene righe.',
+    csv_too_many_rows: 'Si possono importare al massimo {max} righe alla volta.',
+    csv_invalid_rows: 'Il file CSV contiene righe non valide; non è stato importato niente.',
+    import_too_large: 'L’importazione modificherebbe troppe misurazioni in una volta; dividi il file in parti più piccole.',
+    import_outdated: 'Le misurazioni sono cambiate nel frattempo, controlla di nuovo l’anteprima.',
+    import_invalid_date: 'Data non valida «{date}» (atteso AAAA-MM-GG o GG.MM.AAAA, eventualmente con HH:MM).',
+    import_invalid_kwh: 'Lettura non valida «{kWh}».',
+    import_duplicate_time: 'Esiste già una misurazione con la stessa data e la stessa ora.',
+    import_duplicate_row: 'Stessa data e stessa ora della riga {line}.',
+    import_month_settled: 'Questo mese è già stato conteggiato.',
+    import_in_future: 'La data è nel futuro.',
+    import_not_increasing: 'La lettura {endKWh} deve essere maggiore della precedente ({startKWh}).',
+    import_above_meter_final: 'La lettura {endKWh} non può superare la lettura finale del vecchio contatore ({finalKWh}) dell’evento del contatore seguente.',
+    import_above_next: 'La lettura {endKWh} deve essere minore di quella della misurazione seguente ({nextEndKWh}).',
+    import_failed: 'Errore durante l’importazione delle misurazioni.',
+
+    // meter photos
+    photo_too_large: 'La foto può avere al massimo {maxMB} MB.',
+    photo_type: 'Invia la foto come {types}.',
+    photo_forbidden: 'Non puoi modificare la foto di questa misurazione.',
+    photo_not_found: 'Questa misurazione non ha una foto.',
+    photo_save_failed: 'Errore durante il salvataggio della foto.',
+    photo_fetch_failed: 'Errore durante il caricamento della foto.',
+    photo_delete_failed: 'Errore durante l’eliminazione della foto.',
+
+    // wash sessions
+    session_not_found: 'Nessun bucato in corso con questo ID (forse è scaduto).',
+    session_finish_forbidden: 'Non puoi terminare questo bucato.',
+    session_cancel_forbidden: 'Non puoi annullare questo bucato.',
+    session_end_not_above_start: 'La lettura ({currentKWh} kWh) deve essere maggiore di quella all’inizio del bucato ({startKWh} kWh).',
+    session_changed: 'Il bucato è cambiato nel frattempo, ricarica e riprova.',
+    session_fetch_failed: 'Errore durante il caricamento del bucato.',
+    sessions_fetch_failed: 'Errore durante il caricamento dei bucati.',
+    session_start_failed: 'Errore durante l’avvio del bucato.',
+    session_finish_failed: 'Errore durante la conclusione del bucato.',
+    session_cancel_failed: 'Errore durante l’annullamento del bucato.',
+
+    // wash details
+    invalid_program: 'program deve essere uno tra {programs}.',
+    invalid_temperature: 'La temperatura deve essere un numero intero da {min} a {max}.',
+    invalid_spin: 'La velocità di centrifuga deve essere un numero intero da {min} a {max}.',
+    invalid_load_level: 'loadLevel deve essere uno tra {levels}.',
+    invalid_duration: 'La durata deve essere un numero intero da {min} a {max} minuti.',
+
+    // reservations
+    invalid_date_range: 'from e to devono essere date (AAAA-MM-GG), con from <= to.',
+    invalid_slot_start: 'Inizio della prenotazione non valido.',
+    slot_off_grid: 'Una prenotazione deve iniziare su un intervallo pieno di {minutes} minuti.',
+    invalid_slot_duration: 'La durata deve essere una tra {durations} minuti.',
+    slot_in_past: 'La fascia oraria è nel passato.',
+    weekly_limit: '{username} ha già {count} prenotazioni questa settimana (al massimo {limit}).',
+    slot_taken: 'La fascia oraria si sovrappone a una prenotazione esistente.',
+    reservation_not_found: 'Prenotazione non trovata o già annullata.',
+    reservation_forbidden: 'Non puoi annullare questa prenotazione.',
+    slot_over: 'Questa fascia oraria è già passata e non può più essere annullata.',
+    reservation_changed: 'La prenotazione è cambiata nel frattempo, ricarica.',
+    reservations_fetch_failed: 'Errore durante il caricamento delle prenotazioni.',
+    reservation_create_failed: 'Errore durante la prenotazione.',
+    reservation_cancel_failed: 'Errore durante l’annullamento della prenotazione.',
+
+    // appliances and smart plugs
+    invalid_appliance: 'Apparecchio non valido.',
+    invalid_appliance_name: 'Il nome non può essere vuoto e può avere al massimo {max} caratteri.',
+    invalid_meter_id: 'Il numero del contatore può avere al massimo {max} caratteri.',
+    invalid_plug_id: 'L’ID della presa può contenere solo lettere, cifre, «.», «:», «_» e «-».',
+    invalid_tariff_plan: 'Il piano tariffario può contenere solo lettere minuscole, cifre, «-» e «_».',
+    plug_in_use: 'La presa «{plugId}» misura già un altro apparecchio.',
+    appliance_not_found: 'Apparecchio non trovato.',
+    appliance_changed: 'L’apparecchio è cambiato nel frattempo, ricarica.',
+    appliances_fetch_failed: 'Errore durante il caricamento degli apparecchi.',
+    appliance_save_failed: 'Errore durante il salvataggio dell’apparecchio.',
+    appliance_update_failed: 'Errore durante la modifica dell’apparecchio.',
+    invalid_telemetry: 'La telemetria deve essere un oggetto JSON.',
+    telemetry_no_device: 'La telemetria non contiene un ID di dispositivo valido.',
+    telemetry_no_power: 'La telemetria non contiene una potenza (W) valida.',
+    telemetry_bad_energy: 'Il contatore di energia deve essere un numero di almeno 0.',
+    unknown_plug: 'Nessun apparecchio di questa economia domestica è misurato dalla presa «{plugId}».',
+    telemetry_failed: 'Errore durante l’elaborazione della telemetria.',
+
+    // tariffs
+    invalid_tariff: 'Tariffa non valida.',
+    invalid_tariff_name: 'Il nome deve essere un testo.',
+    invalid_valid_from: '«Valida dal» deve essere una data (AAAA-MM-GG).',
+    invalid_valid_to: '«Valida fino al» deve essere una data (AAAA-MM-GG) o vuoto.',
+    valid_to_before_from: '«Valida fino al» deve essere successivo a «Valida dal».',
+    invalid_fee: 'La tassa per bucato deve essere un numero di almeno 0.',
+    invalid_price: 'Il prezzo per kWh deve essere un numero di almeno 0.',
+    invalid_time_of_use_rates: 'Tariffa alta e tariffa bassa devono essere numeri di almeno 0.',
+    invalid_high_days: 'I giorni di tariffa alta devono essere giorni ISO (1 = lunedì … 7 = domenica).',
+    invalid_high_hour: 'timeOfUse.{field} deve essere un’ora tra 0 e 24.',
+    tariff_overlap: 'La tariffa si sovrappone a una tariffa esistente.',
+    tariff_overlap_with: 'La tariffa si sovrappone a «{name}» ({validFrom} – {validTo}).',
+    tariff_overlap_open: 'La tariffa si sovrappone a «{name}» (dal {validFrom}, senza scadenza).',
+    tariffs_changed: 'Le tariffe sono cambiate nel frattempo, riprova.',
+    tariff_not_found: 'Tariffa non trovata.',
+    tariffs_fetch_failed: 'Errore durante il caricamento delle tariffe.',
+    tariff_save_failed: 'Errore durante il salvataggio della tariffa.',
+    tariff_delete_failed: 'Errore durante l’eliminazione della tariffa.',
+
+    // settlements
+    invalid_period: 'Mese (AAAA-MM) non valido o mancante.',
+    month_not_over: 'Si possono chiudere solo i mesi già terminati.',
+    too_many_owners: 'Troppe persone per conteggiare il mese in un solo passaggio.',
+    month_closed: 'Il mese {period} è già chiuso.',
+    invalid_paid: 'paid deve essere true o false.',
+    invalid_paid_at: 'La data di pagamento deve essere una data (AAAA-MM-GG).',
+    invalid_payment_reference: 'Il riferimento di pagamento deve essere un testo.',
+    statement_not_found: 'Conteggio non trovato.',
+    statement_payment_forbidden: 'Solo un admin o chi ha chiuso il mese può registrare il pagamento, non il debitore.',
+    settlements_fetch_failed: 'Errore durante il caricamento dei conteggi.',
+    month_close_failed: 'Errore durante la chiusura del mese.',
+    statements_fetch_failed: 'Errore durante il caricamento dei conteggi.',
+    balance_fetch_failed: 'Errore durante il caricamento del saldo.',
+    statement_update_failed: 'Errore durante la modifica del conteggio.',
+
+    // statistics, export, reports and audit log
+    anomalies_fetch_failed: 'Errore durante il caricamento delle misurazioni sospette.',
+    consistency_check_failed: 'Errore durante il controllo di coerenza.',
+    program_stats_failed: 'Errore durante il calcolo delle statistiche per programma.',
+    summary_failed: 'Errore durante il calcolo del riepilogo.',
+    unknown_export_format: 'Formato sconosciuto. Valori attesi: {formats}.',
+    unknown_export_data: 'Dati sconosciuti. Valori attesi: {data}.',
+    csv_single_table: 'Un file CSV contiene una sola tabella; scegli readings, by-user, by-appliance o by-month.',
+    export_failed: 'Errore durante l’esportazione delle misurazioni.',
+    invalid_report_period: 'Il periodo deve essere AAAA-MM o AAAA.',
+    invalid_report_format: 'Il formato deve essere html o pdf.',
+    invalid_report_users: 'users deve essere un elenco di nomi utente.',
+    mail_not_configured: 'L’invio di e-mail non è configurato (SMTP_HOST).',
+    report_failed: 'Errore durante la creazione del rapporto.',
+    reports_send_failed: 'Errore durante l’invio dei rapporti.',
+    unknown_audit_action: 'Azione sconosciuta. Valori attesi: {actions}.',
+    invalid_audit_dates: 'from e to devono essere date (AAAA-MM-GG).',
+    audit_fetch_failed: 'Errore durante il caricamento del registro delle modifiche.'
+  },
+
+  // implausible consumption; {limitKWh} and {medianKWh} come from the check
+  anomaly: {
+    summary: 'Un consumo di {deltaKWh} kWh è {reasons}. Controlla la lettura o confermala.',
+    and: ' e ',
+    above_max: 'superiore al massimo di {limitKWh} kWh per bucato',
+    above_owner_history: 'molto al di sopra del consumo abituale della persona (mediana {medianKWh} kWh)',
+    above_appliance_history: 'molto al di sopra del consumo abituale dell’apparecchio (mediana {medianKWh} kWh)'
+  },
+
+  meterEvent: {
+    replacement: 'Sostituzione del contatore',
+    reset: 'Contatore azzerato',
+    rollover: 'Superamento del limite del contatore'
+  },
+
+  // names of the appliance and household that exist without being configured
+  defaults: {
+    appliance: 'Lavatrice',
+    household: 'Economia domestica'
+  },
+
+  report: {
+    monthly: 'Rapporto mensile {period}',
+    yearly: 'Rapporto annuale {period}',
+    subject: 'Bucato: {title} per {username}',
+    filenameMonthly: 'Bucato_rapporto_mensile',
+    filenameYearly: 'Bucato_rapporto_annuale',
+    greeting: 'Ciao {username}',
+    ownConsumption: 'Il tuo consumo: {kWh} ({share} % dell’economia domestica)',
+    ownCost: 'I tuoi costi: {cost}',
+    unpriced: ' ({count} bucati senza tariffa)',
+    washCount: 'Numero di bucati: {count}',
+    householdTotal: 'Totale economia domestica: {kWh} · {cost} · {count} bucati',
+    perMonth: 'Per mese',
+    ownWashes: 'I tuoi bucati',
+    byAppliance: 'Per apparecchio',
+    meterEvents: 'Eventi del contatore',
+    householdByUser: 'Economia domestica per utente',
+    chartPerMonth: 'Il tuo consumo per mese (kWh)',
+    chartPerUser: 'Consumo per utente (kWh)',
+    month: 'Mese',
+    date: 'Data',
+    user: 'Utente',
+    appliance: 'Apparecchio',
+    event: 'Evento',
+    consumption: 'Consumo',
+    consumptionKWh: 'Consumo (kWh)',
+    cost: 'Costi',
+    washes: 'Bucati',
+    note: 'Nota',
+    ownConsumptionColumn: 'Il tuo consumo',
+    ownConsumptionKWh: 'Il tuo consumo (kWh)',
+    ownCostColumn: 'I tuoi costi',
+    household: 'Economia domestica',
+    householdKWh: 'Economia domestica (kWh)',
+    householdCost: 'Costi economia domestica',
+    oldMeter: 'Vecchio contatore (lettura finale)',
+    newMeter: 'Nuovo contatore (lettura iniziale)',
+    previousKWh: 'Prima (kWh)',
+    currentKWh: 'Attuale (kWh)',
+    deltaKWh: 'Delta (kWh)',
+    total: 'Totale',
+    userLine: 'Utente: {username}',
+    generatedLine: 'Creato il: {date}',
+    generatedAt: 'Creato il {date}',
+    seeAttachment: 'Dettagli nel PDF allegato.'
+  },
+
+  email: {
+    inApp: 'nell’app',
+    unsubscribe: 'Ricevi questo rapporto perché hai registrato dei bucati. Puoi disdirlo {where} alla voce «Profilo e rapporti».'
+  }
+};
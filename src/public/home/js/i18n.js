@@ -0,0 +1,66 @@
+// Texts of the page in the user's language. The catalogs in js/locales
+// register themselves here; static text in index.html is marked with
+// data-i18n attributes, text built in main.js goes through t().
+//
+// The language is the one picked in the header (kept in the profile and on
+// the device), else the browser's preferred one, else German. Numbers, dates
+// and amounts use the Swiss conventions of that language.
+(() => {
+  const LANGUAGES = ['de', 'fr', 'it', 'en'];
+  const DEFAULT_LANGUAGE = 'de';
+  const STORAGE_KEY = 'wt.language';
+  const catalogs = {};
+
+  function detect() {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (LANGUAGES.includes(stored)) return stored;
+    const preferred = (navigator.languages || [navigator.language])
+      .map(l => String(l || '').split('-')[0].toLowerCase());
+    return preferred.find(l => LANGUAGES.includes(l)) || DEFAULT_LANGUAGE;
+  }
+
+  const language = detect();
+
+  function register(lang, catalog) { catalogs[lang] = catalog; }
+
+  function lookup(catalog, key) {
+    return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+  }
+
+  function has(key) {
+    return typeof (lookup(catalogs[language], key) ?? lookup(catalogs[DEFAULT_LANGUAGE], key)) === 'string';
+  }
+
+  // The text under a dotted key with {placeholders} filled in; falls back to
+  // German and then to the key itself. Format numbers before passing them.
+  function t(key, params = {}) {
+    const text = lookup(catalogs[language], key) ?? lookup(catalogs[DEFAULT_LANGUAGE], key);
+    if (typeof text !== 'string') return key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] == null ? match : String(params[name])));
+  }
+
+  // Static text: data-i18n replaces the content, data-i18n-placeholder,
+  // -title and -alt the attribute of that name
+  function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach((el) => { el.textContent = t(el.dataset.i18n); });
+    for (const attr of ['placeholder', 'title', 'alt']) {
+      root.querySelectorAll(`[data-i18n-${attr}]`).forEach((el) => {
+        el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+      });
+    }
+  }
+
+  // takes effect on the next page load
+  function remember(lang) {
+    if (LANGUAGES.includes(lang)) localStorage.setItem(STORAGE_KEY, lang);
+  }
+
+  self.WashI18n = { LANGUAGES, language, tag: `${language}-CH`, register, has, t, translatePage, remember };
+
+  document.documentElement.lang = language;
+  // the installed app is named in the same language; manifest.webmanifest is the German one
+  const manifest = document.querySelector('link[rel="manifest"]');
+  if (manifest && language !== DEFAULT_LANGUAGE) manifest.setAttribute('href', `/manifest.${language}.webmanifest`);
+  // before main.js, which registers its listener later
+  document.addEventListener('DOMContentLoaded', () => translatePage());
+})();
@@ -0,0 +1,631 @@
+// German texts of the page, see js/i18n.js
+WashI18n.register('de', {
+  common: {
+    error: 'Fehler: {message}',
+    edit: 'Bearbeiten',
+    noData: 'Keine Daten.',
+    loadError: 'Fehler beim Laden: {message}',
+    delete: 'Löschen',
+    cancel: 'Abbrechen',
+    save: 'Speichern',
+    deleteFailed: 'Löschen fehlgeschlagen.',
+    saveFailed: 'Speichern fehlgeschlagen.'
+  },
+  identity: {
+    noHousehold: 'Du gehörst keinem Haushalt an.',
+    notAuthenticated: 'Fehlende Authentifizierung.',
+    loadFailed: 'Fehler beim Laden des Benutzers: {message} Bitte Login prüfen.'
+  },
+  language: {
+    saveFailed: 'Die Sprache konnte nicht gespeichert werden.',
+    label: 'Sprache'
+  },
+  households: {
+    loadFailed: 'Fehler beim Laden der Haushalte.',
+    switchFailed: 'Wechsel des Haushalts fehlgeschlagen.',
+    label: 'Haushalt:'
+  },
+  reading: {
+    chooseUser: '-- Benutzer auswählen --',
+    latestFailed: 'Fehler beim Laden des letzten Zählerstandes.',
+    latestOffline: 'Keine Verbindung – vorheriger Zählerstand ist der zuletzt bekannte.',
+    invalidValue: 'Aktueller Zählerstand ist ungültig.',
+    missingValue: 'Bitte aktuellen Zählerstand eingeben.',
+    missingOnBehalf: 'Bitte einen Benutzer für "im Auftrag" auswählen.',
+    notAbovePrevious: 'Aktueller Zählerstand ({kWh}) muss > vorheriger ({previousKWh}) sein. Wurde der Zähler getauscht, zurückgesetzt oder ist er übergelaufen? Dann zuerst unten das Zählerereignis erfassen.',
+    notSaved: 'Messung nicht gespeichert – bitte Zählerstand prüfen.',
+    chainMoved: 'Inzwischen wurde eine andere Messung gespeichert. Vorheriger Zählerstand ist jetzt {kWh} kWh – bitte prüfen und erneut speichern.',
+    conflict: 'Konflikt beim Speichern der Messung.',
+    saveFailed: 'Fehler beim Speichern der Messung.',
+    saved: 'Messung gespeichert!',
+    title: 'Neue Messung',
+    form: {
+      appliance: 'Gerät',
+      previous: 'Vorheriger Zählerstand (kWh)',
+      current: 'Aktueller Zählerstand (kWh)',
+      delta: 'Verbrauch (Delta, kWh)',
+      notes: 'Notizen (optional)',
+      photo: 'Zählerfoto (optional)',
+      photoAlt: 'Zählerfoto',
+      photoHint: 'Wird als Beleg mit der Messung gespeichert; der Zählerstand wird aus dem Foto vorgeschlagen.',
+      onBehalf: 'Im Auftrag eintragen',
+      onBehalfUser: 'Benutzer (für wen)',
+      chooseUser: '-- Benutzer auswählen --',
+      onBehalfHint: 'Diese Messung wird als „im Auftrag“ markiert.',
+      submit: 'Messung hinzufügen'
+    }
+  },
+  users: {
+    makeMember: 'Zum Mitglied',
+    makeAdmin: 'Zum Admin',
+    deactivate: 'Deaktivieren',
+    activate: 'Aktivieren',
+    roleAdmin: 'Admin',
+    roleMember: 'Mitglied',
+    inactive: 'deaktiviert',
+    confirmDeactivate: '{name} deaktivieren? Die Messungen bleiben erhalten.',
+    updateFailed: 'Fehler beim Ändern des Benutzers.',
+    updated: 'Benutzer geändert.',
+    loadFailed: 'Fehler beim Laden der Benutzer.',
+    addFailed: 'Fehler beim Hinzufügen des Benutzers.',
+    added: 'Benutzer hinzugefügt.',
+    title: 'Benutzer',
+    intro: 'Wer sich anmeldet, wird automatisch erfasst. Admins können Mitbewohner vorab erfassen, Rollen ändern und ausgezogene Benutzer deaktivieren; deren Messungen bleiben erhalten.',
+    form: {
+      username: 'Benutzername',
+      displayName: 'Anzeigename (optional)',
+      email: 'E-Mail (optional)',
+      submit: 'Benutzer hinzufügen'
+    }
+  },
+  appliances: {
+    meter: 'Zähler: {meterId}',
+    tariffPlan: 'Tarifplan: {plan}',
+    plug: 'Steckdose: {plugId}',
+    save: 'Gerät speichern',
+    add: 'Gerät hinzufügen',
+    loadFailed: 'Fehler beim Laden der Geräte.',
+    saveFailed: 'Fehler beim Speichern des Geräts.',
+    saved: 'Gerät gespeichert!',
+    title: 'Geräte',
+    intro: 'Jedes Gerät hat einen eigenen Zähler und wird mit den Tarifen seines Tarifplans abgerechnet.',
+    form: {
+      name: 'Name',
+      namePlaceholder: 'z. B. Tumbler',
+      meterId: 'Zähler-Nr. (optional)',
+      plugId: 'Steckdose (optional)',
+      plugPlaceholder: 'z. B. shellyplug-s-a1b2c3',
+      plugTitle: 'Geräte-ID der Zwischenstecker-Steckdose (Shelly, Tasmota)',
+      tariffPlan: 'Tarifplan'
+    }
+  },
+  programs: {
+    names: {
+      cotton: 'Baumwolle',
+      eco: 'Eco 40-60',
+      synthetics: 'Pflegeleicht',
+      delicates: 'Feinwäsche',
+      wool: 'Wolle',
+      quick: 'Kurzprogramm'
+    },
+    cold: 'kalt',
+    load: {
+      low: 'wenig',
+      half: 'halb',
+      full: 'voll'
+    },
+    loadFailed: 'Fehler beim Laden der Programme.',
+    none: '– keine Angabe –',
+    rpm: '{rpm} U/min',
+    unspecified: 'Ohne Angabe',
+    statsFailed: 'Fehler beim Laden der Programmstatistik.',
+    columns: {
+      user: 'Benutzer',
+      program: 'Programm',
+      washes: 'Wäschen',
+      avgKWh: 'Ø kWh',
+      avgCost: 'Ø Kosten',
+      avgDuration: 'Ø Dauer',
+      totalKWh: 'Total kWh'
+    },
+    withoutProgram: '{count} von {total} Wäschen ohne Programmangabe.',
+    form: {
+      program: 'Programm',
+      unspecified: '– keine Angabe –',
+      temperature: 'Temperatur',
+      spin: 'Schleudern (U/min)',
+      load: 'Beladung',
+      duration: 'Dauer (min)'
+    },
+    title: 'Programme',
+    intro: 'Durchschnittlicher Verbrauch und Kosten pro Programm und Temperatur im gewählten Zeitraum.',
+    byUser: 'Nach Benutzer'
+  },
+  photo: {
+    ocrMissing: 'Texterkennung nicht geladen.',
+    recognizing: 'Zählerstand wird erkannt …',
+    notRecognized: 'Kein Zählerstand erkannt – bitte eintippen.',
+    recognized: 'Erkannt: {kWh} kWh – bitte prüfen.',
+    ocrFailed: 'Texterkennung nicht möglich – bitte Zählerstand eintippen.',
+    unreadable: 'Foto konnte nicht gelesen werden: {message}',
+    saveFailed: 'Fehler beim Speichern des Fotos.',
+    notSaved: 'Das Foto wurde nicht gespeichert: {message}',
+    removeFailed: 'Foto konnte nicht entfernt werden.'
+  },
+  outbox: {
+    queued: 'Messung auf dem Gerät gespeichert – sie wird gesendet, sobald eine Verbindung besteht.',
+    conflict: 'Eine offline erfasste Messung wurde nicht angenommen – bitte unten prüfen.',
+    sentOne: 'Offline erfasste Messung gesendet.',
+    sentMany: '{count} offline erfasste Messungen gesendet.',
+    chainMoved: 'Inzwischen wurde eine andere Messung gespeichert (letzter Zählerstand {kWh} kWh).',
+    meterDecreased: 'Der Zählerstand liegt unter dem zuletzt gespeicherten ({kWh} kWh).',
+    implausible: 'Ein Verbrauch von {kWh} kWh ist {reasons}.',
+    status: 'Fehler {status}.',
+    sendAnyway: 'Trotzdem senden',
+    confirm: 'Bestätigen',
+    sendAgain: 'Erneut senden',
+    waitingForPrevious: 'wartet auf die Messung davor',
+    waitingForConnection: 'wartet auf Verbindung',
+    taken: 'erfasst {at}',
+    forUser: 'für {username}',
+    withPhoto: 'mit Foto',
+    changeValue: 'Wert ändern',
+    discard: 'Verwerfen',
+    confirmDiscard: 'Messung {kWh} kWh verwerfen? Sie wird nicht gespeichert.',
+    promptValue: 'Aktueller Zählerstand (kWh):',
+    title: 'Noch nicht gesendet',
+    hint: 'Diese Messungen wurden ohne Verbindung erfasst und werden der Reihe nach gesendet, sobald das Gerät wieder online ist.'
+  },
+  anomalies: {
+    and: ' und ',
+    aboveMax: 'mehr als das Maximum von {kWh} kWh pro Wäsche',
+    aboveOwnerHistory: 'weit über dem üblichen Verbrauch der Person (Median {kWh} kWh)',
+    aboveApplianceHistory: 'weit über dem üblichen Verbrauch des Geräts (Median {kWh} kWh)',
+    question: 'Ein Verbrauch von {kWh} kWh ist {reasons}.\n\nIst der Zählerstand wirklich richtig? Die Messung wird dann als auffällig markiert.',
+    loadFailed: 'Fehler beim Laden der auffälligen Messungen.',
+    none: 'Keine auffälligen Messungen.',
+    confirmedBy: 'bestätigt von {username}',
+    total: '{count} auffällige Messungen, zusammen {kWh} kWh.',
+    title: 'Auffällige Messungen',
+    intro: 'Bestätigte Messungen mit ungewöhnlich hohem Verbrauch im gewählten Zeitraum.'
+  },
+  readings: {
+    unassigned: 'Nicht zugeordnet',
+    loadFailed: 'Fehler beim Laden der Messungen.',
+    yearFailed: 'Fehler beim Laden des Jahres {year}.',
+    currentKWh: 'Aktuell (kWh)',
+    owner: 'Für',
+    note: 'Notiz',
+    replacePhoto: 'Zählerfoto ersetzen',
+    attachPhoto: 'Zählerfoto anhängen',
+    removePhoto: 'Foto entfernen',
+    onBehalf: 'im Auftrag',
+    imported: 'importiert',
+    unclaimed: 'nicht übernommen',
+    betweenWashes: 'zwischen Wäschen',
+    plugTitle: 'Steckdose {plugId}',
+    plug: 'Steckdose',
+    claim: 'Übernehmen',
+    implausible: 'auffällig',
+    previous: 'Vorher:',
+    oldMeterFinal: 'Endstand alter Zähler:',
+    newMeterStart: 'Anfangsstand neuer Zähler:',
+    unassignedLabel: 'Nicht zugeordnet:',
+    current: 'Aktuell:',
+    cost: 'Kosten:',
+    from: 'Von: {username}',
+    anomaly: 'Auffällig: {reasons} – bestätigt von {username}',
+    program: 'Programm:',
+    noteLine: 'Notiz: {notes}',
+    openPhoto: 'Zählerfoto öffnen',
+    photo: 'Zählerfoto',
+    createdBy: 'Erfasst von:',
+    viaToken: 'über Token „{name}“',
+    date: 'Datum:',
+    edited: 'Bearbeitet von {username} am {at}',
+    confirmDelete: 'Diese Messung wirklich löschen?',
+    deleteError: 'Fehler beim Löschen: {message}',
+    confirmClaim: 'Diese Wäsche als deine übernehmen?',
+    claimFailed: 'Übernehmen fehlgeschlagen.',
+    claimError: 'Fehler beim Übernehmen: {message}',
+    updated: 'Messung aktualisiert!',
+    editError: 'Fehler beim Bearbeiten: {message}',
+    title: 'Messungen',
+    none: 'Noch keine Messungen erfasst.'
+  },
+  meterEvents: {
+    types: {
+      replacement: 'Zählertausch',
+      reset: 'Zähler zurückgesetzt',
+      rollover: 'Zählerüberlauf'
+    },
+    missingValues: 'Bitte beide Zählerstände angeben.',
+    finalBelowLatest: 'Der Endstand des alten Zählers muss ≥ letzter Stand ({kWh}) sein.',
+    startNotLower: 'Nach Zurücksetzen oder Überlauf muss der neue Stand tiefer als der alte sein.',
+    confirm: '{event} speichern? Weitere Messungen rechnen ab {kWh} kWh.',
+    residual: '{kWh} kWh werden als „nicht zugeordnet“ erfasst.',
+    saveFailed: 'Fehler beim Speichern des Zählerereignisses.',
+    saved: '{event} gespeichert. Neuer Zählerstand: {kWh} kWh.',
+    toggle: 'Zähler getauscht, zurückgesetzt oder übergelaufen?',
+    form: {
+      type: 'Ereignis',
+      oldMeterFinal: 'Endstand alter Zähler (kWh)',
+      newMeterStart: 'Anfangsstand neuer Zähler (kWh)',
+      notes: 'Notizen (optional)',
+      hint: 'Verbrauch seit der letzten Messung bis zum Endstand des alten Zählers wird als „nicht zugeordnet“ erfasst. Weitere Messungen rechnen ab dem Anfangsstand des neuen Zählers.',
+      submit: 'Zählerereignis speichern'
+    }
+  },
+  sessions: {
+    startedBy: ' (gestartet von {username})',
+    running: 'Maschine belegt: Wäsche für {owner}{by} läuft seit {since}, Start bei {kWh} kWh.',
+    loadFailed: 'Fehler beim Laden der laufenden Wäsche.',
+    startFailed: 'Fehler beim Starten der Wäsche.',
+    unassignedGap: '{kWh} kWh seit der letzten Messung wurden als „nicht zugeordnet“ erfasst.',
+    startedPlug: 'Maschine belegt – die Steckdose erfasst die Wäsche.',
+    started: 'Wäsche gestartet.',
+    endNotAboveStart: 'Aktueller Zählerstand ({kWh}) muss > Start ({startKWh}) sein.',
+    stillRunning: 'Wäsche läuft weiter – bitte Zählerstand prüfen.',
+    finishFailed: 'Fehler beim Beenden der Wäsche.',
+    finished: 'Wäsche beendet, Messung gespeichert!',
+    confirmCancel: 'Laufende Wäsche abbrechen? Es wird keine Messung gespeichert.',
+    cancelFailed: 'Fehler beim Abbrechen der Wäsche.',
+    cancelled: 'Wäsche abgebrochen.',
+    start: 'Wäsche starten',
+    finish: 'Wäsche beenden',
+    hint: '„Wäsche starten“ hält den Zählerstand zu Beginn fest, „Wäsche beenden“ den am Ende. Verbrauch zwischen zwei Wäschen wird als „nicht zugeordnet“ erfasst. Misst eine Steckdose das Gerät, genügt „Wäsche starten“ ohne Zählerstand: das Ende der Wäsche erkennt die Steckdose.'
+  },
+  summary: {
+    loadFailed: 'Fehler beim Laden der Zusammenfassung.',
+    unknownUser: 'Unbekannt',
+    noDataForYear: 'Keine Daten für {year}.',
+    count: '{count} Messungen',
+    byAppliance: 'Nach Gerät',
+    monthlyTitle: 'Monatsübersicht (kWh und CHF nach Benutzer)',
+    noMonthData: 'Keine Daten für diesen Monat.',
+    yearlyTitle: 'Jahresübersicht',
+    chooseYear: 'Jahr wählen, um die Übersicht zu sehen.'
+  },
+  tariffs: {
+    rate: {
+      high: 'Hochtarif',
+      low: 'Niedertarif'
+    },
+    fee: '{fee} Gebühr',
+    feePerWash: '{fee} pro Wäsche',
+    plan: '(Plan {plan})',
+    timeOfUse: 'HT {high}/kWh ({from}–{to} Uhr), NT {low}/kWh',
+    loadFailed: 'Fehler beim Laden der Tarife.',
+    none: 'Noch keine Tarife erfasst.',
+    unnamed: 'Tarif',
+    open: 'offen',
+    confirmDelete: 'Diesen Tarif wirklich löschen? Bereits erfasste Messungen behalten ihre Kosten.',
+    saveFailed: 'Fehler beim Speichern des Tarifs.',
+    saved: 'Tarif gespeichert!',
+    title: 'Stromtarife',
+    form: {
+      name: 'Name',
+      validFrom: 'Gültig ab',
+      validTo: 'Gültig bis (optional)',
+      plan: 'Tarifplan',
+      timeOfUse: 'Hoch-/Niedertarif',
+      price: 'Preis (CHF/kWh)',
+      highRate: 'HT (CHF/kWh)',
+      lowRate: 'NT (CHF/kWh)',
+      highFrom: 'HT ab (Uhr, Mo–Fr)',
+      highTo: 'HT bis (Uhr)',
+      fee: 'Gebühr pro Wäsche (CHF)',
+      submit: 'Tarif hinzufügen'
+    }
+  },
+  settlements: {
+    balanceFailed: 'Fehler beim Laden des Saldos.',
+    noneOpen: 'Keine offenen Abrechnungen.',
+    openBalance: 'Mein offener Saldo: {amount}',
+    openFrom: '{kWh} kWh aus {count} offenen Abrechnungen:',
+    loadFailed: 'Fehler beim Laden der Abrechnungen.',
+    noneForPeriod: 'Keine Abrechnungen für diesen Zeitraum.',
+    paidOn: 'bezahlt am {date}',
+    reference: 'Ref. {reference}',
+    open: 'offen',
+    resetPayment: 'Zahlung zurücksetzen',
+    markPaid: 'Als bezahlt markieren',
+    washes: '{count} Wäschen',
+    unpriced: '{count} ohne Tarif',
+    promptPaidAt: 'Zahlungsdatum (JJJJ-MM-TT):',
+    promptReference: 'Zahlungsreferenz (optional):',
+    confirmReset: 'Zahlung wirklich zurücksetzen?',
+    paymentFailed: 'Fehler beim Speichern der Zahlung.',
+    paymentSaved: 'Zahlung erfasst.',
+    paymentReset: 'Zahlung zurückgesetzt.',
+    chooseMonth: 'Bitte zuerst einen Monat wählen.',
+    confirmClose: '{period} abschliessen? Danach können Messungen dieses Monats nicht mehr gelöscht werden.',
+    closeFailed: 'Fehler beim Abschliessen des Monats.',
+    closed: '{period} abgeschlossen: {count} Abrechnungen erstellt.',
+    title: 'Abrechnungen',
+    closeMonth: 'Gewählten Monat abschliessen',
+    balanceLoading: 'Offener Saldo wird geladen…'
+  },
+  pdf: {
+    error: 'Fehler beim Erstellen des PDFs: {message}',
+    librariesMissing: 'PDF-Bibliotheken nicht geladen (jsPDF oder AutoTable fehlen).',
+    generatedAt: 'Erstellt am: {date}',
+    columns: {
+      date: 'Datum',
+      previous: 'Vorher (kWh)',
+      current: 'Aktuell (kWh)',
+      delta: 'Delta (kWh)',
+      tariff: 'Tarif',
+      cost: 'Kosten',
+      note: 'Notiz',
+      photo: 'Foto'
+    },
+    total: 'Total',
+    generating: 'Erzeuge PDF für {year}…',
+    created: 'PDF erstellt.',
+    openPhoto: 'öffnen',
+    page: 'Seite {page}'
+  },
+  statementPdf: {
+    title: 'Abrechnung {period}',
+    user: 'Benutzer: {user}',
+    paidOn: 'Bezahlt am {date}',
+    open: 'Offen',
+    consumption: 'Verbrauch: {kWh} kWh',
+    amount: 'Betrag: {amount}',
+    washCount: 'Anzahl Wäschen: {count}',
+    status: 'Status: {status}',
+    washes: 'Wäschen',
+    fileName: 'Wäsche_Abrechnung_{period}_{user}'
+  },
+  profile: {
+    loadFailed: 'Fehler beim Laden des Profils.',
+    saveFailed: 'Fehler beim Speichern des Profils.',
+    saved: 'Profil gespeichert.',
+    confirmSend: 'Berichte für {period} jetzt an alle Benutzer senden? Bereits versandte Berichte werden nicht erneut gesendet.',
+    sendFailed: 'Fehler beim Versand.',
+    sent: '{sent} Berichte gesendet, {skipped} übersprungen, {failed} fehlgeschlagen.',
+    title: 'Profil & Berichte',
+    form: {
+      displayName: 'Anzeigename',
+      email: 'E-Mail für Berichte',
+      monthly: 'Monatsbericht per E-Mail',
+      yearly: 'Jahresbericht per E-Mail'
+    },
+    reportHtml: 'Mein Bericht (gewählter Zeitraum)',
+    reportPdf: 'Mein Bericht als PDF',
+    reportSend: 'Berichte jetzt per E-Mail senden'
+  },
+  tokens: {
+    scopes: {
+      read: 'Nur lesen',
+      submit: 'Messungen erfassen'
+    },
+    none: 'Keine API-Tokens.',
+    createdOn: 'erstellt {date}',
+    lastUsed: 'zuletzt benutzt {date}',
+    neverUsed: 'nie benutzt',
+    revokedOn: 'widerrufen {date}',
+    revoke: 'Widerrufen',
+    confirmRevoke: 'Token „{name}“ widerrufen? Skripte und Geräte damit funktionieren danach nicht mehr.',
+    revokeFailed: 'Fehler beim Widerrufen.',
+    revoked: 'Token widerrufen.',
+    loadFailed: 'Fehler beim Laden der API-Tokens.',
+    createFailed: 'Fehler beim Erstellen des Tokens.',
+    created: 'Token „{name}“ erstellt.',
+    copied: 'Token kopiert.',
+    title: 'API-Tokens',
+    introBefore: 'Für Skripte und Geräte an der Maschine: Das Token wird als',
+    introAfter: 'gesendet und handelt in deinem Namen. „Nur lesen“ erlaubt Abfragen, „Messungen erfassen“ zusätzlich neue Messungen und Waschgänge. Das Token wird nur einmal angezeigt.',
+    form: {
+      name: 'Name',
+      namePlaceholder: 'z. B. ESP32 Waschküche',
+      scope: 'Berechtigung',
+      submit: 'Token erstellen'
+    },
+    secretHint: 'Neues Token – jetzt kopieren, es wird nicht erneut angezeigt:',
+    copy: 'Kopieren'
+  },
+  reservations: {
+    unbookedWash: '{owner}: Wäsche ohne Reservation ({time})',
+    weekStats: 'Diese Woche: {reservations} Reservationen, {noShows} nicht erschienen, {unbooked} Wäschen ohne Reservation.',
+    confirmCancel: 'Reservation ({reservation}) stornieren?',
+    cancelFailed: 'Stornieren fehlgeschlagen.',
+    cancelled: 'Reservation storniert.',
+    configFailed: 'Fehler beim Laden der Reservations-Einstellungen.',
+    minutes: '{count} Min.',
+    hours: '{count} Std.',
+    loadFailed: 'Fehler beim Laden der Reservationen.',
+    chooseStart: 'Bitte Datum und Beginn wählen.',
+    taken: 'Bereits reserviert von {owner} ({from}–{to}).',
+    reserveFailed: 'Reservieren fehlgeschlagen.',
+    reserved: 'Reserviert!',
+    title: 'Reservationen',
+    legend: {
+      reserved: 'reserviert',
+      used: 'gewaschen',
+      noShow: 'nicht erschienen',
+      unbooked: 'Wäsche ohne Reservation'
+    },
+    form: {
+      date: 'Datum',
+      start: 'Beginn',
+      duration: 'Dauer',
+      for: 'Für',
+      submit: 'Reservieren'
+    }
+  },
+  import: {
+    failed: 'Fehler beim Import.',
+    summary: '{rows} Zeilen, {errors} mit Fehlern',
+    rechained: '{count} bestehende Messung(en) erhalten einen neuen Startwert:',
+    columns: {
+      line: 'Zeile',
+      date: 'Datum',
+      previous: 'Vorher',
+      current: 'Aktuell',
+      delta: 'Delta',
+      cost: 'Kosten',
+      user: 'Benutzer',
+      note: 'Notiz',
+      errors: 'Fehler'
+    },
+    commitFailed: 'Import fehlgeschlagen.',
+    imported: '{count} Messungen importiert.',
+    title: 'Messungen importieren (CSV)',
+    intro: 'Spalten: Datum; Zählerstand (kWh); Benutzer (optional); Notiz (optional). Datum als JJJJ-MM-TT oder TT.MM.JJJJ, optional mit Uhrzeit HH:MM (ohne Uhrzeit: 12:00). Die Messungen werden dem oben bei „Neue Messung“ gewählten Gerät zugeordnet.',
+    preview: 'Vorschau',
+    commit: 'Import bestätigen'
+  },
+  audit: {
+    actions: {
+      reading: {
+        create: 'Messung erfasst',
+        update: 'Messung bearbeitet',
+        delete: 'Messung gelöscht',
+        import: 'Messungen importiert',
+        meter_event: 'Zählerereignis erfasst',
+        claim: 'Wäsche übernommen',
+        photo: 'Zählerfoto angehängt',
+        photo_delete: 'Zählerfoto entfernt'
+      },
+      tariff: {
+        create: 'Tarif erfasst',
+        delete: 'Tarif gelöscht'
+      },
+      settlement: {
+        close: 'Monat abgeschlossen'
+      },
+      statement: {
+        payment: 'Zahlung erfasst'
+      },
+      profile: {
+        update: 'Profil geändert'
+      },
+      session: {
+        start: 'Wäsche gestartet',
+        finish: 'Wäsche beendet',
+        cancel: 'Wäsche abgebrochen',
+        expire: 'Wäsche abgelaufen'
+      },
+      reservation: {
+        create: 'Reservation erfasst',
+        cancel: 'Reservation storniert'
+      },
+      appliance: {
+        create: 'Gerät erfasst',
+        update: 'Gerät bearbeitet'
+      },
+      user: {
+        create: 'Benutzer erfasst',
+        update: 'Benutzer geändert'
+      },
+      token: {
+        create: 'API-Token erstellt',
+        revoke: 'API-Token widerrufen'
+      }
+    },
+    none: 'Keine Einträge für diesen Zeitraum.',
+    subjects: 'Betrifft: {users}',
+    changed: 'Geändert: {fields}',
+    related: 'Ebenfalls angepasst: {ids}',
+    details: 'Details',
+    before: 'Vorher:',
+    after: 'Nachher:',
+    loadFailed: 'Fehler beim Laden des Protokolls.',
+    title: 'Änderungsprotokoll',
+    form: {
+      user: 'Benutzer',
+      action: 'Aktion',
+      all: 'Alle',
+      from: 'Von',
+      to: 'Bis',
+      submit: 'Anzeigen'
+    }
+  },
+  export: {
+    csvSingleTable: 'CSV enthält nur eine Tabelle – bitte Messungen oder eine Summe wählen.',
+    label: 'Export:',
+    data: {
+      readings: 'Messungen',
+      byUser: 'Summen pro Benutzer',
+      byAppliance: 'Summen pro Gerät',
+      byMonth: 'Summen pro Monat und Benutzer',
+      all: 'Alles (nur JSON/Tabelle)'
+    },
+    format: 'Format:',
+    formats: {
+      xlsx: 'Excel (XLSX)',
+      ods: 'OpenDocument (ODS)'
+    },
+    button: 'Exportieren'
+  },
+  yearlyPdf: {
+    title: 'Jahresbericht {year}',
+    noData: 'keine Daten',
+    period: 'Zeitraum: {period}',
+    totalKWh: 'Gesamtverbrauch: {kWh} kWh',
+    totalCost: 'Gesamtkosten: {amount}',
+    count: 'Anzahl Messungen: {count}',
+    avgKWh: 'Ø Verbrauch pro Messung: {kWh} kWh',
+    chartMissing: 'Hinweis: Diagramm konnte nicht erzeugt werden.',
+    byUser: 'Übersicht nach Benutzer',
+    columns: {
+      user: 'Benutzer',
+      appliance: 'Gerät',
+      totalKWh: 'Gesamt (kWh)',
+      costCHF: 'Kosten (CHF)',
+      count: 'Messungen',
+      minKWh: 'Min (kWh)',
+      maxKWh: 'Max (kWh)',
+      avgKWh: 'Ø pro Messung (kWh)'
+    },
+    byAppliance: 'Übersicht nach Gerät',
+    byProgram: 'Verbrauch nach Programm',
+    programsByUser: 'Programme nach Benutzer',
+    details: 'Messungen nach Benutzer (Details)',
+    meterEvents: 'Zählerereignisse',
+    meterColumns: {
+      date: 'Datum',
+      event: 'Ereignis',
+      appliance: 'Gerät',
+      oldMeterFinal: 'Endstand alt (kWh)',
+      newMeterStart: 'Anfangsstand neu (kWh)',
+      unassigned: 'Nicht zugeordnet (kWh)',
+      note: 'Notiz'
+    },
+    summary: 'Zusammenfassung',
+    year: 'Jahr: {year}',
+    totalCount: 'Gesamtanzahl Messungen: {count}',
+    average: 'Durchschnitt pro Messung: {kWh} kWh',
+    recordedPeriod: 'Erfasster Zeitraum: {period}',
+    month: 'Monat',
+    fileName: 'Wäsche_Jahresbericht_{year}',
+    chartLabel: 'kWh pro Benutzer ({year})'
+  },
+  app: {
+    title: 'Waschmaschinen Tracker'
+  },
+  period: {
+    title: 'Zeitraum wählen',
+    year: 'Jahr:',
+    month: 'Monat:',
+    allMonths: 'Alle Monate',
+    months: {
+      '1': 'Januar',
+      '2': 'Februar',
+      '3': 'März',
+      '4': 'April',
+      '5': 'Mai',
+      '6': 'Juni',
+      '7': 'Juli',
+      '8': 'August',
+      '9': 'September',
+      '10': 'Oktober',
+      '11': 'November',
+      '12': 'Dezember'
+    },
+    apply: 'Filter anwenden',
+    yearlyReport: 'Jahresbericht herunterladen'
+  }
+});
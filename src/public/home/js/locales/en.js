@@ -0,0 +1,631 @@
+// English texts of the page, see js/i18n.js
+WashI18n.register('en', {
+  common: {
+    error: 'Error: {message}',
+    edit: 'Edit',
+    noData: 'No data.',
+    loadError: 'Error while loading: {message}',
+    delete: 'Delete',
+    cancel: 'Cancel',
+    save: 'Save',
+    deleteFailed: 'Deleting failed.',
+    saveFailed: 'Saving failed.'
+  },
+  identity: {
+    noHousehold: 'You do not belong to a household.',
+    notAuthenticated: 'Not authenticated.',
+    loadFailed: 'Error while loading the user: {message} Please check the login.'
+  },
+  language: {
+    saveFailed: 'The language could not be saved.',
+    label: 'Language'
+  },
+  households: {
+    loadFailed: 'Error while loading the households.',
+    switchFailed: 'Switching the household failed.',
+    label: 'Household:'
+  },
+  reading: {
+    chooseUser: '-- Choose user --',
+    latestFailed: 'Error while loading the latest meter reading.',
+    latestOffline: 'No connection – the previous meter reading is the last one known.',
+    invalidValue: 'The current meter reading is invalid.',
+    missingValue: 'Please enter the current meter reading.',
+    missingOnBehalf: 'Please choose a user for "on behalf".',
+    notAbovePrevious: 'The current meter reading ({kWh}) must be > the previous one ({previousKWh}). Was the meter replaced, reset or did it roll over? Then record the meter event below first.',
+    notSaved: 'Reading not saved – please check the meter reading.',
+    chainMoved: 'Another reading was saved in the meantime. The previous meter reading is now {kWh} kWh – please check and save again.',
+    conflict: 'Conflict while saving the reading.',
+    saveFailed: 'Error while saving the reading.',
+    saved: 'Reading saved!',
+    title: 'New reading',
+    form: {
+      appliance: 'Appliance',
+      previous: 'Previous meter reading (kWh)',
+      current: 'Current meter reading (kWh)',
+      delta: 'Consumption (delta, kWh)',
+      notes: 'Notes (optional)',
+      photo: 'Meter photo (optional)',
+      photoAlt: 'Meter photo',
+      photoHint: 'Stored with the reading as proof; the meter reading is suggested from the photo.',
+      onBehalf: 'Record on behalf of someone',
+      onBehalfUser: 'User (for whom)',
+      chooseUser: '-- Choose user --',
+      onBehalfHint: 'This reading is marked as "on behalf".',
+      submit: 'Add reading'
+    }
+  },
+  users: {
+    makeMember: 'Make member',
+    makeAdmin: 'Make admin',
+    deactivate: 'Deactivate',
+    activate: 'Activate',
+    roleAdmin: 'Admin',
+    roleMember: 'Member',
+    inactive: 'deactivated',
+    confirmDeactivate: 'Deactivate {name}? The readings are kept.',
+    updateFailed: 'Error while changing the user.',
+    updated: 'User changed.',
+    loadFailed: 'Error while loading the users.',
+    addFailed: 'Error while adding the user.',
+    added: 'User added.',
+    title: 'Users',
+    intro: 'Whoever logs in is added automatically. Admins can add flatmates in advance, change roles and deactivate users who moved out; their readings are kept.',
+    form: {
+      username: 'Username',
+      displayName: 'Display name (optional)',
+      email: 'E-mail (optional)',
+      submit: 'Add user'
+    }
+  },
+  appliances: {
+    meter: 'Meter: {meterId}',
+    tariffPlan: 'Tariff plan: {plan}',
+    plug: 'Plug: {plugId}',
+    save: 'Save appliance',
+    add: 'Add appliance',
+    loadFailed: 'Error while loading the appliances.',
+    saveFailed: 'Error while saving the appliance.',
+    saved: 'Appliance saved!',
+    title: 'Appliances',
+    intro: 'Every appliance has its own meter and is billed with the tariffs of its tariff plan.',
+    form: {
+      name: 'Name',
+      namePlaceholder: 'e.g. tumble dryer',
+      meterId: 'Meter no. (optional)',
+      plugId: 'Smart plug (optional)',
+      plugPlaceholder: 'e.g. shellyplug-s-a1b2c3',
+      plugTitle: 'Device ID of the smart plug (Shelly, Tasmota)',
+      tariffPlan: 'Tariff plan'
+    }
+  },
+  programs: {
+    names: {
+      cotton: 'Cotton',
+      eco: 'Eco 40-60',
+      synthetics: 'Easy care',
+      delicates: 'Delicates',
+      wool: 'Wool',
+      quick: 'Quick wash'
+    },
+    cold: 'cold',
+    load: {
+      low: 'light',
+      half: 'half',
+      full: 'full'
+    },
+    loadFailed: 'Error while loading the programs.',
+    none: '– not specified –',
+    rpm: '{rpm} rpm',
+    unspecified: 'Not specified',
+    statsFailed: 'Error while loading the program statistics.',
+    columns: {
+      user: 'User',
+      program: 'Program',
+      washes: 'Washes',
+      avgKWh: 'Avg. kWh',
+      avgCost: 'Avg. cost',
+      avgDuration: 'Avg. duration',
+      totalKWh: 'Total kWh'
+    },
+    withoutProgram: '{count} of {total} washes without a program.',
+    form: {
+      program: 'Program',
+      unspecified: '– not specified –',
+      temperature: 'Temperature',
+      spin: 'Spin (rpm)',
+      load: 'Load',
+      duration: 'Duration (min)'
+    },
+    title: 'Programs',
+    intro: 'Average consumption and cost per program and temperature in the chosen period.',
+    byUser: 'By user'
+  },
+  photo: {
+    ocrMissing: 'Text recognition not loaded.',
+    recognizing: 'Recognizing the meter reading …',
+    notRecognized: 'No meter reading recognized – please type it in.',
+    recognized: 'Recognized: {kWh} kWh – please check.',
+    ocrFailed: 'Text recognition not possible – please type in the meter reading.',
+    unreadable: 'The photo could not be read: {message}',
+    saveFailed: 'Error while saving the photo.',
+    notSaved: 'The photo was not saved: {message}',
+    removeFailed: 'The photo could not be removed.'
+  },
+  outbox: {
+    queued: 'Reading stored on the device – it is sent as soon as there is a connection.',
+    conflict: 'A reading recorded offline was not accepted – please check below.',
+    sentOne: 'Reading recorded offline sent.',
+    sentMany: '{count} readings recorded offline sent.',
+    chainMoved: 'Another reading was saved in the meantime (latest meter reading {kWh} kWh).',
+    meterDecreased: 'The meter reading is below the last one saved ({kWh} kWh).',
+    implausible: 'A consumption of {kWh} kWh is {reasons}.',
+    status: 'Error {status}.',
+    sendAnyway: 'Send anyway',
+    confirm: 'Confirm',
+    sendAgain: 'Send again',
+    waitingForPrevious: 'waiting for the reading before',
+    waitingForConnection: 'waiting for a connection',
+    taken: 'recorded {at}',
+    forUser: 'for {username}',
+    withPhoto: 'with photo',
+    changeValue: 'Change value',
+    discard: 'Discard',
+    confirmDiscard: 'Discard the reading of {kWh} kWh? It will not be saved.',
+    promptValue: 'Current meter reading (kWh):',
+    title: 'Not sent yet',
+    hint: 'These readings were recorded without a connection and are sent in order as soon as the device is back online.'
+  },
+  anomalies: {
+    and: ' and ',
+    aboveMax: 'more than the maximum of {kWh} kWh per wash',
+    aboveOwnerHistory: 'far above the person\'s usual consumption (median {kWh} kWh)',
+    aboveApplianceHistory: 'far above the appliance\'s usual consumption (median {kWh} kWh)',
+    question: 'A consumption of {kWh} kWh is {reasons}.\n\nIs the meter reading really correct? The reading is then flagged as unusual.',
+    loadFailed: 'Error while loading the unusual readings.',
+    none: 'No unusual readings.',
+    confirmedBy: 'confirmed by {username}',
+    total: '{count} unusual readings, {kWh} kWh in total.',
+    title: 'Unusual readings',
+    intro: 'Confirmed readings with an unusually high consumption in the chosen period.'
+  },
+  readings: {
+    unassigned: 'Unassigned',
+    loadFailed: 'Error while loading the readings.',
+    yearFailed: 'Error while loading the year {year}.',
+    currentKWh: 'Current (kWh)',
+    owner: 'For',
+    note: 'Note',
+    replacePhoto: 'Replace meter photo',
+    attachPhoto: 'Attach meter photo',
+    removePhoto: 'Remove photo',
+    onBehalf: 'on behalf',
+    imported: 'imported',
+    unclaimed: 'not claimed',
+    betweenWashes: 'between washes',
+    plugTitle: 'Smart plug {plugId}',
+    plug: 'Plug',
+    claim: 'Claim',
+    implausible: 'unusual',
+    previous: 'Previous:',
+    oldMeterFinal: 'Final reading of the old meter:',
+    newMeterStart: 'Start reading of the new meter:',
+    unassignedLabel: 'Unassigned:',
+    current: 'Current:',
+    cost: 'Cost:',
+    from: 'From: {username}',
+    anomaly: 'Unusual: {reasons} – confirmed by {username}',
+    program: 'Program:',
+    noteLine: 'Note: {notes}',
+    openPhoto: 'Open meter photo',
+    photo: 'Meter photo',
+    createdBy: 'Recorded by:',
+    viaToken: 'via token "{name}"',
+    date: 'Date:',
+    edited: 'Edited by {username} on {at}',
+    confirmDelete: 'Really delete this reading?',
+    deleteError: 'Error while deleting: {message}',
+    confirmClaim: 'Claim this wash as yours?',
+    claimFailed: 'Claiming failed.',
+    claimError: 'Error while claiming: {message}',
+    updated: 'Reading updated!',
+    editError: 'Error while editing: {message}',
+    title: 'Readings',
+    none: 'No readings recorded yet.'
+  },
+  meterEvents: {
+    types: {
+      replacement: 'Meter replacement',
+      reset: 'Meter reset',
+      rollover: 'Meter rollover'
+    },
+    missingValues: 'Please enter both meter readings.',
+    finalBelowLatest: 'The final reading of the old meter must be ≥ the latest reading ({kWh}).',
+    startNotLower: 'After a reset or rollover the new reading must be lower than the old one.',
+    confirm: 'Save {event}? Further readings count from {kWh} kWh.',
+    residual: '{kWh} kWh are recorded as "unassigned".',
+    saveFailed: 'Error while saving the meter event.',
+    saved: '{event} saved. New meter reading: {kWh} kWh.',
+    toggle: 'Meter replaced, reset or rolled over?',
+    form: {
+      type: 'Event',
+      oldMeterFinal: 'Final reading of the old meter (kWh)',
+      newMeterStart: 'Start reading of the new meter (kWh)',
+      notes: 'Notes (optional)',
+      hint: 'Consumption from the last reading up to the final reading of the old meter is recorded as "unassigned". Further readings count from the start reading of the new meter.',
+      submit: 'Save meter event'
+    }
+  },
+  sessions: {
+    startedBy: ' (started by {username})',
+    running: 'Machine in use: wash for {owner}{by} running since {since}, started at {kWh} kWh.',
+    loadFailed: 'Error while loading the running wash.',
+    startFailed: 'Error while starting the wash.',
+    unassignedGap: '{kWh} kWh since the last reading were recorded as "unassigned".',
+    startedPlug: 'Machine in use – the smart plug records the wash.',
+    started: 'Wash started.',
+    endNotAboveStart: 'The current meter reading ({kWh}) must be > the start ({startKWh}).',
+    stillRunning: 'The wash keeps running – please check the meter reading.',
+    finishFailed: 'Error while finishing the wash.',
+    finished: 'Wash finished, reading saved!',
+    confirmCancel: 'Cancel the running wash? No reading is saved.',
+    cancelFailed: 'Error while cancelling the wash.',
+    cancelled: 'Wash cancelled.',
+    start: 'Start wash',
+    finish: 'Finish wash',
+    hint: '"Start wash" records the meter reading at the beginning, "Finish wash" the one at the end. Consumption between two washes is recorded as "unassigned". If a smart plug measures the appliance, "Start wash" without a meter reading is enough: the plug detects the end of the wash.'
+  },
+  summary: {
+    loadFailed: 'Error while loading the summary.',
+    unknownUser: 'Unknown',
+    noDataForYear: 'No data for {year}.',
+    count: '{count} readings',
+    byAppliance: 'By appliance',
+    monthlyTitle: 'Monthly overview (kWh and CHF by user)',
+    noMonthData: 'No data for this month.',
+    yearlyTitle: 'Yearly overview',
+    chooseYear: 'Choose a year to see the overview.'
+  },
+  tariffs: {
+    rate: {
+      high: 'High rate',
+      low: 'Low rate'
+    },
+    fee: '{fee} fee',
+    feePerWash: '{fee} per wash',
+    plan: '(plan {plan})',
+    timeOfUse: 'HT {high}/kWh ({from}–{to} h), LT {low}/kWh',
+    loadFailed: 'Error while loading the tariffs.',
+    none: 'No tariffs recorded yet.',
+    unnamed: 'Tariff',
+    open: 'open',
+    confirmDelete: 'Really delete this tariff? Readings already recorded keep their cost.',
+    saveFailed: 'Error while saving the tariff.',
+    saved: 'Tariff saved!',
+    title: 'Electricity tariffs',
+    form: {
+      name: 'Name',
+      validFrom: 'Valid from',
+      validTo: 'Valid until (optional)',
+      plan: 'Tariff plan',
+      timeOfUse: 'High/low rate',
+      price: 'Price (CHF/kWh)',
+      highRate: 'HT (CHF/kWh)',
+      lowRate: 'LT (CHF/kWh)',
+      highFrom: 'HT from (hour, Mon–Fri)',
+      highTo: 'HT until (hour)',
+      fee: 'Fee per wash (CHF)',
+      submit: 'Add tariff'
+    }
+  },
+  settlements: {
+    balanceFailed: 'Error while loading the balance.',
+    noneOpen: 'No open statements.',
+    openBalance: 'My open balance: {amount}',
+    openFrom: '{kWh} kWh from {count} open statements:',
+    loadFailed: 'Error while loading the statements.',
+    noneForPeriod: 'No statements for this period.',
+    paidOn: 'paid on {date}',
+    reference: 'Ref. {reference}',
+    open: 'open',
+    resetPayment: 'Reset payment',
+    markPaid: 'Mark as paid',
+    washes: '{count} washes',
+    unpriced: '{count} without tariff',
+    promptPaidAt: 'Payment date (YYYY-MM-DD):',
+    promptReference: 'Payment reference (optional):',
+    confirmReset: 'Really reset the payment?',
+    paymentFailed: 'Error while saving the payment.',
+    paymentSaved: 'Payment recorded.',
+    paymentReset: 'Payment reset.',
+    chooseMonth: 'Please choose a month first.',
+    confirmClose: 'Close {period}? Afterwards, readings of this month can no longer be deleted.',
+    closeFailed: 'Error while closing the month.',
+    closed: '{period} closed: {count} statements created.',
+    title: 'Statements',
+    closeMonth: 'Close the chosen month',
+    balanceLoading: 'Loading the open balance…'
+  },
+  pdf: {
+    error: 'Error while creating the PDF: {message}',
+    librariesMissing: 'PDF libraries not loaded (jsPDF or AutoTable missing).',
+    generatedAt: 'Created on: {date}',
+    columns: {
+      date: 'Date',
+      previous: 'Previous (kWh)',
+      current: 'Current (kWh)',
+      delta: 'Delta (kWh)',
+      tariff: 'Tariff',
+      cost: 'Cost',
+      note: 'Note',
+      photo: 'Photo'
+    },
+    total: 'Total',
+    generating: 'Creating the PDF for {year}…',
+    created: 'PDF created.',
+    openPhoto: 'open',
+    page: 'Page {page}'
+  },
+  statementPdf: {
+    title: 'Statement {period}',
+    user: 'User: {user}',
+    paidOn: 'Paid on {date}',
+    open: 'Open',
+    consumption: 'Consumption: {kWh} kWh',
+    amount: 'Amount: {amount}',
+    washCount: 'Number of washes: {count}',
+    status: 'Status: {status}',
+    washes: 'Washes',
+    fileName: 'Laundry_statement_{period}_{user}'
+  },
+  profile: {
+    loadFailed: 'Error while loading the profile.',
+    saveFailed: 'Error while saving the profile.',
+    saved: 'Profile saved.',
+    confirmSend: 'Send the reports for {period} to all users now? Reports already sent are not sent again.',
+    sendFailed: 'Error while sending.',
+    sent: '{sent} reports sent, {skipped} skipped, {failed} failed.',
+    title: 'Profile & reports',
+    form: {
+      displayName: 'Display name',
+      email: 'E-mail for reports',
+      monthly: 'Monthly report by e-mail',
+      yearly: 'Yearly report by e-mail'
+    },
+    reportHtml: 'My report (chosen period)',
+    reportPdf: 'My report as PDF',
+    reportSend: 'Send reports by e-mail now'
+  },
+  tokens: {
+    scopes: {
+      read: 'Read only',
+      submit: 'Record readings'
+    },
+    none: 'No API tokens.',
+    createdOn: 'created {date}',
+    lastUsed: 'last used {date}',
+    neverUsed: 'never used',
+    revokedOn: 'revoked {date}',
+    revoke: 'Revoke',
+    confirmRevoke: 'Revoke the token "{name}"? Scripts and devices using it will stop working.',
+    revokeFailed: 'Error while revoking.',
+    revoked: 'Token revoked.',
+    loadFailed: 'Error while loading the API tokens.',
+    createFailed: 'Error while creating the token.',
+    created: 'Token "{name}" created.',
+    copied: 'Token copied.',
+    title: 'API tokens',
+    introBefore: 'For scripts and devices at the machine: the token is sent as',
+    introAfter: 'and acts in your name. "Read only" allows queries, "Record readings" also new readings and washes. The token is shown only once.',
+    form: {
+      name: 'Name',
+      namePlaceholder: 'e.g. ESP32 laundry room',
+      scope: 'Permission',
+      submit: 'Create token'
+    },
+    secretHint: 'New token – copy it now, it will not be shown again:',
+    copy: 'Copy'
+  },
+  reservations: {
+    unbookedWash: '{owner}: wash without reservation ({time})',
+    weekStats: 'This week: {reservations} reservations, {noShows} no-shows, {unbooked} washes without reservation.',
+    confirmCancel: 'Cancel the reservation ({reservation})?',
+    cancelFailed: 'Cancelling failed.',
+    cancelled: 'Reservation cancelled.',
+    configFailed: 'Error while loading the reservation settings.',
+    minutes: '{count} min',
+    hours: '{count} h',
+    loadFailed: 'Error while loading the reservations.',
+    chooseStart: 'Please choose the date and start.',
+    taken: 'Already reserved by {owner} ({from}–{to}).',
+    reserveFailed: 'Reserving failed.',
+    reserved: 'Reserved!',
+    title: 'Reservations',
+    legend: {
+      reserved: 'reserved',
+      used: 'washed',
+      noShow: 'no-show',
+      unbooked: 'wash without reservation'
+    },
+    form: {
+      date: 'Date',
+      start: 'Start',
+      duration: 'Duration',
+      for: 'For',
+      submit: 'Reserve'
+    }
+  },
+  import: {
+    failed: 'Error while importing.',
+    summary: '{rows} rows, {errors} with errors',
+    rechained: '{count} existing reading(s) get a new start value:',
+    columns: {
+      line: 'Row',
+      date: 'Date',
+      previous: 'Previous',
+      current: 'Current',
+      delta: 'Delta',
+      cost: 'Cost',
+      user: 'User',
+      note: 'Note',
+      errors: 'Errors'
+    },
+    commitFailed: 'Import failed.',
+    imported: '{count} readings imported.',
+    title: 'Import readings (CSV)',
+    intro: 'Columns: date; meter reading (kWh); user (optional); note (optional). Date as YYYY-MM-DD or DD.MM.YYYY, optionally with the time HH:MM (without a time: 12:00). The readings are assigned to the appliance chosen above under "New reading".',
+    preview: 'Preview',
+    commit: 'Confirm import'
+  },
+  audit: {
+    actions: {
+      reading: {
+        create: 'Reading recorded',
+        update: 'Reading edited',
+        delete: 'Reading deleted',
+        import: 'Readings imported',
+        meter_event: 'Meter event recorded',
+        claim: 'Wash claimed',
+        photo: 'Meter photo attached',
+        photo_delete: 'Meter photo removed'
+      },
+      tariff: {
+        create: 'Tariff recorded',
+        delete: 'Tariff deleted'
+      },
+      settlement: {
+        close: 'Month closed'
+      },
+      statement: {
+        payment: 'Payment recorded'
+      },
+      profile: {
+        update: 'Profile changed'
+      },
+      session: {
+        start: 'Wash started',
+        finish: 'Wash finished',
+        cancel: 'Wash cancelled',
+        expire: 'Wash expired'
+      },
+      reservation: {
+        create: 'Reservation made',
+        cancel: 'Reservation cancelled'
+      },
+      appliance: {
+        create: 'Appliance added',
+        update: 'Appliance edited'
+      },
+      user: {
+        create: 'User added',
+        update: 'User changed'
+      },
+      token: {
+        create: 'API token created',
+        revoke: 'API token revoked'
+      }
+    },
+    none: 'No entries for this period.',
+    subjects: 'Concerns: {users}',
+    changed: 'Changed: {fields}',
+    related: 'Also adjusted: {ids}',
+    details: 'Details',
+    before: 'Before:',
+    after: 'After:',
+    loadFailed: 'Error while loading the log.',
+    title: 'Change log',
+    form: {
+      user: 'User',
+      action: 'Action',
+      all: 'All',
+      from: 'From',
+      to: 'To',
+      submit: 'Show'
+    }
+  },
+  export: {
+    csvSingleTable: 'CSV holds only one table – please choose readings or a sum.',
+    label: 'Export:',
+    data: {
+      readings: 'Readings',
+      byUser: 'Sums per user',
+      byAppliance: 'Sums per appliance',
+      byMonth: 'Sums per month and user',
+      all: 'Everything (JSON/spreadsheet only)'
+    },
+    format: 'Format:',
+    formats: {
+      xlsx: 'Excel (XLSX)',
+      ods: 'OpenDocument (ODS)'
+    },
+    button: 'Export'
+  },
+  yearlyPdf: {
+    title: 'Yearly report {year}',
+    noData: 'no data',
+    period: 'Period: {period}',
+    totalKWh: 'Total consumption: {kWh} kWh',
+    totalCost: 'Total cost: {amount}',
+    count: 'Number of readings: {count}',
+    avgKWh: 'Avg. consumption per reading: {kWh} kWh',
+    chartMissing: 'Note: the chart could not be created.',
+    byUser: 'Overview by user',
+    columns: {
+      user: 'User',
+      appliance: 'Appliance',
+      totalKWh: 'Total (kWh)',
+      costCHF: 'Cost (CHF)',
+      count: 'Readings',
+      minKWh: 'Min (kWh)',
+      maxKWh: 'Max (kWh)',
+      avgKWh: 'Avg. per reading (kWh)'
+    },
+    byAppliance: 'Overview by appliance',
+    byProgram: 'Consumption by program',
+    programsByUser: 'Programs by user',
+    details: 'Readings by user (details)',
+    meterEvents: 'Meter events',
+    meterColumns: {
+      date: 'Date',
+      event: 'Event',
+      appliance: 'Appliance',
+      oldMeterFinal: 'Old final reading (kWh)',
+      newMeterStart: 'New start reading (kWh)',
+      unassigned: 'Unassigned (kWh)',
+      note: 'Note'
+    },
+    summary: 'Summary',
+    year: 'Year: {year}',
+    totalCount: 'Total number of readings: {count}',
+    average: 'Average per reading: {kWh} kWh',
+    recordedPeriod: 'Recorded period: {period}',
+    month: 'Month',
+    fileName: 'Laundry_yearly_report_{year}',
+    chartLabel: 'kWh per user ({year})'
+  },
+  app: {
+    title: 'Washing machine tracker'
+  },
+  period: {
+    title: 'Choose period',
+    year: 'Year:',
+    month: 'Month:',
+    allMonths: 'All months',
+    months: {
+      '1': 'January',
+      '2': 'February',
+      '3': 'March',
+      '4': 'April',
+      '5': 'May',
+      '6': 'June',
+      '7': 'July',
+      '8': 'August',
+      '9': 'September',
+      '10': 'October',
+      '11': 'November',
+      '12': 'December'
+    },
+    apply: 'Apply filter',
+    yearlyReport: 'Download yearly report'
+  }
+});
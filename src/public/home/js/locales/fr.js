@@ -0,0 +1,631 @@
+// French texts of the page, see js/i18n.js
+WashI18n.register('fr', {
+  common: {
+    error: 'Erreur : {message}',
+    edit: 'Modifier',
+    noData: 'Aucune donnée.',
+    loadError: 'Erreur lors du chargement : {message}',
+    delete: 'Supprimer',
+    cancel: 'Annuler',
+    save: 'Enregistrer',
+    deleteFailed: 'La suppression a échoué.',
+    saveFailed: 'L’enregistrement a échoué.'
+  },
+  identity: {
+    noHousehold: 'Tu ne fais partie d’aucun ménage.',
+    notAuthenticated: 'Authentification manquante.',
+    loadFailed: 'Erreur lors du chargement de l’utilisateur : {message} Merci de vérifier la connexion.'
+  },
+  language: {
+    saveFailed: 'La langue n’a pas pu être enregistrée.',
+    label: 'Langue'
+  },
+  households: {
+    loadFailed: 'Erreur lors du chargement des ménages.',
+    switchFailed: 'Le changement de ménage a échoué.',
+    label: 'Ménage :'
+  },
+  reading: {
+    chooseUser: '-- Choisir l’utilisateur --',
+    latestFailed: 'Erreur lors du chargement du dernier relevé du compteur.',
+    latestOffline: 'Pas de connexion – le relevé précédent est le dernier connu.',
+    invalidValue: 'Le relevé actuel n’est pas valable.',
+    missingValue: 'Merci de saisir le relevé actuel du compteur.',
+    missingOnBehalf: 'Merci de choisir un utilisateur pour « sur mandat ».',
+    notAbovePrevious: 'Le relevé actuel ({kWh}) doit être > au précédent ({previousKWh}). Le compteur a-t-il été remplacé, remis à zéro ou a-t-il débordé ? Saisir alors d’abord l’événement de compteur ci-dessous.',
+    notSaved: 'Mesure non enregistrée – merci de vérifier le relevé.',
+    chainMoved: 'Entre-temps, une autre mesure a été enregistrée. Le relevé précédent est maintenant de {kWh} kWh – merci de vérifier et d’enregistrer à nouveau.',
+    conflict: 'Conflit lors de l’enregistrement de la mesure.',
+    saveFailed: 'Erreur lors de l’enregistrement de la mesure.',
+    saved: 'Mesure enregistrée !',
+    title: 'Nouvelle mesure',
+    form: {
+      appliance: 'Appareil',
+      previous: 'Relevé précédent (kWh)',
+      current: 'Relevé actuel (kWh)',
+      delta: 'Consommation (delta, kWh)',
+      notes: 'Remarques (facultatif)',
+      photo: 'Photo du compteur (facultatif)',
+      photoAlt: 'Photo du compteur',
+      photoHint: 'Enregistrée avec la mesure comme justificatif ; le relevé est proposé à partir de la photo.',
+      onBehalf: 'Saisir sur mandat',
+      onBehalfUser: 'Utilisateur (pour qui)',
+      chooseUser: '-- Choisir l’utilisateur --',
+      onBehalfHint: 'Cette mesure est marquée « sur mandat ».',
+      submit: 'Ajouter la mesure'
+    }
+  },
+  users: {
+    makeMember: 'Rendre membre',
+    makeAdmin: 'Rendre admin',
+    deactivate: 'Désactiver',
+    activate: 'Activer',
+    roleAdmin: 'Admin',
+    roleMember: 'Membre',
+    inactive: 'désactivé',
+    confirmDeactivate: 'Désactiver {name} ? Les mesures sont conservées.',
+    updateFailed: 'Erreur lors de la modification de l’utilisateur.',
+    updated: 'Utilisateur modifié.',
+    loadFailed: 'Erreur lors du chargement des utilisateurs.',
+    addFailed: 'Erreur lors de l’ajout de l’utilisateur.',
+    added: 'Utilisateur ajouté.',
+    title: 'Utilisateurs',
+    intro: 'Quiconque se connecte est ajouté automatiquement. Les admins peuvent saisir des colocataires à l’avance, changer les rôles et désactiver les utilisateurs partis ; leurs mesures sont conservées.',
+    form: {
+      username: 'Nom d’utilisateur',
+      displayName: 'Nom affiché (facultatif)',
+      email: 'E-mail (facultatif)',
+      submit: 'Ajouter l’utilisateur'
+    }
+  },
+  appliances: {
+    meter: 'Compteur : {meterId}',
+    tariffPlan: 'Plan tarifaire : {plan}',
+    plug: 'Prise : {plugId}',
+    save: 'Enregistrer l’appareil',
+    add: 'Ajouter l’appareil',
+    loadFailed: 'Erreur lors du chargement des appareils.',
+    saveFailed: 'Erreur lors de l’enregistrement de l’appareil.',
+    saved: 'Appareil enregistré !',
+    title: 'Appareils',
+    intro: 'Chaque appareil a son propre compteur et est facturé selon les tarifs de son plan tarifaire.',
+    form: {
+      name: 'Nom',
+      namePlaceholder: 'p. ex. sèche-linge',
+      meterId: 'N° de compteur (facultatif)',
+      plugId: 'Prise connectée (facultatif)',
+      plugPlaceholder: 'p. ex. shellyplug-s-a1b2c3',
+      plugTitle: 'ID de la prise connectée intermédiaire (Shelly, Tasmota)',
+      tariffPlan: 'Plan tarifaire'
+    }
+  },
+  programs: {
+    names: {
+      cotton: 'Coton',
+      eco: 'Eco 40-60',
+      synthetics: 'Synthétique',
+      delicates: 'Délicat',
+      wool: 'Laine',
+      quick: 'Programme court'
+    },
+    cold: 'froid',
+    load: {
+      low: 'faible',
+      half: 'moitié',
+      full: 'pleine'
+    },
+    loadFailed: 'Erreur lors du chargement des programmes.',
+    none: '– non indiqué –',
+    rpm: '{rpm} tr/min',
+    unspecified: 'Non indiqué',
+    statsFailed: 'Erreur lors du chargement des statistiques des programmes.',
+    columns: {
+      user: 'Utilisateur',
+      program: 'Programme',
+      washes: 'Lessives',
+      avgKWh: 'Ø kWh',
+      avgCost: 'Ø coût',
+      avgDuration: 'Ø durée',
+      totalKWh: 'Total kWh'
+    },
+    withoutProgram: '{count} lessives sur {total} sans programme indiqué.',
+    form: {
+      program: 'Programme',
+      unspecified: '– non indiqué –',
+      temperature: 'Température',
+      spin: 'Essorage (tr/min)',
+      load: 'Charge',
+      duration: 'Durée (min)'
+    },
+    title: 'Programmes',
+    intro: 'Consommation et coût moyens par programme et température dans la période choisie.',
+    byUser: 'Par utilisateur'
+  },
+  photo: {
+    ocrMissing: 'Reconnaissance de texte non chargée.',
+    recognizing: 'Reconnaissance du relevé …',
+    notRecognized: 'Aucun relevé reconnu – merci de le saisir.',
+    recognized: 'Reconnu : {kWh} kWh – merci de vérifier.',
+    ocrFailed: 'Reconnaissance de texte impossible – merci de saisir le relevé.',
+    unreadable: 'La photo n’a pas pu être lue : {message}',
+    saveFailed: 'Erreur lors de l’enregistrement de la photo.',
+    notSaved: 'La photo n’a pas été enregistrée : {message}',
+    removeFailed: 'La photo n’a pas pu être retirée.'
+  },
+  outbox: {
+    queued: 'Mesure enregistrée sur l’appareil – elle sera envoyée dès qu’une connexion sera disponible.',
+    conflict: 'Une mesure saisie hors ligne n’a pas été acceptée – merci de vérifier ci-dessous.',
+    sentOne: 'Mesure saisie hors ligne envoyée.',
+    sentMany: '{count} mesures saisies hors ligne envoyées.',
+    chainMoved: 'Entre-temps, une autre mesure a été enregistrée (dernier relevé {kWh} kWh).',
+    meterDecreased: 'Le relevé est inférieur au dernier enregistré ({kWh} kWh).',
+    implausible: 'Une consommation de {kWh} kWh est {reasons}.',
+    status: 'Erreur {status}.',
+    sendAnyway: 'Envoyer quand même',
+    confirm: 'Confirmer',
+    sendAgain: 'Envoyer à nouveau',
+    waitingForPrevious: 'attend la mesure précédente',
+    waitingForConnection: 'attend une connexion',
+    taken: 'saisie {at}',
+    forUser: 'pour {username}',
+    withPhoto: 'avec photo',
+    changeValue: 'Modifier la valeur',
+    discard: 'Rejeter',
+    confirmDiscard: 'Rejeter la mesure de {kWh} kWh ? Elle ne sera pas enregistrée.',
+    promptValue: 'Relevé actuel (kWh) :',
+    title: 'Pas encore envoyées',
+    hint: 'Ces mesures ont été saisies sans connexion et seront envoyées dans l’ordre dès que l’appareil sera de nouveau en ligne.'
+  },
+  anomalies: {
+    and: ' et ',
+    aboveMax: 'supérieure au maximum de {kWh} kWh par lessive',
+    aboveOwnerHistory: 'bien au-dessus de la consommation habituelle de la personne (médiane {kWh} kWh)',
+    aboveApplianceHistory: 'bien au-dessus de la consommation habituelle de l’appareil (médiane {kWh} kWh)',
+    question: 'Une consommation de {kWh} kWh est {reasons}.\n\nLe relevé est-il vraiment correct ? La mesure sera alors signalée comme inhabituelle.',
+    loadFailed: 'Erreur lors du chargement des mesures inhabituelles.',
+    none: 'Aucune mesure inhabituelle.',
+    confirmedBy: 'confirmée par {username}',
+    total: '{count} mesures inhabituelles, au total {kWh} kWh.',
+    title: 'Mesures inhabituelles',
+    intro: 'Mesures confirmées avec une consommation inhabituellement élevée dans la période choisie.'
+  },
+  readings: {
+    unassigned: 'Non attribué',
+    loadFailed: 'Erreur lors du chargement des mesures.',
+    yearFailed: 'Erreur lors du chargement de l’année {year}.',
+    currentKWh: 'Actuel (kWh)',
+    owner: 'Pour',
+    note: 'Remarque',
+    replacePhoto: 'Remplacer la photo du compteur',
+    attachPhoto: 'Joindre une photo du compteur',
+    removePhoto: 'Retirer la photo',
+    onBehalf: 'sur mandat',
+    imported: 'importée',
+    unclaimed: 'non reprise',
+    betweenWashes: 'entre les lessives',
+    plugTitle: 'Prise {plugId}',
+    plug: 'Prise',
+    claim: 'Reprendre',
+    implausible: 'inhabituelle',
+    previous: 'Avant :',
+    oldMeterFinal: 'Relevé final de l’ancien compteur :',
+    newMeterStart: 'Relevé initial du nouveau compteur :',
+    unassignedLabel: 'Non attribué :',
+    current: 'Actuel :',
+    cost: 'Coût :',
+    from: 'De : {username}',
+    anomaly: 'Inhabituelle : {reasons} – confirmée par {username}',
+    program: 'Programme :',
+    noteLine: 'Remarque : {notes}',
+    openPhoto: 'Ouvrir la photo du compteur',
+    photo: 'Photo du compteur',
+    createdBy: 'Saisie par :',
+    viaToken: 'via le jeton « {name} »',
+    date: 'Date :',
+    edited: 'Modifiée par {username} le {at}',
+    confirmDelete: 'Vraiment supprimer cette mesure ?',
+    deleteError: 'Erreur lors de la suppression : {message}',
+    confirmClaim: 'Reprendre cette lessive comme la tienne ?',
+    claimFailed: 'La reprise a échoué.',
+    claimError: 'Erreur lors de la reprise : {message}',
+    updated: 'Mesure mise à jour !',
+    editError: 'Erreur lors de la modification : {message}',
+    title: 'Mesures',
+    none: 'Aucune mesure saisie pour l’instant.'
+  },
+  meterEvents: {
+    types: {
+      replacement: 'Remplacement du compteur',
+      reset: 'Compteur remis à zéro',
+      rollover: 'Débordement du compteur'
+    },
+    missingValues: 'Merci d’indiquer les deux relevés.',
+    finalBelowLatest: 'Le relevé final de l’ancien compteur doit être ≥ au dernier relevé ({kWh}).',
+    startNotLower: 'Après une remise à zéro ou un débordement, le nouveau relevé doit être inférieur à l’ancien.',
+    confirm: 'Enregistrer {event} ? Les mesures suivantes partent de {kWh} kWh.',
+    residual: '{kWh} kWh sont saisis comme « non attribués ».',
+    saveFailed: 'Erreur lors de l’enregistrement de l’événement de compteur.',
+    saved: '{event} enregistré. Nouveau relevé : {kWh} kWh.',
+    toggle: 'Compteur remplacé, remis à zéro ou débordé ?',
+    form: {
+      type: 'Événement',
+      oldMeterFinal: 'Relevé final de l’ancien compteur (kWh)',
+      newMeterStart: 'Relevé initial du nouveau compteur (kWh)',
+      notes: 'Remarques (facultatif)',
+      hint: 'La consommation depuis la dernière mesure jusqu’au relevé final de l’ancien compteur est saisie comme « non attribuée ». Les mesures suivantes partent du relevé initial du nouveau compteur.',
+      submit: 'Enregistrer l’événement de compteur'
+    }
+  },
+  sessions: {
+    startedBy: ' (démarrée par {username})',
+    running: 'Machine occupée : lessive pour {owner}{by} en cours depuis {since}, début à {kWh} kWh.',
+    loadFailed: 'Erreur lors du chargement de la lessive en cours.',
+    startFailed: 'Erreur lors du démarrage de la lessive.',
+    unassignedGap: '{kWh} kWh depuis la dernière mesure ont été saisis comme « non attribués ».',
+    startedPlug: 'Machine occupée – la prise enregistre la lessive.',
+    started: 'Lessive démarrée.',
+    endNotAboveStart: 'Le relevé actuel ({kWh}) doit être > au début ({startKWh}).',
+    stillRunning: 'La lessive continue – merci de vérifier le relevé.',
+    finishFailed: 'Erreur lors de la fin de la lessive.',
+    finished: 'Lessive terminée, mesure enregistrée !',
+    confirmCancel: 'Annuler la lessive en cours ? Aucune mesure ne sera enregistrée.',
+    cancelFailed: 'Erreur lors de l’annulation de la lessive.',
+    cancelled: 'Lessive annulée.',
+    start: 'Démarrer la lessive',
+    finish: 'Terminer la lessive',
+    hint: '« Démarrer la lessive » retient le relevé au début, « Terminer la lessive » celui à la fin. La consommation entre deux lessives est saisie comme « non attribuée ». Si une prise mesure l’appareil, « Démarrer la lessive » sans relevé suffit : la prise détecte la fin de la lessive.'
+  },
+  summary: {
+    loadFailed: 'Erreur lors du chargement du résumé.',
+    unknownUser: 'Inconnu',
+    noDataForYear: 'Aucune donnée pour {year}.',
+    count: '{count} mesures',
+    byAppliance: 'Par appareil',
+    monthlyTitle: 'Aperçu mensuel (kWh et CHF par utilisateur)',
+    noMonthData: 'Aucune donnée pour ce mois.',
+    yearlyTitle: 'Aperçu annuel',
+    chooseYear: 'Choisir une année pour voir l’aperçu.'
+  },
+  tariffs: {
+    rate: {
+      high: 'Tarif haut',
+      low: 'Tarif bas'
+    },
+    fee: '{fee} de taxe',
+    feePerWash: '{fee} par lessive',
+    plan: '(plan {plan})',
+    timeOfUse: 'HT {high}/kWh ({from}–{to} h), BT {low}/kWh',
+    loadFailed: 'Erreur lors du chargement des tarifs.',
+    none: 'Aucun tarif saisi pour l’instant.',
+    unnamed: 'Tarif',
+    open: 'ouvert',
+    confirmDelete: 'Vraiment supprimer ce tarif ? Les mesures déjà saisies gardent leur coût.',
+    saveFailed: 'Erreur lors de l’enregistrement du tarif.',
+    saved: 'Tarif enregistré !',
+    title: 'Tarifs d’électricité',
+    form: {
+      name: 'Nom',
+      validFrom: 'Valable dès',
+      validTo: 'Valable jusqu’au (facultatif)',
+      plan: 'Plan tarifaire',
+      timeOfUse: 'Tarif haut/bas',
+      price: 'Prix (CHF/kWh)',
+      highRate: 'HT (CHF/kWh)',
+      lowRate: 'BT (CHF/kWh)',
+      highFrom: 'HT dès (heure, lu–ve)',
+      highTo: 'HT jusqu’à (heure)',
+      fee: 'Taxe par lessive (CHF)',
+      submit: 'Ajouter le tarif'
+    }
+  },
+  settlements: {
+    balanceFailed: 'Erreur lors du chargement du solde.',
+    noneOpen: 'Aucun décompte ouvert.',
+    openBalance: 'Mon solde ouvert : {amount}',
+    openFrom: '{kWh} kWh issus de {count} décomptes ouverts :',
+    loadFailed: 'Erreur lors du chargement des décomptes.',
+    noneForPeriod: 'Aucun décompte pour cette période.',
+    paidOn: 'payé le {date}',
+    reference: 'Réf. {reference}',
+    open: 'ouvert',
+    resetPayment: 'Annuler le paiement',
+    markPaid: 'Marquer comme payé',
+    washes: '{count} lessives',
+    unpriced: '{count} sans tarif',
+    promptPaidAt: 'Date de paiement (AAAA-MM-JJ) :',
+    promptReference: 'Référence de paiement (facultatif) :',
+    confirmReset: 'Vraiment annuler le paiement ?',
+    paymentFailed: 'Erreur lors de l’enregistrement du paiement.',
+    paymentSaved: 'Paiement saisi.',
+    paymentReset: 'Paiement annulé.',
+    chooseMonth: 'Merci de choisir d’abord un mois.',
+    confirmClose: 'Clôturer {period} ? Ensuite, les mesures de ce mois ne pourront plus être supprimées.',
+    closeFailed: 'Erreur lors de la clôture du mois.',
+    closed: '{period} clôturé : {count} décomptes établis.',
+    title: 'Décomptes',
+    closeMonth: 'Clôturer le mois choisi',
+    balanceLoading: 'Chargement du solde ouvert…'
+  },
+  pdf: {
+    error: 'Erreur lors de la création du PDF : {message}',
+    librariesMissing: 'Bibliothèques PDF non chargées (jsPDF ou AutoTable manquant).',
+    generatedAt: 'Établi le : {date}',
+    columns: {
+      date: 'Date',
+      previous: 'Avant (kWh)',
+      current: 'Actuel (kWh)',
+      delta: 'Delta (kWh)',
+      tariff: 'Tarif',
+      cost: 'Coût',
+      note: 'Remarque',
+      photo: 'Photo'
+    },
+    total: 'Total',
+    generating: 'Création du PDF pour {year}…',
+    created: 'PDF créé.',
+    openPhoto: 'ouvrir',
+    page: 'Page {page}'
+  },
+  statementPdf: {
+    title: 'Décompte {period}',
+    user: 'Utilisateur : {user}',
+    paidOn: 'Payé le {date}',
+    open: 'Ouvert',
+    consumption: 'Consommation : {kWh} kWh',
+    amount: 'Montant : {amount}',
+    washCount: 'Nombre de lessives : {count}',
+    status: 'Statut : {status}',
+    washes: 'Lessives',
+    fileName: 'Lessive_decompte_{period}_{user}'
+  },
+  profile: {
+    loadFailed: 'Erreur lors du chargement du profil.',
+    saveFailed: 'Erreur lors de l’enregistrement du profil.',
+    saved: 'Profil enregistré.',
+    confirmSend: 'Envoyer maintenant les rapports de {period} à tous les utilisateurs ? Les rapports déjà envoyés ne sont pas renvoyés.',
+    sendFailed: 'Erreur lors de l’envoi.',
+    sent: '{sent} rapports envoyés, {skipped} ignorés, {failed} en échec.',
+    title: 'Profil & rapports',
+    form: {
+      displayName: 'Nom affiché',
+      email: 'E-mail pour les rapports',
+      monthly: 'Rapport mensuel par e-mail',
+      yearly: 'Rapport annuel par e-mail'
+    },
+    reportHtml: 'Mon rapport (période choisie)',
+    reportPdf: 'Mon rapport en PDF',
+    reportSend: 'Envoyer les rapports par e-mail maintenant'
+  },
+  tokens: {
+    scopes: {
+      read: 'Lecture seule',
+      submit: 'Saisir des mesures'
+    },
+    none: 'Aucun jeton API.',
+    createdOn: 'créé le {date}',
+    lastUsed: 'utilisé pour la dernière fois le {date}',
+    neverUsed: 'jamais utilisé',
+    revokedOn: 'révoqué le {date}',
+    revoke: 'Révoquer',
+    confirmRevoke: 'Révoquer le jeton « {name} » ? Les scripts et appareils qui l’utilisent ne fonctionneront plus.',
+    revokeFailed: 'Erreur lors de la révocation.',
+    revoked: 'Jeton révoqué.',
+    loadFailed: 'Erreur lors du chargement des jetons API.',
+    createFailed: 'Erreur lors de la création du jeton.',
+    created: 'Jeton « {name} » créé.',
+    copied: 'Jeton copié.',
+    title: 'Jetons API',
+    introBefore: 'Pour les scripts et appareils près de la machine : le jeton est envoyé comme',
+    introAfter: 'et agit en ton nom. « Lecture seule » permet les consultations, « Saisir des mesures » aussi de nouvelles mesures et lessives. Le jeton n’est affiché qu’une seule fois.',
+    form: {
+      name: 'Nom',
+      namePlaceholder: 'p. ex. ESP32 buanderie',
+      scope: 'Autorisation',
+      submit: 'Créer le jeton'
+    },
+    secretHint: 'Nouveau jeton – le copier maintenant, il ne sera plus affiché :',
+    copy: 'Copier'
+  },
+  reservations: {
+    unbookedWash: '{owner} : lessive sans réservation ({time})',
+    weekStats: 'Cette semaine : {reservations} réservations, {noShows} absences, {unbooked} lessives sans réservation.',
+    confirmCancel: 'Annuler la réservation ({reservation}) ?',
+    cancelFailed: 'L’annulation a échoué.',
+    cancelled: 'Réservation annulée.',
+    configFailed: 'Erreur lors du chargement des paramètres de réservation.',
+    minutes: '{count} min',
+    hours: '{count} h',
+    loadFailed: 'Erreur lors du chargement des réservations.',
+    chooseStart: 'Merci de choisir la date et le début.',
+    taken: 'Déjà réservé par {owner} ({from}–{to}).',
+    reserveFailed: 'La réservation a échoué.',
+    reserved: 'Réservé !',
+    title: 'Réservations',
+    legend: {
+      reserved: 'réservé',
+      used: 'lessive faite',
+      noShow: 'absent',
+      unbooked: 'lessive sans réservation'
+    },
+    form: {
+      date: 'Date',
+      start: 'Début',
+      duration: 'Durée',
+      for: 'Pour',
+      submit: 'Réserver'
+    }
+  },
+  import: {
+    failed: 'Erreur lors de l’importation.',
+    summary: '{rows} lignes, {errors} avec erreurs',
+    rechained: '{count} mesure(s) existante(s) reçoivent une nouvelle valeur initiale :',
+    columns: {
+      line: 'Ligne',
+      date: 'Date',
+      previous: 'Avant',
+      current: 'Actuel',
+      delta: 'Delta',
+      cost: 'Coût',
+      user: 'Utilisateur',
+      note: 'Remarque',
+      errors: 'Erreurs'
+    },
+    commitFailed: 'L’importation a échoué.',
+    imported: '{count} mesures importées.',
+    title: 'Importer des mesures (CSV)',
+    intro: 'Colonnes : date ; relevé (kWh) ; utilisateur (facultatif) ; remarque (facultatif). Date au format AAAA-MM-JJ ou JJ.MM.AAAA, avec heure HH:MM facultative (sans heure : 12:00). Les mesures sont attribuées à l’appareil choisi plus haut sous « Nouvelle mesure ».',
+    preview: 'Aperçu',
+    commit: 'Confirmer l’importation'
+  },
+  audit: {
+    actions: {
+      reading: {
+        create: 'Mesure saisie',
+        update: 'Mesure modifiée',
+        delete: 'Mesure supprimée',
+        import: 'Mesures importées',
+        meter_event: 'Événement de compteur saisi',
+        claim: 'Lessive reprise',
+        photo: 'Photo du compteur jointe',
+        photo_delete: 'Photo du compteur retirée'
+      },
+      tariff: {
+        create: 'Tarif saisi',
+        delete: 'Tarif supprimé'
+      },
+      settlement: {
+        close: 'Mois clôturé'
+      },
+      statement: {
+        payment: 'Paiement saisi'
+      },
+      profile: {
+        update: 'Profil modifié'
+      },
+      session: {
+        start: 'Lessive démarrée',
+        finish: 'Lessive terminée',
+        cancel: 'Lessive annulée',
+        expire: 'Lessive expirée'
+      },
+      reservation: {
+        create: 'Réservation saisie',
+        cancel: 'Réservation annulée'
+      },
+      appliance: {
+        create: 'Appareil ajouté',
+        update: 'Appareil modifié'
+      },
+      user: {
+        create: 'Utilisateur ajouté',
+        update: 'Utilisateur modifié'
+      },
+      token: {
+        create: 'Jeton API créé',
+        revoke: 'Jeton API révoqué'
+      }
+    },
+    none: 'Aucune entrée pour cette période.',
+    subjects: 'Concerne : {users}',
+    changed: 'Modifié : {fields}',
+    related: 'Également ajusté : {ids}',
+    details: 'Détails',
+    before: 'Avant :',
+    after: 'Après :',
+    loadFailed: 'Erreur lors du chargement du journal.',
+    title: 'Journal des modifications',
+    form: {
+      user: 'Utilisateur',
+      action: 'Action',
+      all: 'Toutes',
+      from: 'Du',
+      to: 'Au',
+      submit: 'Afficher'
+    }
+  },
+  export: {
+    csvSingleTable: 'Le CSV ne contient qu’un tableau – merci de choisir les mesures ou une somme.',
+    label: 'Export :',
+    data: {
+      readings: 'Mesures',
+      byUser: 'Sommes par utilisateur',
+      byAppliance: 'Sommes par appareil',
+      byMonth: 'Sommes par mois et utilisateur',
+      all: 'Tout (JSON/tableur seulement)'
+    },
+    format: 'Format :',
+    formats: {
+      xlsx: 'Excel (XLSX)',
+      ods: 'OpenDocument (ODS)'
+    },
+    button: 'Exporter'
+  },
+  yearlyPdf: {
+    title: 'Rapport annuel {year}',
+    noData: 'aucune donnée',
+    period: 'Période : {period}',
+    totalKWh: 'Consommation totale : {kWh} kWh',
+    totalCost: 'Coût total : {amount}',
+    count: 'Nombre de mesures : {count}',
+    avgKWh: 'Ø consommation par mesure : {kWh} kWh',
+    chartMissing: 'Remarque : le graphique n’a pas pu être créé.',
+    byUser: 'Aperçu par utilisateur',
+    columns: {
+      user: 'Utilisateur',
+      appliance: 'Appareil',
+      totalKWh: 'Total (kWh)',
+      costCHF: 'Coût (CHF)',
+      count: 'Mesures',
+      minKWh: 'Min (kWh)',
+      maxKWh: 'Max (kWh)',
+      avgKWh: 'Ø par mesure (kWh)'
+    },
+    byAppliance: 'Aperçu par appareil',
+    byProgram: 'Consommation par programme',
+    programsByUser: 'Programmes par utilisateur',
+    details: 'Mesures par utilisateur (détails)',
+    meterEvents: 'Événements de compteur',
+    meterColumns: {
+      date: 'Date',
+      event: 'Événement',
+      appliance: 'Appareil',
+      oldMeterFinal: 'Relevé final ancien (kWh)',
+      newMeterStart: 'Relevé initial nouveau (kWh)',
+      unassigned: 'Non attribué (kWh)',
+      note: 'Remarque'
+    },
+    summary: 'Résumé',
+    year: 'Année : {year}',
+    totalCount: 'Nombre total de mesures : {count}',
+    average: 'Moyenne par mesure : {kWh} kWh',
+    recordedPeriod: 'Période saisie : {period}',
+    month: 'Mois',
+    fileName: 'Lessive_rapport_annuel_{year}',
+    chartLabel: 'kWh par utilisateur ({year})'
+  },
+  app: {
+    title: 'Suivi de la machine à laver'
+  },
+  period: {
+    title: 'Choisir la période',
+    year: 'Année :',
+    month: 'Mois :',
+    allMonths: 'Tous les mois',
+    months: {
+      '1': 'janvier',
+      '2': 'février',
+      '3': 'mars',
+      '4': 'avril',
+      '5': 'mai',
+      '6': 'juin',
+      '7': 'juillet',
+      '8': 'août',
+      '9': 'septembre',
+      '10': 'octobre',
+      '11': 'novembre',
+      '12': 'décembre'
+    },
+    apply: 'Appliquer le filtre',
+    yearlyReport: 'Télécharger le rapport annuel'
+  }
+});
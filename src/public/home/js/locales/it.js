@@ -0,0 +1,631 @@
+// Italian texts of the page, see js/i18n.js
+WashI18n.register('it', {
+  common: {
+    error: 'Errore: {message}',
+    edit: 'Modifica',
+    noData: 'Nessun dato.',
+    loadError: 'Errore durante il caricamento: {message}',
+    delete: 'Elimina',
+    cancel: 'Annulla',
+    save: 'Salva',
+    deleteFailed: 'Eliminazione non riuscita.',
+    saveFailed: 'Salvataggio non riuscito.'
+  },
+  identity: {
+    noHousehold: 'Non fai parte di nessuna economia domestica.',
+    notAuthenticated: 'Autenticazione mancante.',
+    loadFailed: 'Errore durante il caricamento dell’utente: {message} Verifica l’accesso.'
+  },
+  language: {
+    saveFailed: 'Non è stato possibile salvare la lingua.',
+    label: 'Lingua'
+  },
+  households: {
+    loadFailed: 'Errore durante il caricamento delle economie domestiche.',
+    switchFailed: 'Cambio di economia domestica non riuscito.',
+    label: 'Economia domestica:'
+  },
+  reading: {
+    chooseUser: '-- Scegli l’utente --',
+    latestFailed: 'Errore durante il caricamento dell’ultima lettura del contatore.',
+    latestOffline: 'Nessuna connessione – la lettura precedente è l’ultima nota.',
+    invalidValue: 'La lettura attuale del contatore non è valida.',
+    missingValue: 'Inserisci la lettura attuale del contatore.',
+    missingOnBehalf: 'Scegli un utente per «per conto di».',
+    notAbovePrevious: 'La lettura attuale ({kWh}) deve essere > della precedente ({previousKWh}). Il contatore è stato sostituito, azzerato o ha superato il massimo? Allora registra prima l’evento del contatore qui sotto.',
+    notSaved: 'Misurazione non salvata – verifica la lettura del contatore.',
+    chainMoved: 'Nel frattempo è stata salvata un’altra misurazione. La lettura precedente è ora di {kWh} kWh – verifica e salva di nuovo.',
+    conflict: 'Conflitto durante il salvataggio della misurazione.',
+    saveFailed: 'Errore durante il salvataggio della misurazione.',
+    saved: 'Misurazione salvata!',
+    title: 'Nuova misurazione',
+    form: {
+      appliance: 'Apparecchio',
+      previous: 'Lettura precedente (kWh)',
+      current: 'Lettura attuale (kWh)',
+      delta: 'Consumo (delta, kWh)',
+      notes: 'Note (facoltative)',
+      photo: 'Foto del contatore (facoltativa)',
+      photoAlt: 'Foto del contatore',
+      photoHint: 'Salvata con la misurazione come giustificativo; la lettura viene proposta a partire dalla foto.',
+      onBehalf: 'Registra per conto di',
+      onBehalfUser: 'Utente (per chi)',
+      chooseUser: '-- Scegli l’utente --',
+      onBehalfHint: 'Questa misurazione viene contrassegnata come «per conto di».',
+      submit: 'Aggiungi misurazione'
+    }
+  },
+  users: {
+    makeMember: 'Rendi membro',
+    makeAdmin: 'Rendi admin',
+    deactivate: 'Disattiva',
+    activate: 'Attiva',
+    roleAdmin: 'Admin',
+    roleMember: 'Membro',
+    inactive: 'disattivato',
+    confirmDeactivate: 'Disattivare {name}? Le misurazioni vengono conservate.',
+    updateFailed: 'Errore durante la modifica dell’utente.',
+    updated: 'Utente modificato.',
+    loadFailed: 'Errore durante il caricamento degli utenti.',
+    addFailed: 'Errore durante l’aggiunta dell’utente.',
+    added: 'Utente aggiunto.',
+    title: 'Utenti',
+    intro: 'Chi accede viene registrato automaticamente. Gli admin possono registrare in anticipo i coinquilini, cambiare i ruoli e disattivare gli utenti che hanno traslocato; le loro misurazioni vengono conservate.',
+    form: {
+      username: 'Nome utente',
+      displayName: 'Nome visualizzato (facoltativo)',
+      email: 'E-mail (facoltativa)',
+      submit: 'Aggiungi utente'
+    }
+  },
+  appliances: {
+    meter: 'Contatore: {meterId}',
+    tariffPlan: 'Piano tariffario: {plan}',
+    plug: 'Presa: {plugId}',
+    save: 'Salva apparecchio',
+    add: 'Aggiungi apparecchio',
+    loadFailed: 'Errore durante il caricamento degli apparecchi.',
+    saveFailed: 'Errore durante il salvataggio dell’apparecchio.',
+    saved: 'Apparecchio salvato!',
+    title: 'Apparecchi',
+    intro: 'Ogni apparecchio ha un proprio contatore e viene conteggiato con le tariffe del suo piano tariffario.',
+    form: {
+      name: 'Nome',
+      namePlaceholder: 'p. es. asciugatrice',
+      meterId: 'N. contatore (facoltativo)',
+      plugId: 'Presa intelligente (facoltativa)',
+      plugPlaceholder: 'p. es. shellyplug-s-a1b2c3',
+      plugTitle: 'ID della presa intelligente intermedia (Shelly, Tasmota)',
+      tariffPlan: 'Piano tariffario'
+    }
+  },
+  programs: {
+    names: {
+      cotton: 'Cotone',
+      eco: 'Eco 40-60',
+      synthetics: 'Sintetici',
+      delicates: 'Delicati',
+      wool: 'Lana',
+      quick: 'Programma rapido'
+    },
+    cold: 'freddo',
+    load: {
+      low: 'scarso',
+      half: 'mezzo',
+      full: 'pieno'
+    },
+    loadFailed: 'Errore durante il caricamento dei programmi.',
+    none: '– non indicato –',
+    rpm: '{rpm} giri/min',
+    unspecified: 'Non indicato',
+    statsFailed: 'Errore durante il caricamento delle statistiche dei programmi.',
+    columns: {
+      user: 'Utente',
+      program: 'Programma',
+      washes: 'Bucati',
+      avgKWh: 'Ø kWh',
+      avgCost: 'Ø costo',
+      avgDuration: 'Ø durata',
+      totalKWh: 'Totale kWh'
+    },
+    withoutProgram: '{count} bucati su {total} senza programma indicato.',
+    form: {
+      program: 'Programma',
+      unspecified: '– non indicato –',
+      temperature: 'Temperatura',
+      spin: 'Centrifuga (giri/min)',
+      load: 'Carico',
+      duration: 'Durata (min)'
+    },
+    title: 'Programmi',
+    intro: 'Consumo e costo medi per programma e temperatura nel periodo scelto.',
+    byUser: 'Per utente'
+  },
+  photo: {
+    ocrMissing: 'Riconoscimento del testo non caricato.',
+    recognizing: 'Riconoscimento della lettura …',
+    notRecognized: 'Nessuna lettura riconosciuta – inseriscila a mano.',
+    recognized: 'Riconosciuto: {kWh} kWh – verifica.',
+    ocrFailed: 'Riconoscimento del testo impossibile – inserisci la lettura a mano.',
+    unreadable: 'Non è stato possibile leggere la foto: {message}',
+    saveFailed: 'Errore durante il salvataggio della foto.',
+    notSaved: 'La foto non è stata salvata: {message}',
+    removeFailed: 'Non è stato possibile rimuovere la foto.'
+  },
+  outbox: {
+    queued: 'Misurazione salvata sul dispositivo – verrà inviata appena c’è una connessione.',
+    conflict: 'Una misurazione registrata offline non è stata accettata – verifica qui sotto.',
+    sentOne: 'Misurazione registrata offline inviata.',
+    sentMany: '{count} misurazioni registrate offline inviate.',
+    chainMoved: 'Nel frattempo è stata salvata un’altra misurazione (ultima lettura {kWh} kWh).',
+    meterDecreased: 'La lettura è inferiore all’ultima salvata ({kWh} kWh).',
+    implausible: 'Un consumo di {kWh} kWh è {reasons}.',
+    status: 'Errore {status}.',
+    sendAnyway: 'Invia comunque',
+    confirm: 'Conferma',
+    sendAgain: 'Invia di nuovo',
+    waitingForPrevious: 'attende la misurazione precedente',
+    waitingForConnection: 'attende una connessione',
+    taken: 'registrata {at}',
+    forUser: 'per {username}',
+    withPhoto: 'con foto',
+    changeValue: 'Modifica valore',
+    discard: 'Scarta',
+    confirmDiscard: 'Scartare la misurazione di {kWh} kWh? Non verrà salvata.',
+    promptValue: 'Lettura attuale (kWh):',
+    title: 'Non ancora inviate',
+    hint: 'Queste misurazioni sono state registrate senza connessione e verranno inviate in ordine appena il dispositivo sarà di nuovo online.'
+  },
+  anomalies: {
+    and: ' e ',
+    aboveMax: 'superiore al massimo di {kWh} kWh per bucato',
+    aboveOwnerHistory: 'molto sopra il consumo abituale della persona (mediana {kWh} kWh)',
+    aboveApplianceHistory: 'molto sopra il consumo abituale dell’apparecchio (mediana {kWh} kWh)',
+    question: 'Un consumo di {kWh} kWh è {reasons}.\n\nLa lettura è davvero corretta? La misurazione verrà allora segnalata come insolita.',
+    loadFailed: 'Errore durante il caricamento delle misurazioni insolite.',
+    none: 'Nessuna misurazione insolita.',
+    confirmedBy: 'confermata da {username}',
+    total: '{count} misurazioni insolite, in totale {kWh} kWh.',
+    title: 'Misurazioni insolite',
+    intro: 'Misurazioni confermate con un consumo insolitamente alto nel periodo scelto.'
+  },
+  readings: {
+    unassigned: 'Non assegnato',
+    loadFailed: 'Errore durante il caricamento delle misurazioni.',
+    yearFailed: 'Errore durante il caricamento dell’anno {year}.',
+    currentKWh: 'Attuale (kWh)',
+    owner: 'Per',
+    note: 'Nota',
+    replacePhoto: 'Sostituisci la foto del contatore',
+    attachPhoto: 'Allega una foto del contatore',
+    removePhoto: 'Rimuovi foto',
+    onBehalf: 'per conto di',
+    imported: 'importata',
+    unclaimed: 'non ripresa',
+    betweenWashes: 'tra un bucato e l’altro',
+    plugTitle: 'Presa {plugId}',
+    plug: 'Presa',
+    claim: 'Riprendi',
+    implausible: 'insolita',
+    previous: 'Prima:',
+    oldMeterFinal: 'Lettura finale del vecchio contatore:',
+    newMeterStart: 'Lettura iniziale del nuovo contatore:',
+    unassignedLabel: 'Non assegnato:',
+    current: 'Attuale:',
+    cost: 'Costo:',
+    from: 'Da: {username}',
+    anomaly: 'Insolita: {reasons} – confermata da {username}',
+    program: 'Programma:',
+    noteLine: 'Nota: {notes}',
+    openPhoto: 'Apri la foto del contatore',
+    photo: 'Foto del contatore',
+    createdBy: 'Registrata da:',
+    viaToken: 'tramite il token «{name}»',
+    date: 'Data:',
+    edited: 'Modificata da {username} il {at}',
+    confirmDelete: 'Eliminare davvero questa misurazione?',
+    deleteError: 'Errore durante l’eliminazione: {message}',
+    confirmClaim: 'Riprendere questo bucato come tuo?',
+    claimFailed: 'Ripresa non riuscita.',
+    claimError: 'Errore durante la ripresa: {message}',
+    updated: 'Misurazione aggiornata!',
+    editError: 'Errore durante la modifica: {message}',
+    title: 'Misurazioni',
+    none: 'Ancora nessuna misurazione registrata.'
+  },
+  meterEvents: {
+    types: {
+      replacement: 'Sostituzione del contatore',
+      reset: 'Contatore azzerato',
+      rollover: 'Superamento del massimo del contatore'
+    },
+    missingValues: 'Indica entrambe le letture.',
+    finalBelowLatest: 'La lettura finale del vecchio contatore deve essere ≥ all’ultima lettura ({kWh}).',
+    startNotLower: 'Dopo un azzeramento o un superamento del massimo la nuova lettura deve essere inferiore alla vecchia.',
+    confirm: 'Salvare {event}? Le misurazioni successive partono da {kWh} kWh.',
+    residual: '{kWh} kWh vengono registrati come «non assegnati».',
+    saveFailed: 'Errore durante il salvataggio dell’evento del contatore.',
+    saved: '{event} salvato. Nuova lettura: {kWh} kWh.',
+    toggle: 'Contatore sostituito, azzerato o oltre il massimo?',
+    form: {
+      type: 'Evento',
+      oldMeterFinal: 'Lettura finale del vecchio contatore (kWh)',
+      newMeterStart: 'Lettura iniziale del nuovo contatore (kWh)',
+      notes: 'Note (facoltative)',
+      hint: 'Il consumo dall’ultima misurazione fino alla lettura finale del vecchio contatore viene registrato come «non assegnato». Le misurazioni successive partono dalla lettura iniziale del nuovo contatore.',
+      submit: 'Salva evento del contatore'
+    }
+  },
+  sessions: {
+    startedBy: ' (avviato da {username})',
+    running: 'Macchina occupata: bucato per {owner}{by} in corso da {since}, inizio a {kWh} kWh.',
+    loadFailed: 'Errore durante il caricamento del bucato in corso.',
+    startFailed: 'Errore durante l’avvio del bucato.',
+    unassignedGap: '{kWh} kWh dall’ultima misurazione sono stati registrati come «non assegnati».',
+    startedPlug: 'Macchina occupata – la presa registra il bucato.',
+    started: 'Bucato avviato.',
+    endNotAboveStart: 'La lettura attuale ({kWh}) deve essere > dell’inizio ({startKWh}).',
+    stillRunning: 'Il bucato continua – verifica la lettura.',
+    finishFailed: 'Errore durante la conclusione del bucato.',
+    finished: 'Bucato concluso, misurazione salvata!',
+    confirmCancel: 'Annullare il bucato in corso? Non viene salvata nessuna misurazione.',
+    cancelFailed: 'Errore durante l’annullamento del bucato.',
+    cancelled: 'Bucato annullato.',
+    start: 'Avvia bucato',
+    finish: 'Concludi bucato',
+    hint: '«Avvia bucato» registra la lettura all’inizio, «Concludi bucato» quella alla fine. Il consumo tra due bucati viene registrato come «non assegnato». Se una presa misura l’apparecchio, basta «Avvia bucato» senza lettura: la presa riconosce la fine del bucato.'
+  },
+  summary: {
+    loadFailed: 'Errore durante il caricamento del riepilogo.',
+    unknownUser: 'Sconosciuto',
+    noDataForYear: 'Nessun dato per il {year}.',
+    count: '{count} misurazioni',
+    byAppliance: 'Per apparecchio',
+    monthlyTitle: 'Panoramica mensile (kWh e CHF per utente)',
+    noMonthData: 'Nessun dato per questo mese.',
+    yearlyTitle: 'Panoramica annuale',
+    chooseYear: 'Scegli un anno per vedere la panoramica.'
+  },
+  tariffs: {
+    rate: {
+      high: 'Tariffa alta',
+      low: 'Tariffa bassa'
+    },
+    fee: '{fee} di tassa',
+    feePerWash: '{fee} per bucato',
+    plan: '(piano {plan})',
+    timeOfUse: 'TA {high}/kWh (ore {from}–{to}), TB {low}/kWh',
+    loadFailed: 'Errore durante il caricamento delle tariffe.',
+    none: 'Ancora nessuna tariffa registrata.',
+    unnamed: 'Tariffa',
+    open: 'aperta',
+    confirmDelete: 'Eliminare davvero questa tariffa? Le misurazioni già registrate mantengono il loro costo.',
+    saveFailed: 'Errore durante il salvataggio della tariffa.',
+    saved: 'Tariffa salvata!',
+    title: 'Tariffe elettriche',
+    form: {
+      name: 'Nome',
+      validFrom: 'Valida dal',
+      validTo: 'Valida fino al (facoltativo)',
+      plan: 'Piano tariffario',
+      timeOfUse: 'Tariffa alta/bassa',
+      price: 'Prezzo (CHF/kWh)',
+      highRate: 'TA (CHF/kWh)',
+      lowRate: 'TB (CHF/kWh)',
+      highFrom: 'TA dalle (ora, lu–ve)',
+      highTo: 'TA fino alle (ora)',
+      fee: 'Tassa per bucato (CHF)',
+      submit: 'Aggiungi tariffa'
+    }
+  },
+  settlements: {
+    balanceFailed: 'Errore durante il caricamento del saldo.',
+    noneOpen: 'Nessun conteggio aperto.',
+    openBalance: 'Il mio saldo aperto: {amount}',
+    openFrom: '{kWh} kWh da {count} conteggi aperti:',
+    loadFailed: 'Errore durante il caricamento dei conteggi.',
+    noneForPeriod: 'Nessun conteggio per questo periodo.',
+    paidOn: 'pagato il {date}',
+    reference: 'Rif. {reference}',
+    open: 'aperto',
+    resetPayment: 'Annulla pagamento',
+    markPaid: 'Segna come pagato',
+    washes: '{count} bucati',
+    unpriced: '{count} senza tariffa',
+    promptPaidAt: 'Data di pagamento (AAAA-MM-GG):',
+    promptReference: 'Riferimento di pagamento (facoltativo):',
+    confirmReset: 'Annullare davvero il pagamento?',
+    paymentFailed: 'Errore durante il salvataggio del pagamento.',
+    paymentSaved: 'Pagamento registrato.',
+    paymentReset: 'Pagamento annullato.',
+    chooseMonth: 'Scegli prima un mese.',
+    confirmClose: 'Chiudere {period}? Dopo, le misurazioni di questo mese non potranno più essere eliminate.',
+    closeFailed: 'Errore durante la chiusura del mese.',
+    closed: '{period} chiuso: {count} conteggi creati.',
+    title: 'Conteggi',
+    closeMonth: 'Chiudi il mese scelto',
+    balanceLoading: 'Caricamento del saldo aperto…'
+  },
+  pdf: {
+    error: 'Errore durante la creazione del PDF: {message}',
+    librariesMissing: 'Librerie PDF non caricate (jsPDF o AutoTable mancanti).',
+    generatedAt: 'Creato il: {date}',
+    columns: {
+      date: 'Data',
+      previous: 'Prima (kWh)',
+      current: 'Attuale (kWh)',
+      delta: 'Delta (kWh)',
+      tariff: 'Tariffa',
+      cost: 'Costo',
+      note: 'Nota',
+      photo: 'Foto'
+    },
+    total: 'Totale',
+    generating: 'Creazione del PDF per il {year}…',
+    created: 'PDF creato.',
+    openPhoto: 'apri',
+    page: 'Pagina {page}'
+  },
+  statementPdf: {
+    title: 'Conteggio {period}',
+    user: 'Utente: {user}',
+    paidOn: 'Pagato il {date}',
+    open: 'Aperto',
+    consumption: 'Consumo: {kWh} kWh',
+    amount: 'Importo: {amount}',
+    washCount: 'Numero di bucati: {count}',
+    status: 'Stato: {status}',
+    washes: 'Bucati',
+    fileName: 'Bucato_conteggio_{period}_{user}'
+  },
+  profile: {
+    loadFailed: 'Errore durante il caricamento del profilo.',
+    saveFailed: 'Errore durante il salvataggio del profilo.',
+    saved: 'Profilo salvato.',
+    confirmSend: 'Inviare ora i rapporti di {period} a tutti gli utenti? I rapporti già inviati non vengono inviati di nuovo.',
+    sendFailed: 'Errore durante l’invio.',
+    sent: '{sent} rapporti inviati, {skipped} saltati, {failed} non riusciti.',
+    title: 'Profilo e rapporti',
+    form: {
+      displayName: 'Nome visualizzato',
+      email: 'E-mail per i rapporti',
+      monthly: 'Rapporto mensile per e-mail',
+      yearly: 'Rapporto annuale per e-mail'
+    },
+    reportHtml: 'Il mio rapporto (periodo scelto)',
+    reportPdf: 'Il mio rapporto in PDF',
+    reportSend: 'Invia ora i rapporti per e-mail'
+  },
+  tokens: {
+    scopes: {
+      read: 'Solo lettura',
+      submit: 'Registrare misurazioni'
+    },
+    none: 'Nessun token API.',
+    createdOn: 'creato il {date}',
+    lastUsed: 'usato l’ultima volta il {date}',
+    neverUsed: 'mai usato',
+    revokedOn: 'revocato il {date}',
+    revoke: 'Revoca',
+    confirmRevoke: 'Revocare il token «{name}»? Gli script e i dispositivi che lo usano non funzioneranno più.',
+    revokeFailed: 'Errore durante la revoca.',
+    revoked: 'Token revocato.',
+    loadFailed: 'Errore durante il caricamento dei token API.',
+    createFailed: 'Errore durante la creazione del token.',
+    created: 'Token «{name}» creato.',
+    copied: 'Token copiato.',
+    title: 'Token API',
+    introBefore: 'Per script e dispositivi vicino alla macchina: il token viene inviato come',
+    introAfter: 'e agisce a tuo nome. «Solo lettura» permette le consultazioni, «Registrare misurazioni» anche nuove misurazioni e bucati. Il token viene mostrato una sola volta.',
+    form: {
+      name: 'Nome',
+      namePlaceholder: 'p. es. ESP32 lavanderia',
+      scope: 'Autorizzazione',
+      submit: 'Crea token'
+    },
+    secretHint: 'Nuovo token – copialo ora, non verrà più mostrato:',
+    copy: 'Copia'
+  },
+  reservations: {
+    unbookedWash: '{owner}: bucato senza prenotazione ({time})',
+    weekStats: 'Questa settimana: {reservations} prenotazioni, {noShows} assenze, {unbooked} bucati senza prenotazione.',
+    confirmCancel: 'Annullare la prenotazione ({reservation})?',
+    cancelFailed: 'Annullamento non riuscito.',
+    cancelled: 'Prenotazione annullata.',
+    configFailed: 'Errore durante il caricamento delle impostazioni di prenotazione.',
+    minutes: '{count} min',
+    hours: '{count} h',
+    loadFailed: 'Errore durante il caricamento delle prenotazioni.',
+    chooseStart: 'Scegli la data e l’inizio.',
+    taken: 'Già prenotato da {owner} ({from}–{to}).',
+    reserveFailed: 'Prenotazione non riuscita.',
+    reserved: 'Prenotato!',
+    title: 'Prenotazioni',
+    legend: {
+      reserved: 'prenotato',
+      used: 'bucato fatto',
+      noShow: 'assente',
+      unbooked: 'bucato senza prenotazione'
+    },
+    form: {
+      date: 'Data',
+      start: 'Inizio',
+      duration: 'Durata',
+      for: 'Per',
+      submit: 'Prenota'
+    }
+  },
+  import: {
+    failed: 'Errore durante l’importazione.',
+    summary: '{rows} righe, {errors} con errori',
+    rechained: 'Misurazioni esistenti che ricevono un nuovo valore iniziale ({count}):',
+    columns: {
+      line: 'Riga',
+      date: 'Data',
+      previous: 'Prima',
+      current: 'Attuale',
+      delta: 'Delta',
+      cost: 'Costo',
+      user: 'Utente',
+      note: 'Nota',
+      errors: 'Errori'
+    },
+    commitFailed: 'Importazione non riuscita.',
+    imported: '{count} misurazioni importate.',
+    title: 'Importa misurazioni (CSV)',
+    intro: 'Colonne: data; lettura (kWh); utente (facoltativo); nota (facoltativa). Data come AAAA-MM-GG o GG.MM.AAAA, facoltativamente con l’ora HH:MM (senza ora: 12:00). Le misurazioni vengono assegnate all’apparecchio scelto sopra in «Nuova misurazione».',
+    preview: 'Anteprima',
+    commit: 'Conferma importazione'
+  },
+  audit: {
+    actions: {
+      reading: {
+        create: 'Misurazione registrata',
+        update: 'Misurazione modificata',
+        delete: 'Misurazione eliminata',
+        import: 'Misurazioni importate',
+        meter_event: 'Evento del contatore registrato',
+        claim: 'Bucato ripreso',
+        photo: 'Foto del contatore allegata',
+        photo_delete: 'Foto del contatore rimossa'
+      },
+      tariff: {
+        create: 'Tariffa registrata',
+        delete: 'Tariffa eliminata'
+      },
+      settlement: {
+        close: 'Mese chiuso'
+      },
+      statement: {
+        payment: 'Pagamento registrato'
+      },
+      profile: {
+        update: 'Profilo modificato'
+      },
+      session: {
+        start: 'Bucato avviato',
+        finish: 'Bucato concluso',
+        cancel: 'Bucato annullato',
+        expire: 'Bucato scaduto'
+      },
+      reservation: {
+        create: 'Prenotazione registrata',
+        cancel: 'Prenotazione annullata'
+      },
+      appliance: {
+        create: 'Apparecchio aggiunto',
+        update: 'Apparecchio modificato'
+      },
+      user: {
+        create: 'Utente aggiunto',
+        update: 'Utente modificato'
+      },
+      token: {
+        create: 'Token API creato',
+        revoke: 'Token API revocato'
+      }
+    },
+    none: 'Nessuna voce per questo periodo.',
+    subjects: 'Riguarda: {users}',
+    changed: 'Modificato: {fields}',
+    related: 'Adeguato anche: {ids}',
+    details: 'Dettagli',
+    before: 'Prima:',
+    after: 'Dopo:',
+    loadFailed: 'Errore durante il caricamento del registro.',
+    title: 'Registro delle modifiche',
+    form: {
+      user: 'Utente',
+      action: 'Azione',
+      all: 'Tutte',
+      from: 'Dal',
+      to: 'Al',
+      submit: 'Mostra'
+    }
+  },
+  export: {
+    csvSingleTable: 'Il CSV contiene una sola tabella – scegli le misurazioni o una somma.',
+    label: 'Esporta:',
+    data: {
+      readings: 'Misurazioni',
+      byUser: 'Somme per utente',
+      byAppliance: 'Somme per apparecchio',
+      byMonth: 'Somme per mese e utente',
+      all: 'Tutto (solo JSON/foglio di calcolo)'
+    },
+    format: 'Formato:',
+    formats: {
+      xlsx: 'Excel (XLSX)',
+      ods: 'OpenDocument (ODS)'
+    },
+    button: 'Esporta'
+  },
+  yearlyPdf: {
+    title: 'Rapporto annuale {year}',
+    noData: 'nessun dato',
+    period: 'Periodo: {period}',
+    totalKWh: 'Consumo totale: {kWh} kWh',
+    totalCost: 'Costo totale: {amount}',
+    count: 'Numero di misurazioni: {count}',
+    avgKWh: 'Ø consumo per misurazione: {kWh} kWh',
+    chartMissing: 'Nota: non è stato possibile creare il grafico.',
+    byUser: 'Panoramica per utente',
+    columns: {
+      user: 'Utente',
+      appliance: 'Apparecchio',
+      totalKWh: 'Totale (kWh)',
+      costCHF: 'Costo (CHF)',
+      count: 'Misurazioni',
+      minKWh: 'Min (kWh)',
+      maxKWh: 'Max (kWh)',
+      avgKWh: 'Ø per misurazione (kWh)'
+    },
+    byAppliance: 'Panoramica per apparecchio',
+    byProgram: 'Consumo per programma',
+    programsByUser: 'Programmi per utente',
+    details: 'Misurazioni per utente (dettagli)',
+    meterEvents: 'Eventi del contatore',
+    meterColumns: {
+      date: 'Data',
+      event: 'Evento',
+      appliance: 'Apparecchio',
+      oldMeterFinal: 'Lettura finale vecchio (kWh)',
+      newMeterStart: 'Lettura iniziale nuovo (kWh)',
+      unassigned: 'Non assegnato (kWh)',
+      note: 'Nota'
+    },
+    summary: 'Riepilogo',
+    year: 'Anno: {year}',
+    totalCount: 'Numero totale di misurazioni: {count}',
+    average: 'Media per misurazione: {kWh} kWh',
+    recordedPeriod: 'Periodo registrato: {period}',
+    month: 'Mese',
+    fileName: 'Bucato_rapporto_annuale_{year}',
+    chartLabel: 'kWh per utente ({year})'
+  },
+  app: {
+    title: 'Tracker della lavatrice'
+  },
+  period: {
+    title: 'Scegli il periodo',
+    year: 'Anno:',
+    month: 'Mese:',
+    allMonths: 'Tutti i mesi',
+    months: {
+      '1': 'gennaio',
+      '2': 'febbraio',
+      '3': 'marzo',
+      '4': 'aprile',
+      '5': 'maggio',
+      '6': 'giugno',
+      '7': 'luglio',
+      '8': 'agosto',
+      '9': 'settembre',
+      '10': 'ottobre',
+      '11': 'novembre',
+      '12': 'dicembre'
+    },
+    apply: 'Applica filtro',
+    yearlyReport: 'Scarica il rapporto annuale'
+  }
+});
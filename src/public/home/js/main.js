@@ -4,11 +4,17 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Elements
   const readingForm = document.getElementById('readingForm');
   const formMessage = document.getElementById('formMessage');
+  const outboxPanel = document.getElementById('outboxPanel');
+  const outboxList = document.getElementById('outboxList');
 
   const prevKWhInput = document.getElementById('prevKWh');
   const currentKWhInput = document.getElementById('currentKWh');
   const deltaKWhInput = document.getElementById('deltaKWh');
   const notesInput = document.getElementById('notes');
+  const readingPhotoInput = document.getElementById('readingPhoto');
+  const readingPhotoPreview = document.getElementById('readingPhotoPreview');
+  const readingPhotoImg = document.getElementById('readingPhotoImg');
+  const readingPhotoStatus = document.getElementById('readingPhotoStatus');
 
   const onBehalfToggle = document.getElementById('onBehalfToggle');
   const onBehalfRow = document.getElementById('onBehalfRow');
@@ -19,6 +25,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   const applyFilterBtn = document.getElementById('applyFilter');
 
   const downloadYearlyReportBtn = document.getElementById('downloadYearlyReport');
+  const exportBtn = document.getElementById('exportBtn');
   const chartCanvas = document.getElementById('reportChart');
 
   const timelineDiv = document.getElementById('timeline');
@@ -30,8 +37,76 @@ document.addEventListener('DOMContentLoaded', async () => {
   const yearlySummaryContent = document.getElementById('yearlySummaryContent');
   const noYearlySummary = document.getElementById('noYearlySummary');
 
-  // number formatter: 1 decimal, German (comma)
-  const nf1 = new Intl.NumberFormat('de-CH', { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  const tariffList = document.getElementById('tariffList');
+  const tariffForm = document.getElementById('tariffForm');
+  const tariffTouToggle = document.getElementById('tariffTouToggle');
+  const tariffFlatRow = document.getElementById('tariffFlatRow');
+  const tariffTouRow = document.getElementById('tariffTouRow');
+  const tariffMessage = document.getElementById('tariffMessage');
+
+  const myBalanceDiv = document.getElementById('myBalance');
+  const statementListDiv = document.getElementById('statementList');
+  const closeMonthBtn = document.getElementById('closeMonthBtn');
+  const settlementMessage = document.getElementById('settlementMessage');
+
+  const profileForm = document.getElementById('profileForm');
+  const profileMessage = document.getElementById('profileMessage');
+
+  const tokenList = document.getElementById('tokenList');
+  const tokenForm = document.getElementById('tokenForm');
+  const tokenSecret = document.getElementById('tokenSecret');
+  const tokenSecretValue = document.getElementById('tokenSecretValue');
+  const tokenMessage = document.getElementById('tokenMessage');
+
+  const importForm = document.getElementById('importForm');
+  const importFile = document.getElementById('importFile');
+  const importPreview = document.getElementById('importPreview');
+  const importCommitBtn = document.getElementById('importCommitBtn');
+  const importMessage = document.getElementById('importMessage');
+
+  const auditSection = document.getElementById('auditSection');
+  const auditFilterForm = document.getElementById('auditFilterForm');
+  const auditActionSelect = document.getElementById('auditAction');
+  const auditList = document.getElementById('auditList');
+
+  const languageSelect = document.getElementById('languageSelect');
+  const householdSwitcher = document.getElementById('householdSwitcher');
+  const householdSelect = document.getElementById('householdSelect');
+
+  const userList = document.getElementById('userList');
+  const userForm = document.getElementById('userForm');
+  const userMessage = document.getElementById('userMessage');
+
+  const applianceRow = document.getElementById('applianceRow');
+  const applianceSelect = document.getElementById('applianceSelect');
+  const applianceList = document.getElementById('applianceList');
+  const applianceForm = document.getElementById('applianceForm');
+  const applianceMessage = document.getElementById('applianceMessage');
+
+  const meterEventToggle = document.getElementById('meterEventToggle');
+  const meterEventForm = document.getElementById('meterEventForm');
+  const meterEventMessage = document.getElementById('meterEventMessage');
+
+  const anomalyList = document.getElementById('anomalyList');
+
+  const washProgramSelect = document.getElementById('washProgram');
+  const washTemperatureSelect = document.getElementById('washTemperature');
+  const washSpinInput = document.getElementById('washSpin');
+  const washLoadSelect = document.getElementById('washLoad');
+  const washDurationInput = document.getElementById('washDuration');
+  const programStatsDiv = document.getElementById('programStats');
+  const programUserStatsDiv = document.getElementById('programUserStats');
+
+  const { t } = WashI18n;
+
+  // number formatters: 1 decimal and CHF, Swiss conventions of the page language
+  const nf1 = new Intl.NumberFormat(WashI18n.tag, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  const nfCHF = new Intl.NumberFormat(WashI18n.tag, { style: 'currency', currency: 'CHF' });
+
+  // readings created before tariffs existed have no cost
+  function hasCost(r) { return typeof r.costCHF === 'number' && Number.isFinite(r.costCHF); }
+  function fmtCHF(v) { return typeof v === 'number' && Number.isFinite(v) ? nfCHF.format(v) : '–'; }
+  function round2(n) { return Math.round(n * 100) / 100; }
 
   function setFormMsg(msg, type = 'info') {
     formMessage.textContent = msg;
@@ -84,40 +159,897 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 
   // Auth user
+  let isAdmin = false;
+
   async function fetchIdentity() {
     try {
       const res = await fetch('/username');
-      if (!res.ok) throw new Error('Fehlende Authentifizierung.');
+      if (res.status === 403) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.message || t('identity.noHousehold'));
+      }
+      if (!res.ok) throw new Error(t('identity.notAuthenticated'));
       const data = await res.json();
       currentUser = data.username;
+      isAdmin = data.role === 'admin';
+      // picked on another device
+      if (data.language && data.language !== WashI18n.language) {
+        WashI18n.remember(data.language);
+        window.location.reload();
+      }
     } catch (err) {
       console.error('Error fetching identity:', err);
-      setFormMsg('Fehler beim Laden des Benutzers. Bitte Login prüfen.', 'error');
+      setFormMsg(t('identity.loadFailed', { message: err.message }), 'error');
     }
   }
   await fetchIdentity();
+  // the server refuses these to members anyway
+  [applianceForm, tariffForm, closeMonthBtn, document.getElementById('reportSendBtn'), auditSection]
+    .forEach(el => el.classList.toggle('hidden', !isAdmin));
+
+  // ===== LANGUAGE =====
+  // saved in the profile so that other devices and the mailed reports follow
+  languageSelect.value = WashI18n.language;
+  languageSelect.addEventListener('change', async () => {
+    try {
+      const res = await fetch('/profile', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ language: languageSelect.value })
+      });
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.message || t('language.saveFailed'));
+      }
+      WashI18n.remember(languageSelect.value);
+      window.location.reload();
+    } catch (err) {
+      languageSelect.value = WashI18n.language;
+      setFormMsg(t('common.error', { message: err.message }), 'error');
+    }
+  });
+
+  // ===== HOUSEHOLDS =====
+  // everything on the page belongs to the active household; switching reloads it
+  async function fetchHouseholds() {
+    try {
+      const res = await fetch('/households');
+      if (!res.ok) throw new Error(t('households.loadFailed'));
+      const { active, households } = await res.json();
+      householdSelect.innerHTML = households
+        .map(h => `<option value="${escapeAttr(h.id)}">${escapeHtml(h.name)}</option>`)
+        .join('');
+      householdSelect.value = active;
+      // queued readings and the offline fallback need it without a connection
+      localStorage.setItem('wt.household', active);
+      householdSwitcher.classList.toggle('hidden', households.length < 2);
+    } catch (err) {
+      console.error('fetchHouseholds error:', err);
+    }
+  }
+
+  householdSelect.addEventListener('change', async () => {
+    try {
+      const res = await fetch('/households/active', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ householdId: householdSelect.value })
+      });
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.message || t('households.switchFailed'));
+      }
+      window.location.reload();
+    } catch (err) {
+      setFormMsg(t('common.error', { message: err.message }), 'error');
+    }
+  });
+
+  await fetchHouseholds();
+
+  // ===== USERS =====
+  // the household's registry; on-behalf entries may only name its active users
+  let householdUsers = [];
+
+  function displayNameOf(username) {
+    return householdUsers.find(u => u.username === username)?.displayName || username;
+  }
+
+  function setUserMsg(msg, type) {
+    userMessage.textContent = msg;
+    userMessage.classList.remove('hidden', 'text-red-500', 'text-green-600');
+    userMessage.classList.add(type === 'error' ? 'text-red-500' : 'text-green-600');
+  }
+
+  function renderUsers() {
+    const selected = onBehalfUser.value;
+    onBehalfUser.innerHTML = `<option value="">${escapeHtml(t('reading.chooseUser'))}</option>` + householdUsers
+      .filter(u => u.active && u.username !== currentUser) // don’t allow self-selection
+      .map(u => `<option value="${escapeAttr(u.username)}">${escapeHtml(u.displayName)}</option>`)
+      .join('');
+    onBehalfUser.value = selected;
+
+    userForm.classList.toggle('hidden', !isAdmin);
+    userList.innerHTML = householdUsers.map(u => {
+      const self = u.username === currentUser;
+      const controls = isAdmin && !self
+        ? `<div class="flex gap-1">
+            <button data-username="${escapeAttr(u.username)}" data-set="${escapeAttr(JSON.stringify({ role: u.role === 'admin' ? 'member' : 'admin' }))}"
+              class="user-update-btn text-xs px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded">${t(u.role === 'admin' ? 'users.makeMember' : 'users.makeAdmin')}</button>
+            <button data-username="${escapeAttr(u.username)}" data-set="${escapeAttr(JSON.stringify({ active: !u.active }))}"
+              class="user-update-btn text-xs px-2 py-1 ${u.active ? 'bg-red-600 hover:bg-red-500' : 'bg-green-600 hover:bg-green-500'} rounded">${t(u.active ? 'users.deactivate' : 'users.activate')}</button>
+          </div>`
+        : '';
+      return `
+        <div class="flex justify-between items-center bg-gray-700 p-3 rounded-lg ${u.active ? '' : 'opacity-60'}">
+          <div>
+            <p class="font-bold">${escapeHtml(u.displayName)}${u.displayName !== u.username ? ` <span class="text-sm font-normal text-gray-300">(${escapeHtml(u.username)})</span>` : ''}</p>
+            <p class="text-sm text-gray-300">${t(u.role === 'admin' ? 'users.roleAdmin' : 'users.roleMember')}${u.active ? '' : ` · ${t('users.inactive')}`}${u.email ? ` · ${escapeHtml(u.email)}` : ''}</p>
+          </div>
+          ${controls}
+        </div>
+      `;
+    }).join('');
+
+    userList.querySelectorAll('.user-update-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const username = btn.getAttribute('data-username');
+        const set = JSON.parse(btn.getAttribute('data-set'));
+        if (set.active === false && !confirm(t('users.confirmDeactivate', { name: displayNameOf(username) }))) return;
+        try {
+          const res = await fetch(`/users/${encodeURIComponent(username)}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(set)
+          });
+          if (!res.ok) {
+            const err = await res.json().catch(() => ({}));
+            throw new Error(err.message || t('users.updateFailed'));
+          }
+          setUserMsg(t('users.updated'), 'success');
+        } catch (err) {
+          setUserMsg(t('common.error', { message: err.message }), 'error');
+        }
+        await fetchUsers();
+      });
+    });
+  }
+
+  async function fetchUsers() {
+    try {
+      const res = await fetch('/users');
+      if (!res.ok) throw new Error(t('users.loadFailed'));
+      householdUsers = (await res.json()).sort((a, b) => a.displayName.localeCompare(b.displayName));
+      renderUsers();
+    } catch (err) {
+      console.error('fetchUsers error:', err);
+      setUserMsg(err.message, 'error');
+    }
+  }
+
+  userForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const val = id => document.getElementById(id).value.trim();
+    try {
+      const res = await fetch('/users', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          username: val('userUsername'),
+          ...(val('userDisplayName') ? { displayName: val('userDisplayName') } : {}),
+          email: val('userEmail') || null
+        })
+      });
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.message || t('users.addFailed'));
+      }
+      userForm.reset();
+      setUserMsg(t('users.added'), 'success');
+      await fetchUsers();
+    } catch (err) {
+      setUserMsg(t('common.error', { message: err.message }), 'error');
+    }
+  });
+
+  await fetchUsers();
+
+  // ===== APPLIANCES =====
+  // the default appliance is always listed first
+  let appliances = [];
+  let editingApplianceId = null;
+
+  function applianceOf(r) { return r.applianceId || 'default'; }
+  function selectedApplianceId() { return applianceSelect.value || 'default'; }
+  function applianceName(id) { return appliances.find(a => a.applianceId === id)?.name || id; }
+
+  function setApplianceMsg(msg, type) {
+    applianceMessage.textContent = msg;
+    applianceMessage.classList.remove('hidden', 'text-red-500', 'text-green-600');
+    applianceMessage.classList.add(type === 'error' ? 'text-red-500' : 'text-green-600');
+  }
+
+  function renderAppliances() {
+    const selected = applianceSelect.value;
+    applianceSelect.innerHTML = appliances
+      .map(a => `<option value="${escapeAttr(a.applianceId)}">${escapeHtml(a.name)}</option>`)
+      .join('');
+    if (appliances.some(a => a.applianceId === selected)) applianceSelect.value = selected;
+    applianceRow.classList.toggle('hidden', appliances.length < 2);
+
+    applianceList.innerHTML = appliances.map(a => `
+      <div class="flex justify-between items-center bg-gray-700 p-3 rounded-lg">
+        <div>
+          <p class="font-bold">${escapeHtml(a.name)}</p>
+          <p class="text-sm text-gray-300">${escapeHtml(t('appliances.meter', { meterId: a.meterId || '–' }))} · ${escapeHtml(t('appliances.tariffPlan', { plan: a.tariffPlan || 'default' }))}${a.plugId ? ` · ${escapeHtml(t('appliances.plug', { plugId: a.plugId }))}` : ''}</p>
+        </div>
+        ${isAdmin ? `<button data-id="${escapeAttr(a.applianceId)}" class="appliance-edit-btn text-xs px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded">${t('common.edit')}</button>` : ''}
+      </div>
+    `).join('');
+
+    applianceList.querySelectorAll('.appliance-edit-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const a = appliances.find(x => x.applianceId === btn.getAttribute('data-id'));
+        if (!a) return;
+        editingApplianceId = a.applianceId;
+        document.getElementById('applianceName').value = a.name;
+        document.getElementById('applianceMeterId').value = a.meterId || '';
+        document.getElementById('appliancePlugId').value = a.plugId || '';
+        document.getElementById('applianceTariffPlan').value = a.tariffPlan || '';
+        document.getElementById('applianceSubmitBtn').textContent = t('appliances.save');
+        document.getElementById('applianceCancelEditBtn').classList.remove('hidden');
+      });
+    });
+  }
+
+  async function fetchAppliances() {
+    try {
+      const res = await fetch('/appliances');
+      if (!res.ok) throw new Error(t('appliances.loadFailed'));
+      appliances = await res.json();
+      renderAppliances();
+    } catch (err) {
+      console.error('fetchAppliances error:', err);
+      setApplianceMsg(err.message, 'error');
+    }
+  }
+
+  function resetApplianceForm() {
+    editingApplianceId = null;
+    applianceForm.reset();
+    document.getElementById('applianceSubmitBtn').textContent = t('appliances.add');
+    document.getElementById('applianceCancelEditBtn').classList.add('hidden');
+  }
+
+  applianceForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const val = id => document.getElementById(id).value.trim();
+    const body = {
+      name: val('applianceName'),
+      meterId: val('applianceMeterId') || null,
+      plugId: val('appliancePlugId') || null,
+      tariffPlan: val('applianceTariffPlan') || 'default'
+    };
+
+    try {
+      const res = await fetch(editingApplianceId ? `/appliances/${encodeURIComponent(editingApplianceId)}` : '/appliances', {
+        method: editingApplianceId ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.message || t('appliances.saveFailed'));
+      }
+      resetApplianceForm();
+      setApplianceMsg(t('appliances.saved'), 'success');
+      await fetchAppliances();
+    } catch (err) {
+      setApplianceMsg(t('common.error', { message: err.message }), 'error');
+    }
+  });
+
+  document.getElementById('applianceCancelEditBtn').addEventListener('click', resetApplianceForm);
+
+  // each appliance has its own meter, session and bookings
+  applianceSelect.addEventListener('change', async () => {
+    hideFormMsg();
+    await fetchLatestKWh();
+    await fetchSession();
+    await fetchReservations();
+  });
+
+  await fetchAppliances();
+
+  // ===== WASH PROGRAMS =====
+  let programConfig = { programs: [], temperatures: [] };
+
+  // the built-in programs are translated, others keep the label from the configuration
+  function programLabel(id) {
+    if (WashI18n.has(`programs.names.${id}`)) return t(`programs.names.${id}`);
+    return programConfig.programs.find(p => p.id === id)?.label || id;
+  }
+  function temperatureLabel(c) { return c === 0 ? t('programs.cold') : `${c} °C`; }
+  function loadLabel(level) { return WashI18n.has(`programs.load.${level}`) ? t(`programs.load.${level}`) : level; }
+
+  async function fetchPrograms() {
+    try {
+      const res = await fetch('/programs');
+      if (!res.ok) throw new Error(t('programs.loadFailed'));
+      programConfig = await res.json();
+      washProgramSelect.innerHTML = `<option value="">${escapeHtml(t('programs.none'))}</option>` + programConfig.programs
+        .map(p => `<option value="${escapeAttr(p.id)}">${escapeHtml(programLabel(p.id))}</option>`).join('');
+      washTemperatureSelect.innerHTML = '<option value="">–</option>' + programConfig.temperatures
+        .map(c => `<option value="${c}">${temperatureLabel(c)}</option>`).join('');
+    } catch (err) {
+      console.error('Error fetching programs:', err);
+    }
+  }
+
+  // the optional wash details of the reading form, only those filled in
+  function washPayload() {
+    const payload = {};
+    if (washProgramSelect.value) payload.program = washProgramSelect.value;
+    if (washTemperatureSelect.value !== '') payload.temperatureC = parseInt(washTemperatureSelect.value, 10);
+    if (washSpinInput.value !== '') payload.spinRpm = parseInt(washSpinInput.value, 10);
+    if (washLoadSelect.value) payload.loadLevel = washLoadSelect.value;
+    if (washDurationInput.value !== '') payload.durationMinutes = parseInt(washDurationInput.value, 10);
+    return payload;
+  }
+
+  // e.g. "Baumwolle · 60 °C · 1400 U/min · voll · 95 min"; empty for readings without details
+  function washSummary(r) {
+    return [
+      r.program ? programLabel(r.program) : null,
+      typeof r.temperatureC === 'number' ? temperatureLabel(r.temperatureC) : null,
+      typeof r.spinRpm === 'number' ? t('programs.rpm', { rpm: r.spinRpm }) : null,
+      r.loadLevel ? loadLabel(r.loadLevel) : null,
+      typeof r.durationMinutes === 'number' ? `${r.durationMinutes} min` : null
+    ].filter(Boolean).join(' · ');
+  }
+
+  function programGroupLabel(g) {
+    const name = g.program ? programLabel(g.program) : t('programs.unspecified');
+    return typeof g.temperatureC === 'number' ? `${name}, ${temperatureLabel(g.temperatureC)}` : name;
+  }
+
+  async function loadProgramStats(year, month) {
+    const qs = new URLSearchParams();
+    if (year) qs.append('year', year);
+    if (month) qs.append('month', month);
+    const res = await fetch(`/statistics/programs?${qs.toString()}`);
+    if (!res.ok) throw new Error(t('programs.statsFailed'));
+    return res.json();
+  }
+
+  function programTable(rows, withUser) {
+    const columns = [...(withUser ? ['user'] : []), 'program', 'washes', 'avgKWh', 'avgCost', 'avgDuration', 'totalKWh'];
+    const head = columns.map(c => `<th class="px-2">${escapeHtml(t(`programs.columns.${c}`))}</th>`).join('');
+    const body = rows.map(g => `
+      <tr class="border-t border-gray-700">
+        ${withUser ? `<td class="px-2 py-1">${escapeHtml(displayNameOf(g.user))}</td>` : ''}
+        <td class="px-2 py-1">${escapeHtml(programGroupLabel(g))}</td>
+        <td class="px-2 py-1">${g.count}</td>
+        <td class="px-2 py-1">${nf1.format(g.avgKWh)}</td>
+        <td class="px-2 py-1">${fmtCHF(g.avgCHF)}</td>
+        <td class="px-2 py-1">${g.avgDurationMinutes != null ? `${g.avgDurationMinutes} min` : '–'}</td>
+        <td class="px-2 py-1">${nf1.format(g.totalKWh)}</td>
+      </tr>
+    `).join('');
+    return `<table class="w-full text-left"><thead class="text-gray-300"><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+  }
+
+  async function fetchProgramStats() {
+    try {
+      const stats = await loadProgramStats(filterYear.value, filterMonth.value);
+      if (!stats.washCount) {
+        programStatsDiv.innerHTML = `<p class="text-gray-400 text-center">${escapeHtml(t('common.noData'))}</p>`;
+        programUserStatsDiv.innerHTML = '';
+        return;
+      }
+      programStatsDiv.innerHTML = programTable(stats.byProgram, false) +
+        (stats.unspecifiedCount ? `<p class="text-xs text-gray-400 mt-2">${escapeHtml(t('programs.withoutProgram', { count: stats.unspecifiedCount, total: stats.washCount }))}</p>` : '');
+      programUserStatsDiv.innerHTML = programTable(stats.byUser, true);
+    } catch (err) {
+      console.error('fetchProgramStats error:', err);
+      programStatsDiv.innerHTML = `<p class="text-red-500 text-center">${escapeHtml(t('common.error', { message: err.message }))}</p>`;
+    }
+  }
+
+  await fetchPrograms();
 
   // Letzter Zählerstand
+  function activeHouseholdId() { return householdSelect.value || localStorage.getItem('wt.household') || null; }
+  function latestKWhKey(applianceId) { return `wt.latestKWh.${activeHouseholdId() || ''}.${applianceId}`; }
+
+  // the next measurement continues from the last one still waiting in the outbox
+  async function queuedLatestKWh(applianceId) {
+    try {
+      const householdId = activeHouseholdId();
+      const queued = (await WashOutbox.list())
+        .filter(e => e.body.applianceId === applianceId && (!e.householdId || e.householdId === householdId));
+      return queued.length ? queued[queued.length - 1].body.currentKWh : null;
+    } catch {
+      return null; // no IndexedDB (e.g. private browsing)
+    }
+  }
+
   async function fetchLatestKWh() {
+    const applianceId = selectedApplianceId();
+    let latest = await queuedLatestKWh(applianceId);
     try {
-      const res = await fetch('/latest-kwh');
-      if (!res.ok) throw new Error('Fehler beim Laden des letzten Zählerstandes.');
-      const data = await res.json();
-      const latest = parseNum(data.latestEndKWh);
-      prevKWhInput.value = latest.toFixed(1);
-      const suggested = round1(latest + 0.1);
-      currentKWhInput.value = suggested.toFixed(1);
-      computeDelta();
+      if (latest == null) {
+        const res = await fetch(`/latest-kwh?applianceId=${encodeURIComponent(applianceId)}`);
+        if (!res.ok) throw new Error(t('reading.latestFailed'));
+        const data = await res.json();
+        latest = parseNum(data.latestEndKWh);
+        localStorage.setItem(latestKWhKey(applianceId), String(latest));
+      }
     } catch (err) {
       console.error('Error fetching latest kWh:', err);
-      prevKWhInput.value = '0.0';
-      currentKWhInput.value = '0.0';
-      computeDelta();
-      setFormMsg('Fehler beim Laden des Zählerstandes.', 'error');
+      const remembered = localStorage.getItem(latestKWhKey(applianceId));
+      if (remembered == null) {
+        prevKWhInput.value = '0.0';
+        currentKWhInput.value = '0.0';
+        computeDelta();
+        return setFormMsg(t('reading.latestFailed'), 'error');
+      }
+      latest = parseNum(remembered);
+      setFormMsg(t('reading.latestOffline'), 'info');
     }
+    prevKWhInput.value = latest.toFixed(1);
+    const suggested = round1(latest + 0.1);
+    currentKWhInput.value = suggested.toFixed(1);
+    computeDelta();
   }
   await fetchLatestKWh();
 
+  // ===== METER PHOTOS =====
+  // A photo of the meter is saved with the next measurement as proof. It is
+  // scaled down here, and the display is read on the device (Tesseract) to
+  // pre-fill the current value.
+  const PHOTO_MAX_EDGE = 1600;
+  let pendingPhoto = null;
+  let ocrWorker = null;
+
+  async function scalePhoto(file) {
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    const scale = Math.min(1, PHOTO_MAX_EDGE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+    return { canvas, blob };
+  }
+
+  // Seven-segment digits read best as solid dark strokes on white: blurred a
+  // little to close the gaps between segments, then black and white at the mean
+  // brightness. The digits are the smaller part, dark on an LCD, lit on an LED display.
+  function prepareForOcr(source) {
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const ctx = canvas.getContext('2d');
+    ctx.filter = 'blur(1px)';
+    ctx.drawImage(source, 0, 0);
+    const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const px = image.data;
+    const gray = new Float32Array(px.length / 4);
+    let sum = 0;
+    for (let i = 0; i < gray.length; i++) {
+      gray[i] = 0.299 * px[i * 4] + 0.587 * px[i * 4 + 1] + 0.114 * px[i * 4 + 2];
+      sum += gray[i];
+    }
+    const mean = sum / gray.length;
+    const darkCount = gray.reduce((n, g) => n + (g < mean ? 1 : 0), 0);
+    const digitsDark = darkCount < gray.length / 2;
+    for (let i = 0; i < gray.length; i++) {
+      const isDigit = digitsDark ? gray[i] < mean : gray[i] >= mean;
+      px[i * 4] = px[i * 4 + 1] = px[i * 4 + 2] = isDigit ? 0 : 255;
+    }
+    ctx.putImageData(image, 0, 0);
+    return canvas;
+  }
+
+  // Of the numbers read, the smallest that is not below the previous value,
+  // preferring those with as many digits before the point as the previous value:
+  // a meter rarely gains a digit between two washes. The decimal point of a
+  // display is often missed, so digits without one also count as tenths and hundredths.
+  function meterValueFrom(text, prev) {
+    const candidates = (text.match(/\d+(?:\.\d+)?/g) || []).flatMap(s => {
+      const v = parseFloat(s);
+      return s.includes('.') ? [v] : [v, v / 10, v / 100];
+    });
+    const plausible = candidates.filter(v => Number.isFinite(v) && v >= prev).sort((a, b) => a - b);
+    const digits = v => String(Math.trunc(v)).length;
+    const best = plausible.find(v => digits(v) === digits(prev)) ?? plausible[0];
+    return best === undefined ? null : round1(best);
+  }
+
+  async function readMeterDisplay(canvas, prev) {
+    if (!window.Tesseract) throw new Error(t('photo.ocrMissing'));
+    if (!ocrWorker) {
+      ocrWorker = await window.Tesseract.createWorker('eng', 1, {
+        workerPath: '/vendor/tesseract/worker.min.js',
+        corePath: '/vendor/tesseract/tesseract-core-lstm.wasm.js',
+        langPath: '/vendor/tesseract',
+        workerBlobURL: false
+      });
+      // digits only, scattered over the photo
+      await ocrWorker.setParameters({ tessedit_char_whitelist: '0123456789.', tessedit_pageseg_mode: '11' });
+    }
+    const { data } = await ocrWorker.recognize(prepareForOcr(canvas));
+    return meterValueFrom(data.text, prev);
+  }
+
+  function clearPendingPhoto() {
+    pendingPhoto = null;
+    if (readingPhotoImg.src) URL.revokeObjectURL(readingPhotoImg.src);
+    readingPhotoImg.removeAttribute('src');
+    readingPhotoPreview.classList.add('hidden');
+    readingPhotoStatus.textContent = '';
+  }
+
+  readingPhotoInput.addEventListener('change', async () => {
+    const file = readingPhotoInput.files[0];
+    clearPendingPhoto();
+    if (!file) return;
+    try {
+      const { canvas, blob } = await scalePhoto(file);
+      pendingPhoto = blob;
+      readingPhotoImg.src = URL.createObjectURL(blob);
+      readingPhotoPreview.classList.remove('hidden');
+      readingPhotoStatus.textContent = t('photo.recognizing');
+      const value = await readMeterDisplay(canvas, parseNum(prevKWhInput.value));
+      if (pendingPhoto !== blob) return; // another photo was chosen meanwhile
+      if (value == null) {
+        readingPhotoStatus.textContent = t('photo.notRecognized');
+        return;
+      }
+      currentKWhInput.value = value.toFixed(1);
+      computeDelta();
+      readingPhotoStatus.textContent = t('photo.recognized', { kWh: nf1.format(value) });
+    } catch (err) {
+      console.error('Meter photo error:', err);
+      readingPhotoStatus.textContent = pendingPhoto
+        ? t('photo.ocrFailed')
+        : t('photo.unreadable', { message: err.message });
+    }
+  });
+
+  async function uploadPhoto(washId, blob) {
+    const res = await fetch(`/readings/${encodeURIComponent(washId)}/photo`, {
+      method: 'PUT',
+      headers: { 'Content-Type': blob.type || 'image/jpeg' },
+      body: blob
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.message || t('photo.saveFailed'));
+    }
+  }
+
+  // Saves the chosen photo with a just saved measurement. Returns a note for
+  // the form message when that failed; the measurement itself stays saved.
+  async function attachPendingPhoto(washId) {
+    if (!pendingPhoto) return '';
+    try {
+      await uploadPhoto(washId, pendingPhoto);
+      return '';
+    } catch (err) {
+      console.error('Photo upload error:', err);
+      return ` ${t('photo.notSaved', { message: err.message })}`;
+    }
+  }
+
+  // ===== OFFLINE OUTBOX =====
+  // Without a connection a measurement is kept on the device (js/outbox.js)
+  // and sent later in the order it was taken, by background sync where the
+  // browser has it, else when the page is next open and online. A measurement
+  // the server refuses holds back the ones after it until it is resolved here.
+  const swRegistration = 'serviceWorker' in navigator
+    ? navigator.serviceWorker.register('/sw.js').catch((err) => {
+      console.warn('Service worker not registered:', err);
+      return null;
+    })
+    : Promise.resolve(null);
+
+  async function outboxEntries() {
+    try {
+      return window.WashOutbox ? await WashOutbox.list() : [];
+    } catch (err) {
+      console.error('Outbox error:', err);
+      return [];
+    }
+  }
+
+  async function queueReading(body) {
+    await WashOutbox.add({ body, householdId: activeHouseholdId(), photo: pendingPhoto });
+    resetReadingForm();
+    await fetchLatestKWh();
+    await renderOutbox();
+    setFormMsg(t('outbox.queued'), 'info');
+    await requestOutboxReplay();
+  }
+
+  async function requestOutboxReplay() {
+    if ((await outboxEntries()).length === 0) return;
+    const registration = await swRegistration;
+    if (registration?.active && registration.sync) {
+      try {
+        // the service worker reports back with a message
+        return await registration.sync.register(WashOutbox.SYNC_TAG);
+      } catch (err) {
+        console.warn('Background sync not available:', err);
+      }
+    }
+    if (navigator.onLine) await afterOutboxReplay(await WashOutbox.replay());
+  }
+
+  async function afterOutboxReplay(result) {
+    await renderOutbox();
+    if (result.sent) {
+      await fetchLatestKWh();
+      await fetchReadings();
+      await fetchAndRenderYearlySummary();
+    }
+    if (result.conflict) {
+      setFormMsg(t('outbox.conflict'), 'error');
+    } else if (result.sent) {
+      setFormMsg(result.sent === 1 ? t('outbox.sentOne') : t('outbox.sentMany', { count: result.sent }), 'success');
+      setTimeout(() => hideFormMsg(), 2500);
+    }
+  }
+
+  function outboxConflictText(error) {
+    if (error.code === 'chain_moved') return t('outbox.chainMoved', { kWh: nf1.format(error.latestEndKWh) });
+    if (error.code === 'meter_decreased') return t('outbox.meterDecreased', { kWh: nf1.format(error.latestEndKWh) });
+    if (error.code === 'implausible_reading') {
+      return t('outbox.implausible', { kWh: nf1.format(error.deltaKWh), reasons: error.reasons.map(anomalyReasonText).join(t('anomalies.and')) });
+    }
+    return error.message || t('outbox.status', { status: error.status });
+  }
+
+  // [label, changes to the body] for sending a conflicting measurement again
+  function outboxRetryAction(error) {
+    if (error.code === 'chain_moved') return [t('outbox.sendAnyway'), { expectedStartKWh: undefined }];
+    if (error.code === 'implausible_reading') return [t('outbox.confirm'), { confirmAnomaly: true }];
+    // taken before the newest reading or in a settled month: it cannot be recorded
+    // as of another time, only corrected or discarded
+    if (['meter_decreased', 'captured_before_latest', 'month_closed'].includes(error.code)) return null;
+    return [t('outbox.sendAgain'), {}];
+  }
+
+  async function renderOutbox() {
+    const entries = await outboxEntries();
+    outboxPanel.classList.toggle('hidden', entries.length === 0);
+    let blocked = false;
+    outboxList.innerHTML = entries.map((e) => {
+      const conflict = e.status === 'conflict' ? e.error : null;
+      const retry = conflict && outboxRetryAction(conflict);
+      const state = conflict ? '' : t(blocked ? 'outbox.waitingForPrevious' : 'outbox.waitingForConnection');
+      blocked ||= Boolean(conflict);
+      return `
+        <div class="bg-gray-700 p-3 rounded-lg ${conflict ? 'border border-red-500' : ''}">
+          <p class="font-bold">${nf1.format(e.body.currentKWh)} kWh
+            <span class="text-sm font-normal text-gray-300">· ${escapeHtml(applianceName(e.body.applianceId))}
+            · ${escapeHtml(t('outbox.taken', { at: new Date(e.queuedAt).toLocaleString(WashI18n.tag) }))}${e.body.forUsername ? ` · ${escapeHtml(t('outbox.forUser', { username: e.body.forUsername }))}` : ''}${e.photo ? ` · ${escapeHtml(t('outbox.withPhoto'))}` : ''}</span></p>
+          ${conflict
+            ? `<p class="text-sm text-red-300 mt-1">${escapeHtml(outboxConflictText(conflict))}</p>
+              <div class="flex flex-wrap gap-2 mt-2">
+                ${retry ? `<button data-id="${e.id}" data-action="retry" class="outbox-btn text-xs px-2 py-1 bg-indigo-600 hover:bg-indigo-500 rounded">${escapeHtml(retry[0])}</button>` : ''}
+                <button data-id="${e.id}" data-action="edit" class="outbox-btn text-xs px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded">${escapeHtml(t('outbox.changeValue'))}</button>
+                <button data-id="${e.id}" data-action="discard" class="outbox-btn text-xs px-2 py-1 bg-red-600 hover:bg-red-500 rounded">${escapeHtml(t('outbox.discard'))}</button>
+              </div>`
+            : `<p class="text-sm text-gray-400">${state}</p>`}
+        </div>
+      `;
+    }).join('');
+
+    outboxList.querySelectorAll('.outbox-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const entry = entries.find(e => e.id === Number(btn.getAttribute('data-id')));
+        if (!entry) return;
+        try {
+          const action = btn.getAttribute('data-action');
+          if (action === 'discard') {
+            if (!confirm(t('outbox.confirmDiscard', { kWh: nf1.format(entry.body.currentKWh) }))) return;
+            await WashOutbox.discard(entry.id);
+            await renderOutbox();
+            await fetchLatestKWh();
+            return;
+          }
+          if (action === 'edit') {
+            const input = prompt(t('outbox.promptValue'), entry.body.currentKWh.toFixed(1));
+            if (input == null) return;
+            const value = round1(toNumberOrNaN(input.replace(',', '.')));
+            if (!Number.isFinite(value) || value < 0) return setFormMsg(t('reading.invalidValue'), 'error');
+            // the new value is checked against the chain as it is now
+            await WashOutbox.retry(entry.id, { currentKWh: value, expectedStartKWh: undefined });
+          } else {
+            await WashOutbox.retry(entry.id, outboxRetryAction(entry.error)[1]);
+          }
+          await renderOutbox();
+          await requestOutboxReplay();
+        } catch (err) {
+          console.error('Outbox action error:', err);
+          setFormMsg(t('common.error', { message: err.message }), 'error');
+        }
+      });
+    });
+  }
+
+  navigator.serviceWorker?.addEventListener('message', (event) => {
+    if (event.data?.type === 'outbox') afterOutboxReplay(event.data.result);
+  });
+  window.addEventListener('online', () => requestOutboxReplay());
+
+  // ===== WASH SESSIONS =====
+  let openSession = null;
+
+  // the id changes with every new photo, so the browser may cache each one
+  function photoUrl(r) {
+    return `/readings/${encodeURIComponent(r.washId)}/photo?v=${encodeURIComponent(r.photo.photoId)}`;
+  }
+
+  function ownerLabel(r, fallback = '-') {
+    return r.ownerUsername || r.username || (r.unassigned ? t('readings.unassigned') : fallback);
+  }
+
+  // meter replacements, resets and rollovers sit in the chain like readings;
+  // they only count in totals with consumption since the last reading (same rule as the server)
+  function isMeterEvent(r) { return !!r.meterEvent; }
+  function isConsumption(r) { return !isMeterEvent(r) || parseNum(r.deltaKWh) > 0; }
+  function meterEventLabel(r) { return WashI18n.has(`meterEvents.types.${r.meterEvent}`) ? t(`meterEvents.types.${r.meterEvent}`) : r.meterEvent; }
+
+  function renderSession() {
+    const running = !!openSession;
+    sessionStatus.classList.toggle('hidden', !running);
+    submitReadingBtn.disabled = running;
+    startSessionBtn.classList.toggle('hidden', running);
+    finishSessionBtn.classList.toggle('hidden', !running);
+    cancelSessionBtn.classList.toggle('hidden', !running);
+    if (!running) return;
+
+    const mayControl = openSession.ownerUsername === currentUser || openSession.startedBy === currentUser;
+    finishSessionBtn.disabled = !mayControl;
+    cancelSessionBtn.disabled = !mayControl;
+
+    const since = new Date(openSession.startedAt).toLocaleString(WashI18n.tag, { dateStyle: 'short', timeStyle: 'short' });
+    const by = openSession.startedBy !== openSession.ownerUsername ? t('sessions.startedBy', { username: escapeHtml(openSession.startedBy) }) : '';
+    sessionStatus.innerHTML = t('sessions.running', {
+      owner: `<span class="font-bold">${escapeHtml(openSession.ownerUsername)}</span>`, by, since, kWh: nf1.format(openSession.startKWh)
+    });
+    prevKWhInput.value = parseNum(openSession.startKWh).toFixed(1);
+    computeDelta();
+  }
+
+  async function fetchSession() {
+    try {
+      const res = await fetch(`/sessions/current?applianceId=${encodeURIComponent(selectedApplianceId())}`);
+      if (!res.ok) throw new Error(t('sessions.loadFailed'));
+      const data = await res.json();
+      openSession = data.session;
+      if (!openSession) prevKWhInput.value = parseNum(data.latestEndKWh).toFixed(1);
+      renderSession();
+    } catch (err) {
+      console.error('Error fetching session:', err);
+    }
+  }
+
+  async function afterSessionChange(message) {
+    resetReadingForm();
+    await fetchLatestKWh();
+    await fetchSession();
+    await fetchReadings();
+    await fetchAndRenderYearlySummary();
+    await fetchReservations();
+    setFormMsg(message, 'success');
+    setTimeout(() => hideFormMsg(), 2500);
+  }
+
+  // keeps the chosen appliance
+  function resetReadingForm() {
+    const applianceId = selectedApplianceId();
+    readingForm.reset();
+    applianceSelect.value = applianceId;
+    onBehalfRow.classList.add('hidden');
+    clearPendingPhoto();
+  }
+
+  function sessionKWh() {
+    const curr = round1(toNumberOrNaN(currentKWhInput.value.trim()));
+    if (isBlank(currentKWhInput.value) || !Number.isFinite(curr)) {
+      setFormMsg(t('reading.missingValue'), 'error');
+      return null;
+    }
+    return curr;
+  }
+
+  startSessionBtn.addEventListener('click', async () => {
+    // a plug measures the wash itself, the meter value may be left empty
+    const plugged = !!appliances.find(a => a.applianceId === selectedApplianceId())?.plugId && isBlank(currentKWhInput.value);
+    const curr = plugged ? null : sessionKWh();
+    if (!plugged && curr == null) return;
+    let forUsername;
+    if (onBehalfToggle.checked) {
+      forUsername = (onBehalfUser.value || '').trim();
+      if (!forUsername) return setFormMsg(t('reading.missingOnBehalf'), 'error');
+    }
+
+    hideFormMsg();
+    try {
+      const res = await fetch('/sessions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...(curr != null ? { currentKWh: curr } : {}),
+          applianceId: selectedApplianceId(),
+          ...(forUsername ? { forUsername } : {})
+        })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        if (data.code === 'machine_busy') await fetchSession();
+        throw new Error(data.message || t('sessions.startFailed'));
+      }
+      const gap = data.unassigned ? ` ${t('sessions.unassignedGap', { kWh: nf1.format(data.unassigned.deltaKWh) })}` : '';
+      await afterSessionChange(plugged ? t('sessions.startedPlug') : `${t('sessions.started')}${gap}`);
+    } catch (err) {
+      console.error('POST /sessions error:', err);
+      setFormMsg(t('common.error', { message: err.message }), 'error');
+    }
+  });
+
+  finishSessionBtn.addEventListener('click', async () => {
+    if (!openSession) return;
+    const curr = sessionKWh();
+    if (curr == null) return;
+    if (curr <= openSession.startKWh) {
+      return setFormMsg(t('sessions.endNotAboveStart', { kWh: nf1.format(curr), startKWh: nf1.format(openSession.startKWh) }), 'error');
+    }
+
+    hideFormMsg();
+    try {
+      const res = await sendWithAnomalyCheck(`/sessions/${encodeURIComponent(openSession.sessionId)}/finish`, 'POST', {
+        currentKWh: curr, notes: notesInput.value, ...washPayload()
+      });
+      if (!res) return setFormMsg(t('sessions.stillRunning'), 'info');
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        await fetchSession();
+        throw new Error(err.message || t('sessions.finishFailed'));
+      }
+      const { reading } = await res.json();
+      const photoNote = await attachPendingPhoto(reading.washId);
+      await afterSessionChange(`${t('sessions.finished')}${photoNote}`);
+    } catch (err) {
+      console.error('POST /sessions/:id/finish error:', err);
+      setFormMsg(t('common.error', { message: err.message }), 'error');
+    }
+  });
+
+  cancelSessionBtn.addEventListener('click', async () => {
+    if (!openSession || !confirm(t('sessions.confirmCancel'))) return;
+    try {
+      const res = await fetch(`/sessions/${encodeURIComponent(openSession.sessionId)}`, { method: 'DELETE' });
+      if (!res.ok && res.status !== 404) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.message || t('sessions.cancelFailed'));
+      }
+      await afterSessionChange(t('sessions.cancelled'));
+    } catch (err) {
+      console.error('DELETE /sessions/:id error:', err);
+      setFormMsg(t('common.error', { message: err.message }), 'error');
+    }
+  });
+
+  await fetchSession();
+  // other users may start or finish a wash meanwhile
+  setInterval(() => { if (!document.hidden) fetchSession(); }, 60 * 1000);
+
   // Jahr-Select
   const now = new Date();
   for (let y = now.getFullYear(); y >= now.getFullYear() - 4; y--) {
@@ -140,314 +1072,1447 @@ document.addEventListener('DOMContentLoaded', async () => {
     const rawCurr = currentKWhInput.value.trim();
 
     if (isBlank(rawCurr)) {
-      return setFormMsg('Bitte aktuellen Zählerstand eingeben.', 'error');
+      return setFormMsg(t('reading.missingValue'), 'error');
     }
 
     const curr = round1(toNumberOrNaN(rawCurr));
     const notes = notesInput.value;
 
     if (!Number.isFinite(curr)) {
-      return setFormMsg('Aktueller Zählerstand ist ungültig.', 'error');
+      return setFormMsg(t('reading.invalidValue'), 'error');
     }
-    if (curr < prev) {
-      return setFormMsg(`Aktueller Zählerstand (${nf1.format(curr)}) muss ≥ vorheriger (${nf1.format(prev)}) sein.`, 'error');
+    if (curr <= prev) {
+      // a lower value than the chain's last one needs a meter event first
+      openMeterEventForm(curr < prev ? curr : null);
+      return setFormMsg(t('reading.notAbovePrevious', { kWh: nf1.format(curr), previousKWh: nf1.format(prev) }), 'error');
     }
 
     // On behalf payload
     let forUsername;
     if (onBehalfToggle.checked) {
       const target = (onBehalfUser.value || '').trim();
-      if (!target) return setFormMsg('Bitte einen Benutzer für "im Auftrag" auswählen.', 'error');
+      if (!target) return setFormMsg(t('reading.missingOnBehalf'), 'error');
       forUsername = target;
     }
 
     hideFormMsg();
 
-    try {
-      const res = await fetch('/readings', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ currentKWh: curr, notes, ...(forUsername ? { forUsername } : {}) }),
-      });
-      if (!res.ok) {
-        const err = await res.json().catch(() => ({}));
-        throw new Error(err.message || 'Fehler beim Speichern der Messung.');
-      }
+    const body = {
+      currentKWh: curr, notes, expectedStartKWh: prev, applianceId: selectedApplianceId(), ...washPayload(), ...(forUsername ? { forUsername } : {})
+    };
+    try {
+      // while older measurements wait in the outbox, new ones queue behind them
+      if (window.WashOutbox && (!navigator.onLine || (await outboxEntries()).length > 0)) return await queueReading(body);
+      let res;
+      try {
+        res = await sendWithAnomalyCheck('/readings', 'POST', body);
+      } catch (err) {
+        // fetch fails with a TypeError when there is no connection
+        if (window.WashOutbox && err instanceof TypeError) return await queueReading(body);
+        throw err;
+      }
+      if (!res) return setFormMsg(t('reading.notSaved'), 'info');
+      if (res.status === 409) {
+        // someone else saved first: show the new previous value, keep the user's input
+        const err = await res.json().catch(() => ({}));
+        if (typeof err.latestEndKWh === 'number') {
+          prevKWhInput.value = parseNum(err.latestEndKWh).toFixed(1);
+          computeDelta();
+          return setFormMsg(t('reading.chainMoved', { kWh: nf1.format(err.latestEndKWh) }), 'info');
+        }
+        throw new Error(err.message || t('reading.conflict'));
+      }
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.message || t('reading.saveFailed'));
+      }
+
+      const { reading } = await res.json();
+      const photoNote = await attachPendingPhoto(reading.washId);
+      resetReadingForm();
+
+      await fetchLatestKWh();
+      await fetchReadings();
+      await fetchAndRenderYearlySummary();
+      await fetchReservations();
+
+      setFormMsg(`${t('reading.saved')}${photoNote}`, photoNote ? 'info' : 'success');
+      setTimeout(() => hideFormMsg(), 2500);
+    } catch (err) {
+      console.error('POST /readings error:', err);
+      setFormMsg(t('common.error', { message: err.message }), 'error');
+    }
+  });
+
+  // ===== PLAUSIBILITY =====
+  function anomalyReasonText(reason) {
+    if (reason.code === 'above_max') return t('anomalies.aboveMax', { kWh: nf1.format(reason.limitKWh) });
+    if (reason.code === 'above_owner_history') return t('anomalies.aboveOwnerHistory', { kWh: nf1.format(reason.medianKWh) });
+    return t('anomalies.aboveApplianceHistory', { kWh: nf1.format(reason.medianKWh) });
+  }
+  function anomalyText(r) { return (r.anomaly?.reasons || []).map(anomalyReasonText).join('; '); }
+
+  // Sends the JSON body; when the server finds the consumption implausible the user
+  // may confirm it and it is sent again with confirmAnomaly. Resolves to null when declined.
+  async function sendWithAnomalyCheck(url, method, body) {
+    const send = b => fetch(url, { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(b) });
+    const res = await send(body);
+    if (res.status !== 409) return res;
+    const err = await res.clone().json().catch(() => ({}));
+    if (err.code !== 'implausible_reading') return res;
+    const question = t('anomalies.question', { kWh: nf1.format(err.deltaKWh), reasons: err.reasons.map(anomalyReasonText).join(t('anomalies.and')) });
+    if (!confirm(question)) return null;
+    return send({ ...body, confirmAnomaly: true });
+  }
+
+  // ===== METER EVENTS =====
+  function setMeterEventMsg(msg, type) {
+    meterEventMessage.textContent = msg;
+    meterEventMessage.classList.remove('hidden', 'text-red-500', 'text-green-500');
+    meterEventMessage.classList.add(type === 'error' ? 'text-red-500' : 'text-green-500');
+  }
+
+  // `newStart` is the value just typed into the reading form, if it was lower than the last one
+  function openMeterEventForm(newStart = null) {
+    meterEventForm.classList.remove('hidden');
+    meterEventForm.elements.oldMeterFinalKWh.value = toNumberOrNaN(prevKWhInput.value).toFixed(1);
+    if (newStart != null) meterEventForm.elements.newMeterStartKWh.value = newStart.toFixed(1);
+  }
+
+  meterEventToggle.addEventListener('click', () => {
+    if (meterEventForm.classList.contains('hidden')) openMeterEventForm();
+    else meterEventForm.classList.add('hidden');
+  });
+
+  meterEventForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const prev = toNumberOrNaN(prevKWhInput.value);
+    const oldMeterFinalKWh = round1(toNumberOrNaN(meterEventForm.elements.oldMeterFinalKWh.value));
+    const newMeterStartKWh = round1(toNumberOrNaN(meterEventForm.elements.newMeterStartKWh.value));
+    const type = meterEventForm.elements.meterEventType.value;
+
+    if (!Number.isFinite(oldMeterFinalKWh) || !Number.isFinite(newMeterStartKWh) || newMeterStartKWh < 0) {
+      return setMeterEventMsg(t('meterEvents.missingValues'), 'error');
+    }
+    if (oldMeterFinalKWh < prev) {
+      return setMeterEventMsg(t('meterEvents.finalBelowLatest', { kWh: nf1.format(prev) }), 'error');
+    }
+    if (type !== 'replacement' && newMeterStartKWh >= oldMeterFinalKWh) {
+      return setMeterEventMsg(t('meterEvents.startNotLower'), 'error');
+    }
+    const residual = round1(oldMeterFinalKWh - prev);
+    const question = t('meterEvents.confirm', { event: meterEventLabel({ meterEvent: type }), kWh: nf1.format(newMeterStartKWh) });
+    if (!confirm(residual > 0 ? `${question} ${t('meterEvents.residual', { kWh: nf1.format(residual) })}` : question)) return;
+
+    try {
+      const res = await fetch('/readings/meter-events', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          type,
+          oldMeterFinalKWh,
+          newMeterStartKWh,
+          notes: meterEventForm.elements.meterEventNotes.value,
+          expectedStartKWh: prev,
+          applianceId: selectedApplianceId()
+        })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        if (typeof data.latestEndKWh === 'number') await fetchLatestKWh();
+        throw new Error(data.message || t('meterEvents.saveFailed'));
+      }
+      meterEventForm.reset();
+      meterEventForm.classList.add('hidden');
+      hideFormMsg();
+      await fetchLatestKWh();
+      await fetchReadings();
+      await fetchAndRenderYearlySummary();
+      setMeterEventMsg(t('meterEvents.saved', { event: meterEventLabel(data.reading), kWh: nf1.format(data.reading.endKWh) }), 'success');
+    } catch (err) {
+      console.error('POST /readings/meter-events error:', err);
+      setMeterEventMsg(t('common.error', { message: err.message }), 'error');
+    }
+  });
+
+  // Load + render
+  async function fetchReadings() {
+    try {
+      const year = filterYear.value;
+      const month = filterMonth.value;
+      const qs = new URLSearchParams();
+      if (year) qs.append('year', year);
+      if (month) qs.append('month', month);
+
+      const url = `/readings?${qs.toString()}`;
+      const [res, summary] = await Promise.all([
+        fetch(url),
+        fetchSummary(year || String(new Date().getFullYear()), month)
+      ]);
+      if (!res.ok) throw new Error(t('readings.loadFailed'));
+      const readings = await res.json();
+
+      renderTimeline(readings);
+      renderMonthlySummary(summary);
+      await fetchStatements();
+      await fetchAnomalies();
+      await fetchProgramStats();
+    } catch (err) {
+      console.error('fetchReadings error:', err);
+      timelineDiv.innerHTML = `<p class="text-red-500 text-center">${escapeHtml(t('common.loadError', { message: err.message }))}</p>`;
+      monthlySummaryDiv.innerHTML = `<p class="text-red-500 text-center">${escapeHtml(t('common.loadError', { message: err.message }))}</p>`;
+    }
+  }
+
+  // flagged readings of the selected period
+  async function fetchAnomalies() {
+    try {
+      const qs = new URLSearchParams();
+      if (filterYear.value) qs.append('year', filterYear.value);
+      if (filterMonth.value) qs.append('month', filterMonth.value);
+      const res = await fetch(`/readings/anomalies?${qs.toString()}`);
+      if (!res.ok) throw new Error(t('anomalies.loadFailed'));
+      const { readings, totalKWh } = await res.json();
+
+      if (!readings.length) {
+        anomalyList.innerHTML = `<p class="text-gray-400 text-center">${escapeHtml(t('anomalies.none'))}</p>`;
+        return;
+      }
+      anomalyList.innerHTML = readings.map(r => `
+        <div class="bg-gray-700 border-l-4 border-red-500 p-3 rounded">
+          <p><span class="font-semibold">${new Date(r.timestamp).toLocaleString(WashI18n.tag)}</span> ·
+            ${escapeHtml(ownerLabel(r))}${appliances.length > 1 ? ` · ${escapeHtml(applianceName(applianceOf(r)))}` : ''} ·
+            <span class="font-semibold">${nf1.format(round1(parseNum(r.deltaKWh)))} kWh</span> · ${fmtCHF(r.costCHF)}</p>
+          <p class="text-xs text-gray-300">${escapeHtml(anomalyText(r))} – ${escapeHtml(t('anomalies.confirmedBy', { username: r.anomaly.confirmedBy || '-' }))}</p>
+        </div>
+      `).join('') + `<p class="text-xs text-gray-400">${escapeHtml(t('anomalies.total', { count: readings.length, kWh: nf1.format(totalKWh) }))}</p>`;
+    } catch (err) {
+      console.error('fetchAnomalies error:', err);
+      anomalyList.innerHTML = `<p class="text-red-500 text-center">${escapeHtml(t('common.error', { message: err.message }))}</p>`;
+    }
+  }
+
+  async function fetchYearReadings(year) {
+    const res = await fetch(`/readings?year=${encodeURIComponent(year)}`);
+    if (!res.ok) throw new Error(t('readings.yearFailed', { year }));
+    return res.json();
+  }
+
+  async function fetchAndRenderYearlySummary() {
+    try {
+      const y = new Date().getFullYear();
+      renderYearlySummary(await fetchSummary(y), y);
+    } catch (err) {
+      console.error('yearly summary error:', err);
+      yearlySummaryContent.innerHTML = `<p class="text-red-500 text-center">${escapeHtml(t('common.error', { message: err.message }))}</p>`;
+    }
+  }
+
+  // Renderers
+  function renderTimeline(readings) {
+    timelineDiv.innerHTML = '';
+
+    if (!readings || readings.length === 0) {
+      noReadingsMessage.classList.remove('hidden');
+      return;
+    }
+    noReadingsMessage.classList.add('hidden');
+
+    // sort all readings newest → oldest
+    const allSorted = [...readings].sort((a, b) => b.timestamp - a.timestamp);
+
+    // find the latest one created by currentUser, per appliance (admins may delete any)
+    const latestId = [...new Set(allSorted.map(applianceOf))]
+      .map(a => allSorted.find(r => applianceOf(r) === a && (r.createdBy === currentUser || (!r.createdBy && r.username === currentUser))))
+      .filter(Boolean)
+      .map(r => r.washId);
+
+    // owners a reading can be reassigned to: the active users of the household
+    const uniqueUsers = householdUsers.filter(u => u.active).map(u => u.username);
+
+    // group by day
+    const grouped = {};
+    readings.forEach(r => {
+      const dayKey = new Date(r.timestamp).toISOString().split('T')[0];
+      if (!grouped[dayKey]) grouped[dayKey] = [];
+      grouped[dayKey].push(r);
+    });
+
+    const sortedDays = Object.keys(grouped).sort((a, b) => new Date(b) - new Date(a));
+
+    sortedDays.forEach((dayKey) => {
+      const date = new Date(dayKey);
+      const formatted = date.toLocaleDateString(WashI18n.tag, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+
+      const header = document.createElement('div');
+      header.className = 'mb-4 pl-2 border-l-4 border-indigo-500';
+      header.innerHTML = `<h3 class="text-xl font-bold text-indigo-300">${formatted}</h3>`;
+      timelineDiv.appendChild(header);
+
+      const dayItems = grouped[dayKey].sort((a, b) => b.timestamp - a.timestamp);
+
+      dayItems.forEach((r) => {
+        const time = new Date(r.timestamp).toLocaleTimeString(WashI18n.tag, { hour: '2-digit', minute: '2-digit' });
+
+        const start = round1(parseNum(r.startKWh));
+        const end = round1(parseNum(r.endKWh));
+        const delta = round1(parseNum(r.deltaKWh));
+        const event = isMeterEvent(r);
+
+        const card = document.createElement('div');
+        card.className = 'relative pl-8 mb-10';
+
+        // DELETE button only if this washId is in latestId
+        const canDelete = isAdmin || latestId.includes(r.washId);
+        const deleteBtn = canDelete
+          ? `<button data-id="${escapeAttr(r.washId)}" class="delete-btn text-xs px-2 py-1 bg-red-600 hover:bg-red-500 rounded">${t('common.delete')}</button>`
+          : '';
+
+        // EDIT for every reading the current user created, or any for admins (same rule as the server)
+        const canEdit = isAdmin || r.createdBy === currentUser || (!r.createdBy && r.username === currentUser);
+        const editBtn = canEdit
+          ? `<button data-id="${escapeAttr(r.washId)}" class="edit-btn text-xs px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded text-white">${t('common.edit')}</button>`
+          : '';
+        const owner = r.ownerUsername || r.username || '';
+        const ownerOptions = (r.unassigned ? `<option value="" selected>${escapeHtml(t('readings.unassigned'))}</option>` : '') +
+          [...new Set([currentUser, owner, ...uniqueUsers])].filter(Boolean)
+            .map(u => `<option value="${escapeAttr(u)}" ${u === owner ? 'selected' : ''}>${escapeHtml(displayNameOf(u))}</option>`)
+            .join('');
+        const editForm = canEdit
+          ? `
+            <form data-id="${escapeAttr(r.washId)}" class="edit-form hidden mt-3 grid grid-cols-1 sm:grid-cols-3 gap-2 text-sm">
+              ${event ? '' : `<label>${t('readings.currentKWh')}
+                <input name="endKWh" type="number" step="0.1" value="${escapeAttr(end.toFixed(1))}" class="w-full bg-gray-700 text-gray-100 border border-gray-600 rounded px-2 py-1" />
+              </label>
+              <label>${t('readings.owner')}
+                <select name="ownerUsername" class="w-full bg-gray-700 text-gray-100 border border-gray-600 rounded px-2 py-1">${ownerOptions}</select>
+              </label>`}
+              <label class="sm:col-span-3">${t('readings.note')}
+                <textarea name="notes" rows="2" class="w-full bg-gray-700 text-gray-100 border border-gray-600 rounded px-2 py-1">${escapeHtml(r.notes || '')}</textarea>
+              </label>
+              <label class="sm:col-span-2">${t(r.photo ? 'readings.replacePhoto' : 'readings.attachPhoto')}
+                <input name="photo" type="file" accept="image/*" class="w-full text-xs" />
+              </label>
+              ${r.photo ? `<label class="inline-flex items-center gap-2 self-end">
+                <input name="removePhoto" type="checkbox" class="accent-red-500" /> ${t('readings.removePhoto')}
+              </label>` : ''}
+              <div class="sm:col-span-3 flex gap-2 justify-end">
+                <button type="button" class="edit-cancel-btn text-xs px-3 py-1 bg-gray-600 hover:bg-gray-500 rounded text-white">${t('common.cancel')}</button>
+                <button type="submit" class="text-xs px-3 py-1 bg-indigo-600 hover:bg-indigo-500 rounded text-white">${t('common.save')}</button>
+              </div>
+            </form>
+          `
+          : '';
+
+        const onBehalfBadge = r.onBehalf
+          ? `<span class="ml-2 text-[10px] px-2 py-0.5 rounded bg-yellow-600 align-middle">${t('readings.onBehalf')}</span>`
+          : '';
+        const importedBadge = r.imported
+          ? `<span class="ml-2 text-[10px] px-2 py-0.5 rounded bg-gray-600 align-middle">${t('readings.imported')}</span>`
+          : '';
+        const plugWash = r.source === 'telemetry';
+        const unassignedBadge = r.unassigned && !event
+          ? `<span class="ml-2 text-[10px] px-2 py-0.5 rounded bg-orange-600 align-middle">${t(plugWash ? 'readings.unclaimed' : 'readings.betweenWashes')}</span>`
+          : '';
+        const plugBadge = plugWash
+          ? `<span class="ml-2 text-[10px] px-2 py-0.5 rounded bg-teal-600 align-middle" title="${escapeAttr(t('readings.plugTitle', { plugId: r.plugId || '' }))}">${t('readings.plug')}</span>`
+          : '';
+        // washes the plug recorded while nobody had claimed the machine
+        const claimBtn = plugWash && r.unassigned
+          ? `<button data-id="${escapeAttr(r.washId)}" class="claim-btn text-xs px-2 py-1 bg-green-600 hover:bg-green-500 rounded text-white">${t('readings.claim')}</button>`
+          : '';
+        const applianceBadge = appliances.length > 1
+          ? `<span class="ml-2 text-[10px] px-2 py-0.5 rounded bg-indigo-600 align-middle">${escapeHtml(applianceName(applianceOf(r)))}</span>`
+          : '';
+
+        const anomalyBadge = r.anomaly
+          ? `<span class="ml-2 text-[10px] px-2 py-0.5 rounded bg-red-600 align-middle" title="${escapeAttr(anomalyText(r))}">${t('readings.implausible')}</span>`
+          : '';
+        const meterEventBadge = event
+          ? `<span class="ml-2 text-[10px] px-2 py-0.5 rounded bg-yellow-600 align-middle">${escapeHtml(meterEventLabel(r))}</span>`
+          : '';
+        const headline = event
+          ? `${escapeHtml(meterEventLabel(r))}: ${nf1.format(round1(parseNum(r.oldMeterFinalKWh)))} → ${nf1.format(end)} kWh`
+          : `${nf1.format(delta)} kWh${hasCost(r) ? ` · ${fmtCHF(r.costCHF)}` : ''}`;
+        const meterLines = event
+          ? `<p>${t('readings.previous')} <span class="font-medium">${nf1.format(start)} kWh</span></p>
+                <p>${t('readings.oldMeterFinal')} <span class="font-medium">${nf1.format(round1(parseNum(r.oldMeterFinalKWh)))} kWh</span></p>
+                <p>${t('readings.newMeterStart')} <span class="font-medium">${nf1.format(end)} kWh</span></p>
+                ${delta > 0 ? `<p>${t('readings.unassignedLabel')} <span class="font-medium">${nf1.format(delta)} kWh${hasCost(r) ? ` · ${fmtCHF(r.costCHF)}` : ''}</span></p>` : ''}`
+          : `<p>${t('readings.previous')} <span class="font-medium">${nf1.format(start)} kWh</span></p>
+                <p>${t('readings.current')} <span class="font-medium">${nf1.format(end)} kWh</span></p>
+                ${hasCost(r) ? `<p>${t('readings.cost')} <span class="font-medium">${fmtCHF(r.costCHF)}</span> <span class="text-xs opacity-90">(${tariffRateLabel(r)})</span></p>` : ''}`;
+
+        card.innerHTML = `
+          <div class="absolute left-0 top-1 w-4 h-4 ${event ? 'bg-yellow-500' : 'bg-indigo-500'} rounded-full border-4 border-gray-900 z-10"></div>
+          <div class="relative p-4 rounded-lg shadow ${event ? 'bg-yellow-100 text-gray-900 dark:bg-yellow-800 dark:text-gray-100' : 'bg-blue-100 text-gray-900 dark:bg-blue-700 dark:text-gray-100'} ${r.anomaly ? 'ring-4 ring-red-500' : ''}">
+            <div class="absolute top-0 right-0 flex gap-1">${claimBtn}${editBtn}${deleteBtn}</div>
+            <div class="flex flex-col md:flex-row justify-between mb-2">
+              <span class="text-sm font-semibold">${time}</span>
+              <span class="text-xs opacity-90">
+                ${event ? '' : escapeHtml(t('readings.from', { username: ownerLabel(r) }))}
+                ${applianceBadge}${anomalyBadge}${meterEventBadge}${onBehalfBadge}${importedBadge}${plugBadge}${unassignedBadge}
+              </span>
+            </div>
+
+            <p class="font-bold text-lg mb-2">${headline}</p>
+
+            <div class="grid grid-cols-1 sm:grid-cols-2 gap-2 text-sm">
+              <div>
+                ${r.anomaly ? `<p class="mt-1 text-sm font-semibold text-red-700 dark:text-red-200">${escapeHtml(t('readings.anomaly', { reasons: anomalyText(r), username: r.anomaly.confirmedBy || '-' }))}</p>` : ''}
+                ${washSummary(r) ? `<p class="mt-1">${t('readings.program')} <span class="font-medium">${escapeHtml(washSummary(r))}</span></p>` : ''}
+                ${r.notes ? `<p class="italic mt-1">${escapeHtml(t('readings.noteLine', { notes: r.notes }))}</p>` : ''}
+                ${r.photo ? `<a href="${escapeAttr(photoUrl(r))}" target="_blank" rel="noopener" class="inline-block mt-2" title="${escapeAttr(t('readings.openPhoto'))}">
+                  <img src="${escapeAttr(photoUrl(r))}" alt="${escapeAttr(t('readings.photo'))}" loading="lazy" class="h-20 rounded shadow" />
+                </a>` : ''}
+                <p class="mt-1 text-xs opacity-90">${t('readings.createdBy')} <span class="font-medium">${escapeHtml(r.createdBy === 'telemetry' ? t('readings.plug') : r.createdBy || '-')}</span>${r.apiTokenName ? ` ${escapeHtml(t('readings.viaToken', { name: r.apiTokenName }))}` : ''}</p>
+              </div>
+              <div>
+                ${meterLines}
+                <p>${t('readings.date')} <span class="font-medium">${new Date(r.timestamp).toLocaleString(WashI18n.tag)}</span></p>
+                ${r.editedAt ? `<p class="text-xs opacity-90">${escapeHtml(t('readings.edited', { username: r.editedBy || '-', at: new Date(r.editedAt).toLocaleString(WashI18n.tag) }))}</p>` : ''}
+              </div>
+            </div>
+            ${editForm}
+          </div>
+        `;
+        timelineDiv.appendChild(card);
+      });
+    });
+
+    // wire delete buttons
+    timelineDiv.querySelectorAll('.delete-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const id = btn.getAttribute('data-id');
+        if (!id) return;
+        if (!confirm(t('readings.confirmDelete'))) return;
+        try {
+          const res = await fetch(`/readings/${encodeURIComponent(id)}`, { method: 'DELETE' });
+          if (res.status === 204) {
+            await fetchLatestKWh();
+            await fetchReadings();
+            await fetchAndRenderYearlySummary();
+          } else {
+            const err = await res.json().catch(() => ({}));
+            throw new Error(err.message || t('common.deleteFailed'));
+          }
+        } catch (e) {
+          console.error('delete error', e);
+          setFormMsg(t('readings.deleteError', { message: e.message }), 'error');
+        }
+      });
+    });
+
+    // wire claim buttons
+    timelineDiv.querySelectorAll('.claim-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const id = btn.getAttribute('data-id');
+        if (!id || !confirm(t('readings.confirmClaim'))) return;
+        try {
+          const res = await fetch(`/readings/${encodeURIComponent(id)}/claim`, { method: 'POST' });
+          if (!res.ok) {
+            const err = await res.json().catch(() => ({}));
+            throw new Error(err.message || t('readings.claimFailed'));
+          }
+          await fetchReadings();
+          await fetchAndRenderYearlySummary();
+        } catch (e) {
+          console.error('claim error', e);
+          setFormMsg(t('readings.claimError', { message: e.message }), 'error');
+        }
+      });
+    });
+
+    // wire edit buttons + forms
+    timelineDiv.querySelectorAll('.edit-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const form = timelineDiv.querySelector(`.edit-form[data-id="${CSS.escape(btn.getAttribute('data-id'))}"]`);
+        form?.classList.toggle('hidden');
+      });
+    });
+    timelineDiv.querySelectorAll('.edit-form').forEach(form => {
+      form.querySelector('.edit-cancel-btn').addEventListener('click', () => form.classList.add('hidden'));
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const id = form.getAttribute('data-id');
+        const original = readings.find(r => r.washId === id);
+        const body = { notes: form.elements.notes.value };
+        // meter events only have notes to edit
+        if (form.elements.endKWh) {
+          const endKWh = round1(toNumberOrNaN(form.elements.endKWh.value));
+          if (!Number.isFinite(endKWh) || endKWh <= 0) {
+            return setFormMsg(t('reading.invalidValue'), 'error');
+          }
+          if (form.elements.ownerUsername.value) body.ownerUsername = form.elements.ownerUsername.value;
+          if (round1(parseNum(original?.endKWh)) !== endKWh) body.endKWh = endKWh;
+        }
+
+        try {
+          const res = await sendWithAnomalyCheck(`/readings/${encodeURIComponent(id)}`, 'PATCH', body);
+          if (!res) return;
+          if (!res.ok) {
+            const err = await res.json().catch(() => ({}));
+            throw new Error(err.message || t('common.saveFailed'));
+          }
+          const photoFile = form.elements.photo.files[0];
+          if (form.elements.removePhoto?.checked) {
+            const del = await fetch(`/readings/${encodeURIComponent(id)}/photo`, { method: 'DELETE' });
+            if (!del.ok) {
+              const err = await del.json().catch(() => ({}));
+              throw new Error(err.message || t('photo.removeFailed'));
+            }
+          } else if (photoFile) {
+            await uploadPhoto(id, (await scalePhoto(photoFile)).blob);
+          }
+          await fetchLatestKWh();
+          await fetchReadings();
+          await fetchAndRenderYearlySummary();
+          setFormMsg(t('readings.updated'), 'success');
+          setTimeout(() => hideFormMsg(), 2500);
+        } catch (err) {
+          console.error('edit error', err);
+          setFormMsg(t('readings.editError', { message: err.message }), 'error');
+        }
+      });
+    });
+  }
+
+
+  // totals computed by the server for a year or month
+  async function fetchSummary(year, month) {
+    const qs = new URLSearchParams({ year });
+    if (month) qs.append('month', month);
+    const res = await fetch(`/summary?${qs.toString()}`);
+    if (!res.ok) throw new Error(t('summary.loadFailed'));
+    return res.json();
+  }
+
+  function summaryUserLabel(user) {
+    if (user === 'unassigned') return t('readings.unassigned');
+    if (user === 'unknown') return t('summary.unknownUser');
+    return user;
+  }
+
+  function renderMonthlySummary(summary) {
+    monthlySummaryDiv.innerHTML = '';
+    noMonthlySummary.classList.add('hidden');
+
+    if (!summary.total.count) {
+      noMonthlySummary.classList.remove('hidden');
+      return;
+    }
+    renderUserTotals(summary.byUser, monthlySummaryDiv);
+    renderApplianceBreakdown(summary.byAppliance, monthlySummaryDiv);
+  }
+
+  function renderYearlySummary(summary, year) {
+    yearlySummaryContent.innerHTML = '';
+    noYearlySummary.classList.add('hidden');
+
+    if (!summary.total.count) {
+      noYearlySummary.classList.remove('hidden');
+      noYearlySummary.textContent = t('summary.noDataForYear', { year });
+      return;
+    }
+    renderUserTotals(summary.byUser, yearlySummaryContent);
+    renderApplianceBreakdown(summary.byAppliance, yearlySummaryContent);
+  }
+
+  function renderUserTotals(byUser, target) {
+    const container = document.createElement('div');
+    container.className = 'flex flex-wrap gap-4';
+
+    byUser.forEach(u => {
+      const card = document.createElement('div');
+      card.className = 'flex-1 min-w-[220px] bg-gray-700 text-gray-100 p-3 rounded-lg shadow';
+      card.innerHTML = `
+        <span class="font-bold">${escapeHtml(summaryUserLabel(u.user))}:</span>
+        ${nf1.format(u.kWh)} kWh · ${fmtCHF(u.costCHF)} – ${escapeHtml(t('summary.count', { count: u.count }))}
+      `;
+      container.appendChild(card);
+    });
+
+    target.appendChild(container);
+  }
+
+  // totals per appliance below the per-user cards, only with several appliances
+  function renderApplianceBreakdown(byAppliance, target) {
+    if (appliances.length < 2) return;
+    const rows = [...byAppliance]
+      .sort((a, b) => applianceName(a.applianceId).localeCompare(applianceName(b.applianceId)))
+      .map(a => `<li><span class="font-semibold">${escapeHtml(applianceName(a.applianceId))}:</span>
+        ${nf1.format(a.kWh)} kWh · ${fmtCHF(a.costCHF)} – ${escapeHtml(t('summary.count', { count: a.count }))}</li>`)
+      .join('');
+    const list = document.createElement('div');
+    list.className = 'mt-4 text-sm text-gray-300';
+    list.innerHTML = `<p class="font-bold text-gray-200 mb-1">${escapeHtml(t('summary.byAppliance'))}</p><ul class="space-y-1">${rows}</ul>`;
+    target.appendChild(list);
+  }
+
+  // ===== TARIFFS =====
+  function tariffRateLabel(r) {
+    const rate = typeof r.rateCHFPerKWh === 'number' ? `${nfCHF.format(r.rateCHFPerKWh)}/kWh` : '';
+    const type = r.rateType === 'high' || r.rateType === 'low' ? t(`tariffs.rate.${r.rateType}`) : '';
+    const fee = r.feeCHF ? ` + ${t('tariffs.fee', { fee: nfCHF.format(r.feeCHF) })}` : '';
+    return [type, rate].filter(Boolean).join(' ') + fee;
+  }
+
+  function describeTariff(tariff) {
+    const fee = tariff.feePerWash ? ` + ${t('tariffs.feePerWash', { fee: nfCHF.format(tariff.feePerWash) })}` : '';
+    const plan = tariff.plan && tariff.plan !== 'default' ? ` ${t('tariffs.plan', { plan: tariff.plan })}` : '';
+    if (tariff.timeOfUse) {
+      const tou = tariff.timeOfUse;
+      return t('tariffs.timeOfUse', {
+        high: nfCHF.format(tou.highRate), from: tou.highFromHour, to: tou.highToHour, low: nfCHF.format(tou.lowRate)
+      }) + fee + plan;
+    }
+    return `${nfCHF.format(tariff.pricePerKWh)}/kWh${fee}${plan}`;
+  }
+
+  async function fetchTariffs() {
+    if (!tariffList) return;
+    try {
+      const res = await fetch('/tariffs');
+      if (!res.ok) throw new Error(t('tariffs.loadFailed'));
+      const tariffs = await res.json();
+
+      if (tariffs.length === 0) {
+        tariffList.innerHTML = `<p class="text-gray-400 text-center">${escapeHtml(t('tariffs.none'))}</p>`;
+        return;
+      }
+
+      tariffList.innerHTML = tariffs
+        .sort((a, b) => b.validFrom.localeCompare(a.validFrom))
+        .map(tariff => `
+          <div class="flex justify-between items-center bg-gray-700 p-3 rounded-lg">
+            <div>
+              <p class="font-bold">${escapeHtml(tariff.name || t('tariffs.unnamed'))}</p>
+              <p class="text-sm text-gray-300">${escapeHtml(tariff.validFrom)} – ${escapeHtml(tariff.validTo || t('tariffs.open'))}: ${escapeHtml(describeTariff(tariff))}</p>
+            </div>
+            ${isAdmin ? `<button data-id="${escapeAttr(tariff.tariffId)}" class="tariff-delete-btn text-xs px-2 py-1 bg-red-600 hover:bg-red-500 rounded">${t('common.delete')}</button>` : ''}
+          </div>
+        `).join('');
+
+      tariffList.querySelectorAll('.tariff-delete-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          if (!confirm(t('tariffs.confirmDelete'))) return;
+          const res = await fetch(`/tariffs/${encodeURIComponent(btn.getAttribute('data-id'))}`, { method: 'DELETE' });
+          if (res.status !== 204) {
+            const err = await res.json().catch(() => ({}));
+            setTariffMsg(err.message || t('common.deleteFailed'), 'error');
+          }
+          await fetchTariffs();
+        });
+      });
+    } catch (err) {
+      console.error('fetchTariffs error:', err);
+      tariffList.innerHTML = `<p class="text-red-500 text-center">${escapeHtml(t('common.loadError', { message: err.message }))}</p>`;
+    }
+  }
+
+  function setTariffMsg(msg, type) {
+    tariffMessage.textContent = msg;
+    tariffMessage.classList.remove('hidden', 'text-red-500', 'text-green-600');
+    tariffMessage.classList.add(type === 'error' ? 'text-red-500' : 'text-green-600');
+  }
+
+  if (tariffForm) {
+    tariffTouToggle.addEventListener('change', () => {
+      tariffFlatRow.classList.toggle('hidden', tariffTouToggle.checked);
+      tariffTouRow.classList.toggle('hidden', !tariffTouToggle.checked);
+    });
+
+    tariffForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const val = id => document.getElementById(id).value.trim();
+      const body = {
+        name: val('tariffName'),
+        validFrom: val('tariffValidFrom'),
+        validTo: val('tariffValidTo') || null,
+        plan: val('tariffPlan') || 'default',
+        feePerWash: isBlank(val('tariffFee')) ? 0 : toNumberOrNaN(val('tariffFee'))
+      };
+      if (tariffTouToggle.checked) {
+        body.timeOfUse = {
+          highRate: toNumberOrNaN(val('tariffHighRate')),
+          lowRate: toNumberOrNaN(val('tariffLowRate')),
+          highFromHour: parseInt(val('tariffHighFrom'), 10),
+          highToHour: parseInt(val('tariffHighTo'), 10)
+        };
+      } else {
+        body.pricePerKWh = toNumberOrNaN(val('tariffPrice'));
+      }
+
+      try {
+        const res = await fetch('/tariffs', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+        if (!res.ok) {
+          const err = await res.json().catch(() => ({}));
+          throw new Error(err.message || t('tariffs.saveFailed'));
+        }
+        tariffForm.reset();
+        tariffFlatRow.classList.remove('hidden');
+        tariffTouRow.classList.add('hidden');
+        setTariffMsg(t('tariffs.saved'), 'success');
+        await fetchTariffs();
+      } catch (err) {
+        setTariffMsg(t('common.error', { message: err.message }), 'error');
+      }
+    });
+  }
+
+  // ===== SETTLEMENTS =====
+  function formatPeriod(period) {
+    const [y, m] = period.split('-');
+    return new Date(Number(y), parseInt(m, 10) - 1, 1).toLocaleDateString(WashI18n.tag, { month: 'long', year: 'numeric' });
+  }
+
+  function setSettlementMsg(msg, type) {
+    settlementMessage.textContent = msg;
+    settlementMessage.classList.remove('hidden', 'text-red-500', 'text-green-600');
+    settlementMessage.classList.add(type === 'error' ? 'text-red-500' : 'text-green-600');
+  }
+
+  async function fetchBalance() {
+    try {
+      const res = await fetch('/statements/balance');
+      if (!res.ok) throw new Error(t('settlements.balanceFailed'));
+      const balance = await res.json();
+
+      if (balance.openStatements.length === 0) {
+        myBalanceDiv.innerHTML = `<p class="font-bold text-green-400">${escapeHtml(t('settlements.noneOpen'))}</p>`;
+        return;
+      }
+      myBalanceDiv.innerHTML = `
+        <p class="font-bold text-lg">${escapeHtml(t('settlements.openBalance', { amount: fmtCHF(balance.openCHF) }))}</p>
+        <p class="text-sm text-gray-300">${escapeHtml(t('settlements.openFrom', { kWh: nf1.format(balance.openKWh), count: balance.openStatements.length }))}
+          ${balance.openStatements.map(st => `${escapeHtml(formatPeriod(st.period))} (${fmtCHF(st.costCHF)})`).join(', ')}</p>
+      `;
+    } catch (err) {
+      console.error('fetchBalance error:', err);
+      myBalanceDiv.innerHTML = `<p class="text-red-500">${escapeHtml(t('common.error', { message: err.message }))}</p>`;
+    }
+  }
+
+  async function fetchStatements() {
+    try {
+      const qs = new URLSearchParams();
+      if (filterYear.value) qs.append('year', filterYear.value);
+      if (filterMonth.value) qs.append('month', filterMonth.value);
+      const res = await fetch(`/statements?${qs.toString()}`);
+      if (!res.ok) throw new Error(t('settlements.loadFailed'));
+      renderStatements(await res.json());
+    } catch (err) {
+      console.error('fetchStatements error:', err);
+      statementListDiv.innerHTML = `<p class="text-red-500 text-center">${escapeHtml(t('common.loadError', { message: err.message }))}</p>`;
+    }
+    await fetchBalance();
+  }
+
+  function renderStatements(statements) {
+    if (!statements || statements.length === 0) {
+      statementListDiv.innerHTML = `<p class="text-gray-400 text-center">${escapeHtml(t('settlements.noneForPeriod'))}</p>`;
+      return;
+    }
+
+    const sorted = [...statements].sort((a, b) => b.period.localeCompare(a.period) || a.ownerUsername.localeCompare(b.ownerUsername));
+    statementListDiv.innerHTML = sorted.map(st => {
+      const status = st.paid
+        ? `<span class="text-xs px-2 py-0.5 rounded bg-green-700">${escapeHtml(t('settlements.paidOn', { date: new Date(st.paidAt).toLocaleDateString(WashI18n.tag) }))}${st.paymentReference ? ` · ${escapeHtml(t('settlements.reference', { reference: st.paymentReference }))}` : ''}</span>`
+        : `<span class="text-xs px-2 py-0.5 rounded bg-red-700">${escapeHtml(t('settlements.open'))}</span>`;
+      const mayRecord = isAdmin || (st.creditorUsername === currentUser && st.ownerUsername !== currentUser);
+      const payBtn = !mayRecord ? '' : st.paid
+        ? `<button data-id="${escapeAttr(st.statementId)}" class="statement-unpay-btn text-xs px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded">${escapeHtml(t('settlements.resetPayment'))}</button>`
+        : `<button data-id="${escapeAttr(st.statementId)}" class="statement-pay-btn text-xs px-2 py-1 bg-green-600 hover:bg-green-500 rounded">${escapeHtml(t('settlements.markPaid'))}</button>`;
+
+      return `
+        <div class="flex flex-wrap justify-between items-center gap-2 bg-gray-700 p-3 rounded-lg">
+          <div>
+            <p class="font-bold">${escapeHtml(st.ownerUsername)} – ${escapeHtml(formatPeriod(st.period))} ${status}</p>
+            <p class="text-sm text-gray-300">${nf1.format(st.kWh)} kWh · ${fmtCHF(st.costCHF)} · ${escapeHtml(t('settlements.washes', { count: st.readingCount }))}${st.unpricedCount ? ` (${escapeHtml(t('settlements.unpriced', { count: st.unpricedCount }))})` : ''}</p>
+          </div>
+          <div class="flex gap-2">
+            ${payBtn}
+            <button data-id="${escapeAttr(st.statementId)}" class="statement-pdf-btn text-xs px-2 py-1 bg-emerald-600 hover:bg-emerald-500 rounded">PDF</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    const byId = id => sorted.find(st => st.statementId === id);
+
+    statementListDiv.querySelectorAll('.statement-pay-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const paidAt = prompt(t('settlements.promptPaidAt'), new Date().toISOString().slice(0, 10));
+        if (!paidAt) return;
+        const paymentReference = prompt(t('settlements.promptReference'), '') || '';
+        await updateStatementPayment(btn.getAttribute('data-id'), { paid: true, paidAt, paymentReference });
+      });
+    });
+    statementListDiv.querySelectorAll('.statement-unpay-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm(t('settlements.confirmReset'))) return;
+        await updateStatementPayment(btn.getAttribute('data-id'), { paid: false });
+      });
+    });
+    statementListDiv.querySelectorAll('.statement-pdf-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        try {
+          await generateStatementPDF(byId(btn.getAttribute('data-id')));
+        } catch (err) {
+          console.error('Statement PDF error:', err);
+          setSettlementMsg(t('pdf.error', { message: err.message }), 'error');
+        }
+      });
+    });
+  }
+
+  async function updateStatementPayment(statementId, body) {
+    try {
+      const res = await fetch(`/statements/${encodeURIComponent(statementId)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.message || t('settlements.paymentFailed'));
+      }
+      setSettlementMsg(t(body.paid ? 'settlements.paymentSaved' : 'settlements.paymentReset'), 'success');
+      await fetchStatements();
+    } catch (err) {
+      setSettlementMsg(t('common.error', { message: err.message }), 'error');
+    }
+  }
+
+  if (closeMonthBtn) {
+    closeMonthBtn.addEventListener('click', async () => {
+      if (!filterMonth.value) return setSettlementMsg(t('settlements.chooseMonth'), 'error');
+      const period = `${filterYear.value}-${String(filterMonth.value).padStart(2, '0')}`;
+      if (!confirm(t('settlements.confirmClose', { period: formatPeriod(period) }))) return;
+
+      try {
+        const res = await fetch('/settlements', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ period })
+        });
+        if (!res.ok) {
+          const err = await res.json().catch(() => ({}));
+          throw new Error(err.message || t('settlements.closeFailed'));
+        }
+        const { statements } = await res.json();
+        setSettlementMsg(t('settlements.closed', { period: formatPeriod(period), count: statements.length }), 'success');
+        await fetchStatements();
+      } catch (err) {
+        setSettlementMsg(t('common.error', { message: err.message }), 'error');
+      }
+    });
+  }
+
+  async function generateStatementPDF(statement) {
+    if (!window.jspdf || !window.jspdf.jsPDF || !('autoTable' in (window.jspdf.jsPDF.API || {}))) {
+      throw new Error(t('pdf.librariesMissing'));
+    }
+
+    const [year, month] = statement.period.split('-');
+    const res = await fetch(`/readings?year=${encodeURIComponent(year)}&month=${encodeURIComponent(parseInt(month, 10))}`);
+    if (!res.ok) throw new Error(t('readings.loadFailed'));
+    const ids = new Set(statement.washIds);
+    const readings = (await res.json())
+      .filter(r => ids.has(r.washId))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const margin = 36;
+    let cursorY = margin;
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(18);
+    doc.text(t('statementPdf.title', { period: formatPeriod(statement.period) }), margin, cursorY);
+    cursorY += 22;
 
-      await res.json();
-      readingForm.reset();
-      onBehalfRow.classList.add('hidden');
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(11);
+    doc.text(t('statementPdf.user', { user: statement.ownerUsername }), margin, cursorY);
+    cursorY += 14;
+    doc.text(t('pdf.generatedAt', { date: new Date().toLocaleString(WashI18n.tag) }), margin, cursorY);
+    cursorY += 20;
 
-      await fetchLatestKWh();
-      await fetchReadings();
-      await fetchAndRenderYearlySummary();
+    const status = statement.paid
+      ? t('statementPdf.paidOn', { date: new Date(statement.paidAt).toLocaleDateString(WashI18n.tag) })
+        + (statement.paymentReference ? ` (${t('settlements.reference', { reference: statement.paymentReference })})` : '')
+      : t('statementPdf.open');
+    const summaryLines = [
+      t('statementPdf.consumption', { kWh: nf1.format(statement.kWh) }),
+      t('statementPdf.amount', { amount: fmtCHF(statement.costCHF) }),
+      t('statementPdf.washCount', { count: statement.readingCount }),
+      t('statementPdf.status', { status })
+    ];
+    drawInfoBox(doc, margin, cursorY, pageWidth - margin * 2, summaryLines);
+    cursorY += 94;
 
-      setFormMsg('Messung gespeichert!', 'success');
-      setTimeout(() => hideFormMsg(), 2500);
-    } catch (err) {
-      console.error('POST /readings error:', err);
-      setFormMsg(`Fehler: ${err.message}`, 'error');
-    }
-  });
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(13);
+    doc.text(t('statementPdf.washes'), margin, cursorY);
+    cursorY += 8;
 
-  // Load + render
-  async function fetchReadings() {
-    try {
-      const year = filterYear.value;
-      const month = filterMonth.value;
-      const qs = new URLSearchParams();
-      if (year) qs.append('year', year);
-      if (month) qs.append('month', month);
+    doc.autoTable({
+      startY: cursorY,
+      margin: { left: margin, right: margin },
+      head: [['date', 'previous', 'current', 'delta', 'tariff', 'cost', 'note'].map(key => t(`pdf.columns.${key}`))],
+      body: readings.map(r => [
+        new Date(r.timestamp).toLocaleString(WashI18n.tag),
+        nf1.format(round1(parseNum(r.startKWh))),
+        nf1.format(round1(parseNum(r.endKWh))),
+        nf1.format(round1(parseNum(r.deltaKWh))),
+        hasCost(r) ? tariffRateLabel(r) : '–',
+        hasCost(r) ? fmtCHF(r.costCHF) : '–',
+        (r.notes || '').toString().replace(/\s+/g, ' ').trim()
+      ]),
+      foot: [[t('pdf.total'), '', '', nf1.format(statement.kWh), '', fmtCHF(statement.costCHF), '']],
+      styles: { font: 'helvetica', fontSize: 9 },
+      headStyles: { fillColor: [55, 65, 81] },
+      footStyles: { fillColor: [229, 231, 235], textColor: 20 },
+      alternateRowStyles: { fillColor: [245, 246, 250] }
+    });
 
-      const url = `/readings?${qs.toString()}`;
-      const res = await fetch(url);
-      if (!res.ok) throw new Error('Fehler beim Laden der Messungen.');
-      const readings = await res.json();
+    doc.save(`${t('statementPdf.fileName', { period: statement.period, user: statement.ownerUsername })}.pdf`);
+  }
 
-      renderTimeline(readings);
-      renderMonthlySummary(readings);
-    } catch (err) {
-      console.error('fetchReadings error:', err);
-      timelineDiv.innerHTML = `<p class="text-red-500 text-center">Fehler beim Laden: ${escapeHtml(err.message)}</p>`;
-      monthlySummaryDiv.innerHTML = `<p class="text-red-500 text-center">Fehler beim Laden: ${escapeHtml(err.message)}</p>`;
-    }
+  // ===== PROFILE & REPORTS =====
+  function setProfileMsg(msg, type) {
+    profileMessage.textContent = msg;
+    profileMessage.classList.remove('hidden', 'text-red-500', 'text-green-600');
+    profileMessage.classList.add(type === 'error' ? 'text-red-500' : 'text-green-600');
   }
 
-  async function fetchYearReadings(year) {
-    const res = await fetch(`/readings?year=${encodeURIComponent(year)}`);
-    if (!res.ok) throw new Error(`Fehler beim Laden des Jahres ${year}.`);
-    return res.json();
+  // YYYY-MM for a selected month, otherwise YYYY
+  function selectedReportPeriod() {
+    const year = filterYear.value || String(new Date().getFullYear());
+    return filterMonth.value ? `${year}-${String(filterMonth.value).padStart(2, '0')}` : year;
   }
 
-  async function fetchAndRenderYearlySummary() {
+  async function fetchProfile() {
+    if (!profileForm) return;
     try {
-      const y = new Date().getFullYear();
-      const yearlyReadings = await fetchYearReadings(y);
-      renderYearlySummary(yearlyReadings, y);
+      const res = await fetch('/profile');
+      if (!res.ok) throw new Error(t('profile.loadFailed'));
+      const profile = await res.json();
+      document.getElementById('profileDisplayName').value = profile.displayName || profile.username || '';
+      document.getElementById('profileEmail').value = profile.email || '';
+      document.getElementById('profileMonthly').checked = profile.monthlyReport !== false;
+      document.getElementById('profileYearly').checked = profile.yearlyReport !== false;
     } catch (err) {
-      console.error('yearly summary error:', err);
-      yearlySummaryContent.innerHTML = `<p class="text-red-500 text-center">Fehler: ${escapeHtml(err.message)}</p>`;
+      console.error('fetchProfile error:', err);
+      setProfileMsg(err.message, 'error');
     }
   }
 
-  // Renderers
-  function renderTimeline(readings) {
-    timelineDiv.innerHTML = '';
-
-    if (!readings || readings.length === 0) {
-      noReadingsMessage.classList.remove('hidden');
-      return;
-    }
-    noReadingsMessage.classList.add('hidden');
-
-    // sort all readings newest → oldest
-    const allSorted = [...readings].sort((a, b) => b.timestamp - a.timestamp);
-
-    // find the latest 3 created by currentUser
-    const latestId = allSorted
-      .filter(r => r.createdBy === currentUser || (!r.createdBy && r.username === currentUser))
-      .slice(0, 1)
-      .map(r => r.washId);
-
-    // collect usernames from current timeline
-    const uniqueUsers = new Set(readings.map(r => r.ownerUsername || r.username).filter(Boolean));
-
-    // rebuild onBehalfUser select
-    onBehalfUser.innerHTML = '<option value="">-- Benutzer auswählen --</option>';
-    uniqueUsers.forEach(u => {
-      if (u !== currentUser) {
-        const opt = document.createElement('option');
-        opt.value = u;
-        opt.textContent = u;
-        onBehalfUser.appendChild(opt);
+  if (profileForm) {
+    profileForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        const res = await fetch('/profile', {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            ...(document.getElementById('profileDisplayName').value.trim() ? { displayName: document.getElementById('profileDisplayName').value.trim() } : {}),
+            email: document.getElementById('profileEmail').value.trim() || null,
+            monthlyReport: document.getElementById('profileMonthly').checked,
+            yearlyReport: document.getElementById('profileYearly').checked
+          })
+        });
+        if (!res.ok) {
+          const err = await res.json().catch(() => ({}));
+          throw new Error(err.message || t('profile.saveFailed'));
+        }
+        setProfileMsg(t('profile.saved'), 'success');
+        await fetchUsers();
+      } catch (err) {
+        setProfileMsg(t('common.error', { message: err.message }), 'error');
       }
     });
 
-    // group by day
-    const grouped = {};
-    readings.forEach(r => {
-      const dayKey = new Date(r.timestamp).toISOString().split('T')[0];
-      if (!grouped[dayKey]) grouped[dayKey] = [];
-      grouped[dayKey].push(r);
+    document.getElementById('reportHtmlBtn').addEventListener('click', () => {
+      window.open(`/reports/${selectedReportPeriod()}?format=html`, '_blank');
+    });
+    document.getElementById('reportPdfBtn').addEventListener('click', () => {
+      window.location.href = `/reports/${selectedReportPeriod()}?format=pdf`;
     });
+    document.getElementById('reportSendBtn').addEventListener('click', async () => {
+      const period = selectedReportPeriod();
+      if (!confirm(t('profile.confirmSend', { period }))) return;
+      try {
+        const res = await fetch('/reports/send', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ period })
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.message || t('profile.sendFailed'));
+        setProfileMsg(t('profile.sent', { sent: data.sent.length, skipped: data.skipped.length, failed: data.failed.length }),
+          data.failed.length ? 'error' : 'success');
+      } catch (err) {
+        setProfileMsg(t('common.error', { message: err.message }), 'error');
+      }
+    });
+  }
 
-    const sortedDays = Object.keys(grouped).sort((a, b) => new Date(b) - new Date(a));
+  // ===== API TOKENS =====
+  function setTokenMsg(msg, type) {
+    tokenMessage.textContent = msg;
+    tokenMessage.classList.remove('hidden', 'text-red-500', 'text-green-600');
+    tokenMessage.classList.add(type === 'error' ? 'text-red-500' : 'text-green-600');
+  }
 
-    sortedDays.forEach((dayKey) => {
-      const date = new Date(dayKey);
-      const formatted = date.toLocaleDateString('de-CH', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+  function renderTokens(tokens) {
+    if (tokens.length === 0) {
+      tokenList.innerHTML = `<p class="text-gray-400 text-center">${escapeHtml(t('tokens.none'))}</p>`;
+      return;
+    }
+    tokenList.innerHTML = [...tokens].reverse().map(token => `
+      <div class="flex justify-between items-center bg-gray-700 p-3 rounded-lg ${token.revokedAt ? 'opacity-60' : ''}">
+        <div>
+          <p class="font-bold">${escapeHtml(token.name)} <span class="text-sm font-normal text-gray-300">(…${escapeHtml(token.hint)})</span></p>
+          <p class="text-sm text-gray-300">${escapeHtml(WashI18n.has(`tokens.scopes.${token.scope}`) ? t(`tokens.scopes.${token.scope}`) : token.scope)} ·
+            ${escapeHtml(t('tokens.createdOn', { date: new Date(token.createdAt).toLocaleDateString(WashI18n.tag) }))} ·
+            ${escapeHtml(token.lastUsedAt ? t('tokens.lastUsed', { date: new Date(token.lastUsedAt).toLocaleString(WashI18n.tag) }) : t('tokens.neverUsed'))}
+            ${token.revokedAt ? ` · ${escapeHtml(t('tokens.revokedOn', { date: new Date(token.revokedAt).toLocaleDateString(WashI18n.tag) }))}` : ''}</p>
+        </div>
+        ${token.revokedAt ? '' : `<button data-id="${escapeAttr(token.tokenId)}" data-name="${escapeAttr(token.name)}"
+          class="token-revoke-btn text-xs px-2 py-1 bg-red-600 hover:bg-red-500 rounded">${escapeHtml(t('tokens.revoke'))}</button>`}
+      </div>
+    `).join('');
+
+    tokenList.querySelectorAll('.token-revoke-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm(t('tokens.confirmRevoke', { name: btn.getAttribute('data-name') }))) return;
+        try {
+          const res = await fetch(`/tokens/${encodeURIComponent(btn.getAttribute('data-id'))}`, { method: 'DELETE' });
+          if (!res.ok) {
+            const err = await res.json().catch(() => ({}));
+            throw new Error(err.message || t('tokens.revokeFailed'));
+          }
+          setTokenMsg(t('tokens.revoked'), 'success');
+        } catch (err) {
+          setTokenMsg(t('common.error', { message: err.message }), 'error');
+        }
+        await fetchTokens();
+      });
+    });
+  }
 
-      const header = document.createElement('div');
-      header.className = 'mb-4 pl-2 border-l-4 border-indigo-500';
-      header.innerHTML = `<h3 class="text-xl font-bold text-indigo-300">${formatted}</h3>`;
-      timelineDiv.appendChild(header);
+  async function fetchTokens() {
+    if (!tokenList) return;
+    try {
+      const res = await fetch('/tokens');
+      if (!res.ok) throw new Error(t('tokens.loadFailed'));
+      renderTokens(await res.json());
+    } catch (err) {
+      console.error('fetchTokens error:', err);
+      setTokenMsg(err.message, 'error');
+    }
+  }
 
-      const dayItems = grouped[dayKey].sort((a, b) => b.timestamp - a.timestamp);
+  if (tokenForm) {
+    tokenForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        const res = await fetch('/tokens', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            name: document.getElementById('tokenName').value.trim(),
+            scope: document.getElementById('tokenScope').value
+          })
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.message || t('tokens.createFailed'));
+        tokenForm.reset();
+        tokenSecretValue.value = data.token;
+        tokenSecret.classList.remove('hidden');
+        setTokenMsg(t('tokens.created', { name: data.name }), 'success');
+        await fetchTokens();
+      } catch (err) {
+        setTokenMsg(t('common.error', { message: err.message }), 'error');
+      }
+    });
 
-      dayItems.forEach((r) => {
-        const time = new Date(r.timestamp).toLocaleTimeString('de-CH', { hour: '2-digit', minute: '2-digit' });
+    document.getElementById('tokenCopyBtn').addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(tokenSecretValue.value);
+        setTokenMsg(t('tokens.copied'), 'success');
+      } catch {
+        tokenSecretValue.select();
+      }
+    });
+  }
 
-        const start = round1(parseNum(r.startKWh));
-        const end = round1(parseNum(r.endKWh));
-        const delta = round1(parseNum(r.deltaKWh));
+  // ===== RESERVATIONS =====
+  const reservationCalendar = document.getElementById('reservationCalendar');
+  const reservationForm = document.getElementById('reservationForm');
+  const reservationMessage = document.getElementById('reservationMessage');
+  const reservationStatusColors = {
+    upcoming: 'bg-indigo-500',
+    active: 'bg-indigo-400',
+    used: 'bg-green-600',
+    no_show: 'bg-red-600'
+  };
+  const CAL_FIRST_HOUR = 6;
+  const CAL_LAST_HOUR = 23;
+  const CAL_HOUR_PX = 20;
+  let reservationConfig = null;
+  let reservationWeekStart = startOfWeek(new Date());
+
+  function startOfWeek(d) {
+    const day = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+    day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+    return day;
+  }
 
-        const card = document.createElement('div');
-        card.className = 'relative pl-8 mb-10';
+  function addDays(d, n) { return new Date(d.getFullYear(), d.getMonth(), d.getDate() + n); }
 
-        // DELETE button only if this washId is in latestId
-        const canDelete = latestId.includes(r.washId);
-        const deleteBtn = canDelete
-          ? `<button data-id="${escapeAttr(r.washId)}" class="delete-btn absolute top-0 right-0 text-xs px-2 py-1 bg-red-600 hover:bg-red-500 rounded">Löschen</button>`
-          : '';
+  function localDateKey(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
 
-        const onBehalfBadge = r.onBehalf
-          ? `<span class="ml-2 text-[10px] px-2 py-0.5 rounded bg-yellow-600 align-middle">im Auftrag</span>`
-          : '';
+  function setReservationMsg(msg, type) {
+    reservationMessage.textContent = msg;
+    reservationMessage.classList.remove('hidden', 'text-red-500', 'text-green-600');
+    reservationMessage.classList.add(type === 'error' ? 'text-red-500' : 'text-green-600');
+  }
 
-        card.innerHTML = `
-          <div class="absolute left-0 top-1 w-4 h-4 bg-indigo-500 rounded-full border-4 border-gray-900 z-10"></div>
-          <div class="relative p-4 rounded-lg shadow bg-blue-100 text-gray-900 dark:bg-blue-700 dark:text-gray-100">
-            ${deleteBtn}
-            <div class="flex flex-col md:flex-row justify-between mb-2">
-              <span class="text-sm font-semibold">${time}</span>
-              <span class="text-xs opacity-90">
-                Von: ${escapeHtml(r.ownerUsername || r.username || '-')}
-                ${onBehalfBadge}
-              </span>
-            </div>
+  function fmtTime(ts) { return new Date(ts).toLocaleTimeString(WashI18n.tag, { hour: '2-digit', minute: '2-digit' }); }
 
-            <p class="font-bold text-lg mb-2">${nf1.format(delta)} kWh</p>
+  // vertical position inside a day column, clamped to the visible hours
+  function calendarOffset(ts, day) {
+    const hours = (ts - day.getTime()) / 3600000;
+    return (Math.min(Math.max(hours, CAL_FIRST_HOUR), CAL_LAST_HOUR + 1) - CAL_FIRST_HOUR) * CAL_HOUR_PX;
+  }
 
-            <div class="grid grid-cols-1 sm:grid-cols-2 gap-2 text-sm">
-              <div>
-                ${r.notes ? `<p class="italic mt-1">Notiz: ${escapeHtml(r.notes)}</p>` : ''}
-                <p class="mt-1 text-xs opacity-90">Erfasst von: <span class="font-medium">${escapeHtml(r.createdBy || '-')}</span></p>
-              </div>
-              <div>
-                <p>Vorher: <span class="font-medium">${nf1.format(start)} kWh</span></p>
-                <p>Aktuell: <span class="font-medium">${nf1.format(end)} kWh</span></p>
-                <p>Datum: <span class="font-medium">${new Date(r.timestamp).toLocaleString('de-CH')}</span></p>
-              </div>
-            </div>
-          </div>
-        `;
-        timelineDiv.appendChild(card);
+  function renderReservationCalendar({ reservations, unbooked }) {
+    const days = [...Array(7)].map((_, i) => addDays(reservationWeekStart, i));
+    const height = (CAL_LAST_HOUR - CAL_FIRST_HOUR + 1) * CAL_HOUR_PX;
+    document.getElementById('reservationWeekLabel').textContent =
+      `${appliances.length > 1 ? `${applianceName(selectedApplianceId())}: ` : ''}${days[0].toLocaleDateString(WashI18n.tag)} – ${days[6].toLocaleDateString(WashI18n.tag)}`;
+
+    const hourLabels = [...Array(CAL_LAST_HOUR - CAL_FIRST_HOUR + 1)]
+      .map((_, i) => `<div style="height:${CAL_HOUR_PX}px" class="text-right pr-1 text-gray-400">${CAL_FIRST_HOUR + i}:00</div>`)
+      .join('');
+    let html = '<div></div>';
+    html += days.map(d => `<div class="text-center font-semibold">${d.toLocaleDateString(WashI18n.tag, { weekday: 'short', day: 'numeric', month: 'numeric' })}</div>`).join('');
+    html += `<div>${hourLabels}</div>`;
+
+    days.forEach(day => {
+      const dayEnd = addDays(day, 1).getTime();
+      const blocks = reservations
+        .filter(r => r.status !== 'cancelled' && r.start < dayEnd && r.end > day.getTime())
+        .map(r => {
+          const top = calendarOffset(r.start, day);
+          const h = Math.max(calendarOffset(r.end, day) - top, 4);
+          const mine = r.ownerUsername === currentUser || r.createdBy === currentUser;
+          const cancellable = mine && (r.status === 'upcoming' || r.status === 'active');
+          return `<div data-id="${escapeAttr(r.reservationId)}" data-cancellable="${cancellable}"
+            title="${escapeAttr(`${r.ownerUsername}: ${fmtTime(r.start)}–${fmtTime(r.end)}`)}"
+            class="reservation-block absolute left-0 right-0 rounded px-1 overflow-hidden text-white ${reservationStatusColors[r.status] || 'bg-gray-500'} ${cancellable ? 'cursor-pointer' : ''}"
+            style="top:${top}px;height:${h}px">${escapeHtml(r.ownerUsername)}</div>`;
+        });
+      const markers = unbooked
+        .filter(w => w.timestamp >= day.getTime() && w.timestamp < dayEnd)
+        .map(w => `<div title="${escapeAttr(t('reservations.unbookedWash', { owner: w.ownerUsername || '-', time: fmtTime(w.timestamp) }))}"
+          class="absolute right-0 w-2 h-2 rounded-full bg-orange-500" style="top:${calendarOffset(w.timestamp, day)}px"></div>`);
+      html += `<div data-day="${localDateKey(day)}" class="reservation-day relative bg-gray-700 rounded cursor-pointer" style="height:${height}px">${blocks.join('')}${markers.join('')}</div>`;
+    });
+    reservationCalendar.innerHTML = html;
+
+    const noShows = reservations.filter(r => r.status === 'no_show').length;
+    document.getElementById('reservationStats').textContent =
+      t('reservations.weekStats', { reservations: reservations.filter(r => r.status !== 'cancelled').length, noShows, unbooked: unbooked.length });
+
+    // a click on a free spot prefills the form with that slot
+    reservationCalendar.querySelectorAll('.reservation-day').forEach(col => {
+      col.addEventListener('click', (e) => {
+        if (e.target.closest('.reservation-block')) return;
+        const grid = reservationConfig?.gridMinutes || 30;
+        const minutes = Math.floor((CAL_FIRST_HOUR * 60 + (e.offsetY / CAL_HOUR_PX) * 60) / grid) * grid;
+        document.getElementById('reservationDate').value = col.dataset.day;
+        document.getElementById('reservationTime').value =
+          `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
       });
-
-      // wire delete buttons
-      timelineDiv.querySelectorAll('.delete-btn').forEach(btn => {
-        btn.addEventListener('click', async () => {
-          const id = btn.getAttribute('data-id');
-          if (!id) return;
-          if (!confirm('Diese Messung wirklich löschen?')) return;
-          try {
-            const res = await fetch(`/readings/${encodeURIComponent(id)}`, { method: 'DELETE' });
-            if (res.status === 204) {
-              await fetchLatestKWh();
-              await fetchReadings();
-              await fetchAndRenderYearlySummary();
-            } else {
-              const err = await res.json().catch(() => ({}));
-              throw new Error(err.message || 'Löschen fehlgeschlagen.');
-            }
-          } catch (e) {
-            console.error('delete error', e);
-            setFormMsg(`Fehler beim Löschen: ${e.message}`, 'error');
+    });
+    reservationCalendar.querySelectorAll('.reservation-block[data-cancellable="true"]').forEach(block => {
+      block.addEventListener('click', async () => {
+        if (!confirm(t('reservations.confirmCancel', { reservation: block.title }))) return;
+        try {
+          const res = await fetch(`/reservations/${encodeURIComponent(block.dataset.id)}`, { method: 'DELETE' });
+          if (!res.ok) {
+            const err = await res.json().catch(() => ({}));
+            throw new Error(err.message || t('reservations.cancelFailed'));
           }
-        });
+          setReservationMsg(t('reservations.cancelled'), 'success');
+        } catch (err) {
+          setReservationMsg(t('common.error', { message: err.message }), 'error');
+        }
+        await fetchReservations();
       });
     });
   }
 
+  async function fetchReservations() {
+    if (!reservationForm) return;
+    try {
+      if (!reservationConfig) {
+        const res = await fetch('/reservations/config');
+        if (!res.ok) throw new Error(t('reservations.configFailed'));
+        reservationConfig = await res.json();
+        document.getElementById('reservationDuration').innerHTML = reservationConfig.slotMinutes
+          .map(m => `<option value="${m}">${escapeHtml(m % 60 ? t('reservations.minutes', { count: m }) : t('reservations.hours', { count: m / 60 }))}</option>`)
+          .join('');
+        document.getElementById('reservationTime').step = reservationConfig.gridMinutes * 60;
+      }
 
-  function renderMonthlySummary(readings) {
-    monthlySummaryDiv.innerHTML = '';
-    noMonthlySummary.classList.add('hidden');
-
-    if (!readings || readings.length === 0) {
-      noMonthlySummary.classList.remove('hidden');
-      return;
+      // the active users of the household, as for "im Auftrag"
+      const forSelect = document.getElementById('reservationFor');
+      const selected = forSelect.value;
+      const users = [currentUser, ...householdUsers.filter(u => u.active).map(u => u.username)];
+      forSelect.innerHTML = [...new Set(users)].map(u => `<option value="${escapeAttr(u)}">${escapeHtml(displayNameOf(u))}</option>`).join('');
+      if (selected) forSelect.value = selected;
+
+      const from = localDateKey(reservationWeekStart);
+      const to = localDateKey(addDays(reservationWeekStart, 6));
+      const res = await fetch(`/reservations?from=${from}&to=${to}&applianceId=${encodeURIComponent(selectedApplianceId())}`);
+      if (!res.ok) throw new Error(t('reservations.loadFailed'));
+      renderReservationCalendar(await res.json());
+    } catch (err) {
+      console.error('fetchReservations error:', err);
+      setReservationMsg(err.message, 'error');
     }
+  }
 
-    const byUser = {};
-    readings.forEach(r => {
-      const user = r.ownerUsername || r.username || 'Unbekannt';
-      const delta = round1(parseNum(r.deltaKWh));
-      if (!byUser[user]) byUser[user] = { sum: 0, count: 0 };
-      byUser[user].sum += delta;
-      byUser[user].count++;
+  if (reservationForm) {
+    document.getElementById('reservationPrevWeek').addEventListener('click', () => {
+      reservationWeekStart = addDays(reservationWeekStart, -7);
+      fetchReservations();
+    });
+    document.getElementById('reservationNextWeek').addEventListener('click', () => {
+      reservationWeekStart = addDays(reservationWeekStart, 7);
+      fetchReservations();
     });
 
-    const uniqueUsers = new Set(readings.map(r => r.ownerUsername || r.username).filter(Boolean));
+    reservationForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const date = document.getElementById('reservationDate').value;
+      const time = document.getElementById('reservationTime').value;
+      const start = new Date(`${date}T${time}`);
+      if (Number.isNaN(start.getTime())) return setReservationMsg(t('reservations.chooseStart'), 'error');
+      const forUsername = document.getElementById('reservationFor').value;
 
-    // rebuild onBehalfUser select
-    onBehalfUser.innerHTML = '<option value="">-- Benutzer auswählen --</option>';
-    uniqueUsers.forEach(u => {
-      if (u !== currentUser) { // don’t allow self-selection
-        const opt = document.createElement('option');
-        opt.value = u;
-        opt.textContent = u;
-        onBehalfUser.appendChild(opt);
+      try {
+        const res = await fetch('/reservations', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            start: start.toISOString(),
+            durationMinutes: parseInt(document.getElementById('reservationDuration').value, 10),
+            applianceId: selectedApplianceId(),
+            ...(forUsername && forUsername !== currentUser ? { forUsername } : {})
+          })
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+          if (data.code === 'slot_taken' && data.conflict) {
+            throw new Error(t('reservations.taken', {
+              owner: data.conflict.ownerUsername, from: fmtTime(data.conflict.start), to: fmtTime(data.conflict.end)
+            }));
+          }
+          throw new Error(data.message || t('reservations.reserveFailed'));
+        }
+        setReservationMsg(t('reservations.reserved'), 'success');
+        reservationWeekStart = startOfWeek(start);
+        await fetchReservations();
+      } catch (err) {
+        setReservationMsg(t('common.error', { message: err.message }), 'error');
       }
     });
+  }
 
-    const container = document.createElement('div');
-    container.className = 'flex flex-wrap gap-4';
-
-    Object.keys(byUser).sort((a, b) => a.localeCompare(b)).forEach(u => {
-      const card = document.createElement('div');
-      card.className = 'flex-1 min-w-[220px] bg-gray-700 text-gray-100 p-3 rounded-lg shadow';
+  // ===== CSV IMPORT =====
+  let importCsv = null;
 
-      const total = nf1.format(byUser[u].sum);
-      const count = byUser[u].count;
+  function setImportMsg(msg, type) {
+    importMessage.textContent = msg;
+    importMessage.classList.remove('hidden', 'text-red-500', 'text-green-600');
+    importMessage.classList.add(type === 'error' ? 'text-red-500' : 'text-green-600');
+  }
 
-      card.innerHTML = `
-        <span class="font-bold">${escapeHtml(u)}:</span>
-        ${total} kWh – ${count} Messungen
-      `;
-      container.appendChild(card);
+  async function postImport(dryRun) {
+    const res = await fetch('/readings/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ csv: importCsv, dryRun, applianceId: selectedApplianceId() })
     });
-
-    monthlySummaryDiv.appendChild(container);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok && !data.rows) throw new Error(data.message || t('import.failed'));
+    return { ok: res.ok, data };
   }
 
-  function renderYearlySummary(readings, year) {
-    yearlySummaryContent.innerHTML = '';
-    noYearlySummary.classList.add('hidden');
+  function renderImportPreview({ rows, rechained, summary, valid }) {
+    const body = rows.map(row => `
+      <tr class="${row.errors.length ? 'bg-red-900/40' : ''}">
+        <td class="px-2 py-1">${row.line}</td>
+        <td class="px-2 py-1">${row.timestamp != null ? new Date(row.timestamp).toLocaleString(WashI18n.tag) : escapeHtml(row.date)}</td>
+        <td class="px-2 py-1">${row.startKWh != null ? nf1.format(row.startKWh) : '–'}</td>
+        <td class="px-2 py-1">${row.endKWh != null ? nf1.format(row.endKWh) : '–'}</td>
+        <td class="px-2 py-1">${row.deltaKWh != null ? nf1.format(row.deltaKWh) : '–'}</td>
+        <td class="px-2 py-1">${fmtCHF(row.costCHF)}</td>
+        <td class="px-2 py-1">${escapeHtml(row.ownerUsername || '')}</td>
+        <td class="px-2 py-1">${escapeHtml(row.notes || '')}</td>
+        <td class="px-2 py-1 text-red-300">${row.errors.map(escapeHtml).join('<br>')}</td>
+      </tr>
+    `).join('');
+
+    importPreview.innerHTML = `
+      <p class="font-bold mb-2 ${valid ? 'text-green-400' : 'text-red-400'}">
+        ${escapeHtml(t('import.summary', { rows: summary.rowCount, errors: summary.errorCount }))} · ${nf1.format(summary.totalKWh)} kWh · ${fmtCHF(summary.totalCHF)}
+      </p>
+      ${rechained.length ? `<p class="text-sm text-gray-300 mb-2">${escapeHtml(t('import.rechained', { count: rechained.length }))} ${rechained
+        .map(r => `${new Date(r.timestamp).toLocaleString(WashI18n.tag)} (${nf1.format(r.startKWh)} → ${nf1.format(r.newStartKWh)} kWh)`).map(escapeHtml).join(', ')}</p>` : ''}
+      <div class="overflow-x-auto">
+        <table class="w-full text-sm text-left">
+          <thead class="text-gray-300">
+            <tr>${['line', 'date', 'previous', 'current', 'delta', 'cost', 'user', 'note', 'errors']
+              .map(key => `<th class="px-2">${escapeHtml(t(`import.columns.${key}`))}</th>`).join('')}</tr>
+          </thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>
+    `;
+    importPreview.classList.remove('hidden');
+    importCommitBtn.classList.toggle('hidden', !valid);
+  }
 
-    if (!readings || readings.length === 0) {
-      noYearlySummary.classList.remove('hidden');
-      noYearlySummary.textContent = `Keine Daten für ${year}.`;
-      return;
-    }
+  if (importForm) {
+    importForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      importMessage.classList.add('hidden');
+      const file = importFile.files[0];
+      if (!file) return;
+      try {
+        importCsv = await file.text();
+        const { data } = await postImport(true);
+        renderImportPreview(data);
+      } catch (err) {
+        setImportMsg(t('common.error', { message: err.message }), 'error');
+      }
+    });
 
-    const byUser = {};
-    readings.forEach(r => {
-      const user = r.ownerUsername || r.username || 'Unbekannt';
-      const delta = round1(parseNum(r.deltaKWh));
-      if (!byUser[user]) byUser[user] = { sum: 0, count: 0 };
-      byUser[user].sum += delta;
-      byUser[user].count++;
+    importCommitBtn.addEventListener('click', async () => {
+      importCommitBtn.classList.add('hidden');
+      try {
+        const { ok, data } = await postImport(false);
+        if (!ok) {
+          renderImportPreview(data);
+          return setImportMsg(data.message || t('import.commitFailed'), 'error');
+        }
+        setImportMsg(t('import.imported', { count: data.imported }), 'success');
+        importPreview.classList.add('hidden');
+        importForm.reset();
+        importCsv = null;
+        await fetchLatestKWh();
+        await fetchReadings();
+      } catch (err) {
+        setImportMsg(t('common.error', { message: err.message }), 'error');
+      }
     });
+  }
 
-    const container = document.createElement('div');
-    container.className = 'flex flex-wrap gap-4';
+  // ===== AUDIT LOG =====
+  const AUDIT_ACTIONS = [
+    'reading.create', 'reading.update', 'reading.delete', 'reading.import', 'reading.meter_event',
+    'reading.claim', 'reading.photo', 'reading.photo_delete', 'tariff.create', 'tariff.delete',
+    'settlement.close', 'statement.payment', 'profile.update', 'session.start', 'session.finish',
+    'session.cancel', 'session.expire', 'reservation.create', 'reservation.cancel', 'appliance.create',
+    'appliance.update', 'user.create', 'user.update', 'token.create', 'token.revoke'
+  ];
+
+  // actions are dotted like the catalog keys, e.g. audit.actions.reading.create
+  function auditActionLabel(action) {
+    return WashI18n.has(`audit.actions.${action}`) ? t(`audit.actions.${action}`) : action;
+  }
 
-    Object.keys(byUser).sort((a, b) => a.localeCompare(b)).forEach(u => {
-      const card = document.createElement('div');
-      card.className = 'flex-1 min-w-[220px] bg-gray-700 text-gray-100 p-3 rounded-lg shadow';
+  // fields whose value differs between the two snapshots
+  function changedFields(before, after) {
+    if (!before || !after) return [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+  }
 
-      const total = nf1.format(byUser[u].sum);
-      const count = byUser[u].count;
+  function renderAuditEntries(entries) {
+    if (!entries.length) {
+      auditList.innerHTML = `<p class="text-gray-400 text-center">${escapeHtml(t('audit.none'))}</p>`;
+      return;
+    }
 
-      card.innerHTML = `
-        <span class="font-bold">${escapeHtml(u)}:</span>
-        ${total} kWh – ${count} Messungen
+    auditList.innerHTML = entries.map(e => {
+      const fields = changedFields(e.before, e.after);
+      const subjects = (e.subjects || []).filter(u => u !== e.actor);
+      return `
+        <div class="bg-gray-700 p-3 rounded-lg">
+          <p class="text-sm text-gray-300">${escapeHtml(new Date(e.timestamp).toLocaleString(WashI18n.tag))}</p>
+          <p class="font-bold">${escapeHtml(e.actor)}: ${escapeHtml(auditActionLabel(e.action))}
+            <span class="font-normal text-gray-300">(${escapeHtml(e.targetId)})</span></p>
+          ${subjects.length ? `<p class="text-sm text-gray-300">${escapeHtml(t('audit.subjects', { users: subjects.join(', ') }))}</p>` : ''}
+          ${fields.length ? `<p class="text-sm text-gray-300">${escapeHtml(t('audit.changed', { fields: fields.join(', ') }))}</p>` : ''}
+          ${e.related?.length ? `<p class="text-sm text-gray-300">${escapeHtml(t('audit.related', { ids: e.related.map(r => r.targetId).join(', ') }))}</p>` : ''}
+          <details class="mt-2 text-xs">
+            <summary class="cursor-pointer text-indigo-300">${escapeHtml(t('audit.details'))}</summary>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-2 mt-2">
+              <pre class="bg-gray-900 p-2 rounded overflow-x-auto">${escapeHtml(t('audit.before'))} ${escapeHtml(JSON.stringify(e.before, null, 2))}</pre>
+              <pre class="bg-gray-900 p-2 rounded overflow-x-auto">${escapeHtml(t('audit.after'))} ${escapeHtml(JSON.stringify(e.after, null, 2))}</pre>
+            </div>
+          </details>
+        </div>
       `;
-      container.appendChild(card);
-    });
+    }).join('');
+  }
+
+  async function fetchAuditLog() {
+    if (!auditList || !isAdmin) return;
+    try {
+      const qs = new URLSearchParams();
+      ['user', 'action', 'from', 'to'].forEach(k => {
+        const v = document.getElementById(`audit${k[0].toUpperCase()}${k.slice(1)}`).value.trim();
+        if (v) qs.append(k, v);
+      });
+      const res = await fetch(`/audit?${qs.toString()}`);
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.message || t('audit.loadFailed'));
+      }
+      renderAuditEntries(await res.json());
+    } catch (err) {
+      console.error('fetchAuditLog error:', err);
+      auditList.innerHTML = `<p class="text-red-500 text-center">${escapeHtml(t('common.loadError', { message: err.message }))}</p>`;
+    }
+  }
 
-    yearlySummaryContent.appendChild(container);
+  if (auditFilterForm) {
+    AUDIT_ACTIONS.forEach(action => {
+      const opt = document.createElement('option');
+      opt.value = action;
+      opt.textContent = auditActionLabel(action);
+      auditActionSelect.appendChild(opt);
+    });
+    auditFilterForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      await fetchAuditLog();
+    });
   }
 
   // helpers
@@ -459,72 +2524,52 @@ document.addEventListener('DOMContentLoaded', async () => {
     downloadYearlyReportBtn.addEventListener('click', async () => {
       const year = filterYear.value || String(new Date().getFullYear());
       try {
-        setFormMsg(`Erzeuge PDF für ${year}…`);
+        setFormMsg(t('pdf.generating', { year }));
         const readings = await fetchYearReadings(year);
         await generateYearlyReportPDF({ year: Number(year), readings });
-        setFormMsg('PDF erstellt.', 'success');
+        setFormMsg(t('pdf.created'), 'success');
         setTimeout(hideFormMsg, 2000);
       } catch (err) {
         console.error('PDF error:', err);
-        setFormMsg(`Fehler beim Erstellen des PDFs: ${err.message}`, 'error');
+        setFormMsg(t('pdf.error', { message: err.message }), 'error');
       }
     });
   }
 
-  function aggregateYear(readings, year) {
-    const byUser = {};
-    const byMonthUser = {};
-    let totalKWh = 0;
-    let totalCount = 0;
-    let firstTs = Infinity;
-    let lastTs = -Infinity;
-
-    for (const r of readings) {
-      const user = r.ownerUsername || r.username || 'Unbekannt';
-      const d = round1(parseNum(r.deltaKWh));
-      totalKWh += d;
-      totalCount += 1;
-
-      if (!byUser[user]) byUser[user] = { kWh: 0, count: 0, min: Infinity, max: -Infinity };
-      byUser[user].kWh += d;
-      byUser[user].count += 1;
-      byUser[user].min = Math.min(byUser[user].min, d);
-      byUser[user].max = Math.max(byUser[user].max, d);
-
-      const dt = new Date(r.timestamp);
-      firstTs = Math.min(firstTs, dt.getTime());
-      lastTs = Math.max(lastTs, dt.getTime());
-
-      const m = String(dt.getUTCMonth() + 1).padStart(2, '0');
-      byMonthUser[m] ||= {};
-      byMonthUser[m][user] = (byMonthUser[m][user] || 0) + d;
-    }
-
-    for (const u of Object.keys(byUser)) {
-      if (byUser[u].min === Infinity) byUser[u].min = 0;
-      if (byUser[u].max === -Infinity) byUser[u].max = 0;
-    }
-
-    return {
-      byUser,
-      byMonthUser,
-      totalKWh: round1(totalKWh),
-      totalCount,
-      firstDate: Number.isFinite(firstTs) ? new Date(firstTs) : null,
-      lastDate: Number.isFinite(lastTs) ? new Date(lastTs) : null,
-      avgPerReading: totalCount ? round1(totalKWh / totalCount) : 0
-    };
+  // ===== EXPORT =====
+  if (exportBtn) {
+    exportBtn.addEventListener('click', () => {
+      const data = document.getElementById('exportData').value;
+      const format = document.getElementById('exportFormat').value;
+      if (format === 'csv' && data === 'all') {
+        return setFormMsg(t('export.csvSingleTable'), 'error');
+      }
+      const qs = new URLSearchParams({ format, data });
+      if (filterYear.value) qs.append('year', filterYear.value);
+      if (filterMonth.value) qs.append('month', filterMonth.value);
+
+      // the server sends it as an attachment, so the page stays
+      const a = document.createElement('a');
+      a.href = `/export?${qs.toString()}`;
+      a.download = '';
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+    });
   }
 
   async function generateYearlyReportPDF({ year, readings }) {
     if (!window.jspdf || !window.jspdf.jsPDF || !('autoTable' in (window.jspdf.jsPDF.API || {}))) {
-      throw new Error('PDF-Bibliotheken nicht geladen (jsPDF oder AutoTable fehlen).');
+      throw new Error(t('pdf.librariesMissing'));
     }
 
     const sorted = [...readings].sort((a, b) => a.timestamp - b.timestamp);
-    const agg = aggregateYear(sorted, year);
+    const [summary, programStats] = await Promise.all([fetchSummary(year), loadProgramStats(year)]);
+    const { total, period } = summary;
+    const firstDate = period.firstTimestamp != null ? new Date(period.firstTimestamp) : null;
+    const lastDate = period.lastTimestamp != null ? new Date(period.lastTimestamp) : null;
 
-    const chartDataURL = await renderUserBarChart(agg.byUser, year);
+    const chartDataURL = await renderUserBarChart(summary.byUser, year);
 
     const { jsPDF } = window.jspdf;
     const doc = new jsPDF({ unit: 'pt', format: 'a4' });
@@ -534,24 +2579,25 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     doc.setFont('helvetica', 'bold');
     doc.setFontSize(18);
-    doc.text(`Jahresbericht ${year}`, margin, cursorY);
+    doc.text(t('yearlyPdf.title', { year }), margin, cursorY);
     cursorY += 22;
 
     doc.setFont('helvetica', 'normal');
     doc.setFontSize(11);
-    const genAt = new Date().toLocaleString('de-CH');
-    const periodStr = (agg.firstDate && agg.lastDate)
-      ? `${agg.firstDate.toLocaleDateString('de-CH')} – ${agg.lastDate.toLocaleDateString('de-CH')}`
-      : `keine Daten`;
-    doc.text(`Zeitraum: ${periodStr}`, margin, cursorY);
+    const genAt = new Date().toLocaleString(WashI18n.tag);
+    const periodStr = (firstDate && lastDate)
+      ? `${firstDate.toLocaleDateString(WashI18n.tag)} – ${lastDate.toLocaleDateString(WashI18n.tag)}`
+      : t('yearlyPdf.noData');
+    doc.text(t('yearlyPdf.period', { period: periodStr }), margin, cursorY);
     cursorY += 14;
-    doc.text(`Erstellt am: ${genAt}`, margin, cursorY);
+    doc.text(t('pdf.generatedAt', { date: genAt }), margin, cursorY);
     cursorY += 20;
 
     const summaryLines = [
-      `Gesamtverbrauch: ${nf1.format(agg.totalKWh)} kWh`,
-      `Anzahl Messungen: ${agg.totalCount}`,
-      `Ø Verbrauch pro Messung: ${nf1.format(agg.avgPerReading)} kWh`
+      t('yearlyPdf.totalKWh', { kWh: nf1.format(total.kWh) }),
+      t('yearlyPdf.totalCost', { amount: fmtCHF(total.costCHF) }),
+      t('yearlyPdf.count', { count: total.count }),
+      t('yearlyPdf.avgKWh', { kWh: nf1.format(total.avgKWh) })
     ];
     drawInfoBox(doc, margin, cursorY, pageWidth - margin * 2, summaryLines);
     cursorY += 80;
@@ -564,53 +2610,122 @@ document.addEventListener('DOMContentLoaded', async () => {
     } else {
       doc.setFont('helvetica', 'italic');
       doc.setFontSize(10);
-      doc.text('Hinweis: Diagramm konnte nicht erzeugt werden.', margin, cursorY);
+      doc.text(t('yearlyPdf.chartMissing'), margin, cursorY);
       cursorY += 16;
     }
 
     doc.setFont('helvetica', 'bold');
     doc.setFontSize(13);
-    doc.text('Übersicht nach Benutzer', margin, cursorY);
+    doc.text(t('yearlyPdf.byUser'), margin, cursorY);
     cursorY += 8;
 
     doc.autoTable({
       startY: cursorY,
       margin: { left: margin, right: margin },
-      head: [['Benutzer', 'Gesamt (kWh)', 'Messungen', 'Min (kWh)', 'Max (kWh)', 'Ø pro Messung (kWh)']],
-      body: Object.keys(agg.byUser).sort((a, b) => a.localeCompare(b)).map(u => {
-        const uAgg = agg.byUser[u];
-        const avg = uAgg.count ? round1(uAgg.kWh / uAgg.count) : 0;
-        return [
-          u,
-          nf1.format(round1(uAgg.kWh)),
-          String(uAgg.count),
-          nf1.format(round1(uAgg.min)),
-          nf1.format(round1(uAgg.max)),
-          nf1.format(avg)
-        ];
-      }),
+      head: [['user', 'totalKWh', 'costCHF', 'count', 'minKWh', 'maxKWh', 'avgKWh'].map(key => t(`yearlyPdf.columns.${key}`))],
+      body: summary.byUser.map(u => [
+        summaryUserLabel(u.user),
+        nf1.format(u.kWh),
+        fmtCHF(u.costCHF),
+        String(u.count),
+        nf1.format(u.minKWh ?? 0),
+        nf1.format(u.maxKWh ?? 0),
+        nf1.format(u.avgKWh)
+      ]),
       styles: { font: 'helvetica', fontSize: 10 },
       headStyles: { fillColor: [55, 65, 81] },
       alternateRowStyles: { fillColor: [245, 246, 250] }
     });
 
+    if (appliances.length > 1) {
+      cursorY = doc.lastAutoTable.finalY + 24;
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(13);
+      doc.text(t('yearlyPdf.byAppliance'), margin, cursorY);
+      cursorY += 8;
+
+      doc.autoTable({
+        startY: cursorY,
+        margin: { left: margin, right: margin },
+        head: [['appliance', 'totalKWh', 'costCHF', 'count'].map(key => t(`yearlyPdf.columns.${key}`))],
+        body: [...summary.byAppliance]
+          .sort((a, b) => applianceName(a.applianceId).localeCompare(applianceName(b.applianceId)))
+          .map(a => [
+            applianceName(a.applianceId),
+            nf1.format(a.kWh),
+            fmtCHF(a.costCHF),
+            String(a.count)
+          ]),
+        styles: { font: 'helvetica', fontSize: 10 },
+        headStyles: { fillColor: [55, 65, 81] },
+        alternateRowStyles: { fillColor: [245, 246, 250] }
+      });
+    }
+
+    // only worth a section once washes carry a program or temperature
+    if (programStats.washCount > programStats.unspecifiedCount) {
+      doc.addPage();
+      cursorY = margin;
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(13);
+      doc.text(t('yearlyPdf.byProgram'), margin, cursorY);
+      cursorY += 8;
+
+      const programColumns = ['program', 'washes', 'avgKWh', 'avgCost', 'avgDuration', 'totalKWh'];
+      const programRow = g => [
+        programGroupLabel(g),
+        String(g.count),
+        nf1.format(g.avgKWh),
+        fmtCHF(g.avgCHF),
+        g.avgDurationMinutes != null ? `${g.avgDurationMinutes} min` : '–',
+        nf1.format(g.totalKWh)
+      ];
+      doc.autoTable({
+        startY: cursorY,
+        margin: { left: margin, right: margin },
+        head: [programColumns.map(key => t(`programs.columns.${key}`))],
+        body: programStats.byProgram.map(programRow),
+        styles: { font: 'helvetica', fontSize: 10 },
+        headStyles: { fillColor: [55, 65, 81] },
+        alternateRowStyles: { fillColor: [245, 246, 250] }
+      });
+
+      cursorY = doc.lastAutoTable.finalY + 24;
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(13);
+      doc.text(t('yearlyPdf.programsByUser'), margin, cursorY);
+      cursorY += 8;
+      doc.autoTable({
+        startY: cursorY,
+        margin: { left: margin, right: margin },
+        head: [['user', ...programColumns].map(key => t(`programs.columns.${key}`))],
+        body: programStats.byUser.map(g => [displayNameOf(g.user), ...programRow(g)]),
+        styles: { font: 'helvetica', fontSize: 9 },
+        headStyles: { fillColor: [55, 65, 81] },
+        alternateRowStyles: { fillColor: [245, 246, 250] }
+      });
+    }
+
     doc.addPage();
     cursorY = margin;
     doc.setFont('helvetica', 'bold');
     doc.setFontSize(13);
-    doc.text('Messungen nach Benutzer (Details)', margin, cursorY);
+    doc.text(t('yearlyPdf.details'), margin, cursorY);
     cursorY += 10;
 
     const rows = sorted
+      .filter(r => !isMeterEvent(r))
       .map(r => ({
-        Benutzer: r.ownerUsername || r.username || 'Unbekannt',
-        Datum: new Date(r.timestamp).toLocaleString('de-CH'),
+        Benutzer: ownerLabel(r, t('summary.unknownUser')),
+        Datum: new Date(r.timestamp).toLocaleString(WashI18n.tag),
         Start: nf1.format(round1(parseNum(r.startKWh))),
         Ende: nf1.format(round1(parseNum(r.endKWh))),
         Delta: nf1.format(round1(parseNum(r.deltaKWh))),
+        Kosten: hasCost(r) ? fmtCHF(r.costCHF) : '–',
         Notiz: (r.notes || '').toString().replace(/\s+/g, ' ').trim(),
         ErfasstVon: r.createdBy || '-',
-        Auftrag: r.onBehalf ? 'ja' : 'nein'
+        Auftrag: r.onBehalf ? 'ja' : 'nein',
+        FotoUrl: r.photo ? new URL(photoUrl(r), window.location.origin).href : null
       }))
       .sort((a, b) => {
         if (a.Benutzer === b.Benutzer) return a.Datum.localeCompare(b.Datum);
@@ -620,55 +2735,96 @@ document.addEventListener('DOMContentLoaded', async () => {
     doc.autoTable({
       startY: cursorY,
       margin: { left: margin, right: margin },
-      head: [['Benutzer', 'Datum', 'Vorher (kWh)', 'Aktuell (kWh)', 'Delta (kWh)', 'Notiz']],
-      body: rows.map(r => [r.Benutzer, r.Datum, r.Start, r.Ende, r.Delta, r.Notiz]),
+      head: [[t('yearlyPdf.columns.user'), ...['date', 'previous', 'current', 'delta', 'cost', 'note', 'photo'].map(key => t(`pdf.columns.${key}`))]],
+      body: rows.map(r => [r.Benutzer, r.Datum, r.Start, r.Ende, r.Delta, r.Kosten, r.Notiz, r.FotoUrl ? t('pdf.openPhoto') : '']),
       styles: { font: 'helvetica', fontSize: 9, cellWidth: 'wrap' },
       columnStyles: {
-        0: { cellWidth: 90 },
-        1: { cellWidth: 110 },
-        2: { cellWidth: 70 },
-        3: { cellWidth: 70 },
-        4: { cellWidth: 60 },
-        5: { cellWidth: 130 },
-        6: { cellWidth: 90 },
-        7: { cellWidth: 60 }
+        0: { cellWidth: 80 },
+        1: { cellWidth: 100 },
+        2: { cellWidth: 60 },
+        3: { cellWidth: 60 },
+        4: { cellWidth: 55 },
+        5: { cellWidth: 60 },
+        6: { cellWidth: 73 },
+        7: { cellWidth: 35 }
       },
       headStyles: { fillColor: [31, 41, 55] },
       alternateRowStyles: { fillColor: [250, 250, 250] },
+      // the photo column links to the meter photo
+      didParseCell: (data) => {
+        if (data.section === 'body' && data.column.index === 7) data.cell.styles.textColor = [37, 99, 235];
+      },
+      didDrawCell: (data) => {
+        const url = data.section === 'body' && data.column.index === 7 ? rows[data.row.index].FotoUrl : null;
+        if (url) doc.link(data.cell.x, data.cell.y, data.cell.width, data.cell.height, { url });
+      },
       didDrawPage: () => {
-        const str = `Seite ${doc.internal.getNumberOfPages()}`;
+        const str = t('pdf.page', { page: doc.internal.getNumberOfPages() });
         doc.setFontSize(9);
         doc.setTextColor(120);
         doc.text(str, pageWidth - margin, doc.internal.pageSize.getHeight() - 10, { align: 'right' });
       }
     });
 
+    const meterEvents = sorted.filter(isMeterEvent);
+    if (meterEvents.length) {
+      cursorY = doc.lastAutoTable.finalY + 24;
+      if (cursorY > doc.internal.pageSize.getHeight() - 100) {
+        doc.addPage();
+        cursorY = margin;
+      }
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(13);
+      doc.text(t('yearlyPdf.meterEvents'), margin, cursorY);
+      cursorY += 8;
+
+      doc.autoTable({
+        startY: cursorY,
+        margin: { left: margin, right: margin },
+        head: [['date', 'event', 'appliance', 'oldMeterFinal', 'newMeterStart', 'unassigned', 'note'].map(key => t(`yearlyPdf.meterColumns.${key}`))],
+        body: meterEvents.map(r => [
+          new Date(r.timestamp).toLocaleString(WashI18n.tag),
+          meterEventLabel(r),
+          applianceName(applianceOf(r)),
+          nf1.format(round1(parseNum(r.oldMeterFinalKWh))),
+          nf1.format(round1(parseNum(r.endKWh))),
+          nf1.format(round1(parseNum(r.deltaKWh))),
+          (r.notes || '').toString().replace(/\s+/g, ' ').trim()
+        ]),
+        styles: { font: 'helvetica', fontSize: 9 },
+        headStyles: { fillColor: [55, 65, 81] },
+        alternateRowStyles: { fillColor: [245, 246, 250] }
+      });
+    }
+
     doc.addPage();
     cursorY = margin;
 
     doc.setFont('helvetica', 'bold');
     doc.setFontSize(14);
-    doc.text('Zusammenfassung', margin, cursorY);
+    doc.text(t('yearlyPdf.summary'), margin, cursorY);
     cursorY += 20;
 
     doc.setFont('helvetica', 'normal');
     doc.setFontSize(11);
     const finalSummary = [
-      `Jahr: ${year}`,
-      `Gesamtverbrauch: ${nf1.format(agg.totalKWh)} kWh`,
-      `Gesamtanzahl Messungen: ${agg.totalCount}`,
-      `Durchschnitt pro Messung: ${nf1.format(agg.avgPerReading)} kWh`,
-      agg.firstDate && agg.lastDate ? `Erfasster Zeitraum: ${agg.firstDate.toLocaleDateString('de-CH')} – ${agg.lastDate.toLocaleDateString('de-CH')}` : 'Erfasster Zeitraum: keine Daten'
+      t('yearlyPdf.year', { year }),
+      t('yearlyPdf.totalKWh', { kWh: nf1.format(total.kWh) }),
+      t('yearlyPdf.totalCost', { amount: fmtCHF(total.costCHF) }),
+      t('yearlyPdf.totalCount', { count: total.count }),
+      t('yearlyPdf.average', { kWh: nf1.format(total.avgKWh) }),
+      t('yearlyPdf.recordedPeriod', { period: periodStr })
     ];
     drawBulletList(doc, margin, cursorY, finalSummary);
     cursorY += 16 * finalSummary.length + 12;
 
-    const usersSorted = Object.keys(agg.byUser).sort((a, b) => a.localeCompare(b));
+    const usersSorted = summary.byUser.map(u => u.user);
     const months = Array.from({ length: 12 }, (_, i) => String(i + 1).padStart(2, '0'));
+    const monthKWh = (m, u) => summary.byMonthUser.find(g => g.month === `${year}-${m}` && g.user === u)?.kWh || 0;
 
-    const monthTableHead = ['Monat', ...usersSorted];
+    const monthTableHead = [t('yearlyPdf.month'), ...usersSorted.map(summaryUserLabel)];
     const monthTableBody = months.map(m => {
-      return [m, ...usersSorted.map(u => nf1.format(round1((agg.byMonthUser[m]?.[u]) || 0)))];
+      return [m, ...usersSorted.map(u => nf1.format(monthKWh(m, u)))];
     });
 
     doc.autoTable({
@@ -681,7 +2837,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       alternateRowStyles: { fillColor: [245, 246, 250] }
     });
 
-    const filename = `Wäsche_Jahresbericht_${year}.pdf`;
+    const filename = `${t('yearlyPdf.fileName', { year })}.pdf`;
     doc.save(filename);
   }
 
@@ -700,13 +2856,13 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (!ctx) return null;
       ctx.scale(DPR, DPR);
 
-      const labels = Object.keys(byUser).sort((a, b) => a.localeCompare(b));
-      const data = labels.map(u => round1(byUser[u].kWh || 0));
+      const labels = byUser.map(u => summaryUserLabel(u.user));
+      const data = byUser.map(u => u.kWh);
       if (labels.length === 0) return null;
 
       const chart = new Chart(ctx, {
         type: 'bar',
-        data: { labels, datasets: [{ label: `kWh pro Benutzer (${year})`, data }] },
+        data: { labels, datasets: [{ label: t('yearlyPdf.chartLabel', { year }), data }] },
         options: {
           responsive: false,
           animation: false,
@@ -742,10 +2898,17 @@ document.addEventListener('DOMContentLoaded', async () => {
     const bullet = '•';
     const lineH = 16;
     doc.setFontSize(11);
-    items.forEach((t, i) => doc.text(`${bullet} ${t}`, x, y + i * lineH));
+    items.forEach((item, i) => doc.text(`${bullet} ${item}`, x, y + i * lineH));
   }
 
   // Initial
   await fetchReadings();
   await fetchAndRenderYearlySummary();
+  await fetchTariffs();
+  await fetchReservations();
+  await fetchProfile();
+  await fetchTokens();
+  await fetchAuditLog();
+  await renderOutbox();
+  await requestOutboxReplay();
 });
@@ -0,0 +1,125 @@
+// Outbox for readings submitted without a connection, shared by the page
+// (main.js) and the service worker (sw.js). Entries stay in IndexedDB in the
+// order they were submitted and are sent one after the other; the first one
+// the server refuses is marked as a conflict and holds back the rest until
+// the user has resolved it, since later readings continue from it.
+(() => {
+  const DB_NAME = 'washing-tracker';
+  const STORE = 'outbox';
+  // page and service worker must not send the same entry twice
+  const LOCK_NAME = 'washing-tracker-outbox';
+  const SYNC_TAG = 'outbox';
+
+  let dbPromise = null;
+
+  function openDb() {
+    dbPromise ||= new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return dbPromise;
+  }
+
+  async function run(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const req = fn(db.transaction(STORE, mode).objectStore(STORE));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // oldest first (ids increase)
+  const list = () => run('readonly', s => s.getAll());
+  const get = id => run('readonly', s => s.get(id));
+  const put = entry => run('readwrite', s => s.put(entry));
+  const discard = id => run('readwrite', s => s.delete(id));
+
+  // { body (as for POST /readings), householdId, photo (Blob, optional) };
+  // capturedAt, the time the meter was read, is kept apart from the body and
+  // always sent, so the reading is never recorded as of the time it got through
+  function add(entry) {
+    const now = Date.now();
+    return run('readwrite', s => s.add({ ...entry, status: 'pending', error: null, queuedAt: now, capturedAt: now }));
+  }
+
+  // Sends a conflicting entry again with the user's changes to its body,
+  // e.g. { confirmAnomaly: true } or { expectedStartKWh: undefined }; the capture time stays
+  async function retry(id, changes = {}) {
+    const entry = await get(id);
+    if (!entry) return;
+    await put({ ...entry, body: { ...entry.body, ...changes }, status: 'pending', error: null });
+  }
+
+  function headersFor(entry, extra = {}) {
+    return { ...extra, ...(entry.householdId ? { 'X-Household': entry.householdId } : {}) };
+  }
+
+  // a photo is a bonus: the reading counts as sent even if its photo is lost
+  async function sendPhoto(entry, washId) {
+    try {
+      await fetch(`/readings/${encodeURIComponent(washId)}/photo`, {
+        method: 'PUT',
+        credentials: 'same-origin',
+        headers: headersFor(entry, { 'Content-Type': entry.photo.type || 'image/jpeg' }),
+        body: entry.photo
+      });
+    } catch (err) {
+      console.warn('Queued photo not sent:', err);
+    }
+  }
+
+  async function sendAll() {
+    let sent = 0;
+    for (const entry of await list()) {
+      if (entry.status === 'conflict') return { sent, conflict: true };
+      let res;
+      try {
+        res = await fetch('/readings', {
+          method: 'POST',
+          credentials: 'same-origin',
+          headers: headersFor(entry, { 'Content-Type': 'application/json' }),
+          // entries queued before capturedAt was stored were captured when queued
+          body: JSON.stringify({ ...entry.body, capturedAt: entry.capturedAt ?? entry.queuedAt })
+        });
+      } catch {
+        return { sent, offline: true };
+      }
+      // not signed in (any more) or the server is failing: try again later
+      const isJson = (res.headers.get('content-type') || '').includes('application/json');
+      if (res.status === 401 || res.status >= 500 || !isJson) return { sent, offline: true };
+
+      const data = await res.json().catch(() => ({}));
+      if (res.ok) {
+        await discard(entry.id);
+        sent++;
+        if (entry.photo && data.reading) await sendPhoto(entry, data.reading.washId);
+        continue;
+      }
+      await put({
+        ...entry,
+        status: 'conflict',
+        error: {
+          status: res.status,
+          code: data.code || null,
+          message: data.message || '',
+          latestEndKWh: data.latestEndKWh ?? null,
+          deltaKWh: data.deltaKWh ?? null,
+          reasons: data.reasons || []
+        }
+      });
+      return { sent, conflict: true };
+    }
+    return { sent };
+  }
+
+  // Resolves to { sent, conflict?, offline? }
+  function replay() {
+    const locks = self.navigator?.locks;
+    return locks ? locks.request(LOCK_NAME, sendAll) : sendAll();
+  }
+
+  self.WashOutbox = { SYNC_TAG, add, list, retry, discard, replay };
+})();
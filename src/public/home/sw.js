@@ -0,0 +1,112 @@
+importScripts('./js/outbox.js');
+
+// Makes the app usable in the laundry room without signal: the app shell, the
+// CDN libraries and the OCR files come from the cache when the network fails,
+// and readings queued offline are sent by background sync. API responses are
+// never cached. Bump CACHE_NAME when the lists or the vendored files change.
+const CACHE_NAME = 'washing-tracker-v4';
+
+const APP_SHELL = [
+  '/', '/js/main.js', '/js/outbox.js', '/js/i18n.js',
+  '/js/locales/de.js', '/js/locales/fr.js', '/js/locales/it.js', '/js/locales/en.js',
+  '/assets/favicon.svg', '/manifest.webmanifest',
+  '/manifest.fr.webmanifest', '/manifest.it.webmanifest', '/manifest.en.webmanifest'
+];
+
+// the same URLs as the script tags in index.html
+const CDN_LIBRARIES = [
+  'https://cdn.tailwindcss.com',
+  'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js',
+  'https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js',
+  'https://cdn.jsdelivr.net/npm/jspdf-autotable@3.8.2/dist/jspdf.plugin.autotable.min.js'
+];
+
+// tesseract.js as loaded by index.html and readMeterDisplay() in main.js;
+// versions and checksums in vendor/tesseract/README.md
+const OCR_ASSETS = [
+  '/vendor/tesseract/tesseract.min.js', '/vendor/tesseract/worker.min.js',
+  '/vendor/tesseract/tesseract-core-lstm.wasm.js', '/vendor/tesseract/eng.traineddata.gz'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(APP_SHELL);
+    // a few MB: if that fails now, the files are cached on their first use
+    try {
+      await cache.addAll(OCR_ASSETS);
+    } catch (err) {
+      console.warn('Could not cache the OCR files:', err);
+    }
+    // script tags load these without CORS, so they are cached the same way;
+    // a library that cannot be fetched now is cached on its first use
+    await Promise.all(CDN_LIBRARIES.map(async (url) => {
+      try {
+        await cache.put(url, await fetch(new Request(url, { mode: 'no-cors' })));
+      } catch (err) {
+        console.warn(`Could not cache ${url}:`, err);
+      }
+    }));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Online the app shell is always fresh; the cached copy only serves when the network fails
+async function networkFirst(request, cacheKey) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok && !response.redirected) await cache.put(cacheKey, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// The libraries and OCR files are pinned to a version, so the cached copy never goes stale
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request.url);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // CDN responses are opaque; a failed or redirected one of ours is not kept
+  if (response.type === 'opaque' || (response.ok && !response.redirected)) await cache.put(request.url, response.clone());
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (CDN_LIBRARIES.includes(request.url) || (url.origin === self.location.origin && OCR_ASSETS.includes(url.pathname))) {
+    event.respondWith(cacheFirst(request));
+  } else if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    // every page path is served the same index.html
+    event.respondWith(networkFirst(request, '/'));
+  } else if (url.origin === self.location.origin && APP_SHELL.includes(url.pathname)) {
+    event.respondWith(networkFirst(request, url.pathname));
+  }
+});
+
+async function replayOutbox() {
+  const result = await WashOutbox.replay();
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'outbox', result }));
+  // makes the browser retry the sync later
+  if (result.offline) throw new Error('Queued readings could not be sent yet.');
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === WashOutbox.SYNC_TAG) event.waitUntil(replayOutbox());
+});
@@ -0,0 +1,97 @@
+import mqtt from 'mqtt';
+import { app, mailer, runScheduledReports, ingestTelemetry, telemetryConfig } from './index.mjs';
+import { parseSample, deviceIdOfTopic } from './lib/telemetry.mjs';
+import { translate } from './lib/i18n.mjs';
+import { loadServerConfig } from './lib/server.mjs';
+
+// Standalone runtime (Raspberry Pi, container, …) next to the Lambda handler.
+//   PORT              default 3000
+//   HOST              default 0.0.0.0
+//   SHUTDOWN_TIMEOUT  seconds to wait for open requests on SIGTERM/SIGINT (default 10)
+//   REPORTS_SCHEDULE  "off" disables the monthly report emails (on when SMTP_HOST is set)
+//   REPORTS_HOUR      UTC hour on the 1st of a month from which reports are sent (default 6)
+//   MQTT_URL          subscribes to smart-plug telemetry on this broker (see lib/telemetry.mjs)
+
+const { port: PORT, host: HOST, shutdownTimeoutMs: SHUTDOWN_TIMEOUT_MS, reportsHour: REPORTS_HOUR } = loadServerConfig();
+const REPORT_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const server = app.listen(PORT, HOST, (err) => {
+  if (err) {
+    console.error('Could not start server:', err);
+    process.exit(1);
+  }
+  console.log(`Washing tracker listening on http://${HOST}:${PORT}`);
+});
+
+// Checked hourly; deliveries are recorded, so later checks on the same day send nothing twice
+let reportTimer = null;
+if (mailer.configured && process.env.REPORTS_SCHEDULE !== 'off') {
+  const checkReports = () => {
+    const now = new Date();
+    if (now.getUTCDate() !== 1 || now.getUTCHours() < REPORTS_HOUR) return;
+    runScheduledReports().catch(err => console.error('Scheduled reports failed:', err));
+  };
+  reportTimer = setInterval(checkReports, REPORT_CHECK_INTERVAL_MS);
+  reportTimer.unref();
+  checkReports();
+}
+
+// Smart plugs publishing over MQTT; their samples go through the same
+// detection as the webhook, in whichever household the plug belongs to
+let mqttClient = null;
+if (telemetryConfig.mqttUrl) {
+  mqttClient = mqtt.connect(telemetryConfig.mqttUrl);
+  mqttClient.on('connect', () => {
+    mqttClient.subscribe(telemetryConfig.mqttTopics, (err) => {
+      if (err) console.error('MQTT subscribe failed:', err.message);
+      else console.log(`Subscribed to ${telemetryConfig.mqttTopics.join(', ')}`);
+    });
+  });
+  mqttClient.on('error', err => console.error('MQTT error:', err.message));
+  mqttClient.on('message', (topic, message) => {
+    let payload;
+    try {
+      payload = JSON.parse(message.toString());
+    } catch {
+      return; // e.g. "online" on a status topic
+    }
+    const { sample, error } = parseSample(payload, { deviceId: deviceIdOfTopic(topic, telemetryConfig.mqttTopics) });
+    if (error) return console.warn(`Telemetry on ${topic} ignored: ${translate('en', `errors.${error.code}`, error.params)}`);
+    ingestTelemetry(sample)
+      .then((result) => {
+        if (result.status === 'recorded') console.log(`Wash on ${result.applianceId} recorded from plug ${sample.deviceId}.`);
+      })
+      .catch(err => console.error(`Telemetry of ${sample.deviceId} failed:`, err));
+  });
+}
+
+let shuttingDown = false;
+
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down…`);
+  clearInterval(reportTimer);
+  mqttClient?.end();
+
+  const force = setTimeout(() => {
+    console.error('Open connections did not finish in time, forcing exit.');
+    server.closeAllConnections();
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  force.unref();
+
+  server.close((err) => {
+    if (err) {
+      console.error('Error during shutdown:', err);
+      process.exit(1);
+    }
+    console.log('Server closed.');
+    process.exit(0);
+  });
+  // keep-alive connections would otherwise hold the server open
+  server.closeIdleConnections();
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,53 @@
+import { withAudit } from './audit.mjs';
+import { queryAll } from './query.mjs';
+
+const PARTITION = 'API_TOKENS';
+
+// tokens are keyed by their hash, so a bearer token is found with a single get
+const itemId = hash => `apitoken#${hash}`;
+
+function toToken(item) {
+  const { washId, GlobalPK, timestamp, ...token } = item;
+  return token;
+}
+
+// Personal access tokens of the household's users
+export function createApiTokenRepository(table) {
+  return {
+    // oldest first, revoked ones included
+    async listByUser(username) {
+      const items = await queryAll(table, PARTITION, { order: 'asc', filter: { equals: { username } } });
+      return items.map(toToken);
+    },
+
+    async findById(tokenId) {
+      const [item] = await queryAll(table, PARTITION, { filter: { equals: { tokenId } } });
+      return item ? toToken(item) : null;
+    },
+
+    async getByHash(hash) {
+      const item = await table.get(itemId(hash));
+      return item?.GlobalPK === PARTITION ? toToken(item) : null;
+    },
+
+    async create(token, { audit } = {}) {
+      await table.transact(withAudit([{
+        put: { ...token, washId: itemId(token.hash), timestamp: token.createdAt, GlobalPK: PARTITION },
+        condition: { notExists: true }
+      }], audit));
+    },
+
+    // Throws ConditionFailedError if the token is gone or already revoked
+    async revoke(hash, set, { audit } = {}) {
+      await table.transact(withAudit([{
+        update: itemId(hash),
+        set,
+        condition: { equals: { GlobalPK: PARTITION, revokedAt: undefined } }
+      }], audit));
+    },
+
+    async touch(hash, lastUsedAt) {
+      await table.update(itemId(hash), { lastUsedAt }, { condition: { equals: { GlobalPK: PARTITION } } });
+    }
+  };
+}
@@ -0,0 +1,38 @@
+import { withAudit } from './audit.mjs';
+
+export const PARTITION = 'APPLIANCES';
+
+const itemId = applianceId => `appliance#${applianceId}`;
+
+function toAppliance(item) {
+  const { washId, GlobalPK, timestamp, ...appliance } = item;
+  return appliance;
+}
+
+export function createApplianceRepository(table) {
+  return {
+    // in the order they were added
+    async list() {
+      const { items } = await table.query(PARTITION, { order: 'asc' });
+      return items.map(toAppliance);
+    },
+
+    async get(applianceId) {
+      const item = await table.get(itemId(applianceId));
+      return item?.GlobalPK === PARTITION ? toAppliance(item) : null;
+    },
+
+    async create(appliance, { audit } = {}) {
+      await table.transact(withAudit([{
+        put: { ...appliance, washId: itemId(appliance.applianceId), timestamp: appliance.createdAt, GlobalPK: PARTITION },
+        condition: { notExists: true }
+      }], audit));
+    },
+
+    async update(applianceId, set, { audit } = {}) {
+      await table.transact(withAudit([
+        { update: itemId(applianceId), set, condition: { equals: { GlobalPK: PARTITION } } }
+      ], audit));
+    }
+  };
+}
@@ -0,0 +1,31 @@
+import { queryAll } from './query.mjs';
+
+const PARTITION = 'AUDIT';
+
+function toEntry(item) {
+  const { washId, GlobalPK, ...entry } = item;
+  return entry;
+}
+
+// Transaction operation that appends an audit entry next to the mutation it
+// describes, so a change is never stored without its trace.
+export function auditOp(entry) {
+  return {
+    put: { ...entry, washId: `audit#${entry.auditId}`, GlobalPK: PARTITION },
+    condition: { notExists: true }
+  };
+}
+
+export function withAudit(ops, audit) {
+  return audit ? [...ops, auditOp(audit)] : ops;
+}
+
+export function createAuditRepository(table) {
+  return {
+    // newest first, both bounds inclusive; entries are never updated or deleted
+    async listByTimeRange(from, to) {
+      const items = await queryAll(table, PARTITION, { from, to, order: 'desc' });
+      return items.map(toEntry);
+    }
+  };
+}
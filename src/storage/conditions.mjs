@@ -0,0 +1,50 @@
+// Backend-neutral write conditions and query filters:
+//
+//   { exists: true }               item exists
+//   { notExists: true }            item does not exist
+//   { equals: { attr: value } }    every attr equals value (undefined = attribute missing)
+//   { allOf: [cond, ...] }         all conditions hold
+//   { anyOf: [cond, ...] }         at least one condition holds
+
+export function evaluateCondition(cond, item) {
+  if (!cond) return true;
+  if (cond.exists) return !!item;
+  if (cond.notExists) return !item;
+  if (cond.equals) {
+    if (!item) return false;
+    return Object.entries(cond.equals).every(([attr, value]) =>
+      value === undefined ? !(attr in item) : item[attr] === value
+    );
+  }
+  if (cond.allOf) return cond.allOf.every(c => evaluateCondition(c, item));
+  if (cond.anyOf) return cond.anyOf.some(c => evaluateCondition(c, item));
+  throw new Error(`Unknown condition: ${JSON.stringify(cond)}`);
+}
+
+// Builds a DynamoDB expression; names/values are collected in `ctx` so one
+// request can combine several expressions without placeholder clashes.
+export function toDynamoExpression(cond, ctx, keyAttr) {
+  const name = attr => {
+    const key = `#c${Object.keys(ctx.names).length}`;
+    ctx.names[key] = attr;
+    return key;
+  };
+  const value = v => {
+    const key = `:c${Object.keys(ctx.values).length}`;
+    ctx.values[key] = v;
+    return key;
+  };
+
+  if (cond.exists) return `attribute_exists(${name(keyAttr)})`;
+  if (cond.notExists) return `attribute_not_exists(${name(keyAttr)})`;
+  if (cond.equals) {
+    return Object.entries(cond.equals)
+      .map(([attr, v]) => (v === undefined
+        ? `attribute_not_exists(${name(attr)})`
+        : `${name(attr)} = ${value(v)}`))
+      .join(' AND ');
+  }
+  if (cond.allOf) return cond.allOf.map(c => `(${toDynamoExpression(c, ctx, keyAttr)})`).join(' AND ');
+  if (cond.anyOf) return cond.anyOf.map(c => `(${toDynamoExpression(c, ctx, keyAttr)})`).join(' OR ');
+  throw new Error(`Unknown condition: ${JSON.stringify(cond)}`);
+}
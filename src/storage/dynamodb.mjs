@@ -0,0 +1,171 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient, GetCommand, PutCommand, QueryCommand, UpdateCommand, DeleteCommand, TransactWriteCommand
+} from "@aws-sdk/lib-dynamodb";
+import { toDynamoExpression } from './conditions.mjs';
+import { ConditionFailedError, InvalidCursorError } from './errors.mjs';
+
+// Single-table layout: every item is keyed by washId and grouped by GlobalPK,
+// with the TimestampIndex GSI (GlobalPK, timestamp) for range queries.
+const KEY = 'washId';
+const INDEX_NAME = 'TimestampIndex';
+
+function encodeCursor(lastKey) {
+  return lastKey ? Buffer.from(JSON.stringify(lastKey)).toString('base64url') : null;
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return undefined;
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch {
+    throw new InvalidCursorError();
+  }
+}
+
+function withCondition(params, condition) {
+  if (!condition) return params;
+  const ctx = { names: {}, values: {} };
+  params.ConditionExpression = toDynamoExpression(condition, ctx, KEY);
+  params.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, ...ctx.names };
+  if (Object.keys(ctx.values).length) {
+    params.ExpressionAttributeValues = { ...params.ExpressionAttributeValues, ...ctx.values };
+  }
+  return params;
+}
+
+function updateParams(tableName, id, set) {
+  const names = {};
+  const values = {};
+  const sets = [];
+  const removes = [];
+  Object.entries(set).forEach(([attr, v], i) => {
+    names[`#u${i}`] = attr;
+    if (v === undefined) {
+      removes.push(`#u${i}`);
+    } else {
+      values[`:u${i}`] = v;
+      sets.push(`#u${i} = :u${i}`);
+    }
+  });
+
+  const params = {
+    TableName: tableName,
+    Key: { [KEY]: id },
+    UpdateExpression: [sets.length && `SET ${sets.join(', ')}`, removes.length && `REMOVE ${removes.join(', ')}`]
+      .filter(Boolean).join(' '),
+    ExpressionAttributeNames: names
+  };
+  if (sets.length) params.ExpressionAttributeValues = values;
+  return params;
+}
+
+function translateError(error) {
+  if (error?.name === 'ConditionalCheckFailedException') {
+    return new ConditionFailedError();
+  }
+  if (error?.name === 'TransactionCanceledException') {
+    const reasons = error.CancellationReasons || [];
+    const index = reasons.findIndex(r => r.Code === 'ConditionalCheckFailed');
+    if (index >= 0) return new ConditionFailedError('Transaction condition check failed.', index);
+    // another transaction touched the same items; callers treat it like a failed condition
+    const conflict = reasons.findIndex(r => r.Code === 'TransactionConflict');
+    if (conflict >= 0) return new ConditionFailedError('Transaction conflict.', conflict);
+  }
+  return error;
+}
+
+export function createDynamoTable({ tableName = process.env.TABLE_NAME, region = process.env.AWS_REGION || 'eu-central-1' } = {}) {
+  if (!tableName) throw new Error('TABLE_NAME must be set for the dynamodb storage backend.');
+
+  const client = DynamoDBDocumentClient.from(new DynamoDBClient({ region }), {
+    marshallOptions: { removeUndefinedValues: true }
+  });
+
+  async function send(command) {
+    try {
+      return await client.send(command);
+    } catch (error) {
+      throw translateError(error);
+    }
+  }
+
+  return {
+    // reachability probe: a strongly consistent read of a key that never exists
+    async ping() {
+      await send(new GetCommand({ TableName: tableName, Key: { [KEY]: '__healthcheck__' }, ConsistentRead: true }));
+    },
+
+    async get(id) {
+      const result = await send(new GetCommand({ TableName: tableName, Key: { [KEY]: id } }));
+      return result.Item || null;
+    },
+
+    async query(partition, { from, to, order = 'desc', limit, cursor, filter } = {}) {
+      const values = { ':pk': partition };
+      let range = '';
+      if (from != null && to != null) {
+        range = ' AND #ts BETWEEN :from AND :to';
+        Object.assign(values, { ':from': from, ':to': to });
+      } else if (from != null) {
+        range = ' AND #ts >= :from';
+        values[':from'] = from;
+      } else if (to != null) {
+        range = ' AND #ts <= :to';
+        values[':to'] = to;
+      }
+
+      const params = {
+        TableName: tableName,
+        IndexName: INDEX_NAME,
+        KeyConditionExpression: `GlobalPK = :pk${range}`,
+        ExpressionAttributeValues: values,
+        ScanIndexForward: order === 'asc',
+        Limit: limit,
+        ExclusiveStartKey: decodeCursor(cursor)
+      };
+      if (range) params.ExpressionAttributeNames = { '#ts': 'timestamp' };
+      if (filter) {
+        const ctx = { names: {}, values: {} };
+        params.FilterExpression = toDynamoExpression(filter, ctx, KEY);
+        params.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, ...ctx.names };
+        Object.assign(params.ExpressionAttributeValues, ctx.values);
+      }
+
+      const result = await send(new QueryCommand(params));
+      return { items: result.Items || [], cursor: encodeCursor(result.LastEvaluatedKey) };
+    },
+
+    async put(item, { condition } = {}) {
+      await send(new PutCommand(withCondition({ TableName: tableName, Item: item }, condition)));
+      return item;
+    },
+
+    async update(id, set, { condition } = {}) {
+      const params = withCondition(updateParams(tableName, id, set), condition);
+      const result = await send(new UpdateCommand({ ...params, ReturnValues: 'ALL_NEW' }));
+      return result.Attributes;
+    },
+
+    async delete(id, { condition } = {}) {
+      const result = await send(new DeleteCommand(withCondition({
+        TableName: tableName,
+        Key: { [KEY]: id },
+        ReturnValues: 'ALL_OLD'
+      }, condition)));
+      return result.Attributes || null;
+    },
+
+    // ops: { put: item } | { update: id, set } | { delete: id } | { check: id }, each with optional condition
+    async transact(ops) {
+      const TransactItems = ops.map(op => {
+        if (op.put) return { Put: withCondition({ TableName: tableName, Item: op.put }, op.condition) };
+        if (op.update) return { Update: withCondition(updateParams(tableName, op.update, op.set), op.condition) };
+        if (op.delete) return { Delete: withCondition({ TableName: tableName, Key: { [KEY]: op.delete } }, op.condition) };
+        if (op.check) return { ConditionCheck: withCondition({ TableName: tableName, Key: { [KEY]: op.check } }, op.condition) };
+        throw new Error(`Unknown transaction operation: ${JSON.stringify(op)}`);
+      });
+      await send(new TransactWriteCommand({ TransactItems }));
+    }
+  };
+}
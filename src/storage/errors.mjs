@@ -0,0 +1,26 @@
+// A write was rejected because its condition did not hold. For transactions,
+// `index` points at the operation whose condition failed.
+export class ConditionFailedError extends Error {
+  constructor(message = 'Condition check failed.', index = null) {
+    super(message);
+    this.name = 'ConditionFailedError';
+    this.index = index;
+  }
+}
+
+// A paging cursor that was not handed out by the storage
+export class InvalidCursorError extends Error {
+  constructor(message = 'Invalid cursor.') {
+    super(message);
+    this.name = 'InvalidCursorError';
+  }
+}
+
+// A write touched a month that was settled while the request was running
+export class PeriodClosedError extends Error {
+  constructor(period) {
+    super(`Period ${period} is closed.`);
+    this.name = 'PeriodClosedError';
+    this.period = period;
+  }
+}
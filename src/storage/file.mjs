@@ -0,0 +1,155 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { evaluateCondition } from './conditions.mjs';
+import { ConditionFailedError, InvalidCursorError } from './errors.mjs';
+import { MAX_TRANSACTION_ITEMS } from './limits.mjs';
+
+// Embedded backend for self-hosting: the whole table lives in one JSON file
+// that is loaded once and rewritten atomically (temp file + rename) after
+// every write. Items have the same shape as in DynamoDB.
+const KEY = 'washId';
+
+// cursors are the offset of the next item; anything else was not handed out here
+function decodeCursor(cursor) {
+  if (!cursor) return 0;
+  if (!/^\d+$/.test(cursor)) throw new InvalidCursorError();
+  return parseInt(cursor, 10);
+}
+
+function clone(item) {
+  return item == null ? null : structuredClone(item);
+}
+
+export function createFileTable({ file = process.env.STORAGE_FILE || path.resolve('data', 'washing-tracker.json') } = {}) {
+  let items = null;
+  let queue = Promise.resolve();
+
+  async function load() {
+    if (items) return items;
+    try {
+      const data = JSON.parse(await fs.readFile(file, 'utf8'));
+      items = new Map(Object.entries(data.items || {}));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      items = new Map();
+    }
+    return items;
+  }
+
+  async function persist() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ version: 1, items: Object.fromEntries(items) }));
+    await fs.rename(tmp, file);
+  }
+
+  // Writes run one at a time so conditions are checked against a stable state.
+  // A failed write drops the in-memory copy so the next access reloads the file.
+  function exclusive(fn) {
+    const run = queue.then(async () => {
+      await load();
+      try {
+        return await fn();
+      } catch (err) {
+        if (!(err instanceof ConditionFailedError)) items = null;
+        throw err;
+      }
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function applyUpdate(id, set) {
+    // like DynamoDB, which refuses to change a key attribute
+    if (KEY in set) throw new Error(`The key attribute ${KEY} cannot be updated.`);
+    const next = { ...items.get(id), [KEY]: id };
+    for (const [attr, v] of Object.entries(set)) {
+      if (v === undefined) delete next[attr];
+      else next[attr] = clone(v);
+    }
+    items.set(id, next);
+    return next;
+  }
+
+  function check(id, condition, index = null) {
+    if (!evaluateCondition(condition, items.get(id))) {
+      throw new ConditionFailedError(index == null ? undefined : 'Transaction condition check failed.', index);
+    }
+  }
+
+  return {
+    // the data file must still be readable and its directory writable
+    async ping() {
+      await fs.readFile(file, 'utf8').then(JSON.parse, err => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.access(path.dirname(file), fs.constants.W_OK);
+    },
+
+    async get(id) {
+      await load();
+      return clone(items.get(id));
+    },
+
+    async query(partition, { from, to, order = 'desc', limit, cursor, filter } = {}) {
+      await load();
+      const offset = decodeCursor(cursor);
+      const matching = [...items.values()]
+        .filter(it => it.GlobalPK === partition)
+        .filter(it => (from == null || it.timestamp >= from) && (to == null || it.timestamp <= to))
+        .sort((a, b) => (order === 'asc' ? a.timestamp - b.timestamp : b.timestamp - a.timestamp));
+
+      // like DynamoDB, the limit applies before the filter
+      const page = limit ? matching.slice(offset, offset + limit) : matching.slice(offset);
+      const nextOffset = offset + page.length;
+      return {
+        items: page.filter(it => evaluateCondition(filter, it)).map(clone),
+        cursor: limit && nextOffset < matching.length ? String(nextOffset) : null
+      };
+    },
+
+    put(item, { condition } = {}) {
+      return exclusive(async () => {
+        check(item[KEY], condition);
+        items.set(item[KEY], clone(item));
+        await persist();
+        return clone(item);
+      });
+    },
+
+    update(id, set, { condition } = {}) {
+      return exclusive(async () => {
+        check(id, condition);
+        const next = applyUpdate(id, set);
+        await persist();
+        return clone(next);
+      });
+    },
+
+    delete(id, { condition } = {}) {
+      return exclusive(async () => {
+        check(id, condition);
+        const old = items.get(id) || null;
+        items.delete(id);
+        await persist();
+        return clone(old);
+      });
+    },
+
+    transact(ops) {
+      if (ops.length > MAX_TRANSACTION_ITEMS) {
+        return Promise.reject(new Error(`A transaction holds at most ${MAX_TRANSACTION_ITEMS} items, got ${ops.length}.`));
+      }
+      return exclusive(async () => {
+        ops.forEach((op, i) => check(op.put ? op.put[KEY] : (op.update ?? op.delete ?? op.check), op.condition, i));
+        for (const op of ops) {
+          if (op.put) items.set(op.put[KEY], clone(op.put));
+          else if (op.update) applyUpdate(op.update, op.set);
+          else if (op.delete) items.delete(op.delete);
+        }
+        await persist();
+      });
+    }
+  };
+}
@@ -0,0 +1,105 @@
+import { DEFAULT_HOUSEHOLD_ID } from '../lib/households.mjs';
+
+// A view of the table that only sees one household. Keys and partitions get
+// the prefix "hh#<householdId>#", so items of other households can neither be
+// read, listed nor overwritten. The repositories never see the prefix.
+//
+// The default household keeps the unprefixed items from before households
+// existed; its view refuses prefixed keys instead.
+const SCOPE_PREFIX = 'hh#';
+
+function isScoped(value) {
+  return typeof value === 'string' && value.startsWith(SCOPE_PREFIX);
+}
+
+function mapCondition(cond, scope) {
+  if (!cond) return cond;
+  if (cond.equals && 'GlobalPK' in cond.equals) {
+    return { equals: { ...cond.equals, GlobalPK: scope(cond.equals.GlobalPK) } };
+  }
+  if (cond.allOf) return { allOf: cond.allOf.map(c => mapCondition(c, scope)) };
+  if (cond.anyOf) return { anyOf: cond.anyOf.map(c => mapCondition(c, scope)) };
+  return cond;
+}
+
+export function scopeTable(table, householdId) {
+  if (householdId === DEFAULT_HOUSEHOLD_ID) {
+    const guard = id => {
+      if (isScoped(id)) throw new Error(`Key "${id}" belongs to another household.`);
+      return id;
+    };
+    return {
+      ...table,
+      get: id => (isScoped(id) ? Promise.resolve(null) : table.get(id)),
+      query: (partition, opts) => table.query(guard(partition), opts),
+      put: (item, opts) => table.put({ ...item, washId: guard(item.washId) }, opts),
+      update: (id, set, opts) => table.update(guard(id), set, opts),
+      delete: (id, opts) => table.delete(guard(id), opts),
+      transact: ops => {
+        ops.forEach(op => guard(op.put ? op.put.washId : (op.update ?? op.delete ?? op.check)));
+        return table.transact(ops);
+      }
+    };
+  }
+
+  const prefix = `${SCOPE_PREFIX}${householdId}#`;
+  const scope = v => (v == null ? v : `${prefix}${v}`);
+  const scopeItem = item => ({ ...item, washId: scope(item.washId), GlobalPK: scope(item.GlobalPK) });
+  const unscope = item => {
+    if (!item) return item;
+    const out = { ...item };
+    for (const attr of ['washId', 'GlobalPK']) {
+      if (typeof out[attr] === 'string' && out[attr].startsWith(prefix)) out[attr] = out[attr].slice(prefix.length);
+    }
+    return out;
+  };
+  const scopeSet = set => ('GlobalPK' in set ? { ...set, GlobalPK: scope(set.GlobalPK) } : set);
+  const scopeOpts = opts => (opts?.condition ? { ...opts, condition: mapCondition(opts.condition, scope) } : opts);
+
+  return {
+    ping: () => table.ping(),
+
+    async get(id) {
+      return unscope(await table.get(scope(id)));
+    },
+
+    async query(partition, opts = {}) {
+      const page = await table.query(scope(partition), opts.filter ? { ...opts, filter: mapCondition(opts.filter, scope) } : opts);
+      return { ...page, items: page.items.map(unscope) };
+    },
+
+    async put(item, opts) {
+      await table.put(scopeItem(item), scopeOpts(opts));
+      return item;
+    },
+
+    async update(id, set, opts) {
+      return unscope(await table.update(scope(id), scopeSet(set), scopeOpts(opts)));
+    },
+
+    async delete(id, opts) {
+      return unscope(await table.delete(scope(id), scopeOpts(opts)));
+    },
+
+    transact(ops) {
+      return table.transact(ops.map(op => {
+        const condition = mapCondition(op.condition, scope);
+        if (op.put) return { put: scopeItem(op.put), condition };
+        if (op.update) return { update: scope(op.update), set: scopeSet(op.set), condition };
+        if (op.delete) return { delete: scope(op.delete), condition };
+        return { check: scope(op.check), condition };
+      }));
+    }
+  };
+}
+
+// The object store as one household sees it: its keys start with the
+// household id (the default household included, objects are newer than households)
+export function scopeObjects(objects, householdId) {
+  const scope = key => `${householdId}/${key}`;
+  return {
+    put: (key, body, opts) => objects.put(scope(key), body, opts),
+    get: key => objects.get(scope(key)),
+    delete: key => objects.delete(scope(key))
+  };
+}
@@ -0,0 +1,88 @@
+import { createDynamoTable } from './dynamodb.mjs';
+import { createFileTable } from './file.mjs';
+import { createLocalObjectStore } from './localobjects.mjs';
+import { createS3ObjectStore } from './s3objects.mjs';
+import { createReadingRepository } from './readings.mjs';
+import { createTariffRepository } from './tariffs.mjs';
+import { createSettlementRepository, createStatementRepository } from './settlements.mjs';
+import { createAuditRepository } from './audit.mjs';
+import { createUserRepository } from './users.mjs';
+import { createReportDeliveryRepository } from './reports.mjs';
+import { createSessionRepository } from './sessions.mjs';
+import { createReservationRepository } from './reservations.mjs';
+import { createApplianceRepository } from './appliances.mjs';
+import { createApiTokenRepository } from './apitokens.mjs';
+import { createTelemetryRepository } from './telemetry.mjs';
+import { createPhotoRepository } from './photos.mjs';
+import { scopeTable, scopeObjects } from './households.mjs';
+
+export { ConditionFailedError, InvalidCursorError, PeriodClosedError } from './errors.mjs';
+export { MAX_TRANSACTION_ITEMS } from './limits.mjs';
+export { MAX_STATEMENTS } from './settlements.mjs';
+
+// STORAGE_BACKEND selects where data lives:
+//   dynamodb (default)  TABLE_NAME, AWS_REGION
+//   file                STORAGE_FILE (default ./data/washing-tracker.json)
+export function createTable(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || 'dynamodb').toLowerCase();
+  switch (backend) {
+    case 'dynamodb':
+      return createDynamoTable({ tableName: env.TABLE_NAME, region: env.AWS_REGION || 'eu-central-1' });
+    case 'file':
+      return createFileTable(env.STORAGE_FILE ? { file: env.STORAGE_FILE } : undefined);
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected "dynamodb" or "file").`);
+  }
+}
+
+// OBJECT_STORE selects where meter photos live:
+//   local (default)  OBJECT_STORE_DIR (default ./data/objects)
+//   s3               OBJECT_STORE_BUCKET, AWS_REGION; OBJECT_STORE_ENDPOINT for an
+//                    S3-compatible server such as MinIO (e.g. http://localhost:9000)
+export function createObjectStore(env = process.env) {
+  const backend = (env.OBJECT_STORE || 'local').toLowerCase();
+  switch (backend) {
+    case 'local':
+      return createLocalObjectStore(env.OBJECT_STORE_DIR ? { dir: env.OBJECT_STORE_DIR } : undefined);
+    case 's3':
+      return createS3ObjectStore({
+        bucket: env.OBJECT_STORE_BUCKET,
+        region: env.AWS_REGION || 'eu-central-1',
+        endpoint: env.OBJECT_STORE_ENDPOINT || undefined
+      });
+    default:
+      throw new Error(`Unknown OBJECT_STORE "${backend}" (expected "local" or "s3").`);
+  }
+}
+
+function createRepositories(table, objects) {
+  return {
+    readings: createReadingRepository(table),
+    tariffs: createTariffRepository(table),
+    settlements: createSettlementRepository(table),
+    statements: createStatementRepository(table),
+    audit: createAuditRepository(table),
+    users: createUserRepository(table),
+    reportDeliveries: createReportDeliveryRepository(table),
+    sessions: createSessionRepository(table),
+    reservations: createReservationRepository(table),
+    appliances: createApplianceRepository(table),
+    apiTokens: createApiTokenRepository(table),
+    telemetry: createTelemetryRepository(table),
+    photos: createPhotoRepository(objects)
+  };
+}
+
+// All data belongs to a household; the repositories of one household only see its items
+export function createStorage(table = createTable(), objects = createObjectStore()) {
+  const households = new Map();
+  return {
+    ping: () => table.ping(),
+    forHousehold(householdId) {
+      if (!households.has(householdId)) {
+        households.set(householdId, createRepositories(scopeTable(table, householdId), scopeObjects(objects, householdId)));
+      }
+      return households.get(householdId);
+    }
+  };
+}
@@ -0,0 +1,3 @@
+// DynamoDB writes at most this many items in one transaction. The file
+// backend enforces the same limit, so a write that works locally works there.
+export const MAX_TRANSACTION_ITEMS = 100;
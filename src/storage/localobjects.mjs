@@ -0,0 +1,45 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Object store on local disk for self-hosting: every object is a file below
+// `dir` (written atomically like the file table), its content type in a
+// "<file>.meta.json" next to it.
+const SEGMENT_RE = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+export function createLocalObjectStore({ dir = process.env.OBJECT_STORE_DIR || path.resolve('data', 'objects') } = {}) {
+  // keys are "/"-separated; no segment may leave the directory
+  function fileOf(key) {
+    const segments = key.split('/');
+    if (!segments.every(s => SEGMENT_RE.test(s))) throw new Error(`Invalid object key "${key}".`);
+    return path.join(dir, ...segments);
+  }
+
+  return {
+    async put(key, body, { contentType }) {
+      const file = fileOf(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, body);
+      await fs.rename(tmp, file);
+      await fs.writeFile(`${file}.meta.json`, JSON.stringify({ contentType }));
+    },
+
+    // { body, contentType }, or null if there is no such object
+    async get(key) {
+      const file = fileOf(key);
+      try {
+        const [body, meta] = await Promise.all([fs.readFile(file), fs.readFile(`${file}.meta.json`, 'utf8')]);
+        return { body, contentType: JSON.parse(meta).contentType };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async delete(key) {
+      const file = fileOf(key);
+      await fs.rm(file, { force: true });
+      await fs.rm(`${file}.meta.json`, { force: true });
+    }
+  };
+}
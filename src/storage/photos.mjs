@@ -0,0 +1,19 @@
+// Meter photos of readings in the object store, one object per photo
+const keyOf = (washId, photoId) => `photos/${washId}/${photoId}`;
+
+export function createPhotoRepository(objects) {
+  return {
+    async put(washId, photoId, body, contentType) {
+      await objects.put(keyOf(washId, photoId), body, { contentType });
+    },
+
+    // { body, contentType } or null
+    async get(washId, photoId) {
+      return objects.get(keyOf(washId, photoId));
+    },
+
+    async delete(washId, photoId) {
+      await objects.delete(keyOf(washId, photoId));
+    }
+  };
+}
@@ -0,0 +1,13 @@
+// A single query returns at most one page (DynamoDB stops at 1 MB). queryAll
+// follows the cursors until the range is exhausted or `limit` items are
+// collected, whichever comes first.
+export async function queryAll(table, partition, { limit, ...opts } = {}) {
+  const items = [];
+  let cursor = null;
+  do {
+    const page = await table.query(partition, { ...opts, cursor, limit: limit ? limit - items.length : undefined });
+    items.push(...page.items);
+    cursor = page.cursor;
+  } while (cursor && !(limit && items.length >= limit));
+  return items;
+}
@@ -0,0 +1,219 @@
+import { queryAll } from './query.mjs';
+import { InvalidCursorError } from './errors.mjs';
+import { transactInOpenPeriods } from './settlements.mjs';
+import { PARTITION as APPLIANCES } from './appliances.mjs';
+import { plugStateOp } from './telemetry.mjs';
+import { DEFAULT_APPLIANCE_ID, applianceOf } from '../lib/appliances.mjs';
+
+// Every appliance has its own chain in its own partition. The default
+// appliance keeps the original partition, so older data needs no migration.
+export const PARTITION = 'ALL_READINGS';
+
+export function readingPartition(applianceId = DEFAULT_APPLIANCE_ID) {
+  return applianceId === DEFAULT_APPLIANCE_ID ? PARTITION : `READINGS#${applianceId}`;
+}
+
+function isReadingPartition(pk) {
+  return pk === PARTITION || (typeof pk === 'string' && pk.startsWith('READINGS#'));
+}
+
+// The chain head points at the newest reading and carries a sequence number.
+// Every write that moves the end of the chain updates it conditionally on the
+// sequence it read, so concurrent submissions cannot both chain onto the same
+// startKWh.
+const HEAD_PARTITION = 'CHAIN_HEADS';
+
+function headId(applianceId = DEFAULT_APPLIANCE_ID) {
+  return applianceId === DEFAULT_APPLIANCE_ID ? 'chain#head' : `chain#head#${applianceId}`;
+}
+
+function ownedBy(owner) {
+  return {
+    anyOf: [
+      { equals: { createdBy: owner } },
+      { equals: { createdBy: undefined, username: owner } }
+    ]
+  };
+}
+
+// `extra` carries further head fields, e.g. the open wash session (undefined removes it)
+export function headWrite(head, next, extra = {}) {
+  const fields = { lastWashId: next?.washId ?? null, endKWh: next?.endKWh ?? 0, timestamp: Date.now(), ...extra };
+  const id = headId(head.applianceId);
+  if (!head.exists) {
+    const item = { washId: id, GlobalPK: HEAD_PARTITION, applianceId: head.applianceId, seq: head.seq + 1, ...fields };
+    Object.keys(item).forEach(k => item[k] === undefined && delete item[k]);
+    return { put: item, condition: { notExists: true } };
+  }
+  return { update: id, set: { ...fields, seq: head.seq + 1 }, condition: { equals: { seq: head.seq } } };
+}
+
+// Leaves the head alone but requires it to be unchanged since it was read
+function headCheck(head) {
+  const id = headId(head.applianceId);
+  return head.exists ? { check: id, condition: { equals: { seq: head.seq } } } : { check: id, condition: { notExists: true } };
+}
+
+function updateOp({ washId, set, owner, expect }, applianceId) {
+  return {
+    update: washId,
+    set,
+    condition: {
+      allOf: [
+        { equals: { GlobalPK: readingPartition(applianceId), ...expect } },
+        ...(owner ? [ownedBy(owner)] : [])
+      ]
+    }
+  };
+}
+
+// Readings of several appliances are merged newest first; equal timestamps
+// are ordered by washId so that pages never overlap or skip an item.
+const newestFirst = (a, b) => b.timestamp - a.timestamp || (a.washId < b.washId) - (a.washId > b.washId);
+
+// A page cursor is the last item handed out: the next page continues below it
+function encodePageCursor(item) {
+  return Buffer.from(JSON.stringify({ t: item.timestamp, id: item.washId })).toString('base64url');
+}
+
+function decodePageCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (Number.isFinite(t) && typeof id === 'string') return { timestamp: t, washId: id };
+  } catch {
+    // reported below
+  }
+  throw new InvalidCursorError();
+}
+
+export function createReadingRepository(table) {
+  async function getLatest(applianceId) {
+    const { items } = await table.query(readingPartition(applianceId), { order: 'desc', limit: 1 });
+    return items[0] || null;
+  }
+
+  async function applianceIdsFor(applianceId) {
+    if (applianceId !== undefined) return [applianceId];
+    const { items } = await table.query(APPLIANCES, { order: 'asc' });
+    return [...new Set([DEFAULT_APPLIANCE_ID, ...items.map(a => a.applianceId)])];
+  }
+
+  return {
+    // Newest first, both bounds inclusive, however many pages the storage
+    // needs. Without applianceId the readings of all appliances are returned.
+    async listByTimeRange(from, to, { applianceId } = {}) {
+      const applianceIds = await applianceIdsFor(applianceId);
+      const results = await Promise.all(applianceIds.map(id => queryAll(table, readingPartition(id), { from, to, order: 'desc' })));
+      return results.flat().sort(newestFirst);
+    },
+
+    // One page of listByTimeRange: { items, cursor }, cursor null on the last page.
+    // Throws InvalidCursorError for a cursor it did not hand out.
+    async listPage(from, to, { applianceId, limit, cursor } = {}) {
+      const after = cursor ? decodePageCursor(cursor) : null;
+      const upper = after ? Math.min(to, after.timestamp) : to;
+      const applianceIds = await applianceIdsFor(applianceId);
+
+      // every partition may hold the whole page; one more tells whether a page follows
+      const results = await Promise.all(applianceIds.map(id => {
+        const partition = readingPartition(id);
+        if (!after) return queryAll(table, partition, { from, to: upper, order: 'desc', limit: limit + 1 });
+        // items sharing the cursor's timestamp may already have been handed out
+        return Promise.all([
+          upper >= from ? queryAll(table, partition, { from: upper, to: upper, order: 'desc' }) : [],
+          upper - 1 >= from ? queryAll(table, partition, { from, to: upper - 1, order: 'desc', limit: limit + 1 }) : []
+        ]).then(([same, older]) => [...same.filter(r => r.washId < after.washId), ...older]);
+      }));
+
+      const merged = results.flat().sort(newestFirst);
+      const items = merged.slice(0, limit);
+      return { items, cursor: merged.length > limit ? encodePageCursor(items[items.length - 1]) : null };
+    },
+
+    getLatest,
+
+    // the newest readings of one appliance, newest first
+    async listRecent(applianceId = DEFAULT_APPLIANCE_ID, limit = 100) {
+      const { items } = await table.query(readingPartition(applianceId), { order: 'desc', limit });
+      return items;
+    },
+
+    // Deployments from before the head existed start from the latest reading
+    async getHead(applianceId = DEFAULT_APPLIANCE_ID) {
+      const head = await table.get(headId(applianceId));
+      if (head) return { ...head, applianceId, exists: true };
+      const latest = await getLatest(applianceId);
+      return { applianceId, lastWashId: latest?.washId ?? null, endKWh: latest?.endKWh ?? 0, seq: 0, exists: false };
+    },
+
+    // the reading that follows in the meter chain of its appliance
+    async getNext(reading) {
+      const { items } = await table.query(readingPartition(applianceOf(reading)), { from: reading.timestamp + 1, order: 'asc', limit: 1 });
+      return items[0] || null;
+    },
+
+    // the reading that precedes it
+    async getPrevious(reading) {
+      const { items } = await table.query(readingPartition(applianceOf(reading)), { to: reading.timestamp - 1, order: 'desc', limit: 1 });
+      return items[0] || null;
+    },
+
+    async get(washId) {
+      const item = await table.get(washId);
+      return isReadingPartition(item?.GlobalPK) ? item : null;
+    },
+
+    // Appends a reading to the end of the chain read as `head`.
+    // Throws ConditionFailedError if the chain moved on in the meantime.
+    // All write methods take `openPeriods`, the months (YYYY-MM) they write
+    // into, and throw PeriodClosedError if one of them got settled.
+    // A wash a smart plug detected passes the plug's new state { state, seq } as `plugState`.
+    async append(reading, head, { openPeriods, plugState, audit } = {}) {
+      const item = { ...reading, GlobalPK: readingPartition(applianceOf(reading)) };
+      await transactInOpenPeriods(table, [
+        { put: item, condition: { notExists: true } },
+        headWrite(head, item),
+        ...(plugState ? [plugStateOp(plugState.state, plugState.seq)] : [])
+      ], openPeriods, audit);
+      return item;
+    },
+
+    // Deletes a reading from its appliance's chain. With `owner` only its creator
+    // may (legacy items without createdBy belong to `username`); admins pass none.
+    // `rechain` is the update letting the following reading start where the
+    // deleted one started. Deleting the newest reading moves the head back to
+    // `previous`. Throws ConditionFailedError otherwise.
+    async delete(washId, { owner = null, applianceId, head, previous, rechain, openPeriods, audit } = {}) {
+      const ops = [{
+        delete: washId,
+        condition: { allOf: [{ equals: { GlobalPK: readingPartition(applianceId) } }, ...(owner ? [ownedBy(owner)] : [])] }
+      }];
+      if (rechain) ops.push(updateOp(rechain, applianceId));
+      if (head && head.lastWashId === washId) ops.push(headWrite(head, previous));
+      await transactInOpenPeriods(table, ops, openPeriods, audit);
+    },
+
+    // Applies several reading updates of one appliance's chain atomically. Each
+    // update may require an owner (creator) and expected current values, e.g.
+    // { startKWh: 12.5 }. When the newest reading changes, pass the head and
+    // the updated reading; the head alone only requires the chain not to move.
+    // Throws ConditionFailedError with the index of the update that failed.
+    async updateMany(updates, { applianceId, head, headReading, openPeriods, audit } = {}) {
+      const ops = updates.map(u => updateOp(u, applianceId));
+      if (head) ops.push(headReading ? headWrite(head, headReading) : headCheck(head));
+      await transactInOpenPeriods(table, ops, openPeriods, audit);
+    },
+
+    // Inserts readings anywhere in the chain together with the updates that
+    // re-chain the readings following them (same shape as in updateMany).
+    // Pass the head, and headReading when the newest reading changes.
+    async insertMany(readings, { applianceId, updates = [], head, headReading, openPeriods, audit } = {}) {
+      const ops = [
+        ...readings.map(r => ({ put: { ...r, GlobalPK: readingPartition(applianceOf(r)) }, condition: { notExists: true } })),
+        ...updates.map(u => updateOp(u, applianceId))
+      ];
+      if (head) ops.push(headReading ? headWrite(head, headReading) : headCheck(head));
+      await transactInOpenPeriods(table, ops, openPeriods, audit);
+    }
+  };
+}
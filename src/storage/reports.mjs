@@ -0,0 +1,34 @@
+import { ConditionFailedError } from './errors.mjs';
+
+const PARTITION = 'REPORT_DELIVERIES';
+
+const itemId = (period, username) => `report#${period}#${username}`;
+
+// One delivery record per period and user, so scheduled runs that are retried
+// or overlap never mail a report twice
+export function createReportDeliveryRepository(table) {
+  return {
+    // Returns false if the report was already sent or is being sent
+    async claim(period, username) {
+      try {
+        await table.put(
+          { washId: itemId(period, username), period, username, status: 'sending', timestamp: Date.now(), GlobalPK: PARTITION },
+          { condition: { notExists: true } }
+        );
+        return true;
+      } catch (error) {
+        if (error instanceof ConditionFailedError) return false;
+        throw error;
+      }
+    },
+
+    async complete(period, username, fields) {
+      await table.update(itemId(period, username), { ...fields, status: 'sent' });
+    },
+
+    // after a failed delivery (or to send again) the next run may claim it anew
+    async release(period, username) {
+      await table.delete(itemId(period, username));
+    }
+  };
+}
@@ -0,0 +1,57 @@
+import { withAudit } from './audit.mjs';
+import { queryAll } from './query.mjs';
+import { DEFAULT_APPLIANCE_ID, applianceOf } from '../lib/appliances.mjs';
+
+const PARTITION = 'RESERVATIONS';
+const CELL_PARTITION = 'RESERVATION_CELLS';
+
+const itemId = reservationId => `reservation#${reservationId}`;
+const cellId = (applianceId, timestamp) => (applianceId === DEFAULT_APPLIANCE_ID
+  ? `reservation-cell#${timestamp}`
+  : `reservation-cell#${applianceId}#${timestamp}`);
+
+function toReservation(item) {
+  const { washId, GlobalPK, timestamp, ...reservation } = item;
+  return reservation;
+}
+
+// Machine bookings. Every booking also owns one item per grid cell it covers
+// on its appliance; a booking whose cells are taken fails with ConditionFailedError.
+export function createReservationRepository(table) {
+  return {
+    // by start, both bounds inclusive
+    async listByTimeRange(from, to) {
+      const items = await queryAll(table, PARTITION, { from, to, order: 'asc' });
+      return items.map(toReservation);
+    },
+
+    async get(reservationId) {
+      const item = await table.get(itemId(reservationId));
+      return item?.GlobalPK === PARTITION ? toReservation(item) : null;
+    },
+
+    async create(reservation, cells, { audit } = {}) {
+      const { reservationId } = reservation;
+      await table.transact(withAudit([
+        { put: { ...reservation, washId: itemId(reservationId), timestamp: reservation.start, GlobalPK: PARTITION }, condition: { notExists: true } },
+        ...cells.map(t => ({
+          put: { washId: cellId(applianceOf(reservation), t), reservationId, timestamp: t, GlobalPK: CELL_PARTITION },
+          condition: { notExists: true }
+        }))
+      ], audit));
+    },
+
+    // frees the cells; the booking itself stays as cancelled
+    async cancel(reservation, cells, cancelledBy, { audit } = {}) {
+      const { reservationId } = reservation;
+      await table.transact(withAudit([
+        {
+          update: itemId(reservationId),
+          set: { status: 'cancelled', cancelledBy, cancelledAt: Date.now() },
+          condition: { equals: { status: 'booked' } }
+        },
+        ...cells.map(t => ({ delete: cellId(applianceOf(reservation), t), condition: { equals: { reservationId } } }))
+      ], audit));
+    }
+  };
+}
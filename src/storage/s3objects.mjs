@@ -0,0 +1,38 @@
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+
+// Object store in an S3 bucket or on an S3-compatible endpoint such as MinIO.
+// Credentials come from the usual AWS environment or role.
+export function createS3ObjectStore({ bucket, region, endpoint }) {
+  const client = new S3Client({
+    region,
+    // MinIO and most self-hosted endpoints only serve path-style URLs
+    ...(endpoint ? { endpoint, forcePathStyle: true } : {})
+  });
+
+  // a deployment without photos need not configure a bucket
+  function bucketName() {
+    if (!bucket) throw new Error('OBJECT_STORE_BUCKET is not set.');
+    return bucket;
+  }
+
+  return {
+    async put(key, body, { contentType }) {
+      await client.send(new PutObjectCommand({ Bucket: bucketName(), Key: key, Body: body, ContentType: contentType }));
+    },
+
+    // { body, contentType }, or null if there is no such object
+    async get(key) {
+      try {
+        const out = await client.send(new GetObjectCommand({ Bucket: bucketName(), Key: key }));
+        return { body: Buffer.from(await out.Body.transformToByteArray()), contentType: out.ContentType };
+      } catch (err) {
+        if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) return null;
+        throw err;
+      }
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucketName(), Key: key }));
+    }
+  };
+}
@@ -0,0 +1,68 @@
+import { withAudit } from './audit.mjs';
+import { queryAll } from './query.mjs';
+import { readingPartition, headWrite } from './readings.mjs';
+import { plugStateOp } from './telemetry.mjs';
+import { applianceOf } from '../lib/appliances.mjs';
+
+const PARTITION = 'SESSIONS';
+
+const itemId = sessionId => `session#${sessionId}`;
+
+function toSession(item) {
+  const { washId, GlobalPK, timestamp, ...session } = item;
+  return session;
+}
+
+// Wash sessions. The open session lives on the chain head, so starting,
+// finishing and plain appends exclude each other through the head's seq.
+// Each session is also kept as its own item for the history.
+export function createSessionRepository(table) {
+  // the head keeps pointing at the newest reading
+  const unchanged = head => ({ washId: head.lastWashId, endKWh: head.endKWh });
+
+  return {
+    // newest first, both bounds inclusive (by start time)
+    async listByTimeRange(from, to) {
+      const items = await queryAll(table, PARTITION, { from, to, order: 'desc' });
+      return items.map(toSession);
+    },
+
+    // `unassigned` is the reading for consumption since the last reading, if any
+    async get(sessionId) {
+      const item = await table.get(itemId(sessionId));
+      return item?.GlobalPK === PARTITION ? toSession(item) : null;
+    },
+
+    async start(session, head, { unassigned, audit } = {}) {
+      const ops = [];
+      if (unassigned) ops.push({ put: { ...unassigned, GlobalPK: readingPartition(applianceOf(unassigned)) }, condition: { notExists: true } });
+      ops.push(
+        headWrite(head, unassigned || unchanged(head), { openSession: session }),
+        { put: { ...session, washId: itemId(session.sessionId), timestamp: session.startedAt, GlobalPK: PARTITION }, condition: { notExists: true } }
+      );
+      await table.transact(withAudit(ops, audit));
+    },
+
+    // `plugState` as for readings.append
+    async finish(session, reading, head, { plugState, audit } = {}) {
+      await table.transact(withAudit([
+        { put: { ...reading, GlobalPK: readingPartition(applianceOf(reading)) }, condition: { notExists: true } },
+        headWrite(head, reading, { openSession: undefined }),
+        {
+          update: itemId(session.sessionId),
+          set: { status: 'finished', endedAt: reading.timestamp, readingWashId: reading.washId },
+          condition: { equals: { status: 'open' } }
+        },
+        ...(plugState ? [plugStateOp(plugState.state, plugState.seq)] : [])
+      ], audit));
+    },
+
+    // status: cancelled | expired
+    async close(session, head, status, { audit } = {}) {
+      await table.transact(withAudit([
+        headWrite(head, unchanged(head), { openSession: undefined }),
+        { update: itemId(session.sessionId), set: { status, endedAt: Date.now() }, condition: { equals: { status: 'open' } } }
+      ], audit));
+    }
+  };
+}
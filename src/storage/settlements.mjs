@@ -0,0 +1,93 @@
+import { withAudit } from './audit.mjs';
+import { queryAll } from './query.mjs';
+import { ConditionFailedError, PeriodClosedError } from './errors.mjs';
+import { MAX_TRANSACTION_ITEMS } from './limits.mjs';
+
+const SETTLEMENTS = 'SETTLEMENTS';
+const STATEMENTS = 'STATEMENTS';
+
+// closing a month writes the marker, one statement per owner and the audit entry at once
+export const MAX_STATEMENTS = MAX_TRANSACTION_ITEMS - 2;
+
+const settlementId = period => `settlement#${period}`;
+const statementItemId = statementId => `statement#${statementId}`;
+
+// Runs a transaction only while none of `periods` is settled: closing a month
+// and writing into it exclude each other through the settlement marker.
+// Throws PeriodClosedError for a settled period; a ConditionFailedError keeps
+// the index of the operation in `ops`.
+export async function transactInOpenPeriods(table, ops, periods = [], audit) {
+  const open = [...new Set(periods)];
+  try {
+    await table.transact(withAudit([
+      ...open.map(period => ({ check: settlementId(period), condition: { notExists: true } })),
+      ...ops
+    ], audit));
+  } catch (error) {
+    if (!(error instanceof ConditionFailedError) || error.index == null) throw error;
+    if (error.index < open.length) throw new PeriodClosedError(open[error.index]);
+    throw new ConditionFailedError(error.message, error.index - open.length);
+  }
+}
+
+function strip(item) {
+  const { washId, GlobalPK, timestamp, ...rest } = item;
+  return rest;
+}
+
+export function createSettlementRepository(table) {
+  return {
+    async list() {
+      const { items } = await table.query(SETTLEMENTS, { order: 'desc' });
+      return items.map(strip);
+    },
+
+    async isClosed(period) {
+      return !!(await table.get(settlementId(period)));
+    },
+
+    // Writes the settlement marker and its statements atomically.
+    // Throws ConditionFailedError (index 0) if the period is already closed.
+    async close(settlement, statements, periodStart, { audit } = {}) {
+      await table.transact(withAudit([
+        {
+          put: { ...settlement, washId: settlementId(settlement.period), timestamp: periodStart, GlobalPK: SETTLEMENTS },
+          condition: { notExists: true }
+        },
+        ...statements.map(st => ({
+          put: { ...st, washId: statementItemId(st.statementId), timestamp: periodStart, GlobalPK: STATEMENTS }
+        }))
+      ], audit));
+    }
+  };
+}
+
+export function createStatementRepository(table) {
+  return {
+    // newest period first, both bounds inclusive
+    async listByTimeRange(from, to) {
+      const items = await queryAll(table, STATEMENTS, { from, to, order: 'desc' });
+      return items.map(strip);
+    },
+
+    async listOpen(ownerUsername) {
+      const items = await queryAll(table, STATEMENTS, {
+        order: 'asc',
+        filter: { equals: { ownerUsername, paid: false } }
+      });
+      return items.map(strip);
+    },
+
+    async get(statementId) {
+      const item = await table.get(statementItemId(statementId));
+      return item?.GlobalPK === STATEMENTS ? strip(item) : null;
+    },
+
+    // Throws ConditionFailedError if the statement does not exist
+    async updatePayment(statementId, payment, { audit } = {}) {
+      await table.transact(withAudit([
+        { update: statementItemId(statementId), set: payment, condition: { exists: true } }
+      ], audit));
+    }
+  };
+}
@@ -0,0 +1,46 @@
+import { withAudit } from './audit.mjs';
+
+const PARTITION = 'TARIFFS';
+
+const itemId = tariffId => `tariff#${tariffId}`;
+
+function toTariff(item) {
+  const { washId, GlobalPK, timestamp, ...tariff } = item;
+  return tariff;
+}
+
+export function createTariffRepository(table) {
+  return {
+    // ordered by validFrom
+    async list() {
+      const { items } = await table.query(PARTITION, { order: 'asc' });
+      return items.map(toTariff);
+    },
+
+    // Optionally closes an open-ended predecessor at the new tariff's validFrom
+    async create(tariff, { supersedes, audit } = {}) {
+      const item = {
+        ...tariff,
+        washId: itemId(tariff.tariffId),
+        timestamp: Date.parse(`${tariff.validFrom}T00:00:00Z`),
+        GlobalPK: PARTITION
+      };
+      const ops = [{ put: item, condition: { notExists: true } }];
+      if (supersedes) {
+        ops.push({ update: itemId(supersedes), set: { validTo: tariff.validFrom }, condition: { exists: true } });
+      }
+      await table.transact(withAudit(ops, audit));
+      return toTariff(item);
+    },
+
+    async get(tariffId) {
+      const item = await table.get(itemId(tariffId));
+      return item?.GlobalPK === PARTITION ? toTariff(item) : null;
+    },
+
+    // Throws ConditionFailedError if the tariff does not exist
+    async delete(tariffId, { audit } = {}) {
+      await table.transact(withAudit([{ delete: itemId(tariffId), condition: { exists: true } }], audit));
+    }
+  };
+}
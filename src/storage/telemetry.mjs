@@ -0,0 +1,35 @@
+const PARTITION = 'TELEMETRY';
+
+const itemId = deviceId => `plug#${deviceId}`;
+
+function toState(item) {
+  const { washId, GlobalPK, timestamp, ...state } = item;
+  return state;
+}
+
+// The write of a plug's state, conditional on the `seq` of the state read (0 if
+// none). Reading writes take it as `plugState`, so a detected wash and the state
+// that finished it are stored together or not at all.
+export function plugStateOp(state, seq) {
+  const item = { ...state, washId: itemId(state.deviceId), timestamp: Date.now(), GlobalPK: PARTITION, seq: seq + 1 };
+  Object.keys(item).forEach(k => item[k] === undefined && delete item[k]);
+  return { put: item, condition: seq ? { equals: { GlobalPK: PARTITION, seq } } : { notExists: true } };
+}
+
+// Wash detection state per smart plug. Every save is conditional on the seq
+// it read, so samples arriving at the same time cannot both advance it.
+export function createTelemetryRepository(table) {
+  return {
+    // null for a plug that has not reported yet
+    async get(deviceId) {
+      const item = await table.get(itemId(deviceId));
+      return item?.GlobalPK === PARTITION ? toState(item) : null;
+    },
+
+    // `seq` is the sequence of the state read (0 if none). Throws ConditionFailedError if it moved on.
+    async save(state, seq) {
+      const { put, condition } = plugStateOp(state, seq);
+      await table.put(put, { condition });
+    }
+  };
+}
@@ -0,0 +1,51 @@
+import { withAudit } from './audit.mjs';
+import { ConditionFailedError } from './errors.mjs';
+
+const PARTITION = 'USERS';
+
+const itemId = username => `user#${username}`;
+
+function toProfile(item) {
+  const { washId, GlobalPK, timestamp, ...profile } = item;
+  return profile;
+}
+
+// The household's users and their settings, keyed by the Cloudflare Access username
+export function createUserRepository(table) {
+  const putOp = profile => ({
+    put: { ...profile, washId: itemId(profile.username), timestamp: profile.createdAt ?? Date.now(), GlobalPK: PARTITION },
+    condition: { notExists: true }
+  });
+
+  return {
+    async list() {
+      const { items } = await table.query(PARTITION, { order: 'asc' });
+      return items.map(toProfile);
+    },
+
+    async get(username) {
+      const item = await table.get(itemId(username));
+      return item?.GlobalPK === PARTITION ? toProfile(item) : null;
+    },
+
+    // Creates the profile on first sight, with the email from the login token; a no-op if it exists
+    async remember(username, defaults, { audit } = {}) {
+      try {
+        await table.transact(withAudit([putOp({ ...defaults, username })], audit));
+      } catch (error) {
+        if (!(error instanceof ConditionFailedError)) throw error;
+      }
+    },
+
+    // Registers a user ahead of their first login. Throws ConditionFailedError if they exist.
+    async create(profile, { audit } = {}) {
+      await table.transact(withAudit([putOp(profile)], audit));
+    },
+
+    async update(username, set, { audit } = {}) {
+      await table.transact(withAudit([
+        { update: itemId(username), set, condition: { equals: { GlobalPK: PARTITION } } }
+      ], audit));
+    }
+  };
+}
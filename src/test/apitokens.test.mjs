@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { isAllowedForToken } from '../lib/apitokens.mjs';
+import { startApp } from './helpers.mjs';
+
+let ctx;
+let readToken;
+let submitToken;
+
+before(async () => {
+  ctx = await startApp();
+  const create = async scope => (await ctx.request('POST', '/tokens', { body: { name: `${scope} script`, scope } })).body;
+  readToken = await create('read');
+  submitToken = await create('submit');
+});
+
+after(() => ctx.close());
+
+test('a read token may only read', () => {
+  assert.equal(isAllowedForToken('read', 'GET', '/readings'), true);
+  assert.equal(isAllowedForToken('read', 'HEAD', '/summary'), true);
+  assert.equal(isAllowedForToken('read', 'POST', '/readings'), false);
+  assert.equal(isAllowedForToken('read', 'POST', '/sessions'), false);
+  assert.equal(isAllowedForToken('read', 'POST', '/telemetry'), false);
+  assert.equal(isAllowedForToken('read', 'GET', '/telemetry'), false);
+});
+
+test('a submit token may submit readings, photos, sessions and telemetry, but change nothing else', () => {
+  assert.equal(isAllowedForToken('submit', 'POST', '/readings'), true);
+  assert.equal(isAllowedForToken('submit', 'PUT', '/readings/abc/photo'), true);
+  assert.equal(isAllowedForToken('submit', 'POST', '/sessions'), true);
+  assert.equal(isAllowedForToken('submit', 'POST', '/sessions/abc/finish'), true);
+  assert.equal(isAllowedForToken('submit', 'GET', '/telemetry'), true);
+  assert.equal(isAllowedForToken('submit', 'POST', '/telemetry'), true);
+  assert.equal(isAllowedForToken('submit', 'PATCH', '/readings/abc'), false);
+  assert.equal(isAllowedForToken('submit', 'DELETE', '/readings/abc'), false);
+  assert.equal(isAllowedForToken('submit', 'POST', '/readings/import'), false);
+  assert.equal(isAllowedForToken('submit', 'DELETE', '/sessions/abc'), false);
+});
+
+test('no token may manage tokens', () => {
+  for (const scope of ['read', 'submit']) {
+    assert.equal(isAllowedForToken(scope, 'GET', '/tokens'), false);
+    assert.equal(isAllowedForToken(scope, 'POST', '/tokens'), false);
+    assert.equal(isAllowedForToken(scope, 'DELETE', '/tokens/abc'), false);
+  }
+});
+
+test('the API enforces the scope of a token', async () => {
+  assert.equal((await ctx.request('GET', '/readings', { bearer: readToken.token })).status, 200);
+
+  const refused = await ctx.request('POST', '/readings', { bearer: readToken.token, body: { currentKWh: 10 } });
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.code, 'token_scope');
+
+  const created = await ctx.request('POST', '/readings', { bearer: submitToken.token, body: { currentKWh: 10 } });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.reading.createdBy, 'Anna');
+  assert.equal(created.body.reading.apiTokenId, submitToken.tokenId);
+
+  const deleted = await ctx.request('DELETE', `/readings/${created.body.reading.washId}`, { bearer: submitToken.token });
+  assert.equal(deleted.status, 403);
+  assert.equal(deleted.body.code, 'token_scope');
+
+  const listed = await ctx.request('GET', '/tokens', { bearer: submitToken.token });
+  assert.equal(listed.status, 403);
+  assert.equal(listed.body.code, 'token_scope');
+});
+
+test('revoked and unknown tokens are refused', async () => {
+  assert.equal((await ctx.request('DELETE', `/tokens/${readToken.tokenId}`)).status, 200);
+
+  const revoked = await ctx.request('GET', '/readings', { bearer: readToken.token });
+  assert.equal(revoked.status, 401);
+  assert.equal(revoked.body.code, 'api_token_revoked');
+
+  const unknown = await ctx.request('GET', '/readings', { bearer: `${readToken.token.slice(0, -4)}AAAA` });
+  assert.equal(unknown.status, 401);
+  assert.equal(unknown.body.code, 'api_token_invalid');
+});
@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateApplianceInput, normalizeAppliance, withDefaultAppliance, tariffsForPlan } from '../lib/appliances.mjs';
+import { startApp } from './helpers.mjs';
+
+test('validates appliance input', () => {
+  assert.equal(validateApplianceInput({ name: 'Dryer', plugId: 'shellyplus1pm-a8032ab12345', tariffPlan: 'night' }), null);
+  assert.equal(validateApplianceInput({ name: ' ' }).code, 'invalid_appliance_name');
+  assert.equal(validateApplianceInput({ name: 'Dryer', plugId: 'no spaces' }).code, 'invalid_plug_id');
+  assert.equal(validateApplianceInput({ name: 'Dryer', tariffPlan: 'Night Rate' }).code, 'invalid_tariff_plan');
+  assert.equal(validateApplianceInput({ meterId: 'M-2' }, { partial: true }), null);
+  assert.deepEqual(normalizeAppliance({ name: ' Dryer ', meterId: ' ', plugId: '' }), { name: 'Dryer', meterId: null, plugId: null });
+});
+
+test('the default appliance always comes first', () => {
+  const [first, second] = withDefaultAppliance([{ applianceId: 'dryer', name: 'Dryer' }]);
+  assert.equal(first.applianceId, 'default');
+  assert.equal(second.applianceId, 'dryer');
+  assert.deepEqual(tariffsForPlan([{ tariffId: 'a' }, { tariffId: 'b', plan: 'night' }]).map(t => t.tariffId), ['a']);
+});
+
+let ctx;
+let dryer;
+
+before(async () => {
+  ctx = await startApp();
+  await ctx.request('POST', '/users', { body: { username: 'Bob' } });
+  await ctx.request('POST', '/tariffs', { body: { validFrom: '2020-01-01', pricePerKWh: 0.2 } });
+  await ctx.request('POST', '/tariffs', { body: { validFrom: '2020-01-01', pricePerKWh: 0.5, plan: 'dryer' } });
+  dryer = (await ctx.request('POST', '/appliances', { body: { name: 'Dryer', tariffPlan: 'dryer', plugId: 'plug-1' } })).body.appliance;
+});
+
+after(() => ctx.close());
+
+test('each appliance has its own meter chain and tariff plan', async () => {
+  await ctx.request('POST', '/readings', { body: { currentKWh: 100 } });
+  await ctx.request('POST', '/readings', { body: { currentKWh: 5, applianceId: dryer.applianceId } });
+  const washer = (await ctx.request('POST', '/readings', { body: { currentKWh: 101 } })).body.reading;
+  const dried = (await ctx.request('POST', '/readings', { body: { currentKWh: 7, applianceId: dryer.applianceId } })).body.reading;
+
+  assert.equal(washer.startKWh, 100);
+  assert.equal(washer.costCHF, 0.2);
+  assert.equal(dried.startKWh, 5);
+  assert.equal(dried.costCHF, 1);
+  assert.equal((await ctx.request('GET', `/latest-kwh?applianceId=${dryer.applianceId}`)).body.latestEndKWh, 7);
+  assert.deepEqual((await ctx.request('GET', `/readings?applianceId=${dryer.applianceId}`)).body.map(r => r.washId).includes(washer.washId), false);
+});
+
+test('readings for an unknown appliance are refused', async () => {
+  const res = await ctx.request('POST', '/readings', { body: { currentKWh: 1, applianceId: 'nope' } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'unknown_appliance');
+});
+
+test('a smart plug measures one appliance only', async () => {
+  const res = await ctx.request('POST', '/appliances', { body: { name: 'Second dryer', plugId: 'plug-1' } });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'plug_in_use');
+});
+
+test('editing the default appliance stores it', async () => {
+  const res = await ctx.request('PATCH', '/appliances/default', { body: { name: 'Washer', meterId: 'M-1' } });
+  assert.equal(res.status, 200);
+  const [washer] = (await ctx.request('GET', '/appliances')).body;
+  assert.equal(washer.name, 'Washer');
+  assert.equal(washer.meterId, 'M-1');
+  assert.equal((await ctx.request('PATCH', '/appliances/nope', { body: { name: 'X' } })).status, 404);
+});
+
+test('only admins manage appliances', async () => {
+  const res = await ctx.request('POST', '/appliances', { user: 'Bob', body: { name: 'Bob’s dryer' } });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'admin_required');
+});
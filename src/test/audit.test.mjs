@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { auditEntry, matchesAuditFilter } from '../lib/audit.mjs';
+import { startApp } from './helpers.mjs';
+
+test('an entry names everyone a change affected', () => {
+  const entry = auditEntry({
+    actor: 'Anna',
+    action: 'reading.update',
+    targetType: 'reading',
+    targetId: 'w1',
+    before: { washId: 'w1', ownerUsername: 'Bob', GlobalPK: 'READINGS' },
+    after: { washId: 'w1', ownerUsername: 'Carla', GlobalPK: 'READINGS' }
+  });
+  assert.deepEqual(entry.subjects, ['Bob', 'Carla']);
+  assert.equal(entry.before.GlobalPK, undefined);
+  assert.equal(matchesAuditFilter(entry, { user: 'Bob' }), true);
+  assert.equal(matchesAuditFilter(entry, { user: 'Dora' }), false);
+  assert.equal(matchesAuditFilter(entry, { action: 'reading.delete' }), false);
+});
+
+let ctx;
+
+before(async () => {
+  ctx = await startApp();
+  await ctx.request('POST', '/users', { body: { username: 'Bob' } });
+});
+
+after(() => ctx.close());
+
+test('creating, editing and deleting a reading is recorded with its before and after', async () => {
+  await ctx.request('POST', '/readings', { body: { currentKWh: 100 } });
+  const { reading } = (await ctx.request('POST', '/readings', { body: { currentKWh: 101, forUsername: 'Bob' } })).body;
+  await ctx.request('PATCH', `/readings/${reading.washId}`, { body: { notes: 'hot wash' } });
+  assert.equal((await ctx.request('DELETE', `/readings/${reading.washId}`)).status, 204);
+
+  const entries = (await ctx.request('GET', `/audit?user=Bob`)).body.filter(e => e.targetId === reading.washId);
+  assert.deepEqual(entries.map(e => e.action).sort(), ['reading.create', 'reading.delete', 'reading.update']);
+  const update = entries.find(e => e.action === 'reading.update');
+  assert.equal(update.actor, 'Anna');
+  assert.equal(update.before.notes, '');
+  assert.equal(update.after.notes, 'hot wash');
+  // a deleted reading can be recovered from its entry
+  assert.equal(entries.find(e => e.action === 'reading.delete').before.endKWh, 101);
+});
+
+test('the audit log filters by action and validates its query', async () => {
+  const created = (await ctx.request('GET', '/audit?action=user.create')).body;
+  assert.ok(created.every(e => e.action === 'user.create'));
+  assert.ok(created.some(e => e.after.username === 'Bob' && e.actor === 'Anna'));
+
+  assert.equal((await ctx.request('GET', '/audit?action=reading.burn')).body.code, 'unknown_audit_action');
+  assert.equal((await ctx.request('GET', '/audit?from=2024-13-01')).body.code, 'invalid_audit_dates');
+});
+
+test('only admins read the audit log', async () => {
+  const res = await ctx.request('GET', '/audit', { user: 'Bob' });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'admin_required');
+});
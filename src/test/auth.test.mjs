@@ -0,0 +1,70 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { AuthError, createTokenVerifier } from '../lib/auth.mjs';
+import { startIdentityProvider, ISSUER, AUDIENCE, KEY_ID } from './helpers.mjs';
+
+let idp;
+let verifyToken;
+
+before(async () => {
+  idp = await startIdentityProvider();
+  verifyToken = createTokenVerifier({ jwksUrl: idp.jwksUrl, issuer: ISSUER, audience: [AUDIENCE], clockTolerance: 60, jwksCacheMs: 600000 });
+});
+
+after(() => idp.close());
+
+const rejectsWith = (token, code) =>
+  assert.rejects(verifyToken(token), err => err instanceof AuthError && err.code === code && err.status === 401);
+
+const base64url = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+test('accepts a token from the configured issuer for the application', async () => {
+  const payload = await verifyToken(idp.sign('Anna'));
+  assert.equal(payload.custom.family_name, 'Anna');
+});
+
+test('rejects a token for another application (aud)', () =>
+  rejectsWith(idp.sign('Anna', { audience: 'other-application' }), 'token_audience'));
+
+test('rejects a token from another issuer (iss)', () =>
+  rejectsWith(idp.sign('Anna', { issuer: 'https://evil.cloudflareaccess.com' }), 'token_issuer'));
+
+test('rejects an expired token (exp), beyond the clock tolerance', () =>
+  rejectsWith(idp.sign('Anna', { expiresIn: -120 }), 'token_expired'));
+
+test('accepts a token that expired within the clock tolerance', async () => {
+  const payload = await verifyToken(idp.sign('Anna', { expiresIn: -30 }));
+  assert.equal(payload.custom.family_name, 'Anna');
+});
+
+test('rejects a token without expiry', () =>
+  rejectsWith(idp.sign('Anna', { expiresIn: undefined }), 'token_malformed'));
+
+test('rejects an HMAC-signed token (alg)', () => {
+  const token = jwt.sign({ custom: { family_name: 'Anna' } }, 'shared-secret', {
+    algorithm: 'HS256', keyid: KEY_ID, audience: AUDIENCE, issuer: ISSUER, expiresIn: '10m'
+  });
+  return rejectsWith(token, 'token_algorithm');
+});
+
+test('rejects an unsigned token (alg none)', () => {
+  const exp = Math.floor(Date.now() / 1000) + 600;
+  const token = `${base64url({ alg: 'none', typ: 'JWT', kid: KEY_ID })}.${base64url({ aud: AUDIENCE, iss: ISSUER, exp })}.`;
+  return rejectsWith(token, 'token_algorithm');
+});
+
+test('rejects a token signed with an unknown key', () =>
+  rejectsWith(idp.sign('Anna', { keyid: 'rotated-away' }), 'token_unknown_key'));
+
+test('rejects a token whose payload was changed', () => {
+  const [header, , signature] = idp.sign('Anna').split('.');
+  const payload = base64url({ custom: { family_name: 'Admin' }, aud: AUDIENCE, iss: ISSUER, exp: Math.floor(Date.now() / 1000) + 600 });
+  return rejectsWith(`${header}.${payload}.${signature}`, 'token_signature');
+});
+
+test('fails closed when authentication is not configured', () =>
+  assert.rejects(
+    createTokenVerifier({ jwksUrl: null, issuer: null, audience: [], clockTolerance: 60, jwksCacheMs: 600000 })(idp.sign('Anna')),
+    { code: 'auth_not_configured', status: 500 }
+  ));
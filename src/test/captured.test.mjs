@@ -0,0 +1,65 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.mjs';
+
+const day = 24 * 60 * 60 * 1000;
+let ctx;
+
+before(async () => {
+  ctx = await startApp();
+  await ctx.request('POST', '/readings', { body: { currentKWh: 100, capturedAt: Date.UTC(2024, 0, 10) } });
+  await ctx.request('POST', '/readings', { body: { currentKWh: 101, capturedAt: Date.UTC(2024, 0, 20) } });
+  await ctx.request('POST', '/settlements', { body: { period: '2024-01' } });
+  await ctx.request('POST', '/readings', { body: { currentKWh: 102, capturedAt: Date.now() - 3 * day } });
+});
+
+after(() => ctx.close());
+
+const latest = async () => (await ctx.request('GET', '/latest-kwh')).body.latestEndKWh;
+
+test('a reading sent later is recorded as of when the meter was read', async () => {
+  const capturedAt = Date.now() - 2 * day;
+  const res = await ctx.request('POST', '/readings', { body: { currentKWh: 103, capturedAt } });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.reading.timestamp, capturedAt);
+});
+
+test('capture times that are no timestamps are refused', async () => {
+  for (const capturedAt of ['2024-05-01', 0, -1, 1.5]) {
+    const res = await ctx.request('POST', '/readings', { body: { currentKWh: 104, capturedAt } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'invalid_captured_at');
+  }
+});
+
+test('a capture time in the future is refused beyond a small clock skew', async () => {
+  const res = await ctx.request('POST', '/readings', { body: { currentKWh: 104, capturedAt: Date.now() + 60 * 60 * 1000 } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'captured_at_in_future');
+
+  // a clock running slightly ahead counts as now
+  const ahead = Date.now() + 60 * 1000;
+  const skewed = await ctx.request('POST', '/readings', { body: { currentKWh: 104, capturedAt: ahead } });
+  assert.equal(skewed.status, 201);
+  assert.ok(skewed.body.reading.timestamp < ahead);
+});
+
+test('a reading captured before the newest one is refused', async () => {
+  const res = await ctx.request('POST', '/readings', { body: { currentKWh: 105, capturedAt: Date.now() - day } });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'captured_before_latest');
+  assert.equal(res.body.latestEndKWh, 104);
+  assert.equal(await latest(), 104);
+});
+
+test('a reading captured in a settled month is refused', async () => {
+  // an appliance whose chain has no reading after January yet
+  const dryer = (await ctx.request('POST', '/appliances', { body: { name: 'Dryer' } })).body.appliance;
+  const res = await ctx.request('POST', '/readings', {
+    body: { currentKWh: 50, capturedAt: Date.UTC(2024, 0, 25), applianceId: dryer.applianceId }
+  });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'month_closed');
+  assert.match(res.body.message, /2024-01/);
+  assert.equal((await ctx.request('GET', `/latest-kwh?applianceId=${dryer.applianceId}`)).body.latestEndKWh, 0);
+});
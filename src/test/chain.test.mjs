@@ -0,0 +1,46 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConditionFailedError } from '../storage/index.mjs';
+import { startApp } from './helpers.mjs';
+
+let ctx;
+let readings;
+
+before(async () => {
+  ctx = await startApp();
+  readings = ctx.storage.forHousehold(ctx.households[0].id).readings;
+});
+
+after(() => ctx.close());
+
+const chainMoved = async () => { throw new ConditionFailedError(); };
+
+test('a reading that lost the race for the chain is appended on the next attempt', async (t) => {
+  assert.equal((await ctx.request('POST', '/readings', { body: { currentKWh: 100 } })).status, 201);
+
+  const append = t.mock.method(readings, 'append');
+  append.mock.mockImplementationOnce(chainMoved);
+  const res = await ctx.request('POST', '/readings', { body: { currentKWh: 101.5 } });
+
+  assert.equal(res.status, 201);
+  assert.equal(res.body.reading.startKWh, 100);
+  assert.equal(append.mock.callCount(), 2);
+});
+
+test('POST /readings answers 409 when the chain moved on every attempt', async (t) => {
+  const append = t.mock.method(readings, 'append', chainMoved);
+  const res = await ctx.request('POST', '/readings', { body: { currentKWh: 103 } });
+
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'chain_moved');
+  assert.equal(res.body.latestEndKWh, 101.5);
+  assert.equal(append.mock.callCount(), 3); // MAX_APPEND_ATTEMPTS
+});
+
+test('POST /readings answers 409 when the chain is no longer where the client saw it', async () => {
+  const res = await ctx.request('POST', '/readings', { body: { currentKWh: 103, expectedStartKWh: 100 } });
+
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'chain_moved');
+  assert.equal(res.body.latestEndKWh, 101.5);
+});
@@ -0,0 +1,66 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.mjs';
+
+let ctx;
+let readings;
+
+before(async () => {
+  ctx = await startApp();
+  readings = ctx.storage.forHousehold(ctx.households[0].id).readings;
+});
+
+after(() => ctx.close());
+
+const post = async currentKWh => (await ctx.request('POST', '/readings', { body: { currentKWh } })).body.reading;
+
+test('correcting a reading re-chains the one after it', async () => {
+  await post(100);
+  const middle = await post(102);
+  const last = await post(105);
+
+  const res = await ctx.request('PATCH', `/readings/${middle.washId}`, { body: { endKWh: 101 } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.reading.deltaKWh, 1);
+  assert.equal(res.body.next.washId, last.washId);
+  assert.equal(res.body.next.startKWh, 101);
+  assert.equal(res.body.next.deltaKWh, 4);
+  assert.equal((await readings.get(last.washId)).deltaKWh, 4);
+});
+
+test('a correction may not reach past the following reading', async () => {
+  const [, middle] = (await ctx.request('GET', '/readings')).body.sort((a, b) => b.timestamp - a.timestamp);
+  const res = await ctx.request('PATCH', `/readings/${middle.washId}`, { body: { endKWh: 106 } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'end_above_next');
+});
+
+test('correcting the newest reading moves the chain head', async () => {
+  const newest = await post(107);
+  assert.equal((await ctx.request('PATCH', `/readings/${newest.washId}`, { body: { endKWh: 106.5 } })).status, 200);
+  assert.equal((await ctx.request('GET', '/latest-kwh')).body.latestEndKWh, 106.5);
+});
+
+test('a reading appended during a correction makes the correction fail', async t => {
+  const newest = await post(108);
+  let appended;
+  // the reading arrives after the edit looked for a following one
+  t.mock.method(readings, 'getNext').mock.mockImplementationOnce(async () => {
+    appended = await post(109);
+    return null;
+  });
+
+  const res = await ctx.request('PATCH', `/readings/${newest.washId}`, { body: { endKWh: 107.5 } });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'reading_changed');
+  assert.equal((await readings.get(newest.washId)).endKWh, 108);
+  assert.equal((await readings.get(appended.washId)).startKWh, 108);
+});
+
+test('only the creator or an admin edits a reading', async () => {
+  await ctx.request('POST', '/users', { body: { username: 'Bob' } });
+  const [newest] = (await ctx.request('GET', '/readings')).body.sort((a, b) => b.timestamp - a.timestamp);
+  const res = await ctx.request('PATCH', `/readings/${newest.washId}`, { user: 'Bob', body: { notes: 'mine' } });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'reading_forbidden');
+});
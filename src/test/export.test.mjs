@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import JSZip from 'jszip';
+import { exportTables, toCsv, toWorkbook } from '../lib/export.mjs';
+import { startApp } from './helpers.mjs';
+
+const readings = [
+  { washId: 'b', applianceId: 'dryer', ownerUsername: 'Bob', startKWh: 10, endKWh: 12, deltaKWh: 2, costCHF: 0.6, notes: 'towels, "hot"', timestamp: Date.UTC(2024, 0, 20) },
+  { washId: 'a', ownerUsername: 'Anna', startKWh: 0, endKWh: 10, deltaKWh: 10, costCHF: 3, notes: '', timestamp: Date.UTC(2024, 0, 10) }
+];
+const appliances = [{ applianceId: 'dryer', name: 'Tumbler' }];
+
+test('exports readings oldest first with their appliance names', () => {
+  const { readings: rows } = exportTables(readings, 'readings', { appliances });
+  assert.deepEqual(rows.map(r => r.washId), ['a', 'b']);
+  assert.equal(rows[1].appliance, 'Tumbler');
+  assert.equal(rows[1].timestamp, '2024-01-20T00:00:00.000Z');
+});
+
+test('all data means one table per aggregate', () => {
+  assert.deepEqual(Object.keys(exportTables(readings, 'all', { appliances })), ['readings', 'byUser', 'byAppliance', 'byMonth']);
+});
+
+test('CSV quotes values with commas, quotes or line breaks', () => {
+  assert.equal(toCsv([{ a: 'x, y', b: 'say "hi"', c: null }]), 'a,b,c\r\n"x, y","say ""hi""",\r\n');
+  assert.equal(toCsv([]), '');
+});
+
+test('XLSX workbooks hold one sheet per table', async () => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await toWorkbook(exportTables(readings, 'all', { appliances }), 'xlsx'));
+  assert.deepEqual(workbook.worksheets.map(s => s.name), ['readings', 'byUser', 'byAppliance', 'byMonth']);
+  const sheet = workbook.getWorksheet('readings');
+  assert.equal(sheet.getRow(1).getCell(1).value, 'washId');
+  assert.equal(sheet.getRow(3).getCell(1).value, 'b');
+});
+
+test('ODS files start with their uncompressed mimetype and type their cells', async () => {
+  const buffer = await toWorkbook({ readings: [{ washId: 'a', deltaKWh: 1.5, imported: false, notes: 'a < b' }] }, 'ods');
+  // the mimetype entry's name and content follow the 30-byte local file header
+  assert.equal(buffer.toString('latin1', 30, 38), 'mimetype');
+  assert.equal(buffer.toString('latin1', 38, 84), 'application/vnd.oasis.opendocument.spreadsheet');
+
+  const content = await (await JSZip.loadAsync(buffer)).file('content.xml').async('string');
+  assert.match(content, /<table:table table:name="readings">/);
+  assert.match(content, /office:value-type="float" office:value="1.5"/);
+  assert.match(content, /office:boolean-value="false"/);
+  assert.match(content, /<text:p>a &lt; b<\/text:p>/);
+});
+
+let ctx;
+
+before(async () => {
+  ctx = await startApp();
+  await ctx.request('POST', '/readings', { body: { currentKWh: 100, capturedAt: Date.UTC(2024, 0, 10) } });
+  await ctx.request('POST', '/readings', { body: { currentKWh: 101.5, capturedAt: Date.UTC(2024, 0, 20) } });
+});
+
+after(() => ctx.close());
+
+test('GET /export sends a month as a CSV attachment', async () => {
+  const res = await ctx.request('GET', '/export?format=csv&year=2024&month=1');
+  assert.equal(res.status, 200);
+  const [header, ...lines] = res.text.trim().split('\r\n');
+  assert.ok(header.startsWith('washId,timestamp,'));
+  assert.equal(lines.length, 2);
+});
+
+test('GET /export sends JSON tables', async () => {
+  const res = await ctx.request('GET', '/export?format=json&data=by-user&year=2024&month=1');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.map(row => row.user), ['Anna']);
+});
+
+test('GET /export refuses unknown formats and several tables as CSV', async () => {
+  assert.equal((await ctx.request('GET', '/export?format=pdf')).body.code, 'unknown_export_format');
+  assert.equal((await ctx.request('GET', '/export?data=everything')).body.code, 'unknown_export_data');
+  assert.equal((await ctx.request('GET', '/export?format=csv&data=all')).body.code, 'csv_single_table');
+});
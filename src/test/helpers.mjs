@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+
+export const ISSUER = 'https://test.cloudflareaccess.com';
+export const AUDIENCE = 'test-audience';
+export const KEY_ID = 'test-key';
+
+// Stands in for Cloudflare Access: publishes a signing key and signs tokens with it
+export async function startIdentityProvider() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' };
+  const server = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ keys: [jwk] }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    jwksUrl: `http://127.0.0.1:${server.address().port}/cdn-cgi/access/certs`,
+    // a CF_Authorization token for `username`; `options` go to jwt.sign (undefined drops a default)
+    sign(username, options = {}) {
+      const payload = { email: `${username.toLowerCase()}@example.com`, custom: { family_name: username } };
+      const signOptions = { algorithm: 'RS256', keyid: KEY_ID, audience: AUDIENCE, issuer: ISSUER, expiresIn: '10m', ...options };
+      Object.keys(signOptions).forEach(k => signOptions[k] === undefined && delete signOptions[k]);
+      return jwt.sign(payload, privateKey, signOptions);
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Starts the app with file storage in a temporary directory. index.mjs reads
+// its configuration when it is loaded, so this works once per test file.
+export async function startApp() {
+  const idp = await startIdentityProvider();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'washing-tracker-test-'));
+  Object.assign(process.env, {
+    CF_JWKS_URL: idp.jwksUrl,
+    CF_ISSUER: ISSUER,
+    CF_AUDIENCE: AUDIENCE,
+    STORAGE_BACKEND: 'file',
+    STORAGE_FILE: path.join(dir, 'data.json'),
+    OBJECT_STORE: 'local',
+    OBJECT_STORE_DIR: path.join(dir, 'objects')
+  });
+  const mod = await import('../index.mjs');
+  const server = mod.app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.on('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    ...mod,
+    idp,
+    // as `user` signed in through Cloudflare Access, or with an API token (`bearer`)
+    async request(method, url, { user = 'Anna', bearer = null, body, headers: extra = {} } = {}) {
+      const headers = { 'Accept-Language': 'en', ...extra };
+      if (bearer) headers.Authorization = `Bearer ${bearer}`;
+      else if (user) headers.Cookie = `CF_Authorization=${idp.sign(user)}`;
+      if (body !== undefined) headers['Content-Type'] = 'application/json';
+      const res = await fetch(base + url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+      const text = await res.text();
+      let json = null;
+      try { json = JSON.parse(text); } catch { /* not JSON */ }
+      return { status: res.status, body: json, text };
+    },
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      await idp.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
@@ -0,0 +1,62 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadHouseholds, householdsOf, listedUsernames } from '../lib/households.mjs';
+import { startApp } from './helpers.mjs';
+
+test('without HOUSEHOLDS everybody shares the default household', () => {
+  const [household] = loadHouseholds({});
+  assert.equal(household.id, 'default');
+  assert.deepEqual(householdsOf([household], { username: 'anyone' }), [household]);
+});
+
+test('members are addresses, domains or usernames', () => {
+  const households = loadHouseholds({ HOUSEHOLDS: 'h12=House 12:Anna@Example.ch,ben;h14=:*@h14.ch' });
+  assert.deepEqual(households.map(h => [h.id, h.name]), [['h12', 'House 12'], ['h14', 'h14']]);
+  assert.deepEqual(householdsOf(households, { username: 'x', email: 'anna@example.ch' }).map(h => h.id), ['h12']);
+  assert.deepEqual(householdsOf(households, { username: 'Ben' }).map(h => h.id), ['h12']);
+  assert.deepEqual(householdsOf(households, { username: 'x', email: 'carla@h14.ch' }).map(h => h.id), ['h14']);
+  assert.deepEqual(listedUsernames(households[0]), ['ben']);
+});
+
+test('invalid or duplicate households are configuration errors', () => {
+  assert.throws(() => loadHouseholds({ HOUSEHOLDS: 'House 12:anna' }), /Invalid HOUSEHOLDS entry/);
+  assert.throws(() => loadHouseholds({ HOUSEHOLDS: 'a=A:*;a=B:*' }), /defined twice/);
+});
+
+let ctx;
+
+before(async () => {
+  process.env.HOUSEHOLDS = 'home=Home:anna,bob;flat=Flat:anna,carla';
+  ctx = await startApp();
+});
+
+after(() => ctx.close());
+
+const inHousehold = id => ({ headers: { 'X-Household': id } });
+
+test('members see their households, the first one active', async () => {
+  const res = await ctx.request('GET', '/households');
+  assert.deepEqual(res.body, { active: 'home', households: [{ id: 'home', name: 'Home' }, { id: 'flat', name: 'Flat' }] });
+  assert.equal((await ctx.request('GET', '/households', { user: 'Carla' })).body.active, 'flat');
+});
+
+test('each household keeps its own readings', async () => {
+  await ctx.request('POST', '/readings', { body: { currentKWh: 100 }, ...inHousehold('home') });
+  await ctx.request('POST', '/readings', { body: { currentKWh: 7 }, ...inHousehold('flat') });
+
+  assert.equal((await ctx.request('GET', '/latest-kwh', inHousehold('home'))).body.latestEndKWh, 100);
+  assert.equal((await ctx.request('GET', '/latest-kwh', { user: 'Carla' })).body.latestEndKWh, 7);
+  assert.deepEqual((await ctx.request('GET', '/readings', { user: 'Carla' })).body.map(r => r.endKWh), [7]);
+});
+
+test('nobody reaches a household they do not belong to', async () => {
+  const other = await ctx.request('GET', '/readings', { user: 'Bob', ...inHousehold('flat') });
+  assert.equal(other.status, 403);
+  assert.equal(other.body.code, 'household_forbidden');
+
+  assert.equal((await ctx.request('PUT', '/households/active', { user: 'Bob', body: { householdId: 'flat' } })).status, 403);
+
+  const stranger = await ctx.request('GET', '/readings', { user: 'Dora' });
+  assert.equal(stranger.status, 403);
+  assert.equal(stranger.body.code, 'no_household');
+});
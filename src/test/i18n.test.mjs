@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import vm from 'vm';
+import { LOCALES, translate, negotiateLocale, problem, apiError } from '../lib/i18n.mjs';
+import { DEFAULT_APPLIANCE_ID, withDefaultAppliance } from '../lib/appliances.mjs';
+import { startApp } from './helpers.mjs';
+
+const publicDir = new URL('../public/home/', import.meta.url);
+
+// dotted paths of every text in a catalog
+function keysOf(catalog, prefix = '') {
+  return Object.entries(catalog).flatMap(([key, value]) =>
+    typeof value === 'string' ? [`${prefix}${key}`] : keysOf(value, `${prefix}${key}.`)
+  ).sort();
+}
+
+// the catalogs of the page register themselves with WashI18n
+function pageCatalog(lang) {
+  let catalog = null;
+  const source = fs.readFileSync(new URL(`js/locales/${lang}.js`, publicDir), 'utf8');
+  vm.runInNewContext(source, { WashI18n: { register: (_, c) => { catalog = c; } } });
+  return catalog;
+}
+
+test('picks the best supported language of the request', () => {
+  assert.equal(negotiateLocale('fr-CH,fr;q=0.9,en;q=0.8'), 'fr');
+  assert.equal(negotiateLocale('es-ES,it;q=0.5,en;q=0.7'), 'en');
+  assert.equal(negotiateLocale('es, en;q=0'), 'de');
+  assert.equal(negotiateLocale(undefined), 'de');
+});
+
+test('fills placeholders with Swiss number formats and falls back to German, then the key', () => {
+  assert.equal(translate('fr', 'anomaly.above_max', { limitKWh: 10.5 }), translate('fr', 'anomaly.above_max').replace('{limitKWh}', '10,5'));
+  assert.equal(translate('xx', 'defaults.household'), 'Haushalt');
+  assert.equal(translate('en', 'no.such.key'), 'no.such.key');
+});
+
+test('an unnamed default appliance is named in the given language', () => {
+  assert.equal(withDefaultAppliance([], 'it')[0].name, 'Lavatrice');
+  assert.equal(withDefaultAppliance([{ applianceId: DEFAULT_APPLIANCE_ID, tariffPlan: 'default' }], 'en')[0].name, 'Washing machine');
+  assert.equal(withDefaultAppliance([{ applianceId: DEFAULT_APPLIANCE_ID, name: 'Miele' }], 'en')[0].name, 'Miele');
+});
+
+test('error responses carry a stable code and a translated message', () => {
+  const invalid = problem('invalid_limit', { max: 500 });
+  const en = apiError({ locale: 'en' }, invalid);
+  const it = apiError({ locale: 'it' }, invalid);
+  assert.equal(en.code, 'invalid_limit');
+  assert.equal(it.code, 'invalid_limit');
+  assert.notEqual(en.message, it.message);
+  assert.match(en.message, /500/);
+});
+
+test('the server catalogs have the same texts in every language', async () => {
+  const catalogs = await Promise.all(LOCALES.map(l => import(`../locales/${l}.mjs`).then(m => m.default)));
+  const [german, ...others] = catalogs.map(c => keysOf(c));
+  for (const keys of others) assert.deepEqual(keys, german);
+});
+
+test('the page catalogs have the same texts in every language', () => {
+  const [german, ...others] = LOCALES.map(l => keysOf(pageCatalog(l)));
+  for (const keys of others) assert.deepEqual(keys, german);
+});
+
+test('the app manifest is translated into every language', () => {
+  const read = name => JSON.parse(fs.readFileSync(new URL(name, publicDir), 'utf8'));
+  const german = read('manifest.webmanifest');
+  for (const lang of LOCALES.filter(l => l !== 'de')) {
+    const manifest = read(`manifest.${lang}.webmanifest`);
+    assert.equal(manifest.lang, lang);
+    assert.equal(manifest.name, pageCatalog(lang).app.title);
+    assert.notEqual(manifest.description, german.description);
+    assert.deepEqual({ ...manifest, name: null, short_name: null, description: null, lang: null },
+      { ...german, name: null, short_name: null, description: null, lang: null });
+  }
+});
+
+let ctx;
+
+before(async () => {
+  ctx = await startApp();
+});
+
+after(() => ctx.close());
+
+const inLanguage = (lang, method, url, body) => ctx.request(method, url, { headers: { 'Accept-Language': lang }, body });
+
+test('the default appliance and household are named in the reader\'s language', async () => {
+  assert.equal((await inLanguage('fr', 'GET', '/appliances')).body[0].name, 'Machine à laver');
+  assert.equal((await inLanguage('de', 'GET', '/appliances')).body[0].name, 'Waschmaschine');
+  assert.deepEqual((await inLanguage('it', 'GET', '/households')).body.households, [{ id: 'default', name: 'Economia domestica' }]);
+  assert.equal((await inLanguage('en', 'GET', '/username')).body.household.name, 'Household');
+});
+
+test('editing the default appliance keeps it named in the reader\'s language until it is renamed', async () => {
+  const edited = await inLanguage('en', 'PATCH', '/appliances/default', { meterId: 'M-1' });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.appliance.name, 'Washing machine');
+  assert.equal((await inLanguage('fr', 'GET', '/appliances')).body[0].name, 'Machine à laver');
+
+  await inLanguage('en', 'PATCH', '/appliances/default', { name: 'Miele' });
+  assert.equal((await inLanguage('fr', 'GET', '/appliances')).body[0].name, 'Miele');
+});
@@ -0,0 +1,119 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseLocalDateTime, parseImportRows, planImport, MAX_IMPORT_ROWS } from '../lib/import.mjs';
+import { startApp } from './helpers.mjs';
+
+test('splits CSV on the delimiter of its first line and keeps quoted fields whole', () => {
+  assert.deepEqual(parseCsv('a;b\n"x;1";"say ""hi"""\r\n\n3;4'), [
+    { line: 1, fields: ['a', 'b'] },
+    { line: 2, fields: ['x;1', 'say "hi"'] },
+    { line: 4, fields: ['3', '4'] }
+  ]);
+  assert.deepEqual(parseCsv('a,b\n1,2').map(r => r.fields), [['a', 'b'], ['1', '2']]);
+  assert.deepEqual(parseCsv('a\tb').map(r => r.fields), [['a', 'b']]);
+});
+
+test('reads local dates in Swiss time, at noon without a time', () => {
+  assert.equal(parseLocalDateTime('2024-01-15'), Date.parse('2024-01-15T11:00:00Z'));
+  assert.equal(parseLocalDateTime('15.07.2024 08:30'), Date.parse('2024-07-15T06:30:00Z'));
+  assert.ok(Number.isNaN(parseLocalDateTime('31.02.2024')));
+  assert.ok(Number.isNaN(parseLocalDateTime('2024-01-15 24:00')));
+  assert.ok(Number.isNaN(parseLocalDateTime('yesterday')));
+});
+
+test('skips a header and reports invalid rows', () => {
+  const rows = parseImportRows("date;kWh;owner;notes\n2024-01-15;1'234,5;Bob;cold, quick\nsoon;-1");
+  assert.equal(rows.length, 2);
+  assert.equal(rows[0].endKWh, 1234.5);
+  assert.equal(rows[0].ownerUsername, 'Bob');
+  assert.equal(rows[0].notes, 'cold, quick');
+  assert.deepEqual(rows[1].errors.map(e => e.code), ['import_invalid_date', 'import_invalid_kwh']);
+});
+
+test('places rows into the chain and re-chains the reading after them', () => {
+  const existing = [
+    { washId: 'old', startKWh: 0, endKWh: 100, deltaKWh: 100, timestamp: Date.parse('2024-01-01T12:00:00Z') },
+    { washId: 'next', startKWh: 100, endKWh: 110, deltaKWh: 10, timestamp: Date.parse('2024-03-01T12:00:00Z') }
+  ];
+  const plan = planImport(parseImportRows('2024-02-01;104'), existing, {
+    creator: 'Anna', tariffs: [], closedPeriods: new Set(), importId: 'i1'
+  });
+  assert.equal(plan.valid, true);
+  assert.equal(plan.readings[0].startKWh, 100);
+  assert.equal(plan.readings[0].deltaKWh, 4);
+  assert.deepEqual(plan.updates.map(u => [u.washId, u.set.startKWh, u.set.deltaKWh]), [['next', 104, 6]]);
+});
+
+test('refuses rows in settled months and rows that do not increase', () => {
+  const existing = [{ washId: 'old', startKWh: 0, endKWh: 100, deltaKWh: 100, timestamp: Date.parse('2024-01-01T12:00:00Z') }];
+  const plan = planImport(parseImportRows('2023-12-20;90\n2024-02-01;99'), existing, {
+    creator: 'Anna', tariffs: [], closedPeriods: new Set(['2023-12']), importId: 'i1'
+  });
+  assert.equal(plan.valid, false);
+  assert.deepEqual(plan.readings, []);
+  assert.deepEqual(plan.rows.map(r => r.errors.map(e => e.code)), [['import_month_settled'], ['import_not_increasing']]);
+});
+
+let ctx;
+let readings;
+
+before(async () => {
+  ctx = await startApp();
+  readings = ctx.storage.forHousehold(ctx.households[0].id).readings;
+});
+
+after(() => ctx.close());
+
+const importCsv = (csv, dryRun) => ctx.request('POST', '/readings/import', { body: { csv, dryRun } });
+
+test('a dry run only previews the import', async () => {
+  const res = await importCsv('2024-01-10;100\n2024-01-20;101.5');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.dryRun, true);
+  assert.equal(res.body.summary.totalKWh, 101.5);
+  assert.deepEqual((await ctx.request('GET', '/readings?year=2024&month=1')).body, []);
+});
+
+test('an import is written as a whole and moves the chain head', async () => {
+  const res = await importCsv('2024-01-10;100\n2024-01-20;101.5\n2024-02-05;103', false);
+  assert.equal(res.status, 201);
+  assert.equal(res.body.imported, 3);
+  assert.equal((await ctx.request('GET', '/latest-kwh')).body.latestEndKWh, 103);
+
+  const audit = (await ctx.request('GET', '/audit?action=reading.import&from=2020-01-01')).body;
+  assert.equal(audit.length, 1);
+  assert.equal(audit[0].related.length, 3);
+});
+
+test('rows between existing readings re-chain the following one', async () => {
+  const res = await importCsv('2024-01-25;102', false);
+  assert.equal(res.status, 201);
+  const february = (await ctx.request('GET', '/readings?year=2024&month=2')).body;
+  assert.equal(february[0].startKWh, 102);
+  assert.equal(february[0].deltaKWh, 1);
+});
+
+test('an import racing another write changes nothing', async t => {
+  const insertMany = readings.insertMany;
+  // another reading is appended after the import read the chain
+  t.mock.method(readings, 'insertMany', async (...args) => {
+    await ctx.request('POST', '/readings', { body: { currentKWh: 104 } });
+    return insertMany(...args);
+  });
+
+  const res = await importCsv('2024-03-01;103.5', false);
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'reading_changed');
+  assert.deepEqual((await ctx.request('GET', '/readings?year=2024&month=3')).body, []);
+});
+
+test('an import that does not fit into one transaction is refused', async () => {
+  const tooMany = Array.from({ length: MAX_IMPORT_ROWS + 1 }, (_, i) => `2020-01-01;${i + 1}`).join('\n');
+  assert.equal((await importCsv(tooMany)).body.code, 'csv_too_many_rows');
+
+  // each row of its own month adds a check that the month is still open
+  const spread = Array.from({ length: 60 }, (_, i) => `${2010 + Math.floor(i / 12)}-${String(i % 12 + 1).padStart(2, '0')}-01;${(i + 1) / 10}`).join('\n');
+  const res = await importCsv(spread, false);
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'import_too_large');
+});
@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateMeterEventInput } from '../lib/readings.mjs';
+import { checkChain } from '../lib/consistency.mjs';
+import { startApp } from './helpers.mjs';
+
+test('validates meter event types and values', () => {
+  assert.equal(validateMeterEventInput({ type: 'swap', oldMeterFinalKWh: 10, newMeterStartKWh: 0 }).code, 'invalid_meter_event_type');
+  assert.equal(validateMeterEventInput({ type: 'reset', oldMeterFinalKWh: -1, newMeterStartKWh: 0 }).code, 'invalid_old_meter_final');
+  assert.equal(validateMeterEventInput({ type: 'reset', oldMeterFinalKWh: 10 }).code, 'invalid_new_meter_start');
+  // only a replacement may start higher than the old meter ended
+  assert.equal(validateMeterEventInput({ type: 'rollover', oldMeterFinalKWh: 10, newMeterStartKWh: 20 }).code, 'new_meter_start_not_lower');
+  assert.equal(validateMeterEventInput({ type: 'replacement', oldMeterFinalKWh: 10, newMeterStartKWh: 20 }), null);
+});
+
+test('a meter event closes the chain at the old meter and continues at the new one', () => {
+  const chain = checkChain([
+    { washId: 'a', startKWh: 100, endKWh: 102, deltaKWh: 2, timestamp: 1 },
+    { washId: 'm', meterEvent: 'replacement', startKWh: 102, oldMeterFinalKWh: 102, endKWh: 0.5, deltaKWh: 0, timestamp: 2 },
+    { washId: 'b', startKWh: 0.5, endKWh: 1.5, deltaKWh: 1, timestamp: 3 }
+  ]);
+  assert.deepEqual(chain, { checked: 3, ok: true, issues: [] });
+});
+
+let ctx;
+
+before(async () => {
+  ctx = await startApp();
+  await ctx.request('POST', '/readings', { body: { currentKWh: 100 } });
+  await ctx.request('POST', '/readings', { body: { currentKWh: 101.2 } });
+});
+
+after(() => ctx.close());
+
+test('a final value below the last reading is refused', async () => {
+  const res = await ctx.request('POST', '/readings/meter-events', { body: { type: 'replacement', oldMeterFinalKWh: 101, newMeterStartKWh: 0 } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'meter_decreased');
+  assert.equal(res.body.latestEndKWh, 101.2);
+});
+
+test('an outdated expected start value is refused', async () => {
+  const res = await ctx.request('POST', '/readings/meter-events', {
+    body: { type: 'replacement', oldMeterFinalKWh: 101.5, newMeterStartKWh: 0, expectedStartKWh: 100 }
+  });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'chain_moved');
+});
+
+test('after a replacement readings continue from the new meter', async () => {
+  const res = await ctx.request('POST', '/readings/meter-events', {
+    body: { type: 'replacement', oldMeterFinalKWh: 101.5, newMeterStartKWh: 0.2, expectedStartKWh: 101.2 }
+  });
+  assert.equal(res.status, 201);
+  const event = res.body.reading;
+  assert.equal(event.meterEvent, 'replacement');
+  // consumption up to the old meter's final value nobody claimed
+  assert.equal(event.deltaKWh, 0.3);
+  assert.equal(event.unassigned, true);
+  assert.equal(event.endKWh, 0.2);
+
+  assert.equal((await ctx.request('GET', '/latest-kwh')).body.latestEndKWh, 0.2);
+  const next = await ctx.request('POST', '/readings', { body: { currentKWh: 1.4 } });
+  assert.equal(next.status, 201);
+  assert.equal(next.body.reading.startKWh, 0.2);
+  assert.equal(next.body.reading.deltaKWh, 1.2);
+
+  const consistency = await ctx.request('GET', '/readings/consistency');
+  assert.equal(consistency.body.ok, true);
+});
+
+test('summaries count the unassigned rest of the old meter, not the jump', async () => {
+  const summary = (await ctx.request('GET', '/summary')).body;
+  // the first reading counts from 0, the new meter's 0.2 kWh counts for nobody
+  assert.equal(summary.total.kWh, 102.7);
+  assert.equal(summary.byUser.find(u => u.user === 'unassigned').kWh, 0.3);
+  assert.equal(summary.byUser.find(u => u.user === 'Anna').kWh, 102.4);
+});
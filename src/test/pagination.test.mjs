@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { queryAll } from '../storage/query.mjs';
+import { aggregateReadings } from '../lib/aggregate.mjs';
+import { startApp } from './helpers.mjs';
+
+// a table that hands out `pageSize` items per query, like DynamoDB at its 1 MB limit
+function pagedTable(items, pageSize) {
+  return {
+    async query(partition, { cursor, limit }) {
+      const start = cursor ? Number(cursor) : 0;
+      const end = Math.min(start + pageSize, limit ? start + limit : Infinity);
+      return { items: items.slice(start, end), cursor: end < items.length ? String(end) : null };
+    }
+  };
+}
+
+test('queryAll follows the cursors to the end of the range', async () => {
+  const items = Array.from({ length: 7 }, (_, i) => ({ washId: `r${i}` }));
+  assert.deepEqual(await queryAll(pagedTable(items, 3), 'READINGS'), items);
+  assert.deepEqual((await queryAll(pagedTable(items, 3), 'READINGS', { limit: 4 })).map(r => r.washId), ['r0', 'r1', 'r2', 'r3']);
+});
+
+test('aggregates per user and month with min, max, average and period', () => {
+  const summary = aggregateReadings([
+    { washId: 'a', ownerUsername: 'Anna', deltaKWh: 1, costCHF: 0.3, timestamp: Date.UTC(2024, 0, 31, 23) },
+    { washId: 'b', ownerUsername: 'Anna', deltaKWh: 2, timestamp: Date.UTC(2024, 1, 1) },
+    { washId: 'c', ownerUsername: 'Bob', deltaKWh: 0.5, costCHF: 0.15, timestamp: Date.UTC(2024, 1, 2), applianceId: 'dryer' }
+  ], { appliances: [{ applianceId: 'dryer', name: 'Dryer' }] });
+
+  assert.deepEqual(summary.period, { firstTimestamp: Date.UTC(2024, 0, 31, 23), lastTimestamp: Date.UTC(2024, 1, 2) });
+  assert.deepEqual(summary.total, { kWh: 3.5, costCHF: 0.45, count: 3, unpricedCount: 1, minKWh: 0.5, maxKWh: 2, avgKWh: 1.167 });
+  const anna = summary.byUser.find(u => u.user === 'Anna');
+  assert.deepEqual([anna.minKWh, anna.maxKWh, anna.avgKWh], [1, 2, 1.5]);
+  assert.deepEqual(summary.byMonthUser.map(m => [m.month, m.user, m.kWh]), [['2024-01', 'Anna', 1], ['2024-02', 'Anna', 2], ['2024-02', 'Bob', 0.5]]);
+  assert.deepEqual(summary.byAppliance.map(a => a.appliance), ['default', 'Dryer']);
+});
+
+let ctx;
+const hour = 60 * 60 * 1000;
+const march = Date.UTC(2024, 2, 1);
+
+before(async () => {
+  ctx = await startApp();
+  const dryer = (await ctx.request('POST', '/appliances', { body: { name: 'Dryer' } })).body.appliance;
+  const entries = [
+    [100, 0], [101, 1], [102.5, 2], [103, 3],
+    // the chains share timestamps, so page boundaries fall between equal timestamps
+    [50, 0, dryer.applianceId], [51, 2, dryer.applianceId]
+  ];
+  for (const [currentKWh, hours, applianceId] of entries) {
+    await ctx.request('POST', '/readings', { body: { currentKWh, capturedAt: march + hours * hour, applianceId } });
+  }
+});
+
+after(() => ctx.close());
+
+test('pages through all readings of every appliance, newest first', async () => {
+  const all = (await ctx.request('GET', '/readings?year=2024')).body;
+  assert.equal(all.length, 6);
+
+  const seen = [];
+  let cursor = null;
+  do {
+    const query = cursor ? `year=2024&limit=2&cursor=${cursor}` : 'year=2024&limit=2';
+    const page = (await ctx.request('GET', `/readings?${query}`)).body;
+    assert.ok(page.items.length <= 2);
+    seen.push(...page.items);
+    cursor = page.cursor;
+  } while (cursor);
+
+  assert.deepEqual(seen.map(r => r.washId), all.map(r => r.washId));
+});
+
+test('refuses limits out of range and cursors it did not hand out', async () => {
+  for (const limit of ['0', '501', '2.5', 'ten']) {
+    const res = await ctx.request('GET', `/readings?limit=${limit}`);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'invalid_limit');
+  }
+  const res = await ctx.request('GET', '/readings?cursor=not-a-cursor');
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'invalid_cursor');
+});
+
+test('the summary is computed over the whole range on the server', async () => {
+  const res = await ctx.request('GET', '/summary?year=2024&month=3');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.from, '2024-03-01T00:00:00.000Z');
+  assert.equal(res.body.total.count, 6);
+  assert.equal(res.body.total.kWh, 154);
+  const dryer = res.body.byAppliance.find(a => a.appliance === 'Dryer');
+  assert.deepEqual([dryer.kWh, dryer.count, dryer.minKWh, dryer.maxKWh, dryer.avgKWh], [51, 2, 1, 50, 25.5]);
+});
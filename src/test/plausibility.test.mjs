@@ -0,0 +1,88 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPlausibilityConfig, historyLimit, checkPlausibility } from '../lib/plausibility.mjs';
+import { startApp } from './helpers.mjs';
+
+const config = loadPlausibilityConfig({});
+const washes = (owner, ...deltas) => deltas.map((deltaKWh, i) => ({ washId: `${owner}${i}`, ownerUsername: owner, deltaKWh }));
+
+test('reads the configuration with its defaults', () => {
+  assert.deepEqual(config, { maxKWh: 10, spread: 4, minHistory: 5, historySize: 100 });
+  // 0 turns the maximum off
+  assert.equal(loadPlausibilityConfig({ PLAUSIBILITY_MAX_KWH: '0' }).maxKWh, 0);
+});
+
+test('needs enough history before comparing with it', () => {
+  assert.equal(historyLimit([1, 1, 1, 1], config), null);
+  // a perfectly regular history still allows a quarter of the median per spread
+  assert.deepEqual(historyLimit([1, 1, 1, 1, 1], config), { medianKWh: 1, limitKWh: 2, sampleSize: 5 });
+});
+
+test('flags deltas above the maximum or far above the history', () => {
+  const history = [...washes('Anna', 1, 1.1, 0.9, 1, 1.2), ...washes('Bob', 1.5, 1.4, 1.6, 1.5, 1.5)];
+  assert.deepEqual(checkPlausibility(1.3, { ownerUsername: 'Anna', history, config }), []);
+  assert.deepEqual(
+    checkPlausibility(2.5, { ownerUsername: 'Anna', history, config }).map(r => r.code),
+    ['above_owner_history']
+  );
+  assert.deepEqual(
+    checkPlausibility(12, { ownerUsername: 'Bob', history, config }).map(r => r.code),
+    ['above_max', 'above_owner_history', 'above_appliance_history']
+  );
+});
+
+test('flagged readings and unassigned consumption are no history', () => {
+  const history = [
+    ...washes('Anna', 1, 1, 1, 1),
+    { washId: 'x', ownerUsername: 'Anna', deltaKWh: 8, anomaly: { reasons: [] } },
+    { washId: 'y', ownerUsername: null, unassigned: true, deltaKWh: 9 }
+  ];
+  // four comparable washes are too few
+  assert.deepEqual(checkPlausibility(5, { ownerUsername: 'Anna', history, config }), []);
+  assert.deepEqual(
+    checkPlausibility(5, { ownerUsername: 'Anna', history: [...history, ...washes('Bob', 1)], config }).map(r => r.code),
+    ['above_appliance_history']
+  );
+});
+
+let ctx;
+
+before(async () => {
+  ctx = await startApp();
+  await ctx.request('POST', '/readings', { body: { currentKWh: 100 } });
+});
+
+after(() => ctx.close());
+
+test('the first reading only records where the meter stood', async () => {
+  const latest = (await ctx.request('GET', '/latest-kwh')).body.latestEndKWh;
+  assert.equal(latest, 100);
+});
+
+test('an implausible reading is only stored when confirmed, and then flagged', async () => {
+  const refused = await ctx.request('POST', '/readings', { body: { currentKWh: 115 } });
+  assert.equal(refused.status, 409);
+  assert.equal(refused.body.code, 'implausible_reading');
+  assert.equal(refused.body.deltaKWh, 15);
+  assert.deepEqual(refused.body.reasons, [{ code: 'above_max', limitKWh: 10 }]);
+  assert.equal((await ctx.request('GET', '/latest-kwh')).body.latestEndKWh, 100);
+
+  const invalid = await ctx.request('POST', '/readings', { body: { currentKWh: 115, confirmAnomaly: 'yes' } });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'invalid_confirm_anomaly');
+
+  const confirmed = await ctx.request('POST', '/readings', { body: { currentKWh: 115, confirmAnomaly: true } });
+  assert.equal(confirmed.status, 201);
+  assert.deepEqual(confirmed.body.reading.anomaly.reasons, refused.body.reasons);
+  assert.equal(confirmed.body.reading.anomaly.confirmedBy, 'Anna');
+});
+
+test('flagged readings are listed for review', async () => {
+  await ctx.request('POST', '/readings', { body: { currentKWh: 116 } });
+
+  const res = await ctx.request('GET', '/readings/anomalies');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.count, 1);
+  assert.equal(res.body.totalKWh, 15);
+  assert.equal(res.body.readings[0].endKWh, 115);
+});
@@ -0,0 +1,92 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadProgramConfig, validateWashInput, washFields, programStatistics } from '../lib/programs.mjs';
+import { startApp } from './helpers.mjs';
+
+const config = loadProgramConfig({});
+
+test('reads programs and temperatures, skipping malformed entries', () => {
+  const custom = loadProgramConfig({ WASH_PROGRAMS: 'cotton=Cotton, Bad Id=x,quick', WASH_TEMPERATURES: '60,30,100,abc' });
+  assert.deepEqual(custom.programs, [{ id: 'cotton', label: 'Cotton' }, { id: 'quick', label: 'quick' }]);
+  assert.deepEqual(custom.temperatures, [30, 60]);
+  assert.equal(config.programs[0].label, 'Baumwolle');
+});
+
+test('validates wash details and lets null clear a field', () => {
+  assert.equal(validateWashInput({ program: 'boil' }, config).code, 'invalid_program');
+  assert.equal(validateWashInput({ temperatureC: 40.5 }, config).code, 'invalid_temperature');
+  assert.equal(validateWashInput({ spinRpm: 2400 }, config).code, 'invalid_spin');
+  assert.equal(validateWashInput({ loadLevel: 'heavy' }, config).code, 'invalid_load_level');
+  assert.equal(validateWashInput({ durationMinutes: 0 }, config).code, 'invalid_duration');
+  assert.equal(validateWashInput({ program: null, temperatureC: 40, loadLevel: 'full' }, config), null);
+
+  assert.deepEqual(washFields({ program: 'eco', temperatureC: null }), { program: 'eco' });
+  assert.deepEqual(washFields({ program: 'eco', temperatureC: null }, { forUpdate: true }), { program: 'eco', temperatureC: undefined });
+});
+
+test('averages washes per program and temperature, overall and per user', () => {
+  const stats = programStatistics([
+    { washId: 'a', ownerUsername: 'Anna', program: 'cotton', temperatureC: 60, deltaKWh: 1.2, costCHF: 0.36, durationMinutes: 120 },
+    { washId: 'b', ownerUsername: 'Bob', program: 'cotton', temperatureC: 60, deltaKWh: 1.0, costCHF: 0.3 },
+    { washId: 'c', ownerUsername: 'Anna', deltaKWh: 0.5 },
+    { washId: 'd', unassigned: true, deltaKWh: 0.4 },
+    { washId: 'e', meterEvent: 'reset', deltaKWh: 0.1 }
+  ], config);
+
+  assert.equal(stats.washCount, 3);
+  assert.equal(stats.unspecifiedCount, 1);
+  assert.deepEqual(stats.byProgram[0], {
+    program: 'cotton', label: 'Baumwolle', temperatureC: 60,
+    count: 2, totalKWh: 2.2, avgKWh: 1.1, totalCHF: 0.66, avgCHF: 0.33, avgDurationMinutes: 120
+  });
+  // washes without a program come last and without a price have no average cost
+  assert.equal(stats.byProgram[1].program, null);
+  assert.equal(stats.byProgram[1].avgCHF, null);
+  assert.deepEqual(stats.byUser.map(g => [g.user, g.program]), [['Anna', 'cotton'], ['Anna', null], ['Bob', 'cotton']]);
+});
+
+let ctx;
+
+before(async () => {
+  ctx = await startApp();
+  await ctx.request('POST', '/readings', { body: { currentKWh: 100 } });
+});
+
+after(() => ctx.close());
+
+test('offers the configured programs', async () => {
+  const res = await ctx.request('GET', '/programs');
+  assert.deepEqual(res.body, config);
+});
+
+test('readings carry their wash details and edits can clear them', async () => {
+  const invalid = await ctx.request('POST', '/readings', { body: { currentKWh: 101, program: 'boil' } });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'invalid_program');
+
+  const created = await ctx.request('POST', '/readings', {
+    body: { currentKWh: 101, program: 'eco', temperatureC: 40, loadLevel: 'full', durationMinutes: 180 }
+  });
+  assert.equal(created.status, 201);
+  const { washId, program, temperatureC } = created.body.reading;
+  assert.deepEqual({ program, temperatureC }, { program: 'eco', temperatureC: 40 });
+
+  const edited = await ctx.request('PATCH', `/readings/${washId}`, { body: { temperatureC: null, spinRpm: 1400 } });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.reading.temperatureC, undefined);
+  assert.equal(edited.body.reading.spinRpm, 1400);
+  assert.equal(edited.body.reading.program, 'eco');
+});
+
+test('program statistics only count washes', async () => {
+  await ctx.request('POST', '/readings', { body: { currentKWh: 102.5, program: 'eco' } });
+
+  const res = await ctx.request('GET', '/statistics/programs');
+  assert.equal(res.status, 200);
+  // the first reading counts as a wash without a program
+  assert.equal(res.body.washCount, 3);
+  const eco = res.body.byProgram.find(g => g.program === 'eco');
+  assert.equal(eco.count, 2);
+  assert.equal(eco.avgKWh, 1.25);
+  assert.equal(eco.avgDurationMinutes, 180);
+});
@@ -0,0 +1,92 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { duePeriods, parseReportPeriod, buildUserReport, renderReportPdf, reportSubject, reportFilename } from '../lib/reports.mjs';
+import { deliverReports } from '../lib/delivery.mjs';
+import { startApp } from './helpers.mjs';
+
+test('a scheduled run reports on last month and, in January, on last year', () => {
+  assert.deepEqual(duePeriods(Date.UTC(2025, 0, 1, 6)), ['2024-12', '2024']);
+  assert.deepEqual(duePeriods(Date.UTC(2025, 2, 1, 6)), ['2025-02']);
+});
+
+test('reports cover a month or a year', () => {
+  assert.equal(parseReportPeriod('2024').kind, 'yearly');
+  assert.equal(parseReportPeriod('2024-02').endTimestamp, Date.UTC(2024, 2, 1));
+  assert.equal(parseReportPeriod('24-02'), null);
+});
+
+test('a report shows the own share of the household', () => {
+  const readings = [
+    { washId: 'a', ownerUsername: 'Anna', deltaKWh: 1, costCHF: 0.3, timestamp: Date.UTC(2024, 0, 5) },
+    { washId: 'b', ownerUsername: 'Bob', deltaKWh: 3, costCHF: 0.9, timestamp: Date.UTC(2024, 0, 6) }
+  ];
+  const report = buildUserReport(readings, parseReportPeriod('2024-01'), 'Anna', { locale: 'en' });
+  assert.equal(report.own.kWh, 1);
+  assert.equal(report.household.kWh, 4);
+  assert.equal(report.sharePercent, 25);
+  assert.equal(reportSubject(report), 'Laundry: Monthly report January 2024 for Anna');
+  assert.equal(reportFilename(report), 'Laundry_monthly_report_2024-01_Anna.pdf');
+  assert.equal(Buffer.from(renderReportPdf(report)).toString('latin1', 0, 5), '%PDF-');
+});
+
+let ctx;
+let storage;
+
+before(async () => {
+  ctx = await startApp();
+  storage = ctx.storage.forHousehold(ctx.households[0].id);
+  await ctx.request('POST', '/users', { body: { username: 'Bob' } });
+  await ctx.request('POST', '/users', { body: { username: 'Carla', email: 'carla@example.com' } });
+  await ctx.request('PUT', '/profile', { user: 'Carla', body: { monthlyReport: false } });
+  await ctx.request('POST', '/readings', { body: { currentKWh: 100, capturedAt: Date.UTC(2024, 0, 10) } });
+  for (const [owner, currentKWh, day] of [['Bob', 101, 12], ['Carla', 102, 14], ['Anna', 103, 16]]) {
+    await ctx.request('POST', '/readings', { body: { currentKWh, forUsername: owner, capturedAt: Date.UTC(2024, 0, day) } });
+  }
+});
+
+after(() => ctx.close());
+
+test('GET /reports renders a period as HTML or PDF', async () => {
+  const html = await ctx.request('GET', '/reports/2024-01');
+  assert.equal(html.status, 200);
+  assert.match(html.text, /Monthly report January 2024/);
+
+  const pdf = await ctx.request('GET', '/reports/2024-01?format=pdf');
+  assert.ok(pdf.text.startsWith('%PDF-'));
+  assert.equal((await ctx.request('GET', '/reports/2024-13')).body.code, 'invalid_report_period');
+});
+
+test('reports are mailed once to everyone with an address who wants them', async t => {
+  const mailer = { configured: true, appUrl: null, send: t.mock.fn(async () => {}) };
+
+  const first = await deliverReports({ storage, mailer, period: '2024-01' });
+  assert.deepEqual(first.sent, ['Anna']);
+  assert.deepEqual(first.skipped, [{ username: 'Bob', reason: 'no_email' }, { username: 'Carla', reason: 'opted_out' }]);
+  const [message] = mailer.send.mock.calls[0].arguments;
+  assert.equal(message.to, 'anna@example.com');
+  assert.equal(message.attachments[0].contentType, 'application/pdf');
+
+  const again = await deliverReports({ storage, mailer, period: '2024-01' });
+  assert.deepEqual(again.sent, []);
+  assert.deepEqual(again.skipped.find(s => s.username === 'Anna'), { username: 'Anna', reason: 'already_sent' });
+
+  const forced = await deliverReports({ storage, mailer, period: '2024-01', users: ['Anna'], force: true });
+  assert.deepEqual(forced.sent, ['Anna']);
+});
+
+test('a report that could not be mailed is sent on the next run', async t => {
+  const mailer = { configured: true, appUrl: null, send: t.mock.fn(async () => { throw new Error('SMTP down'); }) };
+  const failed = await deliverReports({ storage, mailer, period: '2024', users: ['Anna'] });
+  assert.deepEqual(failed.failed, [{ username: 'Anna', error: 'SMTP down' }]);
+
+  mailer.send.mock.mockImplementation(async () => {});
+  assert.deepEqual((await deliverReports({ storage, mailer, period: '2024', users: ['Anna'] })).sent, ['Anna']);
+});
+
+test('only admins send reports, and only with a mail server', async () => {
+  await ctx.request('POST', '/users', { body: { username: 'Dora' } });
+  assert.equal((await ctx.request('POST', '/reports/send', { user: 'Dora', body: { period: '2024-01' } })).status, 403);
+  const res = await ctx.request('POST', '/reports/send', { body: { period: '2024-01' } });
+  assert.equal(res.status, 503);
+  assert.equal(res.body.code, 'mail_not_configured');
+});
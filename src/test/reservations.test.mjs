@@ -0,0 +1,91 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  loadReservationConfig, validateReservationInput, reservationCells, weekBounds, linkReservations
+} from '../lib/reservations.mjs';
+import { startApp } from './helpers.mjs';
+
+const HOUR = 60 * 60 * 1000;
+const config = loadReservationConfig({});
+
+test('slots start on the grid with an allowed length and not in the past', () => {
+  const now = Date.UTC(2024, 0, 1, 8);
+  assert.equal(validateReservationInput({ start: Date.UTC(2024, 0, 1, 9), durationMinutes: 60 }, config, now), null);
+  assert.equal(validateReservationInput({ start: Date.UTC(2024, 0, 1, 9, 10), durationMinutes: 60 }, config, now).code, 'slot_off_grid');
+  assert.equal(validateReservationInput({ start: Date.UTC(2024, 0, 1, 9), durationMinutes: 45 }, config, now).code, 'invalid_slot_duration');
+  assert.equal(validateReservationInput({ start: Date.UTC(2024, 0, 1, 6), durationMinutes: 60 }, config, now).code, 'slot_in_past');
+  assert.equal(validateReservationInput({ start: 'soon', durationMinutes: 60 }, config, now).code, 'invalid_slot_start');
+});
+
+test('a booking claims every grid cell it covers', () => {
+  const start = Date.UTC(2024, 0, 1, 9);
+  assert.deepEqual(reservationCells({ start, end: start + 1.5 * HOUR, gridMinutes: 30 }), [start, start + HOUR / 2, start + HOUR]);
+});
+
+test('weeks run from Monday to Monday in UTC', () => {
+  // Sunday 2024-01-07
+  assert.deepEqual(weekBounds(Date.UTC(2024, 0, 7, 22)), { startTimestamp: Date.UTC(2024, 0, 1), endTimestamp: Date.UTC(2024, 0, 8) });
+});
+
+test('bookings are paired with the wash done in their slot', () => {
+  const start = Date.UTC(2024, 0, 1, 9);
+  const reservations = [
+    { reservationId: 'r1', ownerUsername: 'Anna', start, end: start + HOUR, status: 'booked' },
+    { reservationId: 'r2', ownerUsername: 'Bob', start, end: start + HOUR, status: 'booked' },
+    { reservationId: 'r3', ownerUsername: 'Bob', start: start + 2 * HOUR, end: start + 3 * HOUR, status: 'cancelled' }
+  ];
+  const readings = [
+    { washId: 'w1', ownerUsername: 'Anna', timestamp: start + HOUR + 20 * 60 * 1000 },
+    { washId: 'w2', ownerUsername: 'Carla', timestamp: start + HOUR / 2 }
+  ];
+  const { reservations: linked, unbooked } = linkReservations(reservations, readings, { graceMinutes: 30, now: start + 5 * HOUR });
+  assert.deepEqual(linked.map(r => [r.reservationId, r.status, r.washId]), [
+    ['r1', 'used', 'w1'], ['r2', 'no_show', null], ['r3', 'cancelled', null]
+  ]);
+  assert.deepEqual(unbooked.map(r => r.washId), ['w2']);
+});
+
+let ctx;
+// Monday of the week after next, 10:00 UTC
+const nextWeek = weekBounds(Date.now()).endTimestamp + 7 * 24 * HOUR + 10 * HOUR;
+
+before(async () => {
+  ctx = await startApp();
+  await ctx.request('POST', '/users', { body: { username: 'Bob' } });
+});
+
+after(() => ctx.close());
+
+const book = (start, { user = 'Anna', durationMinutes = 60 } = {}) =>
+  ctx.request('POST', '/reservations', { user, body: { start, durationMinutes } });
+
+test('overlapping bookings of an appliance fail and name the conflict', async () => {
+  const first = await book(nextWeek, { durationMinutes: 120 });
+  assert.equal(first.status, 201);
+
+  const overlapping = await book(nextWeek + HOUR, { user: 'Bob' });
+  assert.equal(overlapping.status, 409);
+  assert.equal(overlapping.body.code, 'slot_taken');
+  assert.equal(overlapping.body.conflict.reservationId, first.body.reservation.reservationId);
+
+  assert.equal((await book(nextWeek + 2 * HOUR, { user: 'Bob' })).status, 201);
+});
+
+test('a cancelled booking frees its slot; only its owner or booker cancels', async () => {
+  const { reservation } = (await book(nextWeek + 24 * HOUR)).body;
+  const other = await ctx.request('DELETE', `/reservations/${reservation.reservationId}`, { user: 'Bob' });
+  assert.equal(other.status, 403);
+  assert.equal(other.body.code, 'reservation_forbidden');
+
+  assert.equal((await ctx.request('DELETE', `/reservations/${reservation.reservationId}`)).status, 204);
+  assert.equal((await book(nextWeek + 24 * HOUR, { user: 'Bob' })).status, 201);
+});
+
+test('bookings per user, appliance and week are limited', async () => {
+  // Anna holds one booking of that week; the cancelled one does not count
+  assert.equal((await book(nextWeek + 48 * HOUR)).status, 201);
+  assert.equal((await book(nextWeek + 72 * HOUR)).status, 201);
+  const res = await book(nextWeek + 96 * HOUR);
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'weekly_limit');
+});
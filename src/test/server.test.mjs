@@ -0,0 +1,47 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServerConfig } from '../lib/server.mjs';
+import { startApp } from './helpers.mjs';
+
+test('the standalone server falls back to its defaults', () => {
+  assert.deepEqual(loadServerConfig({}), { port: 3000, host: '0.0.0.0', shutdownTimeoutMs: 10000, reportsHour: 6 });
+  assert.deepEqual(loadServerConfig({ PORT: 'x', SHUTDOWN_TIMEOUT: '-1', REPORTS_HOUR: '24' }),
+    { port: 3000, host: '0.0.0.0', shutdownTimeoutMs: 10000, reportsHour: 6 });
+});
+
+test('zero is a valid setting, not a missing one', () => {
+  const config = loadServerConfig({ PORT: '0', SHUTDOWN_TIMEOUT: '0', REPORTS_HOUR: '0' });
+  assert.equal(config.port, 0);
+  assert.equal(config.shutdownTimeoutMs, 0);
+  assert.equal(config.reportsHour, 0);
+});
+
+let ctx;
+
+before(async () => {
+  ctx = await startApp();
+});
+
+after(() => ctx.close());
+
+test('the health check needs no login and reports the storage', async () => {
+  const res = await ctx.request('GET', '/healthz', { user: null });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'ok');
+  assert.equal(res.body.storage, 'ok');
+});
+
+test('a failing storage makes the health check fail', async t => {
+  t.mock.method(ctx.storage, 'ping', async () => { throw new Error('disk gone'); });
+  const res = await ctx.request('GET', '/healthz', { user: null });
+  assert.equal(res.status, 503);
+  assert.equal(res.body.storage, 'unreachable');
+});
+
+test('metrics count requests and created readings', async () => {
+  await ctx.request('POST', '/readings', { body: { currentKWh: 12 } });
+  const res = await ctx.request('GET', '/metrics', { user: null });
+  assert.equal(res.status, 200);
+  assert.match(res.text, /^washing_readings_created_total 1$/m);
+  assert.match(res.text, /^washing_http_requests_total\{.*\} \d+$/m);
+});
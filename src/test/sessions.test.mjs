@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { isExpired, canControlSession, SESSION_MAX_AGE_MS } from '../lib/sessions.mjs';
+import { startApp } from './helpers.mjs';
+
+test('sessions expire after the maximum age', () => {
+  const session = { startedAt: 1000 };
+  assert.equal(isExpired(session, 1000 + SESSION_MAX_AGE_MS), false);
+  assert.equal(isExpired(session, 1001 + SESSION_MAX_AGE_MS), true);
+});
+
+test('the owner and whoever started a session control it', () => {
+  const session = { ownerUsername: 'Bob', startedBy: 'Anna' };
+  assert.equal(canControlSession(session, 'Bob'), true);
+  assert.equal(canControlSession(session, 'Anna'), true);
+  assert.equal(canControlSession(session, 'Carla'), false);
+});
+
+let ctx;
+
+before(async () => {
+  ctx = await startApp();
+  await ctx.request('POST', '/users', { body: { username: 'Bob' } });
+  await ctx.request('POST', '/users', { body: { username: 'Carla' } });
+  await ctx.request('POST', '/readings', { body: { currentKWh: 100 } });
+});
+
+after(() => ctx.close());
+
+test('a session records the consumption since the last reading as unassigned', async () => {
+  const res = await ctx.request('POST', '/sessions', { user: 'Bob', body: { currentKWh: 100.4 } });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.session.startKWh, 100.4);
+  assert.equal(res.body.unassigned.deltaKWh, 0.4);
+  assert.equal(res.body.unassigned.unassigned, true);
+  assert.equal((await ctx.request('GET', '/sessions/current')).body.session.sessionId, res.body.session.sessionId);
+});
+
+test('an open session keeps the machine busy', async () => {
+  const reading = await ctx.request('POST', '/readings', { body: { currentKWh: 101 } });
+  assert.equal(reading.status, 409);
+  assert.equal(reading.body.code, 'machine_busy');
+
+  const second = await ctx.request('POST', '/sessions', { body: { currentKWh: 101 } });
+  assert.equal(second.status, 409);
+  assert.equal(second.body.session.ownerUsername, 'Bob');
+});
+
+test('only the owner or the starter finishes a session, above its start', async () => {
+  const { session } = (await ctx.request('GET', '/sessions/current')).body;
+  const other = await ctx.request('POST', `/sessions/${session.sessionId}/finish`, { user: 'Carla', body: { currentKWh: 101.5 } });
+  assert.equal(other.status, 403);
+  assert.equal(other.body.code, 'session_forbidden');
+
+  const below = await ctx.request('POST', `/sessions/${session.sessionId}/finish`, { user: 'Bob', body: { currentKWh: 100.4 } });
+  assert.equal(below.body.code, 'session_end_not_above_start');
+
+  const res = await ctx.request('POST', `/sessions/${session.sessionId}/finish`, { user: 'Bob', body: { currentKWh: 101.5 } });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.reading.sessionId, session.sessionId);
+  assert.equal(res.body.reading.deltaKWh, 1.1);
+  assert.equal(res.body.reading.ownerUsername, 'Bob');
+
+  const current = (await ctx.request('GET', '/sessions/current')).body;
+  assert.deepEqual(current, { session: null, latestEndKWh: 101.5 });
+  const [stored] = (await ctx.request('GET', '/sessions')).body;
+  assert.equal(stored.status, 'finished');
+  assert.equal(stored.readingWashId, res.body.reading.washId);
+});
+
+test('a cancelled session frees the machine without a reading', async () => {
+  const { session } = (await ctx.request('POST', '/sessions', { body: { currentKWh: 101.5, forUsername: 'Carla' } })).body;
+  assert.equal(session.onBehalf, true);
+  assert.equal((await ctx.request('DELETE', `/sessions/${session.sessionId}`, { user: 'Carla' })).status, 204);
+  assert.equal((await ctx.request('DELETE', `/sessions/${session.sessionId}`, { user: 'Carla' })).status, 404);
+  assert.equal((await ctx.request('POST', '/readings', { body: { currentKWh: 102 } })).status, 201);
+});
@@ -0,0 +1,118 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePeriod, periodOfTimestamp, buildStatements } from '../lib/settlements.mjs';
+import { MAX_STATEMENTS } from '../storage/index.mjs';
+import { startApp } from './helpers.mjs';
+
+test('parses periods into their UTC month', () => {
+  assert.deepEqual(parsePeriod('2024-02'), {
+    year: 2024, month: 2, startTimestamp: Date.UTC(2024, 1, 1), endTimestamp: Date.UTC(2024, 2, 1)
+  });
+  assert.equal(parsePeriod('2024-13'), null);
+  assert.equal(parsePeriod('2024-2'), null);
+  assert.equal(periodOfTimestamp(Date.UTC(2024, 11, 31, 23, 59)), '2024-12');
+});
+
+test('builds one statement per owner and counts unpriced readings', () => {
+  const statements = buildStatements([
+    { washId: 'a', ownerUsername: 'Anna', deltaKWh: 1.2, costCHF: 0.36, timestamp: 1 },
+    { washId: 'b', ownerUsername: 'Bob', deltaKWh: 0.8, timestamp: 2 },
+    { washId: 'c', ownerUsername: 'Anna', deltaKWh: 0.5, costCHF: 0.15, timestamp: 3 }
+  ], '2024-01');
+  const anna = statements.find(s => s.ownerUsername === 'Anna');
+  assert.equal(statements.length, 2);
+  assert.equal(anna.statementId, '2024-01#Anna');
+  assert.equal(anna.kWh, 1.7);
+  assert.equal(anna.costCHF, 0.51);
+  assert.deepEqual(anna.washIds, ['a', 'c']);
+  assert.equal(statements.find(s => s.ownerUsername === 'Bob').unpricedCount, 1);
+});
+
+let ctx;
+let bobReading;
+let februaryReading;
+
+before(async () => {
+  ctx = await startApp();
+  await ctx.request('POST', '/users', { body: { username: 'Bob' } });
+  await ctx.request('POST', '/readings', { body: { currentKWh: 100, capturedAt: Date.UTC(2024, 0, 10) } });
+  bobReading = (await ctx.request('POST', '/readings', {
+    body: { currentKWh: 101.5, forUsername: 'Bob', capturedAt: Date.UTC(2024, 0, 20) }
+  })).body.reading;
+  februaryReading = (await ctx.request('POST', '/readings', { body: { currentKWh: 103, capturedAt: Date.UTC(2024, 1, 5) } })).body.reading;
+});
+
+after(() => ctx.close());
+
+const storage = () => ctx.storage.forHousehold(ctx.households[0].id);
+
+test('closing a month writes a statement per owner, once', async () => {
+  const res = await ctx.request('POST', '/settlements', { body: { period: '2024-01' } });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.settlement.statementCount, 2);
+  const bob = res.body.statements.find(s => s.ownerUsername === 'Bob');
+  assert.equal(bob.kWh, 1.5);
+  assert.equal(bob.creditorUsername, 'Anna');
+
+  const again = await ctx.request('POST', '/settlements', { body: { period: '2024-01' } });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.code, 'month_closed');
+});
+
+test('a month that is not over cannot be closed', async () => {
+  const now = new Date();
+  const period = `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+  const res = await ctx.request('POST', '/settlements', { body: { period } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'month_not_over');
+});
+
+test('readings of a settled month can no longer be edited', async () => {
+  const res = await ctx.request('PATCH', `/readings/${bobReading.washId}`, { body: { notes: 'late' } });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'month_settled');
+});
+
+test('only the creditor or an admin records payments, never the debtor', async () => {
+  const statementId = encodeURIComponent('2024-01#Bob');
+  const balance = await ctx.request('GET', '/statements/balance', { user: 'Bob' });
+  assert.equal(balance.body.openStatements.length, 1);
+
+  const own = await ctx.request('PATCH', `/statements/${statementId}`, { user: 'Bob', body: { paid: true, paidAt: '2024-02-10' } });
+  assert.equal(own.status, 403);
+  assert.equal(own.body.code, 'statement_payment_forbidden');
+
+  const paid = await ctx.request('PATCH', `/statements/${statementId}`, { body: { paid: true, paidAt: '2024-02-10', paymentReference: ' Twint ' } });
+  assert.equal(paid.status, 200);
+  assert.equal(paid.body.statement.paymentReference, 'Twint');
+  assert.equal((await ctx.request('GET', '/statements/balance', { user: 'Bob' })).body.openCHF, 0);
+});
+
+test('an edit racing the closing of its month is refused in the transaction', async t => {
+  // the month is closed after the route checked it
+  t.mock.method(storage().settlements, 'isClosed', async () => false);
+  assert.equal((await ctx.request('POST', '/settlements', { body: { period: '2024-02' } })).status, 201);
+
+  const res = await ctx.request('PATCH', `/readings/${februaryReading.washId}`, { body: { notes: 'late' } });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'month_closed');
+  assert.match(res.body.message, /2024-02/);
+  assert.equal((await storage().readings.get(februaryReading.washId)).notes, '');
+});
+
+test('a month with more owners than one transaction holds is refused', async t => {
+  const owners = count => Array.from({ length: count }, (_, i) => ({
+    washId: `w${i}`, ownerUsername: `user${i}`, deltaKWh: 1, costCHF: 0.3, timestamp: Date.UTC(2023, 4, 2)
+  }));
+
+  const tooMany = t.mock.method(storage().readings, 'listByTimeRange', async () => owners(MAX_STATEMENTS + 1));
+  const refused = await ctx.request('POST', '/settlements', { body: { period: '2023-05' } });
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.code, 'too_many_owners');
+
+  // the largest month still fits: marker, statements and audit entry in one transaction
+  tooMany.mock.mockImplementation(async () => owners(MAX_STATEMENTS));
+  const closed = await ctx.request('POST', '/settlements', { body: { period: '2023-05' } });
+  assert.equal(closed.status, 201);
+  assert.equal(closed.body.statements.length, MAX_STATEMENTS);
+});
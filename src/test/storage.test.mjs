@@ -0,0 +1,73 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileTable } from '../storage/file.mjs';
+import { scopeTable } from '../storage/households.mjs';
+import { ConditionFailedError, InvalidCursorError, MAX_TRANSACTION_ITEMS } from '../storage/index.mjs';
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'washing-tracker-storage-'));
+  file = path.join(dir, 'data.json');
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const reading = (washId, timestamp) => ({ washId, GlobalPK: 'READINGS', timestamp });
+
+test('writes survive a restart', async () => {
+  await createFileTable({ file }).put(reading('a', 1));
+  assert.deepEqual(await createFileTable({ file }).get('a'), reading('a', 1));
+});
+
+test('a failed condition writes nothing and names the operation', async () => {
+  const table = createFileTable({ file });
+  await table.put(reading('a', 1));
+
+  await assert.rejects(
+    table.transact([{ put: reading('b', 2) }, { put: reading('a', 3), condition: { notExists: true } }]),
+    error => error instanceof ConditionFailedError && error.index === 1
+  );
+  assert.equal(await table.get('b'), null);
+  assert.equal((await createFileTable({ file }).get('a')).timestamp, 1);
+});
+
+test('transactions hold at most as many items as DynamoDB allows', async () => {
+  const table = createFileTable({ file });
+  const ops = count => Array.from({ length: count }, (_, i) => ({ put: reading(`r${i}`, i) }));
+  await table.transact(ops(MAX_TRANSACTION_ITEMS));
+  await assert.rejects(table.transact(ops(MAX_TRANSACTION_ITEMS + 1)), /at most 100 items/);
+});
+
+test('pages through a range with the cursors it hands out', async () => {
+  const table = createFileTable({ file });
+  await table.transact([1, 2, 3, 4, 5].map(t => ({ put: reading(`r${t}`, t) })));
+
+  const first = await table.query('READINGS', { from: 2, order: 'desc', limit: 2 });
+  assert.deepEqual(first.items.map(r => r.washId), ['r5', 'r4']);
+  const second = await table.query('READINGS', { from: 2, order: 'desc', limit: 2, cursor: first.cursor });
+  assert.deepEqual(second.items.map(r => r.washId), ['r3', 'r2']);
+  assert.equal(second.cursor, null);
+});
+
+test('a cursor it did not hand out is refused', async () => {
+  const table = createFileTable({ file });
+  for (const cursor of ['abc', '-1', '1.5', '2x']) {
+    await assert.rejects(table.query('READINGS', { limit: 2, cursor }), InvalidCursorError);
+  }
+});
+
+test('households only see their own items', async () => {
+  const table = createFileTable({ file });
+  const home = scopeTable(table, 'home');
+  const away = scopeTable(table, 'away');
+  await home.put(reading('a', 1));
+
+  assert.equal((await home.get('a')).timestamp, 1);
+  assert.equal(await away.get('a'), null);
+  assert.deepEqual((await away.query('READINGS')).items, []);
+});
@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateTariffInput, normalizeTariff, tariffsOverlap, computeCost } from '../lib/tariffs.mjs';
+import { startApp } from './helpers.mjs';
+
+// Monday 2024-03-04 and Saturday 2024-03-09, 10:00 in Zurich (CET)
+const MONDAY_10H = Date.parse('2024-03-04T09:00:00Z');
+const SATURDAY_10H = Date.parse('2024-03-09T09:00:00Z');
+
+const flat = { tariffId: 'flat', ...normalizeTariff({ validFrom: '2024-01-01', pricePerKWh: 0.3, feePerWash: 0.5 }) };
+const timeOfUse = { tariffId: 'tou', ...normalizeTariff({ validFrom: '2024-01-01', timeOfUse: { highRate: 0.4, lowRate: 0.2 } }) };
+
+test('validates tariff input', () => {
+  assert.equal(validateTariffInput({ validFrom: '2024-01-01', pricePerKWh: 0.3 }), null);
+  assert.equal(validateTariffInput({ validFrom: '2024-13-01', pricePerKWh: 0.3 }).code, 'invalid_valid_from');
+  assert.equal(validateTariffInput({ validFrom: '2024-02-01', validTo: '2024-01-01', pricePerKWh: 0.3 }).code, 'valid_to_before_from');
+  assert.equal(validateTariffInput({ validFrom: '2024-01-01', pricePerKWh: -1 }).code, 'invalid_price');
+  assert.equal(validateTariffInput({ validFrom: '2024-01-01', timeOfUse: { highRate: 0.4 } }).code, 'invalid_time_of_use_rates');
+});
+
+test('time-of-use tariffs default to the high rate Monday to Friday, 7 to 20h', () => {
+  assert.deepEqual(timeOfUse.timeOfUse, { highRate: 0.4, lowRate: 0.2, highDays: [1, 2, 3, 4, 5], highFromHour: 7, highToHour: 20 });
+});
+
+test('open-ended tariffs overlap everything after their start', () => {
+  assert.equal(tariffsOverlap({ validFrom: '2024-01-01', validTo: null }, { validFrom: '2030-01-01', validTo: null }), true);
+  assert.equal(tariffsOverlap({ validFrom: '2024-01-01', validTo: '2024-02-01' }, { validFrom: '2024-02-01', validTo: null }), false);
+});
+
+test('prices a wash with the flat rate plus the fee', () => {
+  assert.deepEqual(computeCost([flat], MONDAY_10H, 1.5), {
+    tariffId: 'flat', rateType: 'flat', rateCHFPerKWh: 0.3, energyCHF: 0.45, feeCHF: 0.5, costCHF: 0.95
+  });
+});
+
+test('prices a wash with the rate that applied at that moment', () => {
+  assert.equal(computeCost([timeOfUse], MONDAY_10H, 2).rateType, 'high');
+  assert.equal(computeCost([timeOfUse], MONDAY_10H, 2).costCHF, 0.8);
+  assert.equal(computeCost([timeOfUse], SATURDAY_10H, 2).rateType, 'low');
+  assert.equal(computeCost([timeOfUse], SATURDAY_10H, 2).costCHF, 0.4);
+});
+
+test('a wash without a valid tariff has no cost', () => {
+  assert.deepEqual(computeCost([flat], Date.parse('2023-06-01T12:00:00Z'), 1), { tariffId: null, costCHF: null });
+});
+
+let ctx;
+
+before(async () => {
+  ctx = await startApp();
+});
+
+after(() => ctx.close());
+
+test('a new tariff closes the open one and readings keep their price', async () => {
+  const first = await ctx.request('POST', '/tariffs', { body: { validFrom: '2020-01-01', pricePerKWh: 0.2 } });
+  assert.equal(first.status, 201);
+  await ctx.request('POST', '/readings', { body: { currentKWh: 100 } });
+  const priced = await ctx.request('POST', '/readings', { body: { currentKWh: 102 } });
+  assert.equal(priced.body.reading.costCHF, 0.4);
+
+  const second = await ctx.request('POST', '/tariffs', { body: { validFrom: '2021-01-01', pricePerKWh: 0.5 } });
+  assert.equal(second.status, 201);
+  const tariffs = (await ctx.request('GET', '/tariffs')).body;
+  assert.equal(tariffs.find(t => t.tariffId === first.body.tariff.tariffId).validTo, '2021-01-01');
+
+  const readings = (await ctx.request('GET', '/readings')).body;
+  assert.equal(readings.find(r => r.washId === priced.body.reading.washId).costCHF, 0.4);
+});
+
+test('overlapping tariffs of a plan are refused', async () => {
+  const res = await ctx.request('POST', '/tariffs', { body: { validFrom: '2019-01-01', validTo: '2020-06-01', pricePerKWh: 0.1 } });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'tariff_overlap');
+});
+
+test('only admins manage tariffs', async () => {
+  await ctx.request('POST', '/users', { body: { username: 'Bob' } });
+  const res = await ctx.request('POST', '/tariffs', { user: 'Bob', body: { validFrom: '2030-01-01', pricePerKWh: 0.1 } });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'admin_required');
+});
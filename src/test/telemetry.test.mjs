@@ -0,0 +1,147 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadTelemetryConfig, parseSample, deviceIdOfTopic, idleState, detectWash } from '../lib/telemetry.mjs';
+import { startApp } from './helpers.mjs';
+
+const config = loadTelemetryConfig({});
+const minute = 60000;
+
+// samples { minutes, powerW, totalKWh } of one plug, fed through the detection
+function run(samples, start = 0) {
+  let state = idleState('plug-1');
+  const finished = [];
+  for (const [minutes, powerW, totalKWh = null] of samples) {
+    const step = detectWash(state, { deviceId: 'plug-1', powerW, totalKWh, timestamp: start + minutes * minute }, config);
+    state = step.state;
+    if (step.finished) finished.push(step.finished);
+  }
+  return { state, finished };
+}
+
+test('reads the thresholds and MQTT topics', () => {
+  assert.equal(config.startWatts, 20);
+  assert.equal(config.stopMs, 5 * minute);
+  assert.deepEqual(config.mqttTopics, ['shellies/+/status/switch:0', 'tele/+/SENSOR']);
+  // 0 is a valid threshold
+  assert.equal(loadTelemetryConfig({ TELEMETRY_STOP_WATTS: '0' }).stopWatts, 0);
+  assert.equal(deviceIdOfTopic('tele/plug-2/SENSOR', config.mqttTopics), 'plug-2');
+  assert.equal(deviceIdOfTopic('tele/plug-2/STATE', config.mqttTopics), null);
+});
+
+test('understands Shelly, Tasmota and generic payloads', () => {
+  const now = Date.UTC(2024, 4, 1, 12);
+  assert.deepEqual(
+    parseSample({ apower: 1800, aenergy: { total: 12500 } }, { deviceId: 'shelly-1', now }).sample,
+    { deviceId: 'shelly-1', powerW: 1800, totalKWh: 12.5, timestamp: now }
+  );
+  assert.deepEqual(
+    parseSample({ ENERGY: { Power: 3, Total: 4.2 }, Time: '2024-05-01T11:59:00' }, { deviceId: 'tasmota-1', now }).sample.totalKWh,
+    4.2
+  );
+  assert.equal(parseSample({ powerW: 10 }, { now }).error.code, 'telemetry_no_device');
+  assert.equal(parseSample({ deviceId: 'p', powerW: -1 }, { now }).error.code, 'telemetry_no_power');
+  // a clock far off is replaced by the arrival time
+  assert.equal(parseSample({ deviceId: 'p', powerW: 1, timestamp: 0 }, { now }).sample.timestamp, now);
+});
+
+test('detects a wash from the counter once the machine stayed idle', () => {
+  const { state, finished } = run([[0, 2, 10], [1, 2000, 10], [30, 400, 10.6], [60, 150, 10.9], [62, 1, 10.9], [66, 1, 10.9], [68, 1, 10.9]]);
+  assert.equal(state.status, 'idle');
+  assert.deepEqual(finished, [{ startedAt: 1 * minute, endedAt: 60 * minute, deltaKWh: 0.9, durationMinutes: 59, peakW: 2000 }]);
+});
+
+test('ignores short runs and outdated samples', () => {
+  assert.deepEqual(run([[0, 1000], [5, 1000], [6, 1], [12, 1]]).finished, []);
+  const { state } = run([[0, 1000], [5, 1000]]);
+  assert.equal(detectWash(state, { deviceId: 'plug-1', powerW: 0, totalKWh: null, timestamp: 4 * minute }, config).state, state);
+});
+
+let ctx;
+const storage = () => ctx.storage.forHousehold(ctx.households[0].id);
+
+before(async () => {
+  ctx = await startApp();
+  await ctx.request('PATCH', '/appliances/default', { body: { plugId: 'plug-1' } });
+  await ctx.request('POST', '/readings', { body: { currentKWh: 100 } });
+});
+
+after(() => ctx.close());
+
+// the plug's counter across the washes of the tests
+let counterKWh = 50;
+
+// a wash on plug-1 of `kWh`, starting at `start`; the last sample ends it
+function washSamples(start, kWh) {
+  const at = minutes => start + minutes * minute;
+  const before = counterKWh;
+  counterKWh = Math.round((counterKWh + kWh) * 1000) / 1000;
+  return [
+    { deviceId: 'plug-1', powerW: 2000, totalKWh: before, timestamp: at(0) },
+    { deviceId: 'plug-1', powerW: 500, totalKWh: counterKWh, timestamp: at(40) },
+    { deviceId: 'plug-1', powerW: 1, totalKWh: counterKWh, timestamp: at(41) },
+    { deviceId: 'plug-1', powerW: 1, totalKWh: counterKWh, timestamp: at(47) }
+  ];
+}
+
+const send = sample => ctx.request('POST', '/telemetry', { body: sample });
+
+test('a detected wash is appended to the chain as unassigned', async () => {
+  const samples = washSamples(Date.now() - 12 * 60 * minute, 1.2);
+  for (const sample of samples.slice(0, -1)) assert.equal((await send(sample)).status, 202);
+
+  const res = await send(samples.at(-1));
+  assert.equal(res.status, 201);
+  assert.equal(res.body.status, 'recorded');
+  assert.equal(res.body.reading.startKWh, 100);
+  assert.equal(res.body.reading.deltaKWh, 1.2);
+  assert.equal(res.body.reading.unassigned, true);
+  assert.equal((await storage().telemetry.get('plug-1')).status, 'idle');
+});
+
+test('a wash whose chain moved on is appended after the new reading', async t => {
+  const append = storage().readings.append;
+  // somebody enters a reading while the wash is written
+  t.mock.method(storage().readings, 'append').mock.mockImplementationOnce(async (...args) => {
+    await ctx.request('POST', '/readings', { body: { currentKWh: 103 } });
+    return append(...args);
+  });
+
+  const samples = washSamples(Date.now() - 8 * 60 * minute, 0.8);
+  for (const sample of samples) await send(sample);
+
+  const [latest, moved] = await ctx.request('GET', '/readings').then(r => r.body);
+  assert.equal(moved.endKWh, 103);
+  assert.equal(latest.source, 'telemetry');
+  assert.equal(latest.startKWh, 103);
+  assert.equal(latest.endKWh, 103.8);
+});
+
+test('a wash that could not be written is not lost', async t => {
+  t.mock.method(storage().readings, 'append', async () => { throw new Error('storage unavailable'); });
+
+  const samples = washSamples(Date.now() - 4 * 60 * minute, 0.5);
+  for (const sample of samples.slice(0, -1)) await send(sample);
+  assert.equal((await send(samples.at(-1))).status, 500);
+  // the plug still sees the wash running, so its next sample finishes it
+  assert.equal((await storage().telemetry.get('plug-1')).status, 'running');
+
+  t.mock.restoreAll();
+  const next = { ...samples.at(-1), timestamp: samples.at(-1).timestamp + minute };
+  const res = await send(next);
+  assert.equal(res.status, 201);
+  assert.equal(res.body.reading.deltaKWh, 0.5);
+  assert.equal(res.body.reading.startKWh, 103.8);
+});
+
+test('a wash finishes the session of whoever claimed the machine', async () => {
+  const session = (await ctx.request('POST', '/sessions', { user: 'Bob', body: {} })).body.session;
+  assert.equal(session.startKWh, 104.3);
+
+  const samples = washSamples(Date.now() - 2 * 60 * minute, 0.7);
+  let res;
+  for (const sample of samples) res = await send(sample);
+  assert.equal(res.status, 201);
+  assert.equal(res.body.reading.ownerUsername, 'Bob');
+  assert.equal(res.body.reading.sessionId, session.sessionId);
+  assert.equal((await ctx.request('GET', '/sessions/current', { user: 'Bob' })).body.session, null);
+});
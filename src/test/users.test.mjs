@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadAdmins, isConfiguredAdmin, validateUserInput } from '../lib/users.mjs';
+import { startApp } from './helpers.mjs';
+
+test('reads configured admins case-insensitively', () => {
+  const admins = loadAdmins({ ADMINS: ' Anna , bob@example.com,' });
+  assert.deepEqual(admins, ['anna', 'bob@example.com']);
+  assert.ok(isConfiguredAdmin(admins, { username: 'ANNA' }));
+  assert.ok(isConfiguredAdmin(admins, { username: 'Robert', email: 'Bob@Example.com' }));
+  assert.ok(!isConfiguredAdmin(admins, { username: 'Carla', email: null }));
+});
+
+test('validates usernames, roles and the active flag', () => {
+  assert.equal(validateUserInput({ username: 'a/b' }).code, 'invalid_username');
+  assert.equal(validateUserInput({ username: 'Bob', role: 'owner' }).code, 'invalid_role');
+  assert.equal(validateUserInput({ active: 'no' }, { partial: true }).code, 'invalid_active');
+  assert.equal(validateUserInput({ username: 'Bob', email: 'bob@example.com', role: 'member' }), null);
+});
+
+let ctx;
+
+before(async () => {
+  ctx = await startApp();
+  // the first user of the household becomes its admin
+  await ctx.request('GET', '/profile');
+});
+
+after(() => ctx.close());
+
+test('the first user is admin, later ones are members', async () => {
+  assert.equal((await ctx.request('GET', '/profile')).body.role, 'admin');
+  assert.equal((await ctx.request('GET', '/profile', { user: 'Dora' })).body.role, 'member');
+});
+
+test('admins register flatmates ahead of their first login', async () => {
+  const res = await ctx.request('POST', '/users', { body: { username: 'Bob', email: 'bob@example.com' } });
+  assert.equal(res.status, 201);
+  assert.deepEqual(res.body, { username: 'Bob', displayName: 'Bob', role: 'member', active: true, email: 'bob@example.com' });
+
+  const again = await ctx.request('POST', '/users', { body: { username: 'Bob' } });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.code, 'user_exists');
+});
+
+test('members cannot manage users and only see their own email', async () => {
+  await ctx.request('POST', '/users', { body: { username: 'Carla', email: 'carla@example.com' } });
+
+  const add = await ctx.request('POST', '/users', { user: 'Carla', body: { username: 'Eve' } });
+  assert.equal(add.status, 403);
+  assert.equal(add.body.code, 'admin_required');
+  const change = await ctx.request('PATCH', '/users/Bob', { user: 'Carla', body: { role: 'admin' } });
+  assert.equal(change.status, 403);
+
+  const users = (await ctx.request('GET', '/users', { user: 'Carla' })).body;
+  assert.equal(users.find(u => u.username === 'Carla').email, 'carla@example.com');
+  assert.ok(!('email' in users.find(u => u.username === 'Bob')));
+});
+
+test('admins cannot demote or deactivate themselves', async () => {
+  for (const body of [{ role: 'member' }, { active: false }]) {
+    const res = await ctx.request('PATCH', '/users/Anna', { body });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'cannot_demote_self');
+  }
+  assert.equal((await ctx.request('GET', '/profile')).body.role, 'admin');
+});
+
+test('a promoted member can manage users', async () => {
+  const res = await ctx.request('PATCH', '/users/Carla', { body: { role: 'admin' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.role, 'admin');
+  assert.equal((await ctx.request('POST', '/users', { user: 'Carla', body: { username: 'Eve' } })).status, 201);
+});
+
+test('deactivated users are locked out and cannot be named on behalf', async () => {
+  await ctx.request('POST', '/users', { body: { username: 'Finn' } });
+  assert.equal((await ctx.request('PATCH', '/users/Finn', { body: { active: false } })).body.active, false);
+
+  const locked = await ctx.request('GET', '/profile', { user: 'Finn' });
+  assert.equal(locked.status, 403);
+  assert.equal(locked.body.code, 'user_inactive');
+
+  const onBehalf = await ctx.request('POST', '/readings', { body: { currentKWh: 10, forUsername: 'Finn' } });
+  assert.equal(onBehalf.status, 400);
+  assert.equal(onBehalf.body.code, 'not_in_household');
+});
+
+test('changing an unknown user is a 404', async () => {
+  const res = await ctx.request('PATCH', '/users/Nobody', { body: { displayName: 'Nobody' } });
+  assert.equal(res.status, 404);
+  assert.equal(res.body.code, 'user_not_found');
+});